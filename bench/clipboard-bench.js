@@ -1,16 +1,24 @@
 #!/usr/bin/env node
 /**
  * Simple benchmark harness for core clipboard operations.
- * Usage: node bench/clipboard-bench.js --iterations 200 --json
+ * Usage: node bench/clipboard-bench.js --iterations 200 --json [--mode direct|daemon|both]
  *
  * Measures: hasContent, readText, writeText, getContentType, (optional) image write/read if supported platform & sample image present.
  * Outputs summary stats: total ms, avg ms, min, max, ops/sec.
+ *
+ * --mode daemon routes operations through `clipaste daemon` (a running one, or a temporary one started for the run);
+ * --mode both runs direct then daemon and prefixes metric names with the mode.
+ * --readAll replaces the hasContent/readText/getContentType sequence with one readAll() per iteration;
+ * combine with --phases to compare clipboardy.read counts.
  */
 
 const path = require('path')
 const fs = require('fs')
+const os = require('os')
+const { spawn } = require('child_process')
 const { performance } = require('perf_hooks')
 const ClipboardManager = require('../src/clipboard')
+const { connectDaemon } = require('../src/daemon')
 // If phase profiling is requested we will enable it dynamically prior to creating manager
 
 const args = process.argv.slice(2)
@@ -31,6 +39,8 @@ const phasesEnabled = !!getArg('phases', false)
 const jsonFile = getArg('jsonFile', null)
 const csvFile = getArg('csvFile', null)
 const historyFlag = getArg('history', false)
+const mode = getArg('mode', 'direct')
+const useReadAll = !!getArg('readAll', false)
 
 // History output directory (only used if --history specified)
 const defaultHistoryDir = path.join(__dirname, 'history')
@@ -45,27 +55,44 @@ function statSummary (arr) {
   return { total: +total.toFixed(3), avg: +avg.toFixed(3), min: +min.toFixed(3), max: +max.toFixed(3), opsPerSec: +opsPerSec.toFixed(2) }
 }
 
-async function main () {
-  if (phasesEnabled) {
-    // Dynamically enable phase profiling (works even if env var set too late)
-    if (ClipboardManager.enablePhaseProfiling) {
-      ClipboardManager.enablePhaseProfiling()
-    } else {
-      process.env.CLIPASTE_PHASE_PROF = '1'
+// Use the running daemon, or start a temporary one on a private socket for this run
+async function openDaemon () {
+  const existing = await connectDaemon()
+  if (existing) return { client: existing, stop: async () => existing.close() }
+
+  const socketPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-bench-')), 'daemon.sock')
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'index.js'), 'daemon', 'start', '--foreground'], {
+    stdio: 'ignore',
+    env: { ...process.env, CLIPASTE_DAEMON_SOCKET: socketPath }
+  })
+  const deadline = Date.now() + 5000
+  while (Date.now() < deadline) {
+    const client = await connectDaemon({ socketPath, timeoutMs: 500 })
+    if (client) {
+      return {
+        client,
+        stop: async () => {
+          await client.shutdown().catch(() => {})
+          client.close()
+          await new Promise(resolve => child.once('exit', resolve))
+          fs.rmSync(path.dirname(socketPath), { recursive: true, force: true })
+        }
+      }
     }
+    await new Promise(resolve => setTimeout(resolve, 100))
   }
-  const cm = new ClipboardManager()
-  const results = {
-    iterations,
-    platform: process.platform,
-    timings: {}
-  }
+  child.kill()
+  fs.rmSync(path.dirname(socketPath), { recursive: true, force: true })
+  throw new Error('Temporary daemon did not start within 5s')
+}
 
+async function measure (cm, imagePath) {
   const measures = {
     hasContent: [],
     readText: [],
     writeText: [],
     getContentType: [],
+    readAll: [],
     writeImage: [],
     readImage: []
   }
@@ -76,18 +103,6 @@ async function main () {
   // Use a small rotating payload for writeText
   const payloads = Array.from({ length: 5 }, (_, i) => `sample-payload-${i}-${'x'.repeat(20)}`)
 
-  let imagePath = null
-  if (includeImage) {
-    // Try to locate a sample PNG (user can supply path via --imagePath <path>)
-    const provided = getArg('imagePath')
-    if (provided && fs.existsSync(provided)) {
-      imagePath = provided
-    } else {
-      const guess = path.join(__dirname, '..', 'demo', 'sample.png')
-      if (fs.existsSync(guess)) imagePath = guess
-    }
-  }
-
   for (let i = 0; i < iterations; i++) {
     const pay = payloads[i % payloads.length]
 
@@ -96,20 +111,27 @@ async function main () {
     await cm.writeText(pay)
     measures.writeText.push(performance.now() - t0)
 
-    // hasContent
-    t0 = performance.now()
-    await cm.hasContent()
-    measures.hasContent.push(performance.now() - t0)
+    if (useReadAll) {
+      // One snapshot covers what the CLI handlers used to ask for separately
+      t0 = performance.now()
+      await cm.readAll({ image: false })
+      measures.readAll.push(performance.now() - t0)
+    } else {
+      // hasContent
+      t0 = performance.now()
+      await cm.hasContent()
+      measures.hasContent.push(performance.now() - t0)
 
-    // readText
-    t0 = performance.now()
-    await cm.readText()
-    measures.readText.push(performance.now() - t0)
+      // readText
+      t0 = performance.now()
+      await cm.readText()
+      measures.readText.push(performance.now() - t0)
 
-    // getContentType
-    t0 = performance.now()
-    await cm.getContentType()
-    measures.getContentType.push(performance.now() - t0)
+      // getContentType
+      t0 = performance.now()
+      await cm.getContentType()
+      measures.getContentType.push(performance.now() - t0)
+    }
 
     // Optional image tests every 10 iterations to reduce overhead
     if (imagePath && i % 10 === 0) {
@@ -122,13 +144,55 @@ async function main () {
       measures.readImage.push(performance.now() - t0)
     }
   }
+  return measures
+}
+
+async function main () {
+  if (phasesEnabled) {
+    // Dynamically enable phase profiling (works even if env var set too late)
+    if (ClipboardManager.enablePhaseProfiling) {
+      ClipboardManager.enablePhaseProfiling()
+    } else {
+      process.env.CLIPASTE_PHASE_PROF = '1'
+    }
+  }
+  const modes = mode === 'both' ? ['direct', 'daemon'] : [mode]
+  if (!modes.every(m => m === 'direct' || m === 'daemon')) throw new Error(`Unknown mode '${mode}'. Use direct, daemon or both`)
+  const results = {
+    iterations,
+    platform: process.platform,
+    mode,
+    readAll: useReadAll,
+    timings: {}
+  }
 
-  results.timings.hasContent = statSummary(measures.hasContent)
-  results.timings.readText = statSummary(measures.readText)
-  results.timings.writeText = statSummary(measures.writeText)
-  results.timings.getContentType = statSummary(measures.getContentType)
-  if (measures.writeImage.length) results.timings.writeImage = statSummary(measures.writeImage)
-  if (measures.readImage.length) results.timings.readImage = statSummary(measures.readImage)
+  let imagePath = null
+  if (includeImage) {
+    // Try to locate a sample PNG (user can supply path via --imagePath <path>)
+    const provided = getArg('imagePath')
+    if (provided && fs.existsSync(provided)) {
+      imagePath = provided
+    } else {
+      const guess = path.join(__dirname, '..', 'demo', 'sample.png')
+      if (fs.existsSync(guess)) imagePath = guess
+    }
+  }
+
+  for (const m of modes) {
+    const cm = new ClipboardManager()
+    const daemon = m === 'daemon' ? await openDaemon() : null
+    if (daemon) cm.useDaemon(daemon.client)
+    let measures
+    try {
+      measures = await measure(cm, imagePath)
+    } finally {
+      if (daemon) await daemon.stop()
+    }
+    const prefix = modes.length > 1 ? `${m}.` : ''
+    for (const [name, values] of Object.entries(measures)) {
+      if (values.length) results.timings[prefix + name] = statSummary(values)
+    }
+  }
 
   // Phase stats (requires instrumentation in ClipboardManager)
   if (phasesEnabled && ClipboardManager.getPhaseStats) {
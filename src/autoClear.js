@@ -0,0 +1,128 @@
+const fs = require('fs').promises
+const path = require('path')
+const crypto = require('crypto')
+const { spawn } = require('child_process')
+const { resolveConfigDir } = require('./utils/config')
+
+function isAlive (pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    return error.code === 'EPERM'
+  }
+}
+
+/**
+ * Pending `--clear-after` timers, one JSON record per timer in <config dir>/clear-timers.
+ * Each timer is a detached process that clears the clipboard once its time is up, but only
+ * while the clipboard still hashes to the recorded sha256.
+ */
+class AutoClearStore {
+  constructor (opts = {}) {
+    this.dir = opts.dir || path.join(resolveConfigDir(), 'clear-timers')
+  }
+
+  recordPath (id) {
+    return path.join(this.dir, `${id}.json`)
+  }
+
+  /**
+   * Register a timer before the clipboard is written, so watchers never record the secret
+   * @param {{seconds: number, sha256: string, selection?: string, backend?: string,
+   *   backendConfig?: object, headlessBackend?: string, source?: string}} opts
+   */
+  async add ({ seconds, sha256, selection = 'clipboard', backend, backendConfig, headlessBackend, source = 'copy' }) {
+    const now = Date.now()
+    const timer = {
+      id: crypto.randomBytes(6).toString('hex'),
+      pid: null,
+      sha256,
+      selection,
+      backend: backend || null,
+      backendConfig: backendConfig || {},
+      headlessBackend: headlessBackend || null,
+      source,
+      createdAt: new Date(now).toISOString(),
+      clearAt: new Date(now + seconds * 1000).toISOString()
+    }
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 })
+    await fs.writeFile(this.recordPath(timer.id), JSON.stringify(timer, null, 2), { mode: 0o600 })
+    return timer
+  }
+
+  // Spawn the detached clearer once the clipboard holds the content; sha256 is what it now hashes to
+  async start (timer, { sha256 } = {}) {
+    if (sha256) timer.sha256 = sha256
+    const child = spawn(process.execPath, [__filename, this.recordPath(timer.id)], {
+      detached: true,
+      stdio: 'ignore',
+      windowsHide: true,
+      env: process.env
+    })
+    child.unref()
+    timer.pid = child.pid
+    await fs.writeFile(this.recordPath(timer.id), JSON.stringify(timer, null, 2), { mode: 0o600 })
+    return timer
+  }
+
+  async remove (timer) {
+    await fs.rm(this.recordPath(timer.id), { force: true })
+  }
+
+  // Timers whose clearer is still running; records left behind by dead clearers are removed
+  async list () {
+    let names
+    try {
+      names = await fs.readdir(this.dir)
+    } catch {
+      return []
+    }
+    const timers = []
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      let timer
+      try {
+        timer = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'))
+      } catch {
+        continue
+      }
+      // A record without a pid belongs to a copy that is still writing the clipboard (or died doing so)
+      const stale = timer.pid ? !isAlive(timer.pid) : Date.now() - Date.parse(timer.createdAt) > 60000
+      if (stale) {
+        await fs.rm(path.join(this.dir, name), { force: true })
+        continue
+      }
+      timers.push(timer)
+    }
+    return timers.sort((a, b) => a.clearAt.localeCompare(b.clearAt))
+  }
+
+  async isPending (sha256) {
+    return (await this.list()).some(timer => timer.sha256 === sha256)
+  }
+}
+
+// Body of the detached clearer: wait, then clear if the clipboard is unchanged
+async function runClearer (recordFile) {
+  const timer = JSON.parse(await fs.readFile(recordFile, 'utf8'))
+  const delay = Date.parse(timer.clearAt) - Date.now()
+  if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay))
+  try {
+    const ClipboardManager = require('./clipboard')
+    const clipboard = new ClipboardManager({
+      selection: timer.selection,
+      backend: timer.backend || undefined,
+      backendConfig: timer.backendConfig,
+      headlessBackend: timer.headlessBackend || undefined
+    })
+    if (await clipboard.getSha256() === timer.sha256) await clipboard.clear()
+  } finally {
+    await fs.rm(recordFile, { force: true })
+  }
+}
+
+if (require.main === module) {
+  runClearer(process.argv[2]).then(() => process.exit(0), () => process.exit(1))
+}
+
+module.exports = { AutoClearStore, runClearer }
@@ -0,0 +1,74 @@
+class ClipboardBackendError extends Error {
+  constructor (message, opts = {}) {
+    super(message)
+    this.name = 'ClipboardBackendError'
+    if (opts.cause) this.cause = opts.cause
+    if (opts.code) this.code = opts.code
+  }
+}
+
+/**
+ * Clipboard backend interface. Subclasses implement at least read() and write();
+ * the remaining operations have text-only defaults.
+ */
+class ClipboardBackend {
+  constructor (opts = {}) {
+    this.name = opts.name || 'unknown'
+    this.selection = opts.selection || 'clipboard'
+    this.config = opts.config || {}
+  }
+
+  unsupported (operation) {
+    return new ClipboardBackendError(`The ${this.name} backend does not support ${operation}`, { code: 'UNSUPPORTED' })
+  }
+
+  // Thrown when the backing tool or service cannot be reached at all
+  unavailable (reason) {
+    return new ClipboardBackendError(reason || `The ${this.name} backend is not available`, { code: 'UNAVAILABLE' })
+  }
+
+  /** @returns {Promise<string>} clipboard text, '' when empty */
+  async read () {
+    throw this.unsupported('reading text')
+  }
+
+  /** @param {string} text */
+  async write () {
+    throw this.unsupported('writing text')
+  }
+
+  /** @returns {Promise<{format: string, data: Buffer}|null>} */
+  async readImage () {
+    return null
+  }
+
+  /** @param {string} imagePath - image file to place on the clipboard */
+  async writeImage () {
+    throw this.unsupported('writing images')
+  }
+
+  /** @returns {Promise<string[]>} available formats as MIME types */
+  async listFormats () {
+    const text = await this.read()
+    return text ? ['text/plain'] : []
+  }
+
+  /** @returns {Promise<Buffer|null>} raw bytes of one format */
+  async readFormat (mime) {
+    if (mime !== 'text/plain') return null
+    const text = await this.read()
+    return text ? Buffer.from(text, 'utf8') : null
+  }
+
+  /** @param {string[]} paths - absolute paths to place on the clipboard as a file list */
+  async writeFiles () {
+    throw this.unsupported('copying files')
+  }
+
+  async clear () {
+    await this.write('')
+    return true
+  }
+}
+
+module.exports = { ClipboardBackend, ClipboardBackendError }
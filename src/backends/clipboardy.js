@@ -0,0 +1,29 @@
+const { ClipboardBackend, ClipboardBackendError } = require('./base')
+
+// Plain clipboardy text access, without the platform image fallbacks of the default mode
+class ClipboardyBackend extends ClipboardBackend {
+  constructor (opts = {}) {
+    super({ name: 'clipboardy', ...opts })
+    if (this.selection !== 'clipboard') {
+      throw new ClipboardBackendError('The clipboardy backend only supports the clipboard selection', { code: 'UNSUPPORTED' })
+    }
+    if (typeof opts.loadClipboardy !== 'function') {
+      throw new ClipboardBackendError('The clipboardy backend requires a loadClipboardy function')
+    }
+    this.loadClipboardy = opts.loadClipboardy
+  }
+
+  async read () {
+    const clipboardy = await this.loadClipboardy()
+    const text = await clipboardy.read()
+    return text || ''
+  }
+
+  async write (text) {
+    const clipboardy = await this.loadClipboardy()
+    await clipboardy.write(String(text == null ? '' : text))
+    return true
+  }
+}
+
+module.exports = { ClipboardyBackend }
@@ -0,0 +1,60 @@
+const path = require('path')
+const { ClipboardBackend } = require('./base')
+
+// Buffers cross the daemon socket as { $buffer: <base64> } inside newline-delimited JSON
+function encodeValue (value) {
+  if (Buffer.isBuffer(value)) return { $buffer: value.toString('base64') }
+  if (Array.isArray(value)) return value.map(encodeValue)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]))
+  }
+  return value
+}
+
+function decodeValue (value) {
+  if (Array.isArray(value)) return value.map(decodeValue)
+  if (value && typeof value === 'object') {
+    if (typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64')
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v)]))
+  }
+  return value
+}
+
+/**
+ * Forwards clipboard operations to a running daemon, which performs them with its own
+ * long-lived ClipboardManager for the same backend and selection.
+ */
+class DaemonBackend extends ClipboardBackend {
+  constructor (opts = {}) {
+    super({ name: 'daemon', ...opts })
+    this.client = opts.client
+    // Backend the daemon should use on our behalf ('auto' keeps its platform detection)
+    this.target = {
+      selection: this.selection,
+      backend: opts.backend || 'auto',
+      backendConfig: opts.backendConfig || {},
+      headlessBackend: opts.headlessBackend || null
+    }
+  }
+
+  call (op, ...args) {
+    return this.client.request(op, { ...this.target, args })
+  }
+
+  async read () { return this.call('readText') }
+  async write (text) { return this.call('writeText', text) }
+  async readImage () { return this.call('readImage') }
+  async writeImage (imagePath) { return this.call('writeImage', path.resolve(imagePath)) }
+  async writeFiles (paths) { return this.call('writeFiles', paths.map(p => path.resolve(p))) }
+  async listFormats () { return this.call('listFormats') }
+  async readFormat (mime) { return this.call('readFormat', mime) }
+  async clear () { return this.call('clear') }
+
+  // Lets ClipboardManager reuse the daemon's snapshot-backed classification in one round trip
+  async getContentType () { return this.call('getContentType') }
+  async readAll (opts) { return this.call('readAll', opts || {}) }
+  // Compare-and-swap writes run inside the daemon so the check and the write happen together
+  async writeText (text, opts) { return this.call('writeText', text, opts || {}) }
+}
+
+module.exports = { DaemonBackend, encodeValue, decodeValue }
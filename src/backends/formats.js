@@ -0,0 +1,123 @@
+const path = require('path')
+
+// Image targets negotiated on Linux, most preferred first
+const LINUX_IMAGE_TARGETS = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff']
+
+// X11 atoms that describe the selection itself rather than a data format
+const X11_META_TARGETS = new Set(['TARGETS', 'TIMESTAMP', 'MULTIPLE', 'SAVE_TARGETS', 'DELETE', 'INCR'])
+// X11 atoms that all carry plain text
+const X11_TEXT_TARGETS = new Set(['UTF8_STRING', 'STRING', 'TEXT', 'COMPOUND_TEXT', 'text/plain;charset=utf-8'])
+
+function imageFormatFromMime (mime) {
+  const sub = String(mime).toLowerCase().replace(/^image\//, '')
+  if (sub === 'jpg') return 'jpeg'
+  if (sub === 'svg+xml') return 'svg'
+  if (sub === 'x-ms-bmp' || sub === 'x-bmp') return 'bmp'
+  return sub
+}
+
+function imageMimeFromPath (filePath) {
+  const ext = path.extname(filePath).toLowerCase().replace(/^\./, '')
+  const mimeMap = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    svg: 'image/svg+xml'
+  }
+  return mimeMap[ext] || 'image/png'
+}
+
+function formatSlug (name) {
+  return String(name).trim().replace(/[^A-Za-z0-9.+-]+/g, '-').replace(/^-+|-+$/g, '')
+}
+
+function uniqueFormats (formats) {
+  return Array.from(new Set(formats.filter(Boolean)))
+}
+
+function normalizeLinuxTargets (targets) {
+  return uniqueFormats(targets.map(t => {
+    if (X11_META_TARGETS.has(t)) return null
+    if (X11_TEXT_TARGETS.has(t)) return 'text/plain'
+    if (t.includes('/')) return t.toLowerCase().split(';')[0]
+    return `application/x-${formatSlug(t)}`
+  }))
+}
+
+// Find the raw X11/Wayland target that carries the given MIME type
+function matchLinuxTarget (targets, mime) {
+  return targets.find(t => t.toLowerCase().split(';')[0] === mime) ||
+    targets.find(t => `application/x-${formatSlug(t)}`.toLowerCase() === mime) ||
+    (mime === 'text/plain' ? targets.find(t => X11_TEXT_TARGETS.has(t)) : undefined)
+}
+
+function pathsToUriList (paths) {
+  return paths
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => 'file://' + encodeURI(p.replace(/\\/g, '/').replace(/^([A-Za-z]):/, '/$1:')))
+    .join('\r\n') + '\r\n'
+}
+
+// Local paths from a text/uri-list; comments, remote hosts and non-file URIs are skipped.
+// Also accepts GNOME's "copy\nfile://..." lists, whose extra lines are not URIs.
+function uriListToPaths (text) {
+  return String(text || '').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => /^file:\/\/(localhost)?\//i.test(line))
+    .map(line => {
+      let p = line.replace(/^file:\/\/(localhost)?/i, '')
+      try { p = decodeURIComponent(p) } catch {}
+      // file:///C:/dir is a Windows drive path
+      return /^\/[A-Za-z]:/.test(p) ? p.slice(1) : p
+    })
+}
+
+// Text that file managers put beside a text/uri-list: file URIs, absolute paths (GNOME, KDE) or a
+// single file name (Finder). Only then is listing the clipboard formats worth a platform call.
+function mayBeFileList (text) {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(line => line && !/^(copy|cut)$/.test(line))
+  if (!lines.length) return false
+  if (lines.length === 1 && lines[0].length <= 255 && /^[^/\\:*?"<>|]+\.\w{1,10}$/.test(lines[0])) return true
+  return lines.every(line => /^file:\/\//i.test(line) || /^(\/|~\/|[A-Za-z]:[\\/]|\\\\)\S/.test(line))
+}
+
+// Non-text, non-image payloads such as application/pdf or audio/wav. X11 atoms mapped to
+// application/x-* and structured text (JSON, XML) are not binary.
+function isBinaryMime (mime) {
+  const m = String(mime).toLowerCase()
+  if (/^(audio|video|font|model)\//.test(m)) return true
+  if (!m.startsWith('application/')) return false
+  return !/^application\/(x-|json|xml|javascript|ecmascript)|\+(json|xml)$/.test(m) ||
+    /^application\/x-(tar|gzip|bzip2|xz|7z-compressed|rar|zip|msdownload|elf|sqlite3)$/.test(m)
+}
+
+// Pick the best image target: known formats in preference order, then any image/*
+function pickImageTarget (targets) {
+  const lower = targets.map(t => t.toLowerCase())
+  return LINUX_IMAGE_TARGETS.find(t => lower.includes(t)) ||
+    lower.find(t => t.startsWith('image/')) ||
+    null
+}
+
+module.exports = {
+  LINUX_IMAGE_TARGETS,
+  X11_META_TARGETS,
+  X11_TEXT_TARGETS,
+  imageFormatFromMime,
+  imageMimeFromPath,
+  formatSlug,
+  uniqueFormats,
+  normalizeLinuxTargets,
+  matchLinuxTarget,
+  pickImageTarget,
+  pathsToUriList,
+  uriListToPaths,
+  mayBeFileList,
+  isBinaryMime
+}
@@ -0,0 +1,78 @@
+const { ClipboardBackend, ClipboardBackendError } = require('./base')
+const { ClipboardyBackend } = require('./clipboardy')
+const { XclipBackend, WlClipboardBackend } = require('./linux')
+const { MemoryBackend, FileBackend } = require('./store')
+const { Osc52Backend } = require('./osc52')
+const { TmuxBackend } = require('./tmux')
+
+// Name that keeps ClipboardManager's built-in platform detection (clipboardy plus OS fallbacks)
+const AUTO_BACKEND = 'auto'
+
+class BackendRegistry {
+  constructor () {
+    this.factories = new Map()
+  }
+
+  /**
+   * Register a backend factory
+   * @param {string} name
+   * @param {(options: {selection: string, config: object, runTool: Function, loadClipboardy: Function}) => ClipboardBackend} factory
+   * @param {{description?: string}} [meta]
+   */
+  register (name, factory, meta = {}) {
+    if (!name || typeof name !== 'string') throw new Error('Backend name is required')
+    if (name === AUTO_BACKEND) throw new Error(`'${AUTO_BACKEND}' is reserved for the default backend`)
+    if (typeof factory !== 'function') throw new Error(`Backend '${name}' must be registered with a factory function`)
+    this.factories.set(name, { factory, description: meta.description || '' })
+  }
+
+  has (name) {
+    return this.factories.has(name)
+  }
+
+  getNames () {
+    return Array.from(this.factories.keys())
+  }
+
+  list () {
+    return Array.from(this.factories.entries()).map(([name, { description }]) => ({ name, description }))
+  }
+
+  create (name, options = {}) {
+    const entry = this.factories.get(name)
+    if (!entry) {
+      throw new Error(`Clipboard backend '${name}' is not available. Available: ${[AUTO_BACKEND, ...this.getNames()].join(', ')}`)
+    }
+    return entry.factory(options)
+  }
+}
+
+function registerBuiltinBackends (registry) {
+  registry.register('clipboardy', (opts) => new ClipboardyBackend(opts), { description: 'System clipboard text via clipboardy' })
+  registry.register('xclip', (opts) => new XclipBackend(opts), { description: 'X11 selections via xclip' })
+  registry.register('wl-clipboard', (opts) => new WlClipboardBackend(opts), { description: 'Wayland clipboard via wl-copy/wl-paste' })
+  registry.register('memory', (opts) => new MemoryBackend(opts), { description: 'In-process clipboard (tests, embedding)' })
+  registry.register('file', (opts) => new FileBackend(opts), { description: 'Clipboard stored under the config directory' })
+  registry.register('osc52', (opts) => new Osc52Backend(opts), { description: 'Terminal clipboard via OSC 52 escapes (SSH, tmux)' })
+  registry.register('tmux', (opts) => new TmuxBackend(opts), { description: 'tmux paste buffers via load-buffer/save-buffer' })
+  return registry
+}
+
+// Shared registry used by ClipboardManager and plugins
+const backends = registerBuiltinBackends(new BackendRegistry())
+
+module.exports = {
+  AUTO_BACKEND,
+  BackendRegistry,
+  ClipboardBackend,
+  ClipboardBackendError,
+  ClipboardyBackend,
+  XclipBackend,
+  WlClipboardBackend,
+  MemoryBackend,
+  FileBackend,
+  Osc52Backend,
+  TmuxBackend,
+  backends,
+  registerBuiltinBackends
+}
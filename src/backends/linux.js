@@ -0,0 +1,127 @@
+const fs = require('fs')
+const { ClipboardBackend, ClipboardBackendError } = require('./base')
+const {
+  imageFormatFromMime,
+  imageMimeFromPath,
+  normalizeLinuxTargets,
+  matchLinuxTarget,
+  pickImageTarget,
+  pathsToUriList
+} = require('./formats')
+
+/**
+ * Shared logic for the X11/Wayland command line tools. Subclasses only describe
+ * how to spell each operation; `runTool(command, args, options)` resolves
+ * { code, stdout } or null when the tool is missing (see ClipboardManager.runClipboardTool).
+ */
+class LinuxToolBackend extends ClipboardBackend {
+  constructor (opts = {}) {
+    super(opts)
+    if (typeof opts.runTool !== 'function') {
+      throw new ClipboardBackendError(`The ${this.name} backend requires a runTool function`)
+    }
+    this.runTool = opts.runTool
+  }
+
+  async run (command, args, options = {}) {
+    const res = await this.runTool(command, args, options)
+    if (!res) throw this.unavailable(`${command} is not installed or did not respond`)
+    return res
+  }
+
+  // Raw targets offered by the selection ([] when the selection is unowned)
+  async listTargets () {
+    const [command, args] = this.listTargetsCommand()
+    const res = await this.run(command, args, { phase: `${this.name}.targets` })
+    if (res.code !== 0) return []
+    return res.stdout.toString('utf8').split(/\r?\n/).map(s => s.trim()).filter(Boolean)
+  }
+
+  async readTarget (target, phase = 'readFormat') {
+    const [command, args] = this.readCommand(target)
+    const res = await this.run(command, args, { timeoutMs: 10000, phase: `${this.name}.${phase}` })
+    return res.code === 0 ? res.stdout : null
+  }
+
+  async read () {
+    const [command, args] = this.readCommand(null)
+    const res = await this.run(command, args, { phase: `${this.name}.read` })
+    // Both tools exit non-zero when the selection is unowned
+    return res.code === 0 ? res.stdout.toString('utf8') : ''
+  }
+
+  async write (text) {
+    const [command, args] = this.writeCommand(null)
+    const res = await this.run(command, args, { input: text, capture: false, phase: `${this.name}.write` })
+    if (res.code !== 0) throw new ClipboardBackendError(`${command} exited with code ${res.code}`)
+    return true
+  }
+
+  async readImage () {
+    const target = pickImageTarget(await this.listTargets())
+    if (!target) return null
+    const data = await this.readTarget(target, 'readImage')
+    if (!data || data.length === 0) return null
+    return { format: imageFormatFromMime(target), data }
+  }
+
+  async writeImage (imagePath) {
+    const [command, args, input] = this.writeImageCommand(imageMimeFromPath(imagePath), imagePath)
+    const res = await this.run(command, args, { input, capture: false, timeoutMs: 10000, phase: `${this.name}.writeImage` })
+    return res.code === 0
+  }
+
+  // File managers that accept text/uri-list (Dolphin, Thunar, PCManFM) paste these as files
+  async writeFiles (paths) {
+    const [command, args] = this.writeTypeCommand('text/uri-list')
+    const res = await this.run(command, args, { input: pathsToUriList(paths), capture: false, phase: `${this.name}.writeFiles` })
+    return res.code === 0
+  }
+
+  async listFormats () {
+    return normalizeLinuxTargets(await this.listTargets())
+  }
+
+  async readFormat (mime) {
+    const target = matchLinuxTarget(await this.listTargets(), mime)
+    if (!target) return null
+    return this.readTarget(target)
+  }
+}
+
+class XclipBackend extends LinuxToolBackend {
+  constructor (opts = {}) {
+    super({ name: 'xclip', ...opts })
+  }
+
+  selectionArgs () { return ['-selection', this.selection] }
+  listTargetsCommand () { return ['xclip', [...this.selectionArgs(), '-t', 'TARGETS', '-o']] }
+  readCommand (target) { return ['xclip', [...this.selectionArgs(), ...(target ? ['-t', target] : []), '-o']] }
+  writeCommand () { return ['xclip', [...this.selectionArgs(), '-i']] }
+  writeImageCommand (mime, imagePath) { return ['xclip', [...this.selectionArgs(), '-t', mime, '-i', imagePath]] }
+  writeTypeCommand (mime) { return ['xclip', [...this.selectionArgs(), '-t', mime, '-i']] }
+}
+
+class WlClipboardBackend extends LinuxToolBackend {
+  constructor (opts = {}) {
+    super({ name: 'wl-clipboard', ...opts })
+    if (this.selection === 'secondary') {
+      throw new ClipboardBackendError('wl-clipboard does not support the secondary selection', { code: 'UNSUPPORTED' })
+    }
+  }
+
+  selectionArgs () { return this.selection === 'primary' ? ['--primary'] : [] }
+  listTargetsCommand () { return ['wl-paste', [...this.selectionArgs(), '--list-types']] }
+  readCommand (target) { return ['wl-paste', [...this.selectionArgs(), '--no-newline', ...(target ? ['--type', target] : [])]] }
+  writeCommand () { return ['wl-copy', this.selectionArgs()] }
+  writeImageCommand (mime, imagePath) { return ['wl-copy', [...this.selectionArgs(), '--type', mime], fs.readFileSync(imagePath)] }
+  writeTypeCommand (mime) { return ['wl-copy', [...this.selectionArgs(), '--type', mime]] }
+
+  async clear () {
+    const res = await this.run('wl-copy', [...this.selectionArgs(), '--clear'], { capture: false, phase: 'wl-clipboard.clear' })
+    if (res.code !== 0) throw new ClipboardBackendError(`wl-copy exited with code ${res.code}`)
+    return true
+  }
+}
+
+module.exports = { LinuxToolBackend, XclipBackend, WlClipboardBackend }
@@ -0,0 +1,184 @@
+const fs = require('fs')
+const tty = require('tty')
+const { ClipboardBackend, ClipboardBackendError } = require('./base')
+
+const ESC = '\x1b'
+const BEL = '\x07'
+const ST = ESC + '\\'
+
+// OSC 52 selection parameters: c = clipboard, p = primary, q = secondary
+const SELECTION_CODES = { clipboard: 'c', primary: 'p', secondary: 'q' }
+
+// Largest payload (before base64) most terminals accept; base64 of this stays under 100 kB
+const DEFAULT_MAX_BYTES = 74994
+
+// GNU screen drops DCS strings longer than 768 bytes, so its passthrough is sent in pieces
+const SCREEN_CHUNK = 76
+
+function detectPassthrough (env = process.env) {
+  if (env.TMUX) return 'tmux'
+  if (env.STY || /^screen/.test(env.TERM || '')) return 'screen'
+  return 'none'
+}
+
+// Wrap a sequence so tmux/screen forward it to the outer terminal instead of swallowing it
+function wrapPassthrough (sequence, mode = 'none') {
+  if (mode === 'tmux') return `${ESC}Ptmux;${sequence.split(ESC).join(ESC + ESC)}${ST}`
+  if (mode === 'screen') {
+    let out = ''
+    for (let i = 0; i < sequence.length; i += SCREEN_CHUNK) {
+      out += `${ESC}P${sequence.slice(i, i + SCREEN_CHUNK)}${ST}`
+    }
+    return out
+  }
+  return sequence
+}
+
+/**
+ * Build the OSC 52 sequence that sets a selection.
+ * @param {string|Buffer} data
+ * @param {{selection?: string, passthrough?: string}} [opts]
+ */
+function encodeOsc52 (data, opts = {}) {
+  const code = SELECTION_CODES[opts.selection || 'clipboard']
+  const payload = Buffer.isBuffer(data) ? data : Buffer.from(String(data == null ? '' : data), 'utf8')
+  return wrapPassthrough(`${ESC}]52;${code};${payload.toString('base64')}${BEL}`, opts.passthrough)
+}
+
+// Query for the current selection contents; the terminal answers with the same OSC 52 form
+function queryOsc52 (opts = {}) {
+  const code = SELECTION_CODES[opts.selection || 'clipboard']
+  return wrapPassthrough(`${ESC}]52;${code};?${BEL}`, opts.passthrough)
+}
+
+/**
+ * Extract the text from a terminal's OSC 52 reply.
+ * @returns {string|null} decoded text, or null while the reply is incomplete
+ */
+function parseOsc52Response (reply) {
+  const match = String(reply).match(/\x1b\]52;[a-z0-9]*;([A-Za-z0-9+/=]*)(?:\x07|\x1b\\)/) // eslint-disable-line no-control-regex
+  return match ? Buffer.from(match[1], 'base64').toString('utf8') : null
+}
+
+/**
+ * Terminal clipboard for SSH and tmux sessions. Writes OSC 52 escape sequences to the
+ * controlling TTY (or an injected stream); reads only work where the terminal answers queries.
+ */
+class Osc52Backend extends ClipboardBackend {
+  constructor (opts = {}) {
+    super({ name: 'osc52', ...opts })
+    // Streams injected by tests and embedders instead of the controlling TTY
+    this.output = opts.output || null
+    this.input = opts.input || null
+    this.ttyPath = this.config.tty || process.env.CLIPASTE_OSC52_TTY || '/dev/tty'
+    this.maxBytes = Number(this.config.maxBytes || process.env.CLIPASTE_OSC52_MAX_BYTES) || DEFAULT_MAX_BYTES
+    this.passthrough = this.config.passthrough || detectPassthrough()
+    this.readTimeoutMs = Number(this.config.readTimeoutMs) || 1000
+  }
+
+  async emit (sequence) {
+    if (this.output) {
+      await new Promise((resolve, reject) => this.output.write(sequence, err => err ? reject(err) : resolve()))
+      return
+    }
+    try {
+      await fs.promises.writeFile(this.ttyPath, sequence, { flag: 'a' })
+    } catch (err) {
+      throw this.unavailable(`Cannot write OSC 52 sequence to ${this.ttyPath}: ${err.message}`)
+    }
+  }
+
+  async write (text) {
+    const payload = Buffer.from(String(text == null ? '' : text), 'utf8')
+    if (payload.length > this.maxBytes) {
+      throw new ClipboardBackendError(
+        `Content is ${payload.length} bytes; OSC 52 is limited to ${this.maxBytes} bytes (set maxBytes in the osc52 backend config)`,
+        { code: 'TOO_LARGE' }
+      )
+    }
+    await this.emit(encodeOsc52(payload, { selection: this.selection, passthrough: this.passthrough }))
+    return true
+  }
+
+  async clear () {
+    // Invalid base64 ('!') asks the terminal to clear the selection
+    await this.emit(wrapPassthrough(`${ESC}]52;${SELECTION_CODES[this.selection]};!${BEL}`, this.passthrough))
+    return true
+  }
+
+  async read () {
+    const { input, release } = this.openInput()
+    try {
+      const reply = this.awaitReply(input)
+      try {
+        await this.emit(queryOsc52({ selection: this.selection, passthrough: this.passthrough }))
+      } catch (err) {
+        reply.cancel()
+        throw err
+      }
+      return await reply.promise
+    } finally {
+      release()
+    }
+  }
+
+  openInput () {
+    if (this.input) return { input: this.input, release () {} }
+    let fd
+    try {
+      fd = fs.openSync(this.ttyPath, 'r+')
+    } catch (err) {
+      throw this.unavailable(`Cannot open ${this.ttyPath} to query the terminal clipboard: ${err.message}`)
+    }
+    if (!tty.isatty(fd)) {
+      fs.closeSync(fd)
+      throw this.unavailable(`${this.ttyPath} is not a terminal; OSC 52 reads need an interactive session`)
+    }
+    const input = new tty.ReadStream(fd)
+    input.setRawMode(true)
+    return {
+      input,
+      release () {
+        input.setRawMode(false)
+        input.destroy()
+      }
+    }
+  }
+
+  // Collect terminal input until a complete OSC 52 reply arrives; returns { promise, cancel }
+  awaitReply (input) {
+    let buffer = ''
+    let timer = null
+    let onData = null
+    const stop = () => {
+      clearTimeout(timer)
+      input.removeListener('data', onData)
+    }
+    const promise = new Promise((resolve, reject) => {
+      onData = (chunk) => {
+        buffer += chunk.toString('latin1')
+        const text = parseOsc52Response(buffer)
+        if (text !== null) {
+          stop()
+          resolve(text)
+        }
+      }
+      timer = setTimeout(() => {
+        stop()
+        reject(this.unavailable(`Terminal did not answer the OSC 52 clipboard query within ${this.readTimeoutMs}ms`))
+      }, this.readTimeoutMs)
+      input.on('data', onData)
+    })
+    return { promise, cancel: stop }
+  }
+}
+
+module.exports = {
+  Osc52Backend,
+  DEFAULT_MAX_BYTES,
+  detectPassthrough,
+  wrapPassthrough,
+  encodeOsc52,
+  queryOsc52,
+  parseOsc52Response
+}
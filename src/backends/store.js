@@ -0,0 +1,125 @@
+const fs = require('fs').promises
+const path = require('path')
+const { ClipboardBackend, ClipboardBackendError } = require('./base')
+const { imageFormatFromMime, imageMimeFromPath, pathsToUriList } = require('./formats')
+const { resolveConfigDir } = require('../utils/config')
+const { writeFileAtomic } = require('../utils/atomicWrite')
+
+/**
+ * Backend that keeps the clipboard as a map of MIME type → Buffer.
+ * Subclasses provide loadFormats() and saveFormats(map).
+ */
+class FormatStoreBackend extends ClipboardBackend {
+  async read () {
+    const data = (await this.loadFormats()).get('text/plain')
+    return data ? data.toString('utf8') : ''
+  }
+
+  async write (text) {
+    const value = String(text == null ? '' : text)
+    await this.saveFormats(new Map(value ? [['text/plain', Buffer.from(value, 'utf8')]] : []))
+    return true
+  }
+
+  async readImage () {
+    for (const [mime, data] of await this.loadFormats()) {
+      if (mime.startsWith('image/')) return { format: imageFormatFromMime(mime), data }
+    }
+    return null
+  }
+
+  async writeImage (imagePath) {
+    const data = await fs.readFile(imagePath)
+    await this.saveFormats(new Map([[imageMimeFromPath(imagePath), data]]))
+    return true
+  }
+
+  async writeFiles (paths) {
+    await this.saveFormats(new Map([['text/uri-list', Buffer.from(pathsToUriList(paths), 'utf8')]]))
+    return true
+  }
+
+  async listFormats () {
+    return Array.from((await this.loadFormats()).keys())
+  }
+
+  async readFormat (mime) {
+    return (await this.loadFormats()).get(mime) || null
+  }
+
+  async clear () {
+    await this.saveFormats(new Map())
+    return true
+  }
+}
+
+// Process-wide store so every manager in one process sees the same clipboard
+const memoryStores = new Map()
+
+class MemoryBackend extends FormatStoreBackend {
+  constructor (opts = {}) {
+    super({ name: 'memory', ...opts })
+  }
+
+  async loadFormats () {
+    return new Map(memoryStores.get(this.selection) || [])
+  }
+
+  async saveFormats (formats) {
+    memoryStores.set(this.selection, new Map(formats))
+  }
+
+  static reset () {
+    memoryStores.clear()
+  }
+}
+
+// Formats stored as UTF-8 in the clipboard file; everything else is base64
+function isTextualMime (mime) {
+  return mime.startsWith('text/') || mime === 'application/json'
+}
+
+/**
+ * Persistent clipboard in <config dir>/clipboard/<selection>.json. Writes go to a
+ * temporary file that is renamed over the old one, so readers never see a partial clipboard.
+ */
+class FileBackend extends FormatStoreBackend {
+  constructor (opts = {}) {
+    super({ name: 'file', ...opts })
+    const baseDir = opts.dir || this.config.dir || process.env.CLIPASTE_CLIPBOARD_DIR || path.join(resolveConfigDir(), 'clipboard')
+    this.file = path.join(baseDir, `${this.selection}.json`)
+  }
+
+  async loadFormats () {
+    let raw
+    try {
+      raw = await fs.readFile(this.file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return new Map()
+      throw err
+    }
+    let parsed
+    try {
+      parsed = JSON.parse(raw)
+    } catch (err) {
+      throw new ClipboardBackendError(`Clipboard file ${this.file} is not valid JSON: ${err.message}`, { cause: err })
+    }
+    const entries = Array.isArray(parsed && parsed.formats) ? parsed.formats : []
+    return new Map(entries.map(({ mime, encoding, data }) => [mime, Buffer.from(data || '', encoding === 'utf8' ? 'utf8' : 'base64')]))
+  }
+
+  async saveFormats (formats) {
+    const payload = {
+      version: 1,
+      updatedAt: new Date().toISOString(),
+      formats: Array.from(formats, ([mime, data]) => {
+        const encoding = isTextualMime(mime) ? 'utf8' : 'base64'
+        return { mime, encoding, data: data.toString(encoding) }
+      })
+    }
+    await fs.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 })
+    await writeFileAtomic(this.file, JSON.stringify(payload), { mode: 0o600 })
+  }
+}
+
+module.exports = { FormatStoreBackend, MemoryBackend, FileBackend }
@@ -0,0 +1,74 @@
+const { ClipboardBackend, ClipboardBackendError } = require('./base')
+
+// Fields requested from `tmux list-buffers -F`, tab separated
+const BUFFER_FORMAT = '#{buffer_name}\t#{buffer_created}\t#{buffer_size}'
+
+/**
+ * tmux paste buffers as a clipboard. Without a configured buffer name, reads use the
+ * newest buffer and writes create a new automatic buffer, like copy mode does.
+ */
+class TmuxBackend extends ClipboardBackend {
+  constructor (opts = {}) {
+    super({ name: 'tmux', ...opts })
+    if (this.selection !== 'clipboard') {
+      throw new ClipboardBackendError('The tmux backend only supports the clipboard selection', { code: 'UNSUPPORTED' })
+    }
+    if (typeof opts.runTool !== 'function') {
+      throw new ClipboardBackendError('The tmux backend requires a runTool function')
+    }
+    this.runTool = opts.runTool
+    this.buffer = this.config.buffer || null
+    this.socket = this.config.socket || null
+  }
+
+  async tmux (args, options = {}) {
+    const res = await this.runTool('tmux', [...(this.socket ? ['-S', this.socket] : []), ...args], options)
+    if (!res) throw this.unavailable('tmux is not installed or did not respond')
+    return res
+  }
+
+  bufferArgs (name) {
+    const target = name || this.buffer
+    return target ? ['-b', target] : []
+  }
+
+  /**
+   * Buffers on the tmux server, newest first ([] when no server is running)
+   * @returns {Promise<Array<{name: string, created: Date, size: number}>>}
+   */
+  async listBuffers () {
+    const res = await this.tmux(['list-buffers', '-F', BUFFER_FORMAT], { phase: 'tmux.list' })
+    if (res.code !== 0) return []
+    return res.stdout.toString('utf8').split(/\r?\n/).filter(Boolean).map(line => {
+      const [name, created, size] = line.split('\t')
+      return { name, created: new Date(Number(created) * 1000), size: Number(size) || 0 }
+    })
+  }
+
+  async readBuffer (name) {
+    const res = await this.tmux(['save-buffer', ...this.bufferArgs(name), '-'], { phase: 'tmux.read' })
+    // save-buffer fails when the buffer (or the server) does not exist
+    return res.code === 0 ? res.stdout.toString('utf8') : ''
+  }
+
+  async writeBuffer (text, name) {
+    const res = await this.tmux(['load-buffer', ...this.bufferArgs(name), '-'], { input: text, phase: 'tmux.write' })
+    if (res.code !== 0) throw new ClipboardBackendError(`tmux load-buffer exited with code ${res.code}; is a tmux server running?`)
+    return true
+  }
+
+  async read () {
+    return this.readBuffer()
+  }
+
+  async write (text) {
+    return this.writeBuffer(String(text == null ? '' : text))
+  }
+
+  async clear () {
+    await this.tmux(['delete-buffer', ...this.bufferArgs()], { capture: false, phase: 'tmux.clear' })
+    return true
+  }
+}
+
+module.exports = { TmuxBackend }
@@ -1,4 +1,5 @@
 const path = require('path')
+const crypto = require('crypto')
 const fsp = require('fs').promises
 const { Command } = require('commander')
 const ClipboardManager = require('./clipboard')
@@ -12,6 +13,15 @@ const { isHeadlessEnvironment } = require('./utils/environment')
 const AIManager = require('./ai/manager')
 const { makeSummarizePrompt, makeClassifyPrompt, makeTransformPrompt } = require('./ai/prompts')
 const PluginManager = require('./plugins/pluginManager')
+const { ConfigStore, resolveConfigDir } = require('./utils/config')
+const { backends, ClipboardBackend, ClipboardBackendError } = require('./backends')
+const { indexTmuxBuffers } = require('./tmuxBridge')
+const { ClipboardDaemon, connectDaemon, getDaemonSocketPath } = require('./daemon')
+const { AutoClearStore } = require('./autoClear')
+const { RegisterStore } = require('./registerStore')
+
+// Exit code for `copy --if-unchanged` when the clipboard changed since it was read
+const EXIT_CLIPBOARD_CHANGED = 3
 
 class CLI {
   constructor () {
@@ -21,6 +31,8 @@ class CLI {
     this.library = new LibraryStore()
     this.aiManager = new AIManager()
     this.historyStore = new HistoryStore()
+    this.registers = new RegisterStore()
+    this.configStore = new ConfigStore()
     this.packageInfo = pkg
     this.pluginManager = new PluginManager({
       program: this.program,
@@ -38,6 +50,7 @@ class CLI {
       clipboard: this.clipboardManager,
       fileHandler: this.fileHandler,
       library: this.library,
+      registers: this.registers,
       history: {
         record: async (params = {}) => {
           if (typeof params !== 'object' || params === null) params = {}
@@ -53,6 +66,12 @@ class CLI {
         }
       },
       ai: this.aiManager,
+      backends: {
+        register: (name, factory, meta) => backends.register(name, factory, meta),
+        list: () => backends.list(),
+        ClipboardBackend,
+        ClipboardBackendError
+      },
       utils: {
         renderTemplate,
         isHeadlessEnvironment
@@ -60,6 +79,20 @@ class CLI {
     }
   }
 
+  // Backend precedence: --backend, then CLIPASTE_BACKEND, then clipboard.backend in config.json
+  async configureBackend (requested) {
+    const clipboardConfig = await this.configStore.get('clipboard', {})
+    if (clipboardConfig.headlessBackend && !this.clipboardManager.headlessBackend) {
+      this.clipboardManager.headlessBackend = clipboardConfig.headlessBackend
+    }
+    const name = requested || process.env.CLIPASTE_BACKEND || clipboardConfig.backend
+    if (!name) return
+    const backendConfig = (clipboardConfig.backends && clipboardConfig.backends[name]) || {}
+    this.clipboardManager.setBackend(name, backendConfig)
+    // Surface unknown backend names before the command runs
+    this.clipboardManager.getBackend()
+  }
+
   setupPluginDiagnostics () {
     this.program
       .command('plugins')
@@ -91,6 +124,17 @@ class CLI {
 
         console.log('\nInstall plugins with `npm install clipaste-randomizer` or set CLIPASTE_PLUGINS to a comma-separated list.')
       })
+
+    this.program
+      .command('backends')
+      .description('List available clipboard backends')
+      .action(() => {
+        const active = this.clipboardManager.backendName
+        console.log(`${active === 'auto' ? '*' : ' '} auto          Platform detection (clipboardy with OS fallbacks)`)
+        for (const { name, description } of backends.list()) {
+          console.log(`${name === active ? '*' : ' '} ${name.padEnd(13)} ${description}`)
+        }
+      })
   }
 
   setupCommands () {
@@ -98,6 +142,21 @@ class CLI {
       .name('clipaste')
       .description('CLI tool to paste clipboard content to files')
       .version(this.packageInfo.version)
+      .option('--selection <name>', 'Clipboard selection to use (clipboard|primary|secondary)')
+      .option('--backend <name>', 'Clipboard backend to use (see `clipaste backends`)')
+      .option('--no-daemon', 'Access the clipboard directly even when a daemon is running')
+      .hook('preAction', async (thisCommand, actionCommand) => {
+        const { selection, backend, daemon } = this.program.opts()
+        try {
+          if (selection) this.clipboardManager.setSelection(selection)
+          await this.configureBackend(backend)
+          const managesDaemon = actionCommand.parent && actionCommand.parent.name() === 'daemon'
+          if (daemon !== false && !managesDaemon) await this.attachDaemon()
+        } catch (error) {
+          console.error('Error:', error.message)
+          process.exit(1)
+        }
+      })
 
     // Main paste command
     this.program
@@ -105,23 +164,67 @@ class CLI {
       .description('Paste clipboard content to a file')
       .option('-o, --output <path>', 'Output directory path', process.cwd())
       .option('-f, --filename <name>', 'Output filename (without extension)')
-      .option('-t, --type <type>', 'Force content type (text|image)', null)
-      .option('--format <format>', 'Image format (png|jpg|webp)', 'png')
+      .option('--name-pattern <pattern>', 'Output name pattern, e.g. "{date}/{time}-{slug}-{sha8}{ext}" (default: paste.namePattern in config)')
+      .option('--on-exist <policy>', 'When the output file exists: overwrite|skip|increment|error|append (default: paste.onExist in config, else overwrite)')
+      .option('-t, --type <type>', 'Force content type (text|image|files|binary)', null)
+      .option('--format <format>', 'Image format (png|jpg|webp|avif|tiff|gif|heif)', 'png')
       .option('--quality <number>', 'Image quality (1-100)', '90')
+      .option('--lossless', 'Lossless webp/avif/heif output')
+      .option('--compression-level <0-9>', 'PNG compression level')
+      .option('--progressive', 'Progressive (interlaced) jpeg/png output')
+      .option('--strip-metadata', 'Drop all image metadata, applying the EXIF orientation first')
+      .option('--keep-exif', 'Keep the EXIF metadata of the clipboard image')
       .option('--ext <extension>', 'File extension override')
       .option('--resize <WxH|Wx|xH>', 'Resize image on paste (preserve aspect)')
+      .option('--sidecar', 'Write provenance metadata (time, host, cwd, git, hash, type, source format) to <file>.meta.json')
+      .option('--dedupe', 'Reuse an identical file already pasted into the output directory instead of writing again')
+      .option('--store', 'Write into a content-addressed sha256/ab/... layout and link the output name to it')
+      .option('--max-bytes <size>', 'Lower jpeg/webp/avif quality until the image fits, e.g. 500KB')
+      .option('--downscale', 'With --max-bytes, also shrink the image when quality alone is not enough')
+      .option('--op <spec>', 'Image operation, repeatable and applied in order: crop=L,T,W,H rotate=DEG grayscale border=N[:color] watermark=TEXT resize=WxH',
+        (value, list = []) => [...list, value])
+      .option('--preset <name>', 'Run the image operations saved as paste.presets.<name> in config (before any --op)')
+      .option('--save-preset <name>', 'Save the --op operations as a named preset')
       .option('--auto-extension', 'Auto-detect file extension for text/image')
+      .option('--rich', 'Save the rich text/html representation instead of plain text')
+      .option('--as <format>', 'Rich paste output format (html|markdown)')
+      .option('-r, --register <name>', 'Paste a named register instead of the clipboard')
+      .option('--append <file>', 'Append to a running notes file; images are saved beside it and linked')
+      .option('--header <template>', 'Header for each appended entry, e.g. "## {date} {time} · {source} · {sha8}" ("" for none)')
+      .option('--separator <text>', 'Text between appended entries (default: "\\n---\\n\\n")')
+      .option('--fence', 'Wrap appended text in a fenced code block tagged with the detected language')
+      .option('--extract-code', 'Save each fenced code block in clipboard Markdown to its own file (named by file hints or block-{n}{ext})')
       .option('--dry-run', 'Show what would be done without saving')
       .action(async (options) => {
         await this.handlePaste(options)
       })
 
+    // Sidecar metadata written by paste --sidecar
+    this.program
+      .command('info')
+      .description('Show the metadata paste --sidecar recorded for a file')
+      .argument('<file>', 'Pasted file (or its .meta.json)')
+      .option('--json', 'Print the raw metadata JSON')
+      .action(async (file, options) => {
+        await this.handleInfo(file, options)
+      })
+
+    // Content-type detection
+    this.program
+      .command('detect')
+      .description('Detect the format of the clipboard content (JSON, YAML, Python, SQL, ...)')
+      .option('--json', 'Print the result as JSON')
+      .action(async (options) => {
+        await this.handleDetect(options)
+      })
+
     // Status command
     this.program
       .command('status')
       .description('Check clipboard status and content type')
-      .action(async () => {
-        await this.handleStatus()
+      .option('--formats', 'List every format (MIME type) available on the clipboard')
+      .action(async (options) => {
+        await this.handleStatus(options)
       })
 
     // Clear command
@@ -141,8 +244,13 @@ class CLI {
       .argument('[text]', 'Text to copy to clipboard')
       .option('--file <path>', 'Copy file contents to clipboard')
       .option('--image <path>', 'Copy image file to clipboard')
+      .option('--files <paths...>', 'Copy files to clipboard as a file list (paste them in a file manager)')
       .option('--decode-base64 [data]', 'Decode base64 to text and copy (stdin if present)')
       .option('--encode-base64 [data]', 'Encode input to base64 and copy (stdin if present)')
+      .option('--if-unchanged <sha256>', `Only write while the clipboard still has this hash (from get --print-sha); exits ${EXIT_CLIPBOARD_CHANGED} otherwise`)
+      .option('--clear-after <seconds>', 'Clear the clipboard after N seconds if it still holds this content (kept out of history)')
+      .option('-r, --register <name>', 'Store the text in a named register (a-z or any name) instead of the clipboard')
+      .option('--also-clipboard', 'With --register: write the system clipboard as well')
       .action(async (text, options) => {
         await this.handleCopy(text, options)
       })
@@ -157,6 +265,12 @@ class CLI {
       .option('--url-decode', 'Decode URL-encoded content')
       .option('--url-encode', 'URL-encode content')
       .option('--image-info', 'Output image metadata JSON if clipboard has an image')
+      .option('--hexdump', 'Output a hex + ASCII dump of the clipboard bytes')
+      .option('--print-sha', 'Output the SHA-256 of the clipboard content (for copy --if-unchanged)')
+      .option('-r, --register <name>', 'Read a named register instead of the clipboard')
+      .option('--mime <type>', 'Output one specific clipboard format (e.g. text/html)')
+      .option('--as <format>', 'Output rich clipboard content as html or markdown')
+      .option('--code-block <n>', 'Output only the Nth fenced code block of clipboard Markdown')
       .action(async (options) => {
         await this.handleGet(options)
       })
@@ -168,8 +282,9 @@ class CLI {
     ai
       .command('summarize')
       .description('Summarize content using an AI provider')
-      .option('--source <source>', 'clipboard|stdin|file', 'clipboard')
+      .option('--source <source>', 'clipboard|stdin|file|register', 'clipboard')
       .option('--file <path>', 'File path when source=file')
+      .option('--register <name>', 'Register name when source=register')
       .option('--max-tokens <number>', 'Max tokens for the generated response')
       .option('--provider <name>', 'Provider to use (default from config)')
       .option('--model <name>', 'Model identifier to request')
@@ -191,8 +306,9 @@ class CLI {
     ai
       .command('classify')
       .description('Classify content against provided labels')
-      .option('--source <source>', 'clipboard|stdin|file', 'clipboard')
+      .option('--source <source>', 'clipboard|stdin|file|register', 'clipboard')
       .option('--file <path>', 'File path when source=file')
+      .option('--register <name>', 'Register name when source=register')
       .option('--labels <labels>', 'Comma separated labels to classify against')
       .option('--provider <name>', 'Provider to use (default from config)')
       .option('--model <name>', 'Model identifier to request')
@@ -215,8 +331,9 @@ class CLI {
     ai
       .command('transform')
       .description('Transform content with an AI instruction')
-      .option('--source <source>', 'clipboard|stdin|file', 'clipboard')
+      .option('--source <source>', 'clipboard|stdin|file|register', 'clipboard')
       .option('--file <path>', 'File path when source=file')
+      .option('--register <name>', 'Register name when source=register')
       .option('--instruction <text>', 'Instruction describing the transformation')
       .option('--provider <name>', 'Provider to use (default from config)')
       .option('--model <name>', 'Model identifier to request')
@@ -244,6 +361,7 @@ class CLI {
       .option('--filter <regex>', 'Only act when content matches regex')
       .option('--exec <cmd>', 'Execute a shell command on change (content on stdin)')
       .option('--save', 'Save changes to history')
+      .option('--mirror-to <selection>', 'Copy every change into another selection (e.g. primary → clipboard)')
       .option('--timeout <ms>', 'Stop after this many milliseconds')
       .option('--once', 'Exit after the first change')
       .option('--max-events <n>', 'Stop after N changes')
@@ -268,6 +386,7 @@ class CLI {
       .option('--tag-remove <id>', 'Remove tags from a history item by id')
       .option('--tags <csv>', 'Comma separated tags for tag operations')
       .option('--restore <id>', 'Restore a history item to clipboard by id')
+      .option('--clear-after <seconds>', 'With --restore: clear the clipboard after N seconds if unchanged')
       .option('--clear', 'Clear history')
       .option('--export <file>', 'Export history to file')
       .option('--max-items <n>', 'Max number of history items', '100')
@@ -278,6 +397,51 @@ class CLI {
         await this.handleHistory(options)
       })
 
+    // Daemon commands
+    const daemonCmd = this.program.command('daemon').description('Run a background process that keeps the clipboard backend warm')
+    daemonCmd
+      .command('start')
+      .description('Start the daemon in the background')
+      .option('--foreground', 'Run in the foreground instead of detaching')
+      .option('--verbose', 'Log each request to stderr')
+      .action(async (options) => {
+        await this.handleDaemonStart(options)
+      })
+    daemonCmd
+      .command('stop')
+      .description('Stop the running daemon')
+      .action(async () => {
+        await this.handleDaemonStop()
+      })
+    daemonCmd
+      .command('status')
+      .description('Show whether the daemon is running')
+      .action(async () => {
+        await this.handleDaemonStatus()
+      })
+
+    // Bridge commands
+    const bridge = this.program.command('bridge').description('Sync the clipboard with other clipboards')
+    bridge
+      .command('tmux')
+      .description('Copy the newest tmux paste buffer to the clipboard (or the clipboard into tmux)')
+      .option('--to-tmux', 'Copy the clipboard into a new tmux buffer instead')
+      .option('--buffer <name>', 'Use a named tmux buffer instead of the newest one')
+      .option('--no-history', 'Do not record tmux buffers in clipboard history')
+      .action(async (options) => {
+        await this.handleBridgeTmux(options)
+      })
+
+    // Named registers
+    this.program
+      .command('registers')
+      .description('List named registers (set with copy --register <name>)')
+      .option('--delete <name>', 'Delete a register')
+      .option('--clear', 'Delete every register')
+      .action(async (options) => {
+        await this.handleRegisters(options)
+      })
+
     // Snippet subcommands
     const snippet = this.program.command('snippet').description('Manage snippets')
     snippet
@@ -291,7 +455,8 @@ class CLI {
       .command('copy')
       .description('Copy snippet to clipboard')
       .argument('<name>', 'Snippet name')
-      .action(async (name) => { await this.handleSnippetCopy(name) })
+      .option('--clear-after <seconds>', 'Clear the clipboard after N seconds if it still holds the snippet')
+      .action(async (name, options) => { await this.handleSnippetCopy(name, options) })
     snippet
       .command('list')
       .description('List snippets')
@@ -373,116 +538,571 @@ class CLI {
 
   async handlePaste (options) {
     try {
-      const hasContent = await this.clipboardManager.hasContent()
-      if (!hasContent) {
-        console.log('Clipboard is empty')
+      // Validated up front, written only once the paste has succeeded
+      const preset = options.savePreset ? await this.imagePresetFromOptions(options) : null
+      const rich = options.rich || options.as
+      if (rich && options.register) throw new Error('Registers hold plain text; --rich/--as cannot be combined with --register')
+      const snapshot = options.register
+        ? await this.readRegisterSnapshot(options.register)
+        : await this.clipboardManager.readAll({ image: !options.dryRun && !rich, formats: !!options.sidecar })
+      if (snapshot.isEmpty) {
+        console.log(options.register ? `Register '${options.register}' is empty` : 'Clipboard is empty')
         process.exit(1)
       }
 
-      const contentType = options.type || await this.clipboardManager.getContentType()
+      if (rich) {
+        if (options.append) throw new Error('--append cannot be combined with --rich/--as')
+        await this.pasteRich(options)
+        return
+      }
+
+      if (options.append) {
+        await this.pasteJournal(snapshot, options)
+        if (preset && !options.dryRun) await this.saveImagePreset(preset)
+        return
+      }
+
+      if (options.extractCode) {
+        await this.pasteCodeBlocks(snapshot, options)
+        return
+      }
+
+      const contentType = options.type || snapshot.type
+
+      if (contentType === 'files') {
+        await this.pasteFiles(snapshot.type === 'files' ? snapshot.files : await this.clipboardManager.readFiles(), options)
+        return
+      }
+
+      // Binary clipboards are saved byte for byte, named after their magic-byte type
+      const binary = contentType === 'binary' ? await this.readBinaryContent(snapshot) : null
+      const naming = await this.resolvePasteNaming(options, {
+        type: contentType,
+        text: contentType === 'image' ? '' : snapshot.text,
+        sha256: binary ? crypto.createHash('sha256').update(binary.data).digest('hex') : snapshot.sha256
+      })
+      const onExist = await this.resolveOnExist(options)
+      const saved = {}
+      const storage = this.pasteStorageOptions(options, saved)
 
       if (options.dryRun) {
         const extForDryRun = (() => {
           if (options.ext) return options.ext
+          if (binary) return binary.ext
           if (options.autoExtension) {
             if (contentType === 'image') {
               return this.fileHandler.getFileExtensionFromFormat(options.format || 'png')
             } else {
-              return '.txt'
+              return this.fileHandler.chooseTextExtension(snapshot.text)
             }
           }
           return contentType === 'image' ? '.png' : '.txt'
         })()
 
-        console.log(`Would paste ${contentType} content to:`,
+        await this.printPastePlan(contentType,
           this.fileHandler.generateFilePath(
             options.output,
             options.filename,
-            extForDryRun
-          )
+            extForDryRun,
+            { pattern: naming.namePattern, vars: naming.nameVars }
+          ),
+          onExist.onExist,
+          contentType === 'text'
         )
+        const ops = contentType === 'image' ? await this.resolveImageOps(options) : []
+        if (ops.length) console.log(`Image operations: ${ops.map(op => op.op).join(' → ')}`)
+        if (preset) console.log(`Would save preset '${preset.name}' (${this.presetSize(preset)})`)
         return
       }
 
       let filePath
+      // The clipboard representation the output came from, for --sidecar
+      let clipboardFormat = options.register ? null : 'text/plain'
 
       if (contentType === 'image') {
-        const imageData = await this.clipboardManager.readImage()
+        // --type image on a clipboard classified otherwise still asks the platform for an image
+        const imageData = snapshot.type === 'image' ? snapshot.image : await this.clipboardManager.readImage()
         if (!imageData) {
           console.log('No image data found in clipboard')
           process.exit(1)
         }
 
+        const imageOptions = await this.imageSaveOptions(options)
+        clipboardFormat = imageData.format ? `image/${imageData.format}` : null
         filePath = await this.fileHandler.saveImage(imageData.data, {
           outputPath: options.output,
           filename: options.filename,
           extension: options.ext || (options.autoExtension ? this.fileHandler.getFileExtensionFromFormat(options.format || imageData.format || 'png') : undefined),
           format: options.format,
           quality: parseInt(options.quality),
-          resize: options.resize
+          resize: options.resize,
+          ...imageOptions,
+          ...naming,
+          ...onExist,
+          ...storage
+        })
+      } else if (binary) {
+        const { isBinaryMime } = require('./backends/formats')
+        clipboardFormat = (snapshot.formats || []).find(isBinaryMime) || clipboardFormat
+        filePath = await this.fileHandler.saveBinary(binary.data, {
+          outputPath: options.output,
+          filename: options.filename,
+          extension: options.ext || binary.ext,
+          ...naming,
+          ...onExist,
+          ...storage
         })
       } else {
-        const textContent = await this.clipboardManager.readText()
+        const textContent = snapshot.text
         filePath = await this.fileHandler.saveText(textContent, {
           outputPath: options.output,
           filename: options.filename,
-          extension: options.ext || (options.autoExtension ? this.fileHandler.chooseTextExtension(textContent) : undefined)
+          extension: options.ext || (options.autoExtension ? this.fileHandler.chooseTextExtension(textContent) : undefined),
+          ...naming,
+          ...onExist,
+          ...storage
         })
       }
 
+      if (!filePath) {
+        console.log('Skipped: output file already exists (--on-exist skip)')
+        return
+      }
       const stats = await this.fileHandler.getFileStats(filePath)
-      console.log(`Saved ${contentType} content to: ${filePath}`)
+      this.printSaved(contentType, filePath, saved)
+      if (binary) console.log(`Detected type: ${binary.mime}`)
       console.log(`File size: ${this.formatFileSize(stats.size)}`)
+      if (options.sidecar) {
+        await this.writePasteSidecar(filePath, {
+          type: contentType,
+          mime: binary ? binary.mime : null,
+          clipboardFormat,
+          formats: snapshot.formats,
+          register: options.register
+        }, saved)
+      }
+      if (preset) await this.saveImagePreset(preset)
     } catch (error) {
       console.error('Error:', error.message)
       process.exit(1)
     }
   }
 
-  async handleStatus () {
+  /**
+   * Name pattern for paste output: --name-pattern, else paste.namePattern from config.json.
+   * @returns {Promise<{namePattern?: string, nameVars?: object}>} empty when --filename is given or no pattern is set
+   */
+  async resolvePasteNaming (options, info) {
+    if (options.filename) return {}
+    const namePattern = options.namePattern || await this.configStore.get('paste.namePattern', null)
+    if (!namePattern) return {}
+    const { buildNameVars } = require('./utils/namePattern')
+    return { namePattern, nameVars: buildNameVars(info) }
+  }
+
+  // Image encoder flags and operations given on the command line, for FileHandler.saveImage
+  async imageSaveOptions (options) {
+    const ops = await this.resolveImageOps(options)
+    let fit = {}
+    if (options.maxBytes) {
+      const { parseByteSize } = require('./utils/transform')
+      const maxBytes = parseByteSize(options.maxBytes)
+      if (!maxBytes) throw new Error(`Invalid size '${options.maxBytes}'. Use bytes or a unit, e.g. 500KB or 2MB`)
+      fit = {
+        maxBytes,
+        downscale: options.downscale,
+        onFit: ({ quality, width, height, size }) => {
+          console.log(`Fitted under ${this.formatFileSize(maxBytes)}: quality ${quality}, ${width}x${height}, ${this.formatFileSize(size)}`)
+        }
+      }
+    }
+    const flags = {
+      ops: ops.length ? ops : undefined,
+      lossless: options.lossless,
+      compressionLevel: options.compressionLevel,
+      progressive: options.progressive,
+      stripMetadata: options.stripMetadata,
+      keepExif: options.keepExif,
+      ...fit
+    }
+    return Object.fromEntries(Object.entries(flags).filter(([, value]) => value !== undefined))
+  }
+
+  // Parsed image operations: --preset steps from paste.presets in config.json, then each --op in order
+  async resolveImageOps (options) {
+    const { parseImageOp } = require('./utils/transform')
+    let specs = []
+    if (options.preset) {
+      const preset = await this.configStore.get(`paste.presets.${this.normalizePresetName(options.preset)}`, null)
+      if (!preset) throw new Error(`Unknown image preset '${options.preset}'`)
+      specs = Array.isArray(preset) ? preset : [preset]
+    }
+    return specs.concat(options.op || []).map(spec => {
+      const op = parseImageOp(spec)
+      if (!op) throw new Error(`Invalid image operation '${spec}'`)
+      return op
+    })
+  }
+
+  normalizePresetName (name) {
+    if (!/^[\w-]+$/.test(String(name))) throw new Error(`Invalid preset name '${name}'. Use letters, digits, '_' or '-'`)
+    return String(name)
+  }
+
+  // --save-preset: the preset name and its validated --op list, without writing anything
+  async imagePresetFromOptions (options) {
+    const name = this.normalizePresetName(options.savePreset)
+    const specs = options.op || []
+    if (!specs.length) throw new Error('--save-preset needs at least one --op')
+    await this.resolveImageOps({ op: specs })
+    return { name, specs }
+  }
+
+  presetSize ({ specs }) {
+    return `${specs.length} operation${specs.length === 1 ? '' : 's'}`
+  }
+
+  // Store a preset from imagePresetFromOptions() in config.json
+  async saveImagePreset (preset) {
+    await this.configStore.set(`paste.presets.${preset.name}`, preset.specs)
+    console.log(`Saved preset '${preset.name}' (${this.presetSize(preset)})`)
+  }
+
+  // --on-exist, else paste.onExist from config.json; empty when neither is set (writes overwrite)
+  async resolveOnExist (options) {
+    const onExist = options.onExist || await this.configStore.get('paste.onExist', null)
+    return onExist ? { onExist } : {}
+  }
+
+  // --dedupe/--store for FileHandler; saved collects what the write did, for printSaved()
+  pasteStorageOptions (options, saved) {
+    if (!options.dedupe && !options.store) return {}
+    return { dedupe: !!options.dedupe, store: !!options.store, onSaved: info => Object.assign(saved, info) }
+  }
+
+  printSaved (label, filePath, saved = {}) {
+    if (saved.objectPath && !saved.filePath) {
+      console.log(`Stored ${label} content as: ${saved.objectPath} (output name exists, not linked)`)
+      return
+    }
+    if (saved.duplicate && !saved.objectPath) {
+      console.log(`Identical ${label} content already saved: ${filePath}`)
+      return
+    }
+    console.log(`Saved ${label} content to: ${filePath}`)
+    if (saved.objectPath) console.log(`Stored as: ${saved.objectPath}${saved.duplicate ? ' (already in store)' : ''}`)
+  }
+
+  // paste --sidecar: <file>.meta.json beside the output; a deduplicated paste keeps the original's record
+  async writePasteSidecar (filePath, info, saved = {}) {
+    const sidecar = require('./utils/sidecar')
+    if (saved.duplicate && await sidecar.readSidecar(filePath)) return
+    const meta = await sidecar.buildSidecar(filePath, { selection: info.register ? null : this.clipboardManager.selection, ...info })
+    console.log(`Metadata written to: ${await sidecar.writeSidecar(filePath, meta)}`)
+  }
+
+  // Dry-run report of where a paste would land and what the on-exist policy would do there
+  async printPastePlan (label, target, onExist, appendable = true) {
+    const plan = onExist
+      ? await this.fileHandler.resolveCollision(target, onExist, { appendable })
+      : { filePath: target, policy: 'overwrite', existing: await this.fileHandler.fileExists(target) ? target : null }
+    console.log(`Would paste ${label} content to:`, plan.filePath)
+    if (!onExist && !plan.existing) return
+    const outcome = !plan.existing
+      ? 'no existing file'
+      : {
+          overwrite: `would overwrite ${plan.existing}`,
+          skip: `${plan.existing} exists, nothing would be written`,
+          increment: `${plan.existing} exists, would write a numbered name`,
+          error: `${plan.existing} exists, paste would fail`,
+          append: `would append to ${plan.existing}`
+        }[plan.policy]
+    console.log(`On exist: ${plan.policy} (${outcome})`)
+  }
+
+  // paste --extract-code: one file per fenced block, named by its file hint or --name-pattern
+  async pasteCodeBlocks (snapshot, options) {
+    const contentType = options.type || snapshot.type
+    if (contentType !== 'text') throw new Error(`--extract-code takes Markdown text, not ${contentType}`)
+    const { extractCodeBlocks, blockExtension } = require('./utils/codeBlocks')
+    const { buildNameVars, renderNamePattern } = require('./utils/namePattern')
+    const blocks = extractCodeBlocks(snapshot.text)
+    if (!blocks.length) throw new Error('No fenced code blocks found in the clipboard')
+
+    const dir = path.resolve(options.output || process.cwd())
+    const base = options.filename ? path.basename(options.filename, path.extname(options.filename)) : 'block'
+    const pattern = options.namePattern || `${base}-{n}{ext}`
+    const planned = blocks.map(block => {
+      const ext = blockExtension(block)
+      const vars = { ...buildNameVars({ type: 'text', text: block.code, ext }), n: block.index, lang: block.language || 'text' }
+      return { block, filePath: block.filename ? path.join(dir, block.filename) : renderNamePattern(pattern, vars, dir) }
+    })
+    // Blocks sharing a file hint (or a pattern without {n}) get numbered names: app.js, app-2.js
+    const taken = new Set()
+    for (const entry of planned) {
+      const ext = path.extname(entry.filePath)
+      const stem = entry.filePath.slice(0, entry.filePath.length - ext.length)
+      for (let i = 2; taken.has(entry.filePath); i++) entry.filePath = `${stem}-${i}${ext}`
+      taken.add(entry.filePath)
+    }
+    const summarize = ({ block }) => {
+      const count = block.code ? block.code.split('\n').length : 0
+      return `${block.language || 'text'}, ${count} line${count === 1 ? '' : 's'}`
+    }
+
+    if (options.dryRun) {
+      console.log(`Would extract ${blocks.length} code block${blocks.length === 1 ? '' : 's'} to:`)
+      for (const entry of planned) console.log(`  ${entry.filePath} (${summarize(entry)})`)
+      return
+    }
+
+    const onExist = await this.resolveOnExist(options)
+    let written = 0
+    for (const entry of planned) {
+      const filePath = await this.fileHandler.saveText(entry.block.code + '\n', {
+        outputPath: path.dirname(entry.filePath),
+        filename: path.basename(entry.filePath),
+        extension: '',
+        ...onExist
+      })
+      if (!filePath) {
+        console.log(`Skipped code block ${entry.block.index}: ${entry.filePath} already exists (--on-exist skip)`)
+        continue
+      }
+      written++
+      console.log(`Saved code block ${entry.block.index} (${summarize(entry)}) to: ${filePath}`)
+    }
+    console.log(`Extracted ${written} of ${blocks.length} code block${blocks.length === 1 ? '' : 's'}`)
+  }
+
+  /**
+   * paste --append: add the clipboard to a running notes file under a header. Images are saved
+   * beside the journal and linked from it. Header, separator and fencing default to paste.journal.* in config.json.
+   */
+  async pasteJournal (snapshot, options) {
+    const journal = path.resolve(options.append)
+    const contentType = options.type || snapshot.type
+    if (contentType !== 'text' && contentType !== 'image') {
+      throw new Error(`--append takes text or image content, not ${contentType}`)
+    }
+    const journalLib = require('./utils/journal')
+    const { buildNameVars } = require('./utils/namePattern')
+    const header = options.header != null ? options.header : await this.configStore.get('paste.journal.header', journalLib.DEFAULT_HEADER)
+    const separator = journalLib.unescapeSeparator(options.separator != null
+      ? options.separator
+      : await this.configStore.get('paste.journal.separator', journalLib.DEFAULT_SEPARATOR))
+    const fence = options.fence || await this.configStore.get('paste.journal.fence', false)
+    const source = options.register ? `register ${options.register}` : this.clipboardManager.selection || 'clipboard'
+    const vars = {
+      ...buildNameVars({ type: contentType, text: contentType === 'image' ? '' : snapshot.text, sha256: snapshot.sha256 }),
+      source
+    }
+
+    let body
+    let imagePath = null
+    if (contentType === 'image') {
+      const naming = await this.resolvePasteNaming(options, { type: 'image', sha256: snapshot.sha256 })
+      const imageOptions = {
+        outputPath: path.dirname(journal),
+        filename: options.filename,
+        format: options.format,
+        quality: parseInt(options.quality),
+        resize: options.resize,
+        ...await this.imageSaveOptions(options),
+        ...naming
+      }
+      if (options.dryRun) {
+        imagePath = this.fileHandler.generateFilePath(imageOptions.outputPath, options.filename, `.${options.format || 'png'}`,
+          { pattern: naming.namePattern, vars: naming.nameVars })
+      } else {
+        const imageData = snapshot.type === 'image' ? snapshot.image : await this.clipboardManager.readImage()
+        if (!imageData) {
+          console.log('No image data found in clipboard')
+          process.exit(1)
+          return
+        }
+        imagePath = await this.fileHandler.saveImage(imageData.data, imageOptions)
+      }
+      const link = path.relative(path.dirname(journal), imagePath).split(path.sep).join('/')
+      body = `![${path.basename(imagePath)}](${encodeURI(link)})`
+    } else {
+      body = fence ? journalLib.fenceCode(snapshot.text) : snapshot.text
+    }
+    const entry = journalLib.formatJournalEntry({ body, header, vars })
+
+    if (options.dryRun) {
+      console.log(`Would append ${contentType} content to: ${journal}`)
+      if (imagePath) console.log(`Would save image to: ${imagePath}`)
+      console.log(entry)
+      return
+    }
+
+    await this.fileHandler.appendEntry(journal, entry, { separator })
+    const stats = await this.fileHandler.getFileStats(journal)
+    if (imagePath) console.log(`Saved image to: ${imagePath}`)
+    console.log(`Appended ${contentType} content to: ${journal}`)
+    console.log(`File size: ${this.formatFileSize(stats.size)}`)
+  }
+
+  // Raw bytes of a binary clipboard plus the type their magic bytes identify
+  async readBinaryContent (snapshot) {
+    const data = await this.clipboardManager.readBinary() || Buffer.from(snapshot.text || '', 'utf8')
+    const { detectBinaryType } = require('./utils/binary')
+    return { data, ...detectBinaryType(data) }
+  }
+
+  // Copy the files referenced by the clipboard into --output, keeping their names
+  async pasteFiles (files, options) {
+    if (!files || !files.length) {
+      console.log('No file list found in clipboard')
+      process.exit(1)
+      return
+    }
+    const outputDir = path.resolve(options.output || process.cwd())
+
+    if (options.dryRun) {
+      console.log(`Would copy ${files.length} file(s) to: ${outputDir}`)
+      for (const file of files) console.log(`  ${file}`)
+      return
+    }
+
+    const copied = await this.fileHandler.copyFiles(files, { outputPath: outputDir, ...await this.resolveOnExist(options) })
+    const size = await this.fileHandler.getTotalSize(copied)
+    console.log(`Copied ${copied.length} file(s) to: ${outputDir}`)
+    for (const file of copied) console.log(`  ${file}`)
+    console.log(`Total size: ${this.formatFileSize(size)}`)
+  }
+
+  async pasteRich (options) {
+    const format = this.normalizeRichFormat(options.as)
+    const html = await this.clipboardManager.readHtml()
+    if (!html) {
+      console.log('No rich (text/html) content found in clipboard')
+      process.exit(1)
+      return
+    }
+
+    const mime = format === 'markdown' ? 'text/markdown' : 'text/html'
+    let content = html
+    if (format === 'markdown') {
+      const { htmlToMarkdown } = require('./utils/htmlToMarkdown')
+      content = htmlToMarkdown(html) + '\n'
+    }
+    const extension = options.ext || this.fileHandler.chooseTextExtension(content, mime)
+    const naming = await this.resolvePasteNaming(options, {
+      type: format,
+      text: content,
+      sha256: crypto.createHash('sha256').update(content).digest('hex')
+    })
+
+    const onExist = await this.resolveOnExist(options)
+    const saved = {}
+
+    if (options.dryRun) {
+      await this.printPastePlan(format,
+        this.fileHandler.generateFilePath(options.output, options.filename, extension, { pattern: naming.namePattern, vars: naming.nameVars }),
+        onExist.onExist
+      )
+      return
+    }
+
+    const filePath = await this.fileHandler.saveText(content, {
+      outputPath: options.output,
+      filename: options.filename,
+      extension,
+      ...naming,
+      ...onExist,
+      ...this.pasteStorageOptions(options, saved)
+    })
+    if (!filePath) {
+      console.log('Skipped: output file already exists (--on-exist skip)')
+      return
+    }
+    const stats = await this.fileHandler.getFileStats(filePath)
+    this.printSaved(format, filePath, saved)
+    console.log(`File size: ${this.formatFileSize(stats.size)}`)
+    if (options.sidecar) {
+      await this.writePasteSidecar(filePath, { type: format, mime, clipboardFormat: 'text/html', formats: await this.clipboardManager.listFormats() }, saved)
+    }
+  }
+
+  async handleStatus (options = {}) {
     try {
-      const isHeadless = isHeadlessEnvironment(true)
-      const hasContent = await this.clipboardManager.hasContent()
+      if (options.formats) {
+        const formats = await this.clipboardManager.listFormats()
+        if (!formats.length) {
+          console.log('No clipboard formats available')
+          return
+        }
+        console.log(`Available formats (${formats.length}):`)
+        for (const format of formats) console.log(`  ${format}`)
+        return
+      }
+
+      const isHeadless = this.isSimulatedClipboard()
+      const snapshot = await this.clipboardManager.readAll()
 
-      if (!hasContent) {
+      if (snapshot.isEmpty) {
         if (isHeadless) {
           console.log('Clipboard is empty (headless mode - simulated)')
         } else {
           console.log('Clipboard is empty')
         }
+        await this.printPendingClears()
         return
       }
 
-      const contentType = await this.clipboardManager.getContentType()
+      const contentType = snapshot.type
       console.log(`Clipboard contains: ${contentType} content`)
 
       if (contentType === 'text') {
-        const content = await this.clipboardManager.readText()
+        const content = snapshot.text
         const preview = content.length > 100
           ? content.substring(0, 100) + '...'
           : content
         console.log(`Preview: ${preview}`)
         console.log(`Length: ${content.length} characters`)
       } else if (contentType === 'image') {
-        const imageData = await this.clipboardManager.readImage()
+        const imageData = snapshot.image
         if (imageData) {
           console.log(`Image format: ${imageData.format}`)
           console.log(`Image size: ${this.formatFileSize(imageData.data.length)}`)
         }
+      } else if (contentType === 'files') {
+        const size = await this.fileHandler.getTotalSize(snapshot.files)
+        console.log(`Files: ${snapshot.files.length} (${this.formatFileSize(size)})`)
+        for (const file of snapshot.files) console.log(`  ${file}`)
+      } else if (contentType === 'binary') {
+        const binary = await this.readBinaryContent(snapshot)
+        const { hexdump } = require('./utils/binary')
+        console.log(`Detected type: ${binary.mime} (${binary.ext})`)
+        console.log(`Size: ${this.formatFileSize(binary.data.length)}`)
+        console.log('Hex preview:')
+        for (const line of hexdump(binary.data, { maxBytes: 64 })) console.log(`  ${line}`)
       }
+      await this.printPendingClears()
     } catch (error) {
       console.error('Error:', error.message)
       process.exit(1)
     }
   }
 
+  // Pending `--clear-after` timers, e.g. "Auto-clear: clipboard in 25s (pid 4242)"
+  async printPendingClears () {
+    const timers = await new AutoClearStore().list()
+    for (const timer of timers) {
+      const seconds = Math.max(0, Math.ceil((Date.parse(timer.clearAt) - Date.now()) / 1000))
+      console.log(`Auto-clear: ${timer.selection} in ${seconds}s${timer.pid ? ` (pid ${timer.pid})` : ''}`)
+    }
+  }
+
   async handleClear (options = {}) {
     try {
-      const isHeadless = isHeadlessEnvironment(true)
+      const isHeadless = this.isSimulatedClipboard()
 
       // Check if clipboard has content first
-      const hasContent = await this.clipboardManager.hasContent()
-      if (!hasContent) {
+      const snapshot = await this.clipboardManager.readAll({ image: false })
+      if (snapshot.isEmpty) {
         if (isHeadless) {
           console.log('Clipboard is already empty (headless mode)')
         } else {
@@ -493,8 +1113,7 @@ class CLI {
 
       // Backup if requested
       if (options.backup) {
-        const content = await this.clipboardManager.readText()
-        const filePath = await this.fileHandler.saveText(content, {
+        const filePath = await this.fileHandler.saveText(snapshot.text, {
           outputPath: process.cwd(),
           filename: `clipboard-backup-${new Date().toISOString().replace(/[:.]/g, '-')}`
         })
@@ -534,7 +1153,16 @@ class CLI {
 
   async handleCopy (text, options) {
     try {
-      const isHeadless = isHeadlessEnvironment(true)
+      // Register-only copies never touch the (possibly simulated) clipboard
+      const toClipboard = !options.register || options.alsoClipboard
+      const isHeadless = toClipboard && this.isSimulatedClipboard()
+      const target = this.copyTarget(options)
+      if (options.register && (options.image || options.files)) {
+        throw new Error('Registers hold text; --register cannot be combined with --image or --files')
+      }
+      if (options.clearAfter != null && !toClipboard) {
+        throw new Error('--clear-after clears the system clipboard; add --also-clipboard to use it with --register')
+      }
 
       if (options.decodeBase64 != null || options.encodeBase64 != null) {
         const chunks = []
@@ -578,11 +1206,29 @@ class CLI {
           process.exit(1)
         }
 
-        await this.clipboardManager.writeText(transformed)
+        await this.writeClipboardText(transformed, options)
         if (isHeadless) {
-          console.log(`Copied text to clipboard (${transformed.length} characters) (headless mode - simulated)`)
+          console.log(`Copied text to ${target} (${transformed.length} characters) (headless mode - simulated)`)
         } else {
-          console.log(`Copied text to clipboard (${transformed.length} characters)`)
+          console.log(`Copied text to ${target} (${transformed.length} characters)`)
+        }
+        return
+      }
+
+      if (options.files) {
+        try {
+          await this.assertClipboardUnchanged(options)
+          await this.withClearAfter(options, null, () => this.clipboardManager.writeFiles(options.files))
+          const label = options.files.length === 1 ? path.basename(options.files[0]) : `${options.files.length} files`
+          if (isHeadless) {
+            console.log(`Copied ${label} to clipboard as a file list (headless mode - simulated)`)
+          } else {
+            console.log(`Copied ${label} to clipboard as a file list`)
+          }
+        } catch (error) {
+          if (error.code === 'CLIPBOARD_CHANGED') return this.exitClipboardChanged(error)
+          console.error('Error copying files to clipboard:', error.message)
+          process.exit(1)
         }
         return
       }
@@ -592,13 +1238,15 @@ class CLI {
         const path = require('path')
 
         try {
-          await this.clipboardManager.writeImage(options.image)
+          await this.assertClipboardUnchanged(options)
+          await this.withClearAfter(options, null, () => this.clipboardManager.writeImage(options.image))
           if (isHeadless) {
             console.log(`Copied image ${path.basename(options.image)} to clipboard (headless mode - simulated)`)
           } else {
             console.log(`Copied image ${path.basename(options.image)} to clipboard`)
           }
         } catch (error) {
+          if (error.code === 'CLIPBOARD_CHANGED') return this.exitClipboardChanged(error)
           console.error(`Error copying image file ${options.image}:`, error.message)
           process.exit(1)
         }
@@ -609,23 +1257,24 @@ class CLI {
 
         try {
           const content = await fs.readFile(options.file, 'utf8')
-          await this.clipboardManager.writeText(content)
+          await this.writeClipboardText(content, options)
           if (isHeadless) {
-            console.log(`Copied contents of ${path.basename(options.file)} to clipboard (headless mode - simulated)`)
+            console.log(`Copied contents of ${path.basename(options.file)} to ${target} (headless mode - simulated)`)
           } else {
-            console.log(`Copied contents of ${path.basename(options.file)} to clipboard`)
+            console.log(`Copied contents of ${path.basename(options.file)} to ${target}`)
           }
         } catch (error) {
+          if (error.code === 'CLIPBOARD_CHANGED') return this.exitClipboardChanged(error)
           console.error(`Error reading file ${options.file}:`, error.message)
           process.exit(1)
         }
       } else if (text) {
         // Copy provided text
-        await this.clipboardManager.writeText(text)
+        await this.writeClipboardText(text, options)
         if (isHeadless) {
-          console.log(`Copied text to clipboard (${text.length} characters) (headless mode - simulated)`)
+          console.log(`Copied text to ${target} (${text.length} characters) (headless mode - simulated)`)
         } else {
-          console.log(`Copied text to clipboard (${text.length} characters)`)
+          console.log(`Copied text to ${target} (${text.length} characters)`)
         }
       } else {
         // Check if stdin has data
@@ -645,45 +1294,189 @@ class CLI {
 
           process.stdin.on('end', async () => {
             const content = chunks.join('')
-            if (content.trim()) {
-              await this.clipboardManager.writeText(content)
-              if (isHeadless) {
-                console.log(`Copied piped content to clipboard (${content.length} characters) (headless mode - simulated)`)
+            try {
+              if (content.trim()) {
+                await this.writeClipboardText(content, options)
+                if (isHeadless) {
+                  console.log(`Copied piped content to ${target} (${content.length} characters) (headless mode - simulated)`)
+                } else {
+                  console.log(`Copied piped content to ${target} (${content.length} characters)`)
+                }
               } else {
-                console.log(`Copied piped content to clipboard (${content.length} characters)`)
+                console.log('No content provided to copy')
+              }
+            } catch (error) {
+              if (error.code === 'CLIPBOARD_CHANGED') this.exitClipboardChanged(error)
+              else {
+                console.error('Error copying to clipboard:', error.message)
+                process.exit(1)
               }
-            } else {
-              console.log('No content provided to copy')
             }
             resolve()
           })
         })
       }
     } catch (error) {
+      if (error.code === 'CLIPBOARD_CHANGED') return this.exitClipboardChanged(error)
       console.error('Error copying to clipboard:', error.message)
       process.exit(1)
     }
   }
 
+  // --if-unchanged (or CLIPASTE_IF_UNCHANGED, set for watch --exec hooks) makes text writes compare-and-swap
+  async writeClipboardText (content, options = {}) {
+    if (options.register) {
+      await this.registers.set(options.register, content)
+      if (!options.alsoClipboard) return true
+    }
+    const ifMatch = options.ifUnchanged || process.env.CLIPASTE_IF_UNCHANGED
+    return this.withClearAfter(options, content, () => {
+      if (!ifMatch) return this.clipboardManager.writeText(content)
+      return this.clipboardManager.writeText(content, { ifMatch })
+    })
+  }
+
+  /**
+   * Run a clipboard write, honoring --clear-after. The timer is registered before writing so
+   * `watch --save` never records the content, and its clearer starts once the write succeeded.
+   * @param {string|null} content - text being written, when known up front
+   */
+  async withClearAfter (options, content, write) {
+    if (options.clearAfter == null) return write()
+    const seconds = Number(options.clearAfter)
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error(`--clear-after expects a positive number of seconds, got '${options.clearAfter}'`)
+    }
+    const manager = this.clipboardManager
+    const store = new AutoClearStore()
+    const timer = await store.add({
+      seconds,
+      sha256: typeof content === 'string' ? crypto.createHash('sha256').update(content).digest('hex') : null,
+      selection: manager.selection,
+      backend: manager.backendName,
+      backendConfig: manager.backendConfig,
+      headlessBackend: manager.headlessBackend
+    })
+    let result
+    try {
+      result = await write()
+    } catch (error) {
+      await store.remove(timer)
+      throw error
+    }
+    await store.start(timer, { sha256: await manager.getSha256() })
+    console.log(`Clipboard will be cleared in ${seconds}s unless it changes`)
+    return result
+  }
+
+  // Where `copy` puts text: "clipboard", "register 'a'" or "register 'a' and clipboard"
+  copyTarget (options = {}) {
+    if (!options.register) return 'clipboard'
+    return options.alsoClipboard ? `register '${options.register}' and clipboard` : `register '${options.register}'`
+  }
+
+  /**
+   * A register in the shape of ClipboardManager.readAll(), so handlers treat both sources alike
+   * @throws when the register has never been set
+   */
+  async readRegisterSnapshot (name) {
+    const entry = await this.registers.get(name)
+    if (!entry) throw new Error(`Register '${name}' is empty`)
+    const isEmpty = !entry.content.trim()
+    return {
+      isEmpty,
+      type: isEmpty ? 'empty' : 'text',
+      text: entry.content,
+      image: null,
+      files: null,
+      formats: isEmpty ? [] : ['text/plain'],
+      sha256: entry.sha256,
+      readAt: new Date().toISOString()
+    }
+  }
+
+  // Image and file-list writes check the hash just before writing
+  async assertClipboardUnchanged (options = {}) {
+    const ifMatch = options.ifUnchanged || process.env.CLIPASTE_IF_UNCHANGED
+    if (ifMatch) await this.clipboardManager.assertUnchanged(ifMatch)
+  }
+
+  exitClipboardChanged (error) {
+    console.error(error.message)
+    process.exit(EXIT_CLIPBOARD_CHANGED)
+  }
+
   async handleGet (options) {
     try {
-      const hasContent = await this.clipboardManager.hasContent()
-      if (!hasContent) {
-        process.exit(0)
+      if (options.mime) {
+        const data = await this.clipboardManager.readFormat(options.mime)
+        if (!data || data.length === 0) {
+          console.error(`Clipboard has no ${options.mime} content`)
+          process.exit(1)
+          return
+        }
+        if (this.isTextualMime(options.mime) && !options.raw) console.log(data.toString('utf8'))
+        else process.stdout.write(data)
+        return
       }
 
-      // Check if clipboard only contains whitespace
-      const text = await this.clipboardManager.readText()
-      if (!text || text.trim().length === 0) {
+      if (options.as) {
+        const format = this.normalizeRichFormat(options.as)
+        const html = await this.clipboardManager.readHtml()
+        let output
+        if (html) {
+          const { htmlToMarkdown } = require('./utils/htmlToMarkdown')
+          output = format === 'markdown' ? htmlToMarkdown(html) : html
+        } else if (format === 'markdown') {
+          // Plain text is already valid Markdown
+          output = await this.clipboardManager.readText()
+        } else {
+          console.error('Clipboard has no text/html content')
+          process.exit(1)
+          return
+        }
+        if (options.raw) process.stdout.write(output || '')
+        else console.log(output || '')
+        return
+      }
+
+      if (options.printSha) {
+        const sha = options.register
+          ? (await this.readRegisterSnapshot(options.register)).sha256
+          : await this.clipboardManager.getSha256()
+        if (options.raw) process.stdout.write(sha)
+        else console.log(sha)
+        return
+      }
+
+      const snapshot = options.register
+        ? await this.readRegisterSnapshot(options.register)
+        : await this.clipboardManager.readAll({ image: !!(options.imageInfo || options.hexdump) })
+      if (snapshot.isEmpty) {
         process.exit(0)
       }
+      // A copied file list has no text/plain; its paths stand in, one per line
+      const snapshotText = snapshot.type === 'files' && !snapshot.text ? (snapshot.files || []).join('\n') : snapshot.text
+
+      if (options.hexdump) {
+        let data
+        if (snapshot.image) data = snapshot.image.data
+        else if (snapshot.type === 'binary') data = (await this.readBinaryContent(snapshot)).data
+        else data = Buffer.from(snapshotText, 'utf8')
+        const { hexdump } = require('./utils/binary')
+        const out = hexdump(data).join('\n')
+        if (options.raw) process.stdout.write(out)
+        else console.log(out)
+        return
+      }
 
+      // Checked before the whitespace test below: image-only clipboards have no text
       if (options.imageInfo) {
-        const img = await this.clipboardManager.readImage()
+        const img = snapshot.image
         if (img && img.data) {
           const { imageMetadataFromBuffer } = require('./utils/transform')
           const meta = await imageMetadataFromBuffer(img.data)
-          const payload = { format: img.format || meta.format, width: meta.width, height: meta.height, sizeBytes: meta.sizeBytes }
+          const payload = { ...meta, format: img.format || meta.format }
           const out = JSON.stringify(payload)
           if (options.raw) process.stdout.write(out)
           else console.log(out)
@@ -692,6 +1485,28 @@ class CLI {
         // fallthrough to text if no image
       }
 
+      // Check if clipboard only contains whitespace
+      let text = snapshotText
+      if (!text || text.trim().length === 0) {
+        process.exit(0)
+      }
+
+      // The block then goes through the same output options as the whole clipboard would
+      if (options.codeBlock != null) {
+        const { extractCodeBlocks } = require('./utils/codeBlocks')
+        const blocks = extractCodeBlocks(text)
+        const n = Number(options.codeBlock)
+        const block = Number.isInteger(n) && n >= 1 ? blocks[n - 1] : null
+        if (!block) {
+          console.error(blocks.length
+            ? `No code block ${options.codeBlock}; the clipboard has ${blocks.length}`
+            : 'No fenced code blocks found in the clipboard')
+          process.exit(1)
+          return
+        }
+        text = block.code
+      }
+
       let output = text
 
       if (options.jsonFormat) {
@@ -728,7 +1543,14 @@ class CLI {
 
   async handleWatch (options) {
     const interval = parseInt(options.interval)
-    const watcher = new Watcher({ interval, verbose: !!options.verbose })
+    const watcher = new Watcher({
+      interval,
+      verbose: !!options.verbose,
+      selection: this.clipboardManager.selection,
+      backend: this.clipboardManager.backendName,
+      backendConfig: this.clipboardManager.backendConfig,
+      headlessBackend: this.clipboardManager.headlessBackend
+    })
     const history = new HistoryStore({
       persist: options.persist !== false,
       maxItems: parseInt(options.maxItems),
@@ -740,17 +1562,23 @@ class CLI {
     process.on('SIGINT', stop)
     process.on('SIGTERM', stop)
 
-    await watcher.start({
-      filter: options.filter,
-      exec: options.exec,
-      save: !!options.save,
-      history,
-      timeout: options.timeout ? parseInt(options.timeout) : undefined,
-      once: !!options.once,
-      maxEvents: options.maxEvents ? parseInt(options.maxEvents) : undefined,
-      idleTimeout: options.idleTimeout ? parseInt(options.idleTimeout) : undefined,
-      noEcho: options.echo === false
-    })
+    try {
+      await watcher.start({
+        filter: options.filter,
+        exec: options.exec,
+        save: !!options.save,
+        mirrorTo: options.mirrorTo,
+        history,
+        timeout: options.timeout ? parseInt(options.timeout) : undefined,
+        once: !!options.once,
+        maxEvents: options.maxEvents ? parseInt(options.maxEvents) : undefined,
+        idleTimeout: options.idleTimeout ? parseInt(options.idleTimeout) : undefined,
+        noEcho: options.echo === false
+      })
+    } catch (error) {
+      console.error('Error:', error.message)
+      process.exit(1)
+    }
   }
 
   async handleHistory (options) {
@@ -801,7 +1629,8 @@ class CLI {
       }
 
       if (options.restore) {
-        await history.restore(options.restore, this.clipboardManager)
+        const entry = options.clearAfter != null ? await history.get(options.restore) : null
+        await this.withClearAfter(options, entry && entry.content, () => history.restore(options.restore, this.clipboardManager))
         console.log(`Restored item ${options.restore} to clipboard`)
         return
       }
@@ -822,6 +1651,241 @@ class CLI {
     }
   }
 
+  // Use a running daemon unless CLIPASTE_NO_DAEMON is set; test runs only use one when a socket is named explicitly
+  async attachDaemon () {
+    if (process.env.CLIPASTE_NO_DAEMON) return
+    if (process.env.NODE_ENV === 'test' && !process.env.CLIPASTE_DAEMON_SOCKET) return
+    const client = await connectDaemon({ timeoutMs: 500 })
+    if (client) this.clipboardManager.useDaemon(client)
+  }
+
+  async handleDaemonStart (options) {
+    try {
+      if (options.foreground) {
+        const daemon = await new ClipboardDaemon({ verbose: !!options.verbose }).start()
+        console.log(`Daemon listening on ${daemon.socketPath} (pid ${process.pid})`)
+        const stop = async () => { await daemon.stop() }
+        process.on('SIGINT', stop)
+        process.on('SIGTERM', stop)
+        await daemon.closed
+        process.exit(0)
+      }
+
+      const running = await connectDaemon()
+      if (running) {
+        const status = await running.ping()
+        running.close()
+        console.log(`Daemon already running (pid ${status.pid}) on ${status.socket}`)
+        return
+      }
+
+      const fs = require('fs')
+      const { spawn } = require('child_process')
+      const logFile = path.join(resolveConfigDir(), 'daemon.log')
+      await fsp.mkdir(path.dirname(logFile), { recursive: true })
+      const log = fs.openSync(logFile, 'a')
+      const args = [path.join(__dirname, 'index.js'), 'daemon', 'start', '--foreground', ...(options.verbose ? ['--verbose'] : [])]
+      const child = spawn(process.execPath, args, { detached: true, stdio: ['ignore', log, log], env: process.env })
+      child.unref()
+      fs.closeSync(log)
+
+      // Wait for the socket to answer before reporting success
+      const deadline = Date.now() + 5000
+      while (Date.now() < deadline) {
+        const client = await connectDaemon({ timeoutMs: 500 })
+        if (client) {
+          const status = await client.ping()
+          client.close()
+          console.log(`Daemon started (pid ${status.pid}) on ${status.socket}`)
+          return
+        }
+        await new Promise(resolve => setTimeout(resolve, 100))
+      }
+      throw new Error(`Daemon did not start within 5s; see ${logFile}`)
+    } catch (error) {
+      console.error('Error:', error.message)
+      process.exit(1)
+    }
+  }
+
+  async handleDaemonStop () {
+    try {
+      const client = await connectDaemon()
+      if (!client) {
+        console.log('Daemon is not running')
+        return
+      }
+      const status = await client.shutdown()
+      client.close()
+      console.log(`Daemon stopped (pid ${status.pid})`)
+    } catch (error) {
+      console.error('Error:', error.message)
+      process.exit(1)
+    }
+  }
+
+  async handleDaemonStatus () {
+    const client = await connectDaemon()
+    if (!client) {
+      console.log(`Daemon is not running (socket: ${getDaemonSocketPath()})`)
+      return
+    }
+    const status = await client.ping()
+    client.close()
+    console.log(`Daemon running (pid ${status.pid}) on ${status.socket}`)
+    console.log(`Uptime: ${Math.round(status.uptimeMs / 1000)}s, requests served: ${status.requests}`)
+  }
+
+  async handleBridgeTmux (options) {
+    try {
+      if (this.clipboardManager.backendName === 'tmux') {
+        throw new Error('bridge tmux syncs tmux with another clipboard; choose a backend other than tmux')
+      }
+      const config = await this.configStore.get('clipboard.backends.tmux', {})
+      const tmux = backends.create('tmux', {
+        selection: 'clipboard',
+        config: options.buffer ? { ...config, buffer: options.buffer } : config,
+        runTool: (command, args, opts) => this.clipboardManager.runClipboardTool(command, args, opts)
+      })
+
+      if (options.toTmux) {
+        const text = await this.clipboardManager.readText()
+        if (!text) {
+          console.log('Clipboard is empty; nothing to copy to tmux')
+        } else {
+          await tmux.write(text)
+          console.log(`Copied clipboard to tmux buffer${tmux.buffer ? ` '${tmux.buffer}'` : ''} (${text.length} characters)`)
+        }
+      } else {
+        const name = tmux.buffer || ((await tmux.listBuffers())[0] || {}).name
+        const text = name ? await tmux.readBuffer(name) : ''
+        if (!text) {
+          console.log('No tmux buffer to copy')
+        } else {
+          await this.clipboardManager.writeText(text)
+          console.log(`Copied tmux buffer '${name}' to clipboard (${text.length} characters)`)
+        }
+      }
+
+      if (options.history !== false) {
+        const added = await indexTmuxBuffers(tmux, new HistoryStore())
+        if (added) console.log(`Recorded ${added} tmux buffer(s) in history`)
+      }
+    } catch (error) {
+      console.error('Error:', error.message)
+      process.exit(1)
+    }
+  }
+
+  async handleDetect (options = {}) {
+    try {
+      const snapshot = await this.clipboardManager.readAll()
+      if (snapshot.isEmpty) {
+        console.log('Clipboard is empty')
+        process.exit(1)
+        return
+      }
+      let result
+      if (snapshot.type === 'text') {
+        const { detectContentType } = require('./utils/detect')
+        result = detectContentType(snapshot.text)
+      } else {
+        // Non-text clipboards are already typed by the backend or by their magic bytes
+        result = { type: snapshot.type, ext: '', mime: '', language: '', confidence: 1, candidates: [] }
+        if (snapshot.type === 'image' && snapshot.image) {
+          result.ext = this.fileHandler.getFileExtensionFromFormat(snapshot.image.format)
+          result.mime = `image/${snapshot.image.format === 'jpg' ? 'jpeg' : snapshot.image.format}`
+        } else if (snapshot.type === 'binary') {
+          const binary = await this.readBinaryContent(snapshot)
+          Object.assign(result, { ext: binary.ext, mime: binary.mime })
+        }
+      }
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+        return
+      }
+      console.log(`Type: ${result.type} (confidence ${result.confidence})`)
+      if (result.ext) console.log(`Extension: ${result.ext}`)
+      if (result.mime) console.log(`MIME type: ${result.mime}`)
+      const others = result.candidates.filter(candidate => candidate.type !== result.type)
+      if (others.length) console.log(`Other candidates: ${others.map(c => `${c.type} ${c.confidence}`).join(', ')}`)
+    } catch (error) {
+      console.error('Error:', error.message)
+      process.exit(1)
+    }
+  }
+
+  async handleInfo (file, options = {}) {
+    try {
+      const sidecar = require('./utils/sidecar')
+      const resolved = path.resolve(file)
+      const meta = await sidecar.readSidecar(resolved)
+      if (!meta) {
+        console.error(`No metadata for ${file} (expected ${sidecar.sidecarPathFor(file)})`)
+        process.exit(1)
+        return
+      }
+      if (options.json) {
+        console.log(JSON.stringify(meta, null, 2))
+        return
+      }
+      const target = resolved.endsWith(sidecar.SIDECAR_SUFFIX) ? resolved.slice(0, -sidecar.SIDECAR_SUFFIX.length) : resolved
+      let check
+      try {
+        check = await sidecar.hashFile(target) === meta.sha256 ? 'matches file' : 'file changed since paste'
+      } catch {
+        check = 'file missing'
+      }
+      const source = meta.source || {}
+      console.log(`File: ${target}`)
+      console.log(`Pasted: ${meta.pastedAt}`)
+      console.log(`Type: ${meta.type}${meta.mime ? ` (${meta.mime})` : ''}`)
+      if (source.register) console.log(`Register: ${source.register}`)
+      if (source.format) console.log(`Clipboard format: ${source.format}${source.selection ? ` (${source.selection})` : ''}`)
+      if (source.formats && source.formats.length) console.log(`Clipboard offered: ${source.formats.join(', ')}`)
+      console.log(`Size: ${this.formatFileSize(meta.size)}`)
+      if (meta.image && meta.image.width) console.log(`Dimensions: ${meta.image.width}x${meta.image.height}`)
+      console.log(`SHA-256: ${meta.sha256} (${check})`)
+      console.log(`Host: ${meta.hostname}`)
+      console.log(`Directory: ${meta.cwd}`)
+      if (meta.git) console.log(`Git: ${meta.git.repo}${meta.git.branch ? ` (${meta.git.branch})` : ''}`)
+    } catch (error) {
+      console.error('Error:', error.message)
+      process.exit(1)
+    }
+  }
+
+  async handleRegisters (options = {}) {
+    try {
+      if (options.clear) {
+        await this.registers.clear()
+        console.log('Registers cleared')
+        return
+      }
+      if (options.delete) {
+        if (!await this.registers.delete(options.delete)) {
+          console.error(`Register '${options.delete}' is empty`)
+          process.exit(1)
+          return
+        }
+        console.log(`Deleted register '${options.delete}'`)
+        return
+      }
+      const list = await this.registers.list()
+      if (!list.length) {
+        console.log('No registers set')
+        return
+      }
+      for (const entry of list) {
+        const preview = entry.content.length > 60 ? entry.content.slice(0, 60) + '…' : entry.content
+        console.log(`${entry.name.padEnd(3)}  ${entry.updatedAt}  len=${entry.len}  ${JSON.stringify(preview)}`)
+      }
+    } catch (error) {
+      console.error('Error:', error.message)
+      process.exit(1)
+    }
+  }
+
   async handleSnippetAdd (name, options) {
     try {
       let content = options.text
@@ -838,10 +1902,10 @@ class CLI {
     }
   }
 
-  async handleSnippetCopy (name) {
+  async handleSnippetCopy (name, options = {}) {
     try {
       const snip = await this.library.getSnippet(name)
-      await this.clipboardManager.writeText(snip.content)
+      await this.withClearAfter(options, snip.content, () => this.clipboardManager.writeText(snip.content))
       console.log(`Copied snippet '${name}' to clipboard`)
     } catch (e) {
       console.error('Error:', e.message)
@@ -904,7 +1968,7 @@ class CLI {
       const { meta, body } = parseFrontMatter(t.content)
       const vars = this.parseKeyVals(options.vars)
       if (options.auto) {
-        const auto = await getAutoVars({ clipboardManager: this.clipboardManager })
+        const auto = await getAutoVars({ clipboardManager: this.clipboardManager, registers: this.registers })
         Object.assign(vars, auto)
       }
       // Check required
@@ -1121,15 +2185,20 @@ class CLI {
   async readAiSource (options = {}) {
     const source = (options.source || 'clipboard').toLowerCase()
     if (source === 'clipboard') {
-      const hasContent = await this.clipboardManager.hasContent()
-      if (!hasContent) throw new Error('Clipboard is empty')
-      const type = await this.clipboardManager.getContentType()
-      if (type !== 'text') throw new Error('Clipboard does not contain text content')
-      return await this.clipboardManager.readText()
+      const snapshot = await this.clipboardManager.readAll({ image: false })
+      if (snapshot.isEmpty) throw new Error('Clipboard is empty')
+      if (snapshot.type !== 'text') throw new Error('Clipboard does not contain text content')
+      return snapshot.text
+    }
+    if (source === 'register') {
+      if (!options.register) throw new Error('Provide --register <name> when using register source')
+      const snapshot = await this.readRegisterSnapshot(options.register)
+      if (snapshot.isEmpty) throw new Error(`Register '${options.register}' is empty`)
+      return snapshot.text
     }
     if (source === 'stdin') {
       if (process.stdin.isTTY) {
-        throw new Error('No stdin content available. Pipe input or use --source clipboard|file.')
+        throw new Error('No stdin content available. Pipe input or use --source clipboard|file|register.')
       }
       return await new Promise((resolve, reject) => {
         const chunks = []
@@ -1236,6 +2305,24 @@ class CLI {
     await this.runAiCommand('transform', options, (text) => makeTransformPrompt(text, options.instruction))
   }
 
+  // Headless mode only simulates the clipboard while no backend (explicit or headless fallback) is active
+  isSimulatedClipboard () {
+    const manager = this.clipboardManager
+    return isHeadlessEnvironment(true) && !(typeof manager.getBackend === 'function' && manager.getBackend())
+  }
+
+  normalizeRichFormat (format) {
+    const value = String(format || 'html').trim().toLowerCase()
+    if (value === 'html') return 'html'
+    if (value === 'markdown' || value === 'md') return 'markdown'
+    throw new Error(`Unsupported rich format '${format}'. Use html or markdown`)
+  }
+
+  isTextualMime (mime) {
+    const m = String(mime || '').toLowerCase()
+    return m.startsWith('text/') || /^application\/(json|xml|javascript|x-sh)\b/.test(m) || m.endsWith('+xml') || m.endsWith('+json')
+  }
+
   formatFileSize (bytes) {
     const sizes = ['Bytes', 'KB', 'MB', 'GB']
     if (bytes === 0) return '0 Bytes'
@@ -1,5 +1,6 @@
 // clipboardy v3+ is ESM-only. In a CommonJS project we use dynamic import() and cache the promise.
 const { spawn } = require('child_process')
+const crypto = require('crypto')
 const { performance } = require('perf_hooks')
 const path = require('path')
 const fs = require('fs')
@@ -7,6 +8,7 @@ const os = require('os')
 
 let _clipboardyPromise = null
 let _injectedClipboardy = null // test injection / mocking
+let _injectedFormatBackend = null // test injection for listFormats/readFormat
 
 // Dynamic phase profiling toggle
 let _phaseEnabledFlag = !!process.env.CLIPASTE_PHASE_PROF
@@ -22,6 +24,94 @@ function _recordPhase (name, dur) {
 }
 
 const { isHeadlessEnvironment } = require('./utils/environment')
+const { backends, AUTO_BACKEND } = require('./backends')
+const { formatSlug, uniqueFormats, pathsToUriList, uriListToPaths, mayBeFileList, isBinaryMime } = require('./backends/formats')
+const { DaemonBackend } = require('./backends/daemon')
+
+// X11 selections; wl-clipboard only implements clipboard and primary
+const SELECTIONS = ['clipboard', 'primary', 'secondary']
+
+function normalizeSelection (name) {
+  const value = String(name || 'clipboard').trim().toLowerCase()
+  if (!SELECTIONS.includes(value)) {
+    throw new Error(`Unknown selection '${name}'. Use clipboard, primary or secondary`)
+  }
+  return value
+}
+
+// macOS clipboard classes and type names (as reported by `clipboard info`) mapped to MIME types
+const MAC_CLASS_MIME = {
+  PNGf: 'image/png',
+  JPEG: 'image/jpeg',
+  TIFF: 'image/tiff',
+  GIFf: 'image/gif',
+  BMPf: 'image/bmp',
+  HTML: 'text/html',
+  'RTF ': 'text/rtf',
+  'PDF ': 'application/pdf',
+  furl: 'text/uri-list',
+  utf8: 'text/plain',
+  ut16: 'text/plain'
+}
+const MAC_NAME_MIME = {
+  string: 'text/plain',
+  'Unicode text': 'text/plain',
+  'TIFF picture': 'image/tiff',
+  'JPEG picture': 'image/jpeg',
+  'GIF picture': 'image/gif',
+  'file URL': 'text/uri-list'
+}
+
+// Windows clipboard format names mapped to MIME types
+const WINDOWS_FORMAT_MIME = {
+  Text: 'text/plain',
+  UnicodeText: 'text/plain',
+  OEMText: 'text/plain',
+  'System.String': 'text/plain',
+  'HTML Format': 'text/html',
+  'Rich Text Format': 'text/rtf',
+  PNG: 'image/png',
+  Bitmap: 'image/bmp',
+  DeviceIndependentBitmap: 'image/bmp',
+  'System.Drawing.Bitmap': 'image/bmp',
+  FileDrop: 'text/uri-list'
+}
+
+function parseMacClipboardInfo (info) {
+  const formats = []
+  const entryRegex = /(?:«class (.{4})»|([A-Za-z][\w ]*?)),\s*\d+/g
+  let m
+  while ((m = entryRegex.exec(info)) !== null) {
+    if (m[1]) formats.push(MAC_CLASS_MIME[m[1]] || `application/x-mac-${formatSlug(m[1])}`)
+    else formats.push(MAC_NAME_MIME[m[2]] || `application/x-mac-${formatSlug(m[2])}`)
+  }
+  return uniqueFormats(formats)
+}
+
+function macClassForMime (mime) {
+  const custom = mime.match(/^application\/x-mac-(.+)$/)
+  if (custom) return custom[1].padEnd(4, ' ').slice(0, 4)
+  const entry = Object.entries(MAC_CLASS_MIME).find(([, m]) => m === mime)
+  return entry ? entry[0] : null
+}
+
+function windowsFormatsForMime (mime) {
+  const custom = mime.match(/^application\/x-windows-(.+)$/)
+  if (custom) return [custom[1]]
+  return Object.entries(WINDOWS_FORMAT_MIME).filter(([, m]) => m === mime).map(([name]) => name)
+}
+
+// Strip the CF_HTML description header ("Version:0.9\r\nStartHTML:...") down to the HTML document
+function extractCfHtml (text) {
+  const start = text.match(/StartHTML:(-?\d+)/)
+  const end = text.match(/EndHTML:(-?\d+)/)
+  if (start && end && parseInt(start[1], 10) >= 0) {
+    const bytes = Buffer.from(text, 'utf8')
+    return bytes.subarray(parseInt(start[1], 10), parseInt(end[1], 10)).toString('utf8')
+  }
+  const idx = text.indexOf('<')
+  return idx > 0 ? text.slice(idx) : text
+}
 
 async function getClipboardy () {
   if (_injectedClipboardy) return _injectedClipboardy
@@ -38,9 +128,31 @@ async function getClipboardy () {
   return result
 }
 
+// Hash an empty clipboard compares as (SHA-256 of no bytes)
+const EMPTY_SHA256 = crypto.createHash('sha256').digest('hex')
+
+// Raised by compare-and-swap writes when the clipboard no longer holds the content the caller read
+class ClipboardChangedError extends Error {
+  constructor (expected, actual) {
+    super(`Clipboard changed since it was read (expected ${String(expected).slice(0, 12)}, found ${String(actual).slice(0, 12)}); not overwriting`)
+    this.name = 'ClipboardChangedError'
+    this.code = 'CLIPBOARD_CHANGED'
+    this.expected = expected
+    this.actual = actual
+  }
+}
+
 class ClipboardManager {
-  constructor () {
+  constructor (options = {}) {
     this.isWindows = process.platform === 'win32'
+    this.isLinux = process.platform === 'linux'
+    this.selection = normalizeSelection(options.selection)
+    this.backendName = options.backend || process.env.CLIPASTE_BACKEND || AUTO_BACKEND
+    this.backendConfig = options.backendConfig || {}
+    this.headlessBackend = options.headlessBackend || process.env.CLIPASTE_HEADLESS_BACKEND || null
+    this.daemon = null
+    this._backend = null
+    this._backendFor = null
     this._snapshot = null
     this._snapshotTime = 0
     this._snapshotTTL = parseInt(process.env.CLIPASTE_SNAPSHOT_TTL || '10', 10)
@@ -61,19 +173,124 @@ class ClipboardManager {
     const s = (typeof raw === 'string') ? raw : ''
     const trimmed = s.trim()
     const isEmpty = !trimmed
-    let type = typeHint
-    if (!type) {
-      if (isEmpty) type = 'empty'
-      else if (this.isBase64Image(s)) type = 'image'
-      else if (this.isBinaryData(s)) type = 'binary'
-      else type = 'text'
-    }
+    const type = typeHint || this._classifyText(s)
     this._snapshot = { raw: s, isEmpty, type }
     this._snapshotTime = performance.now()
   }
 
   getSnapshot () { return this._snapshotValid() ? this._snapshot : null }
 
+  // Switch between the CLIPBOARD, PRIMARY and SECONDARY selections
+  setSelection (name) {
+    this.selection = normalizeSelection(name)
+    this._backend = null
+    this._invalidateSnapshot()
+    return this.selection
+  }
+
+  // Select a registered clipboard backend by name; 'auto' keeps the built-in platform detection
+  setBackend (name, config = {}) {
+    this.backendName = name ? String(name).trim() : AUTO_BACKEND
+    this.backendConfig = config || {}
+    this._backend = null
+    this._invalidateSnapshot()
+    return this.backendName
+  }
+
+  // Route every operation through a running daemon (DaemonClient from src/daemon.js); null goes direct again
+  useDaemon (client) {
+    this.daemon = client || null
+    this._backend = null
+    this._invalidateSnapshot()
+  }
+
+  // Active backend instance, or null when auto mode uses the built-in platform detection
+  getBackend () {
+    if (this.daemon) {
+      if (!this._backend || this._backendFor !== 'daemon') {
+        this._backend = new DaemonBackend({
+          client: this.daemon,
+          selection: this.selection,
+          backend: this.backendName,
+          backendConfig: this.backendConfig,
+          headlessBackend: this.headlessBackend
+        })
+        this._backendFor = 'daemon'
+      }
+      return this._backend
+    }
+    const fallback = this.backendName === AUTO_BACKEND && this.getHeadlessFallback()
+    const name = fallback || this.backendName
+    if (name === AUTO_BACKEND) return null
+    if (!this._backend || this._backendFor !== name) {
+      this._backend = backends.create(name, this.backendOptions(fallback ? {} : this.backendConfig))
+      this._backendFor = name
+    }
+    return this._backend
+  }
+
+  /**
+   * Backend that stands in for the system clipboard when auto mode runs without a display
+   * (CI, containers, SSH). Defaults to 'file'; CLIPASTE_HEADLESS_BACKEND=none keeps the
+   * simulated no-op clipboard. Test runs only fall back when a backend is named explicitly.
+   * @returns {string|null}
+   */
+  getHeadlessFallback () {
+    const name = this.headlessBackend
+    if (name === 'none' || (!name && this._testMode())) return null
+    return isHeadlessEnvironment() ? (name || 'file') : null
+  }
+
+  // Options handed to backend factories
+  backendOptions (config = this.backendConfig) {
+    return {
+      selection: this.selection,
+      config,
+      runTool: (command, args, opts) => this.runClipboardTool(command, args, opts),
+      loadClipboardy: getClipboardy
+    }
+  }
+
+  // Run an operation against the selected backend, wrapping failures like the built-in paths do
+  async _viaBackend (label, fn) {
+    try {
+      return await fn()
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`)
+    }
+  }
+
+  async getBackendContentType (backend) {
+    if (typeof backend.getContentType === 'function') return backend.getContentType()
+    return (await this._readBackendClassified(backend)).type
+  }
+
+  // Classify a backend's text; formats are only listed when the text is empty (image-only clipboards)
+  async _readBackendClassified (backend) {
+    const text = (await backend.read()) || ''
+    const type = this._classifyText(text)
+    if (type !== 'empty') return { type, text, formats: null }
+    const formats = await backend.listFormats()
+    if (formats.some(f => f.startsWith('image/'))) return { type: 'image', text, formats }
+    if (formats.includes('text/uri-list')) return { type: 'files', text, formats }
+    return { type: formats.some(isBinaryMime) ? 'binary' : 'empty', text, formats }
+  }
+
+  _classifyText (text) {
+    if (!text || !text.trim()) return 'empty'
+    if (this.isBase64Image(text)) return 'image'
+    return this.isBinaryData(text) ? 'binary' : 'text'
+  }
+
+  // PRIMARY/SECONDARY are served by xclip/wl-clipboard directly; clipboardy only speaks CLIPBOARD
+  usesSelectionTools () { return this.selection !== 'clipboard' }
+
+  assertSelectionSupported () {
+    if (this.usesSelectionTools() && !this.isLinux) {
+      throw new Error(`The ${this.selection} selection is only available on Linux (X11/Wayland)`)
+    }
+  }
+
   // Windows-specific method to check clipboard content using PowerShell
   async checkWindowsClipboard () {
     if (!this.isWindows) return null
@@ -212,7 +429,332 @@ if ($null -eq $clipboard) {
     })
   }
 
+  // Linux clipboard tools in preference order: wl-clipboard on Wayland (xclip still covers XWayland apps), xclip on X11
+  getLinuxClipboardTools () {
+    if (!this.isLinux) return []
+    if (this.selection === 'secondary') return ['xclip']
+    return process.env.WAYLAND_DISPLAY ? ['wl-clipboard', 'xclip'] : ['xclip']
+  }
+
+  // Run a clipboard helper tool (xclip, wl-paste, osascript, powershell). Resolves { code, stdout } or null when
+  // the tool is missing or times out. Linux writers (xclip -i, wl-copy) fork to keep serving the selection, so
+  // they are not captured and resolve on exit.
+  runClipboardTool (command, args, { input, capture = true, timeoutMs = 5000, phase = 'tool' } = {}) {
+    const outerStart = phaseEnabled() ? performance.now() : 0
+    return new Promise((resolve) => {
+      let settled = false
+      let timeout = null
+      const finish = (result) => {
+        if (settled) return
+        settled = true
+        clearTimeout(timeout)
+        if (phaseEnabled()) _recordPhase(result ? phase : `${phase}.fail`, performance.now() - outerStart)
+        resolve(result)
+      }
+
+      let child
+      try {
+        child = spawn(command, args, {
+          env: process.env,
+          stdio: [input != null ? 'pipe' : 'ignore', capture ? 'pipe' : 'ignore', 'ignore']
+        })
+      } catch (error) {
+        finish(null)
+        return
+      }
+      if (!child) { finish(null); return }
+
+      const chunks = []
+      if (capture && child.stdout) {
+        child.stdout.on('data', (data) => { chunks.push(Buffer.from(data)) })
+      }
+      child.on('error', () => finish(null))
+      child.on(capture ? 'close' : 'exit', (code) => {
+        finish({ code, stdout: Buffer.concat(chunks) })
+      })
+
+      if (input != null && child.stdin) {
+        child.stdin.on('error', () => {})
+        child.stdin.end(input)
+      }
+
+      timeout = setTimeout(() => {
+        try { child.kill() } catch (e) { /* ignore */ }
+        if (phaseEnabled()) _recordPhase(`${phase}.timeout`, performance.now() - outerStart)
+        finish(null)
+      }, timeoutMs)
+    })
+  }
+
+  // Run fn with the first installed Linux tool backend (xclip / wl-clipboard); resolves null when none is installed
+  async withLinuxTool (fn) {
+    for (const tool of this.getLinuxClipboardTools()) {
+      try {
+        return await fn(backends.create(tool, this.backendOptions({})))
+      } catch (error) {
+        if (error.code === 'UNAVAILABLE') continue
+        throw error
+      }
+    }
+    return null
+  }
+
+  // Linux-specific method to check clipboard content using xclip/wl-paste targets
+  async checkLinuxClipboard () {
+    if (!this.isLinux) return null
+    const targets = await this.withLinuxTool(backend => backend.listTargets())
+    if (!targets) return null
+    if (targets.length === 0) return 'empty'
+    if (targets.some(t => t.toLowerCase().startsWith('image/'))) return 'image'
+    return 'text'
+  }
+
+  // Linux-specific method to read image from clipboard, negotiating the best image target
+  async readLinuxImage () {
+    if (!this.isLinux) return null
+    return this.withLinuxTool(backend => backend.readImage())
+  }
+
+  // Linux-specific method to write image to clipboard. Resolves null when neither xclip nor wl-copy is installed.
+  async writeLinuxImage (imagePath) {
+    if (!this.isLinux) return null
+    return this.withLinuxTool(backend => backend.writeImage(imagePath))
+  }
+
+  // Read text from the active X11/Wayland selection
+  async readSelectionText () {
+    this.assertSelectionSupported()
+    const text = await this.withLinuxTool(backend => backend.read())
+    if (text === null) throw new Error(`The ${this.selection} selection requires xclip (X11) or wl-clipboard (Wayland)`)
+    return text
+  }
+
+  // Write (or with clear: true, release) the active X11/Wayland selection
+  async writeSelectionText (content, { clear = false } = {}) {
+    this.assertSelectionSupported()
+    const ok = await this.withLinuxTool(backend => (clear ? backend.clear() : backend.write(content)))
+    if (ok === null) throw new Error(`The ${this.selection} selection requires xclip (X11) or wl-clipboard (Wayland)`)
+    return ok
+  }
+
+  // Content type of the active X11/Wayland selection
+  async getSelectionContentType () {
+    return (await this._readSelectionClassified()).type
+  }
+
+  async _readSelectionClassified () {
+    this.assertSelectionSupported()
+    const type = await this.checkLinuxClipboard()
+    if (type === null) throw new Error(`The ${this.selection} selection requires xclip (X11) or wl-clipboard (Wayland)`)
+    if (type !== 'text') return { type, text: '' }
+    const text = await this.readSelectionText()
+    if (!text.trim()) return { type: 'empty', text }
+    return { type: this.isBinaryData(text) ? 'binary' : 'text', text }
+  }
+
+  // Linux-specific method to list clipboard formats as MIME types
+  async listLinuxFormats () {
+    if (!this.isLinux) return null
+    return this.withLinuxTool(backend => backend.listFormats())
+  }
+
+  // Linux-specific method to read one clipboard target as raw bytes
+  async readLinuxFormat (mime) {
+    if (!this.isLinux) return null
+    return this.withLinuxTool(backend => backend.readFormat(mime))
+  }
+
+  // macOS-specific method to list clipboard formats from `clipboard info`
+  async listMacFormats () {
+    if (process.platform !== 'darwin') return null
+    const res = await this.runClipboardTool('osascript', ['-e', 'clipboard info'], { phase: 'mac.formats' })
+    if (!res || res.code !== 0) return null
+    return parseMacClipboardInfo(res.stdout.toString('utf8'))
+  }
+
+  // macOS-specific method to read one clipboard class; AppleScript prints raw data as «data XXXX<hex>»
+  async readMacFormat (mime) {
+    if (process.platform !== 'darwin') return null
+    if (mime === 'text/uri-list') {
+      const res = await this.runClipboardTool('osascript', ['-e', 'POSIX path of (the clipboard as «class furl»)'], { phase: 'mac.readFormat' })
+      if (!res || res.code !== 0) return null
+      const filePath = res.stdout.toString('utf8').trim()
+      return filePath ? Buffer.from(pathsToUriList([filePath]), 'utf8') : null
+    }
+    const code = macClassForMime(mime)
+    if (!code) return null
+    const res = await this.runClipboardTool('osascript', ['-e', `the clipboard as «class ${code}»`], { timeoutMs: 10000, phase: 'mac.readFormat' })
+    if (!res || res.code !== 0) return null
+    const match = res.stdout.toString('utf8').match(/«data .{4}([0-9A-Fa-f]*)»/)
+    if (!match || !match[1]) return null
+    return Buffer.from(match[1], 'hex')
+  }
+
+  // Windows-specific helper to run a PowerShell script from a temp file and return its stdout
+  async runWindowsScript (scriptContent, { timeoutMs = 10000, phase = 'windows.script' } = {}) {
+    if (!this.isWindows) return null
+    const tempScript = path.join(os.tmpdir(), `clipaste-script-${Date.now()}.ps1`)
+    try {
+      fs.writeFileSync(tempScript, scriptContent)
+    } catch (error) {
+      return null
+    }
+    try {
+      const res = await this.runClipboardTool('powershell.exe', [
+        '-NoProfile',
+        '-NonInteractive',
+        '-ExecutionPolicy',
+        'Bypass',
+        '-File',
+        tempScript
+      ], { timeoutMs, phase })
+      if (!res || res.code !== 0) return null
+      return res.stdout.toString('utf8')
+    } finally {
+      try {
+        if (fs.existsSync(tempScript)) fs.unlinkSync(tempScript)
+      } catch (e) { /* ignore */ }
+    }
+  }
+
+  // Windows-specific method to list clipboard formats as MIME types
+  async listWindowsFormats () {
+    if (!this.isWindows) return null
+    const output = await this.runWindowsScript(`Add-Type -AssemblyName System.Windows.Forms
+$clipboard = [System.Windows.Forms.Clipboard]::GetDataObject()
+if ($null -ne $clipboard) {
+    foreach ($format in $clipboard.GetFormats()) { Write-Output $format }
+}`, { phase: 'windows.formats' })
+    if (output == null) return null
+    const names = output.split(/\r?\n/).map(s => s.trim()).filter(Boolean)
+    return uniqueFormats(names.map(n => WINDOWS_FORMAT_MIME[n] || `application/x-windows-${formatSlug(n)}`))
+  }
+
+  // Windows-specific method to read one clipboard format as raw bytes
+  async readWindowsFormat (mime) {
+    if (!this.isWindows) return null
+    if (mime === 'image/png') {
+      const img = await this.readWindowsImage()
+      return img ? img.data : null
+    }
+    const names = windowsFormatsForMime(mime)
+    if (!names.length) return null
+    const quoted = names.map(n => `'${n.replace(/'/g, "''")}'`).join(', ')
+    const output = await this.runWindowsScript(`Add-Type -AssemblyName System.Windows.Forms
+$clipboard = [System.Windows.Forms.Clipboard]::GetDataObject()
+foreach ($name in @(${quoted})) {
+    if ($null -ne $clipboard -and $clipboard.GetDataPresent($name)) {
+        $data = $clipboard.GetData($name)
+        if ($data -is [System.IO.MemoryStream]) { $bytes = $data.ToArray() }
+        elseif ($data -is [string[]]) { $bytes = [System.Text.Encoding]::UTF8.GetBytes(($data -join "\`n")) }
+        else { $bytes = [System.Text.Encoding]::UTF8.GetBytes([string]$data) }
+        Write-Output ("data:" + [Convert]::ToBase64String($bytes))
+        exit 0
+    }
+}
+Write-Output "no-data"`, { phase: 'windows.readFormat' })
+    const match = output && output.trim().match(/^data:([A-Za-z0-9+/=]*)$/)
+    if (!match) return null
+    const data = Buffer.from(match[1], 'base64')
+    if (mime === 'text/html') return Buffer.from(extractCfHtml(data.toString('utf8')), 'utf8')
+    if (mime === 'text/uri-list') return Buffer.from(pathsToUriList(data.toString('utf8').split('\n')), 'utf8')
+    return data
+  }
+
+  /**
+   * List every format currently offered by the clipboard as MIME types
+   * (e.g. text/plain, text/html, image/png, text/uri-list, application/x-...).
+   * Falls back to the detected content type when no platform enumeration is available.
+   * @returns {Promise<string[]>}
+   */
+  async listFormats () {
+    try {
+      if (_injectedFormatBackend) {
+        return uniqueFormats((await _injectedFormatBackend.listFormats()) || [])
+      }
+      const backend = this.getBackend()
+      if (backend) return uniqueFormats(await backend.listFormats())
+
+      this.assertSelectionSupported()
+      let formats = null
+      if (this.isLinux) formats = await this.listLinuxFormats()
+      else if (process.platform === 'darwin') formats = await this.listMacFormats()
+      else if (this.isWindows) formats = await this.listWindowsFormats()
+      if (formats) return formats
+
+      const type = await this.getContentType()
+      if (type === 'text' || type === 'binary') return ['text/plain']
+      if (type === 'image') {
+        const img = await this.readImage()
+        return img ? [`image/${img.format}`] : []
+      }
+      return []
+    } catch (error) {
+      throw new Error(`Failed to list clipboard formats: ${error.message}`)
+    }
+  }
+
+  /**
+   * Read a single clipboard representation by MIME type
+   * @param {string} mime - e.g. 'text/html'
+   * @returns {Promise<Buffer|null>} raw bytes, or null when the clipboard does not offer that format
+   */
+  async readFormat (mime) {
+    const wanted = String(mime || '').trim().toLowerCase()
+    if (!wanted) throw new Error('A MIME type is required')
+    try {
+      if (_injectedFormatBackend) {
+        const data = await _injectedFormatBackend.readFormat(wanted)
+        if (data == null) return null
+        return Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8')
+      }
+      const backend = this.getBackend()
+      if (backend) {
+        const data = await backend.readFormat(wanted)
+        return data && data.length > 0 ? data : null
+      }
+
+      this.assertSelectionSupported()
+      if (wanted === 'text/plain') {
+        const text = await this.readText()
+        return text ? Buffer.from(text, 'utf8') : null
+      }
+
+      let data = null
+      if (this.isLinux) data = await this.readLinuxFormat(wanted)
+      else if (process.platform === 'darwin') data = await this.readMacFormat(wanted)
+      else if (this.isWindows) data = await this.readWindowsFormat(wanted)
+      if (data && data.length > 0) return data
+
+      // Data-URL images travel as text on every platform
+      if (wanted.startsWith('image/')) {
+        const img = await this.readImage()
+        if (img && `image/${img.format}` === wanted) return img.data
+      }
+      return null
+    } catch (error) {
+      throw new Error(`Failed to read ${wanted} from clipboard: ${error.message}`)
+    }
+  }
+
+  /**
+   * Read the rich text/html representation as a string
+   * @returns {Promise<string|null>} HTML markup, or null when the clipboard has no HTML
+   */
+  async readHtml () {
+    const data = await this.readFormat('text/html')
+    if (!data || data.length === 0) return null
+    // Firefox on X11 offers text/html as UTF-16 with a byte order mark
+    if (data[0] === 0xff && data[1] === 0xfe) return data.slice(2).toString('utf16le')
+    return data.toString('utf8').replace(/^\uFEFF/, '')
+  }
+
   async hasContent () {
+    const backend = this.getBackend()
+    if (backend) {
+      return this._viaBackend('Failed to read clipboard', async () => (await this.getBackendContentType(backend)) !== 'empty')
+    }
+
     // In headless environments, simulate empty clipboard
     // For unit tests with injected dependencies, don't treat as headless
     if (isHeadlessEnvironment(!_injectedClipboardy)) {
@@ -220,6 +762,7 @@ if ($null -eq $clipboard) {
     }
 
     try {
+      if (this.usesSelectionTools()) return (await this.getSelectionContentType()) !== 'empty'
       if (this._snapshotValid()) return !this._snapshot.isEmpty
       const clipboardy = await getClipboardy()
       let lastContentRead = ''
@@ -252,6 +795,11 @@ if ($null -eq $clipboard) {
               return false
             }
           }
+          // On Linux, text readers fail when only non-text targets are offered; check for an image
+          if (this.isLinux) {
+            const linuxType = await this.checkLinuxClipboard()
+            if (linuxType === 'image') { this._updateSnapshot('', 'image'); return true }
+          }
           // Re-throw other errors on final attempt
           if (attempt === 2) throw error
         }
@@ -278,6 +826,12 @@ if ($null -eq $clipboard) {
         }
       }
 
+      // On Linux, an image-only clipboard reads as empty text; inspect the offered targets
+      if (this.isLinux) {
+        const linuxType = await this.checkLinuxClipboard()
+        if (linuxType === 'image') { this._updateSnapshot('', 'image'); return true }
+      }
+
       return false
     } catch (error) {
       // In case of clipboard access errors, simulate empty clipboard in headless environments
@@ -289,6 +843,9 @@ if ($null -eq $clipboard) {
   }
 
   async readText () {
+    const backend = this.getBackend()
+    if (backend) return this._viaBackend('Failed to read text from clipboard', () => backend.read())
+
     // In headless environments, return empty string
     if (isHeadlessEnvironment(!_injectedClipboardy)) {
       return ''
@@ -301,6 +858,7 @@ if ($null -eq $clipboard) {
     }
 
     try {
+      if (this.usesSelectionTools()) return await this.readSelectionText()
       const clipboardy = await getClipboardy()
       let finalContent = ''
       for (let attempt = 0; attempt < 3; attempt++) {
@@ -325,6 +883,10 @@ if ($null -eq $clipboard) {
             if (winType === 'image') { this._updateSnapshot('', 'image'); throw new Error('Clipboard contains image data, not text. Use readImage() instead.') }
             if (winType === 'empty' || winType === null) { this._updateSnapshot('', 'empty'); return '' }
           }
+          if (this.isLinux) {
+            const linuxType = await this.checkLinuxClipboard()
+            if (linuxType === 'image') { this._updateSnapshot('', 'image'); throw new Error('Clipboard contains image data, not text. Use readImage() instead.') }
+          }
           // Re-throw other errors on final attempt
           if (attempt === 2) throw error
         }
@@ -342,13 +904,37 @@ if ($null -eq $clipboard) {
     }
   }
 
-  async writeText (content) {
+  /**
+   * @param {string} content
+   * @param {{ifMatch?: string}} [opts] - ifMatch: only write while the clipboard still hashes to this
+   *   sha256 (see getSha256()); otherwise throws ClipboardChangedError
+   */
+  async writeText (content, opts = {}) {
+    const backend = this.getBackend()
+    if (opts.ifMatch) {
+      // The daemon compares and writes in one request
+      if (backend && typeof backend.writeText === 'function') return backend.writeText(content, opts)
+      await this.assertUnchanged(opts.ifMatch)
+    }
+    if (backend) {
+      return this._viaBackend('Failed to write text to clipboard', async () => {
+        await backend.write(content)
+        this._invalidateSnapshot()
+        return true
+      })
+    }
+
     // In headless environments, simulate successful write
     if (isHeadlessEnvironment(!_injectedClipboardy)) {
       return true
     }
 
     try {
+      if (this.usesSelectionTools()) {
+        await this.writeSelectionText(content)
+        this._invalidateSnapshot()
+        return true
+      }
       const clipboardy = await getClipboardy()
       const t0 = phaseEnabled() ? performance.now() : 0
       await clipboardy.write(content)
@@ -364,13 +950,42 @@ if ($null -eq $clipboard) {
     }
   }
 
+  /**
+   * SHA-256 identifying the current clipboard content, as printed by `get --print-sha`
+   * @returns {Promise<string>} readAll()'s sha256, or the hash of no bytes when the clipboard is empty
+   */
+  async getSha256 () {
+    this._invalidateSnapshot()
+    return (await this.readAll()).sha256 || EMPTY_SHA256
+  }
+
+  // Throws ClipboardChangedError unless the clipboard still hashes to `expected`
+  async assertUnchanged (expected) {
+    const actual = await this.getSha256()
+    if (actual !== String(expected).trim().toLowerCase()) throw new ClipboardChangedError(expected, actual)
+  }
+
   async clear () {
+    const backend = this.getBackend()
+    if (backend) {
+      return this._viaBackend('Failed to clear clipboard', async () => {
+        await backend.clear()
+        this._invalidateSnapshot()
+        return true
+      })
+    }
+
     // In headless environments, simulate successful clear
     if (isHeadlessEnvironment(!_injectedClipboardy)) {
       return true
     }
 
     try {
+      if (this.usesSelectionTools()) {
+        await this.writeSelectionText('', { clear: true })
+        this._invalidateSnapshot()
+        return true
+      }
       const clipboardy = await getClipboardy()
       const t0 = phaseEnabled() ? performance.now() : 0
       await clipboardy.write('')
@@ -518,6 +1133,16 @@ try {
   }
 
   async writeImage (imagePath) {
+    const backend = this.getBackend()
+    if (backend) {
+      return this._viaBackend('Failed to write image to clipboard', async () => {
+        if (!fs.existsSync(imagePath)) throw new Error(`Image file not found: ${imagePath}`)
+        const ok = await backend.writeImage(imagePath)
+        if (ok) this._invalidateSnapshot()
+        return ok
+      })
+    }
+
     // In headless environments, simulate successful write
     if (isHeadlessEnvironment(!_injectedClipboardy)) {
       return true
@@ -528,6 +1153,7 @@ try {
       if (!fs.existsSync(imagePath)) {
         throw new Error(`Image file not found: ${imagePath}`)
       }
+      this.assertSelectionSupported()
 
       // Platform-specific implementation
       if (process.platform === 'darwin') {
@@ -538,15 +1164,104 @@ try {
         const ok = await this.writeWindowsImage(imagePath)
         if (ok) this._invalidateSnapshot()
         return ok
+      } else if (this.isLinux) {
+        const ok = await this.writeLinuxImage(imagePath)
+        if (ok === null) {
+          throw new Error('Linux image-to-clipboard requires xclip (X11) or wl-clipboard (Wayland)')
+        }
+        if (ok) this._invalidateSnapshot()
+        return ok
       } else {
-        // TODO: Implement Linux image writing
-        throw new Error('Linux image-to-clipboard functionality not yet implemented')
+        throw new Error(`Image-to-clipboard is not supported on ${process.platform}`)
       }
     } catch (error) {
       throw new Error(`Failed to write image to clipboard: ${error.message}`)
     }
   }
 
+  /**
+   * Put references to files on the clipboard as a text/uri-list, like copying them in a file manager
+   * @param {string[]} paths - files or directories; relative paths resolve against the working directory
+   */
+  async writeFiles (paths) {
+    const files = (paths || []).map(p => path.resolve(String(p)))
+    try {
+      if (!files.length) throw new Error('No files given')
+      const missing = files.find(f => !fs.existsSync(f))
+      if (missing) throw new Error(`File not found: ${missing}`)
+
+      const backend = this.getBackend()
+      let ok
+      if (backend) {
+        ok = await backend.writeFiles(files)
+      } else if (isHeadlessEnvironment(!_injectedClipboardy)) {
+        return true
+      } else {
+        this.assertSelectionSupported()
+        if (process.platform === 'darwin') ok = await this.writeMacFiles(files)
+        else if (this.isWindows) ok = await this.writeWindowsFiles(files)
+        else if (this.isLinux) {
+          ok = await this.withLinuxTool(b => b.writeFiles(files))
+          if (ok === null) throw new Error('Copying files on Linux requires xclip (X11) or wl-clipboard (Wayland)')
+        } else {
+          throw new Error(`Copying files is not supported on ${process.platform}`)
+        }
+      }
+      if (ok) this._invalidateSnapshot()
+      return ok
+    } catch (error) {
+      throw new Error(`Failed to copy files to clipboard: ${error.message}`)
+    }
+  }
+
+  // macOS-specific method to put file references («class furl») on the clipboard
+  async writeMacFiles (files) {
+    if (process.platform !== 'darwin') return null
+    const refs = files.map(f => `POSIX file "${f.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`)
+    const script = `set the clipboard to ${refs.length === 1 ? refs[0] : `{${refs.join(', ')}}`}`
+    const res = await this.runClipboardTool('osascript', ['-e', script], { phase: 'mac.writeFiles' })
+    return !!res && res.code === 0
+  }
+
+  // Windows-specific method to place a FileDrop list on the clipboard
+  async writeWindowsFiles (files) {
+    if (!this.isWindows) return null
+    const quoted = files.map(f => `'${f.replace(/'/g, "''")}'`).join(', ')
+    const output = await this.runWindowsScript(`Set-Clipboard -LiteralPath @(${quoted})`, { phase: 'windows.writeFiles' })
+    return output !== null
+  }
+
+  /**
+   * Paths of the files on the clipboard
+   * @returns {Promise<string[]>} local paths from the text/uri-list ([] when the clipboard holds no file list)
+   */
+  async readFiles () {
+    const data = await this.readFormat('text/uri-list')
+    return data ? uriListToPaths(data.toString('utf8')) : []
+  }
+
+  /**
+   * Raw bytes of binary clipboard content: the first binary format on offer (e.g. application/pdf),
+   * else the bytes behind the text representation
+   * @returns {Promise<Buffer|null>} null when the clipboard is empty
+   */
+  async readBinary () {
+    try {
+      const mime = (await this.listFormats()).find(isBinaryMime)
+      const data = mime ? await this.readFormat(mime) : null
+      if (data) return data
+      // clipboardy decodes as UTF-8, which mangles non-text bytes; ask xclip/wl-paste for the raw target
+      if (!_injectedFormatBackend && !this.getBackend() && this.isLinux) {
+        const raw = await this.readLinuxFormat('text/plain')
+        if (raw && raw.length > 0) return raw
+      }
+      const text = await this.readText()
+      return text ? Buffer.from(text, 'utf8') : null
+    } catch (error) {
+      throw new Error(`Failed to read binary data from clipboard: ${error.message}`)
+    }
+  }
+
   // Windows-specific method to read image from clipboard using PowerShell
   async readWindowsImage () {
     if (!this.isWindows) return null
@@ -783,6 +1498,13 @@ end try`
   }
 
   async readImage () {
+    const backend = this.getBackend()
+    if (backend) return this._viaBackend('Failed to read image from clipboard', () => backend.readImage())
+
+    if (this.usesSelectionTools()) {
+      this.assertSelectionSupported()
+      return this.readLinuxImage()
+    }
     try {
       const clipboardy = await getClipboardy()
       let content
@@ -796,6 +1518,11 @@ end try`
           const winImage = await this.readWindowsImage()
           if (winImage) return winImage
         }
+        // On Linux, text readers fail on image-only clipboards; read the image target directly
+        if (this.isLinux) {
+          const linuxImage = await this.readLinuxImage()
+          if (linuxImage) return linuxImage
+        }
         throw error
       }
 
@@ -822,6 +1549,12 @@ end try`
         }
       }
 
+      // On Linux, negotiate an image target through xclip or wl-paste
+      if (this.isLinux) {
+        const linuxImage = await this.readLinuxImage()
+        if (linuxImage) return linuxImage
+      }
+
       // For now, we'll focus on text content
       // Image clipboard support varies by platform and would need native bindings
       return null
@@ -869,59 +1602,151 @@ end try`
   }
 
   async getContentType () {
+    const backend = this.getBackend()
+    if (backend) return this._viaBackend('Failed to determine clipboard content type', () => this.getBackendContentType(backend))
+
     try {
+      if (this.usesSelectionTools()) return await this.getSelectionContentType()
       // In test mode skip snapshot fast-path to avoid stale mocked sequence expectations
       if (this._snapshotValid() && !this._testMode()) return this._snapshot.type
-      const clipboardy = await getClipboardy()
-      let content
-      try {
-        const t0 = phaseEnabled() ? performance.now() : 0
-        content = await clipboardy.read()
-        if (phaseEnabled()) _recordPhase('clipboardy.read', performance.now() - t0)
-      } catch (error) {
-        // On Windows, if clipboardy fails with various clipboard errors, check via PowerShell
-        if (this.isWindows && (
-          error.message.includes('Element not found') ||
-          error.message.includes('Elementtiä ei löydy') ||
-          error.message.includes('Could not paste from clipboard') ||
-          error.message.includes('thread \'main\' panicked')
-        )) {
-          const winType = await this.checkWindowsClipboard()
-          if (winType === 'image') return 'image'
-          if (winType === 'text') return 'text'
-          if (winType === 'empty') return 'empty'
-        }
-        throw error
-      }
+      return (await this._readClassified()).type
+    } catch (error) {
+      throw new Error(`Failed to determine clipboard content type: ${error.message}`)
+    }
+  }
 
-      if (!content || content.trim().length === 0) {
-        // On macOS, if clipboardy returned empty, check if there's image content
-        if (process.platform === 'darwin') {
-          const macType = await this.checkMacClipboard()
-          if (macType === 'image') return 'image'
-          if (macType === 'text') return 'text'
-          if (macType === 'empty') return 'empty'
-        }
-        this._updateSnapshot(content || '', 'empty')
-        return 'empty'
+  // One clipboardy read classified as { type, text }. Platform probes answer when the read fails or comes
+  // back empty; they report a type without text.
+  async _readClassified () {
+    const clipboardy = await getClipboardy()
+    let content
+    try {
+      const t0 = phaseEnabled() ? performance.now() : 0
+      content = await clipboardy.read()
+      if (phaseEnabled()) _recordPhase('clipboardy.read', performance.now() - t0)
+    } catch (error) {
+      // On Windows, if clipboardy fails with various clipboard errors, check via PowerShell
+      if (this.isWindows && (
+        error.message.includes('Element not found') ||
+        error.message.includes('Elementtiä ei löydy') ||
+        error.message.includes('Could not paste from clipboard') ||
+        error.message.includes('thread \'main\' panicked')
+      )) {
+        const winType = await this.checkWindowsClipboard()
+        if (winType === 'image' || winType === 'text' || winType === 'empty') return { type: winType, text: '' }
+      }
+      if (this.isLinux) {
+        const linuxType = await this.checkLinuxClipboard()
+        if (linuxType === 'image') { this._updateSnapshot('', 'image'); return { type: 'image', text: '' } }
+        if (linuxType === 'empty') return { type: 'empty', text: '' }
       }
+      throw error
+    }
 
-      if (this.isBase64Image(content)) {
-        this._updateSnapshot(content, 'image')
-        return 'image'
+    if (!content || content.trim().length === 0) {
+      // On macOS, if clipboardy returned empty, check if there's image content
+      if (process.platform === 'darwin') {
+        const macType = await this.checkMacClipboard()
+        if (macType === 'image' || macType === 'text' || macType === 'empty') return { type: macType, text: '' }
+      }
+      // On Linux, an image-only clipboard reads as empty text
+      if (this.isLinux) {
+        const linuxType = await this.checkLinuxClipboard()
+        if (linuxType === 'image') { this._updateSnapshot('', 'image'); return { type: 'image', text: '' } }
       }
+      this._updateSnapshot(content || '', 'empty')
+      return { type: 'empty', text: content || '' }
+    }
+
+    const type = this._classifyText(content)
+    this._updateSnapshot(content, type)
+    return { type, text: content }
+  }
 
-      // Check if content looks like binary data
-      if (this.isBinaryData(content)) {
-        this._updateSnapshot(content, 'binary')
-        return 'binary'
+  // Image bytes from the platform tools, for clipboards that hold an image rather than a data URL
+  async _readNativeImage () {
+    if (this.usesSelectionTools() || this.isLinux) return this.readLinuxImage()
+    if (this.isWindows) return this.readWindowsImage()
+    if (process.platform === 'darwin') return this.readMacImage()
+    return null
+  }
+
+  /**
+   * Read the clipboard once and return everything the CLI needs to know about it, instead of
+   * separate hasContent(), getContentType(), readText() and readImage() calls.
+   * @param {{image?: boolean, formats?: boolean}} [opts] - image: false skips fetching image bytes;
+   *   formats: true enumerates every offered MIME type (an extra platform call) instead of deriving them;
+   *   without it, formats are only listed when the text looks like a file manager's file list
+   * @returns {Promise<{isEmpty: boolean, type: string, text: string, image: ({format: string, data: Buffer}|null),
+   *   files: (string[]|null), formats: string[], sha256: (string|null), readAt: string}>} type is 'files' when the clipboard
+   *   holds a file list (files lists the paths); sha256 covers the image bytes or file paths when present, else the text
+   */
+  async readAll (opts = {}) {
+    const t0 = phaseEnabled() ? performance.now() : 0
+    const backend = this.getBackend()
+    let result
+    if (backend && typeof backend.readAll === 'function') {
+      result = await this._viaBackend('Failed to read clipboard', () => backend.readAll(opts))
+    } else {
+      try {
+        result = await this._readAllDirect(backend, opts)
+      } catch (error) {
+        throw new Error(`Failed to read clipboard: ${error.message}`)
       }
+    }
+    if (phaseEnabled()) _recordPhase('readAll', performance.now() - t0)
+    return result
+  }
 
-      this._updateSnapshot(content, 'text')
-      return 'text'
-    } catch (error) {
-      throw new Error(`Failed to determine clipboard content type: ${error.message}`)
+  async _readAllDirect (backend, opts) {
+    const readAt = new Date().toISOString()
+    let classified
+    if (backend) classified = await this._readBackendClassified(backend)
+    else if (isHeadlessEnvironment(!_injectedClipboardy)) {
+      return { isEmpty: true, type: 'empty', text: '', image: null, files: null, formats: [], sha256: null, readAt }
+    } else if (this.usesSelectionTools()) classified = await this._readSelectionClassified()
+    else if (this._snapshotValid()) classified = { type: this._snapshot.type, text: this._snapshot.raw }
+    else classified = await this._readClassified()
+
+    let { type } = classified
+    let text = classified.text || ''
+    // PowerShell/AppleScript probes detect text without returning it
+    if ((type === 'text' || type === 'binary') && !text) text = await this.readText()
+
+    let image = null
+    if (type === 'image' && opts.image !== false) {
+      image = (this.isBase64Image(text) && this.parseBase64Image(text)) ||
+        (backend ? await backend.readImage() : await this._readNativeImage())
     }
+
+    let formats = classified.formats || null
+    // Text that could stand for copied files is checked for a text/uri-list beside it
+    if (opts.formats || (!formats && type === 'text' && mayBeFileList(text))) formats = await this.listFormats()
+    else if (!formats) {
+      if (type === 'text' || type === 'binary') formats = ['text/plain']
+      else formats = image ? [`image/${image.format}`] : []
+    }
+
+    // File managers put copied files on the clipboard as a text/uri-list
+    let files = null
+    if (type !== 'image' && formats.includes('text/uri-list')) {
+      files = uriListToPaths(text)
+      if (!files.length) files = await this.readFiles()
+      if (files.length) {
+        type = 'files'
+      } else {
+        // A uri-list of web links is not a file list
+        files = null
+        if (type === 'files') type = 'empty'
+      }
+    }
+
+    let sha256 = null
+    if (image) sha256 = crypto.createHash('sha256').update(image.data).digest('hex')
+    else if (files) sha256 = crypto.createHash('sha256').update(files.join('\n')).digest('hex')
+    else if (type !== 'empty' && text) sha256 = crypto.createHash('sha256').update(text).digest('hex')
+
+    return { isEmpty: type === 'empty', type, text, image, files, formats, sha256, readAt }
   }
 
   isBinaryData (content) {
@@ -949,7 +1774,14 @@ end try`
 }
 
 module.exports = ClipboardManager
+module.exports.backends = backends
+module.exports.AUTO_BACKEND = AUTO_BACKEND
+module.exports.SELECTIONS = SELECTIONS
+module.exports.normalizeSelection = normalizeSelection
+module.exports.ClipboardChangedError = ClipboardChangedError
+module.exports.EMPTY_SHA256 = EMPTY_SHA256
 module.exports.__setMockClipboardy = (mock) => { _injectedClipboardy = mock }
+module.exports.__setMockFormatBackend = (mock) => { _injectedFormatBackend = mock }
 module.exports.getPhaseStats = (reset = false) => {
   if (!phaseEnabled()) return {}
   const out = {}
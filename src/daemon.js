@@ -0,0 +1,305 @@
+const net = require('net')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ClipboardManager = require('./clipboard')
+const { encodeValue, decodeValue } = require('./backends/daemon')
+const { resolveConfigDir } = require('./utils/config')
+
+// ClipboardManager methods the daemon serves; anything else is rejected
+const DAEMON_OPS = new Set([
+  'hasContent',
+  'readText',
+  'writeText',
+  'readImage',
+  'writeImage',
+  'writeFiles',
+  'getContentType',
+  'listFormats',
+  'readFormat',
+  'readAll',
+  'clear'
+])
+
+// backendConfig fields naming files or devices; a client cannot point the daemon's backends elsewhere
+const CLIENT_PATH_FIELDS = ['dir', 'tty', 'socket']
+
+function getDaemonSocketPath () {
+  if (process.env.CLIPASTE_DAEMON_SOCKET) return process.env.CLIPASTE_DAEMON_SOCKET
+  // Pipe names are machine-wide, so each user gets their own
+  if (process.platform === 'win32') return `\\\\.\\pipe\\clipaste-daemon-${currentUser().replace(/[^\w.-]/g, '_')}`
+  return path.join(resolveConfigDir(), 'daemon.sock')
+}
+
+function currentUser () {
+  try {
+    return os.userInfo().username
+  } catch {
+    return process.env.USERNAME || process.env.USER || 'default'
+  }
+}
+
+// The socket's directory must not let anyone else replace or remove it
+function checkSocketDir (dir) {
+  const stats = fs.statSync(dir)
+  const foreign = typeof process.getuid === 'function' && stats.uid !== process.getuid()
+  if (foreign || (stats.mode & 0o002)) {
+    throw new Error(`Refusing to listen in ${dir}: it must be owned by you and not writable by others`)
+  }
+}
+
+// Split a stream of newline-delimited JSON messages
+function onMessages (socket, handler) {
+  let pending = ''
+  socket.on('data', (chunk) => {
+    pending += chunk.toString('utf8')
+    let idx
+    while ((idx = pending.indexOf('\n')) !== -1) {
+      const line = pending.slice(0, idx)
+      pending = pending.slice(idx + 1)
+      if (!line.trim()) continue
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch {
+        continue
+      }
+      handler(message)
+    }
+  })
+}
+
+/**
+ * Long-lived process that owns clipboard backends and their snapshot caches and
+ * serves them over a local socket (newline-delimited JSON, one reply per request).
+ */
+class ClipboardDaemon {
+  constructor (opts = {}) {
+    this.socketPath = opts.socketPath || getDaemonSocketPath()
+    this.verbose = !!opts.verbose
+    this.managers = new Map()
+    this.server = null
+    this.startedAt = null
+    this.requests = 0
+    this._connections = new Set()
+    // Resolves once the daemon has stopped (shutdown request or stop())
+    this.closed = new Promise(resolve => { this._resolveClosed = resolve })
+  }
+
+  // One manager per backend/selection pair, created on first use and kept warm
+  getManager ({ backend = 'auto', selection = 'clipboard', backendConfig = {}, headlessBackend = null } = {}) {
+    backendConfig = Object.fromEntries(Object.entries(backendConfig || {}).filter(([field]) => !CLIENT_PATH_FIELDS.includes(field)))
+    const key = JSON.stringify([backend, selection, backendConfig, headlessBackend])
+    if (!this.managers.has(key)) {
+      this.managers.set(key, new ClipboardManager({ backend, selection, backendConfig, headlessBackend: headlessBackend || undefined }))
+    }
+    return this.managers.get(key)
+  }
+
+  status () {
+    return {
+      pid: process.pid,
+      socket: this.socketPath,
+      uptimeMs: this.startedAt ? Date.now() - this.startedAt : 0,
+      requests: this.requests,
+      managers: this.managers.size
+    }
+  }
+
+  async handle (message) {
+    const { op } = message
+    if (op === 'ping') return this.status()
+    if (op === 'shutdown') {
+      setImmediate(() => this.stop())
+      return this.status()
+    }
+    if (!DAEMON_OPS.has(op)) throw new Error(`Unknown daemon operation '${op}'`)
+    this.requests++
+    const manager = this.getManager(message)
+    return manager[op](...decodeValue(message.args || []))
+  }
+
+  async start () {
+    await this.removeStaleSocket()
+    await fs.promises.mkdir(path.dirname(this.socketPath), { recursive: true, mode: 0o700 }).catch(() => {})
+    // mkdir's mode only applies to directories it creates
+    if (process.platform !== 'win32') checkSocketDir(path.dirname(this.socketPath))
+    this.server = net.createServer((socket) => {
+      this._connections.add(socket)
+      socket.on('close', () => this._connections.delete(socket))
+      socket.on('error', () => {})
+      onMessages(socket, async (message) => {
+        let reply
+        try {
+          reply = { id: message.id, ok: true, result: encodeValue(await this.handle(message)) }
+        } catch (error) {
+          reply = { id: message.id, ok: false, error: { message: error.message, code: error.code } }
+        }
+        if (this.verbose) console.error(`[daemon] ${message.op} ${reply.ok ? 'ok' : 'error: ' + reply.error.message}`)
+        if (!socket.destroyed) socket.write(JSON.stringify(reply) + '\n')
+      })
+    })
+    const unix = process.platform !== 'win32'
+    // The socket is created 0600 rather than chmod'ed after others could connect
+    const umask = unix ? process.umask(0o177) : null
+    try {
+      await new Promise((resolve, reject) => {
+        this.server.once('error', reject)
+        this.server.listen(this.socketPath, () => {
+          this.server.removeListener('error', reject)
+          resolve()
+        })
+      })
+    } finally {
+      if (unix) process.umask(umask)
+    }
+    this.startedAt = Date.now()
+    return this
+  }
+
+  // A socket file nobody answers on is left over from a crashed daemon
+  async removeStaleSocket () {
+    if (process.platform === 'win32' || !fs.existsSync(this.socketPath)) return
+    const client = await connectDaemon({ socketPath: this.socketPath, timeoutMs: 500 })
+    if (client) {
+      client.close()
+      throw new Error(`A clipaste daemon is already listening on ${this.socketPath}`)
+    }
+    fs.rmSync(this.socketPath, { force: true })
+  }
+
+  async stop () {
+    if (!this.server) return
+    const server = this.server
+    this.server = null
+    for (const socket of this._connections) socket.destroy()
+    await new Promise(resolve => server.close(() => resolve()))
+    if (process.platform !== 'win32') fs.rmSync(this.socketPath, { force: true })
+    this._resolveClosed()
+  }
+}
+
+/**
+ * Client side of the daemon protocol. Keeps one connection open and only holds
+ * the event loop open while requests are in flight.
+ */
+class DaemonClient {
+  constructor (opts = {}) {
+    this.socketPath = opts.socketPath || getDaemonSocketPath()
+    this.timeoutMs = opts.timeoutMs || 10000
+    this.socket = null
+    this._nextId = 1
+    this._pending = new Map()
+  }
+
+  connect (timeoutMs = this.timeoutMs) {
+    if (this.socket) return Promise.resolve(this)
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath)
+      const timer = setTimeout(() => {
+        socket.destroy()
+        reject(new Error(`Timed out connecting to clipaste daemon at ${this.socketPath}`))
+      }, timeoutMs)
+      socket.once('error', (error) => {
+        clearTimeout(timer)
+        reject(error)
+      })
+      socket.once('connect', () => {
+        clearTimeout(timer)
+        socket.removeAllListeners('error')
+        socket.on('error', (error) => this._failAll(error))
+        socket.on('close', () => {
+          this.socket = null
+          this._failAll(new Error('clipaste daemon closed the connection'))
+        })
+        onMessages(socket, (message) => this._settle(message))
+        socket.unref()
+        this.socket = socket
+        resolve(this)
+      })
+    })
+  }
+
+  async request (op, payload = {}, timeoutMs = this.timeoutMs) {
+    await this.connect()
+    const id = this._nextId++
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(id)
+        this._updateRef()
+        reject(new Error(`clipaste daemon did not answer '${op}' within ${timeoutMs}ms`))
+      }, timeoutMs)
+      this._pending.set(id, { resolve, reject, timer })
+      this._updateRef()
+      this.socket.write(JSON.stringify({ id, op, ...payload, args: encodeValue(payload.args || []) }) + '\n')
+    })
+  }
+
+  ping (timeoutMs) {
+    return this.request('ping', {}, timeoutMs)
+  }
+
+  shutdown () {
+    return this.request('shutdown')
+  }
+
+  close () {
+    if (this.socket) this.socket.destroy()
+    this.socket = null
+  }
+
+  _settle (message) {
+    const pending = this._pending.get(message.id)
+    if (!pending) return
+    this._pending.delete(message.id)
+    clearTimeout(pending.timer)
+    this._updateRef()
+    if (message.ok) {
+      pending.resolve(decodeValue(message.result))
+    } else {
+      const error = new Error(message.error && message.error.message)
+      if (message.error && message.error.code) error.code = message.error.code
+      pending.reject(error)
+    }
+  }
+
+  _failAll (error) {
+    for (const { reject, timer } of this._pending.values()) {
+      clearTimeout(timer)
+      reject(error)
+    }
+    this._pending.clear()
+  }
+
+  _updateRef () {
+    if (!this.socket) return
+    if (this._pending.size) this.socket.ref()
+    else this.socket.unref()
+  }
+}
+
+/**
+ * Connect to a running daemon.
+ * @returns {Promise<DaemonClient|null>} connected client, or null when no daemon answers
+ */
+async function connectDaemon (opts = {}) {
+  const socketPath = opts.socketPath || getDaemonSocketPath()
+  if (process.platform !== 'win32' && !fs.existsSync(socketPath)) return null
+  const client = new DaemonClient({ ...opts, socketPath })
+  try {
+    await client.connect(opts.timeoutMs || 1000)
+    await client.ping(opts.timeoutMs || 1000)
+    return client
+  } catch {
+    client.close()
+    return null
+  }
+}
+
+module.exports = {
+  DAEMON_OPS,
+  ClipboardDaemon,
+  DaemonClient,
+  connectDaemon,
+  getDaemonSocketPath
+}
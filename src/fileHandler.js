@@ -1,8 +1,47 @@
 const fs = require('fs').promises
 const path = require('path')
+const crypto = require('crypto')
 const { v4: uuidv4 } = require('uuid')
 const sharp = require('sharp')
-const { parseResizeSpec, extensionForTextContent } = require('./utils/transform')
+const { parseResizeSpec, applyImageOps, extensionForTextContent } = require('./utils/transform')
+const { renderNamePattern } = require('./utils/namePattern')
+const { writeFileAtomic, tempPathFor } = require('./utils/atomicWrite')
+
+// Extensions for textual clipboard formats saved verbatim (e.g. `paste --rich`)
+const TEXT_MIME_EXTENSIONS = {
+  'text/html': '.html',
+  'text/markdown': '.md',
+  'text/rtf': '.rtf',
+  'text/uri-list': '.txt',
+  'application/json': '.json'
+}
+
+// sharp output method for each --format value
+const IMAGE_ENCODERS = {
+  png: 'png',
+  jpeg: 'jpeg',
+  jpg: 'jpeg',
+  webp: 'webp',
+  avif: 'avif',
+  tiff: 'tiff',
+  tif: 'tiff',
+  gif: 'gif',
+  heif: 'heif'
+}
+
+// Maps content hashes to files in an output directory, for dedupe
+const INDEX_FILE = '.clipaste-index.json'
+
+// What paste does when its target file already exists
+const ON_EXIST_POLICIES = ['overwrite', 'skip', 'increment', 'error', 'append']
+
+function normalizeOnExist (policy) {
+  const value = String(policy || 'overwrite').toLowerCase()
+  if (!ON_EXIST_POLICIES.includes(value)) {
+    throw new Error(`Unknown on-exist policy '${policy}'. Use ${ON_EXIST_POLICIES.join(', ')}`)
+  }
+  return value
+}
 
 class FileHandler {
   constructor () {
@@ -14,20 +53,39 @@ class FileHandler {
     const {
       outputPath,
       filename,
-      extension = this.defaultTextExtension
+      extension = this.defaultTextExtension,
+      namePattern,
+      nameVars
     } = options
 
-    const filePath = this.generateFilePath(outputPath, filename, extension)
+    const target = this.generateFilePath(outputPath, filename, extension, { pattern: namePattern, vars: nameVars })
 
     try {
-      await this.ensureDirectoryExists(path.dirname(filePath))
-      await fs.writeFile(filePath, content, 'utf8')
-      return filePath
+      return await this.writeOutput(target, content, { ...options, appendable: true })
     } catch (error) {
       throw new Error(`Failed to save text file: ${error.message}`)
     }
   }
 
+  // Write clipboard bytes verbatim; the extension normally comes from detectBinaryType()
+  async saveBinary (data, options = {}) {
+    const {
+      outputPath,
+      filename,
+      extension = '.bin',
+      namePattern,
+      nameVars
+    } = options
+
+    const target = this.generateFilePath(outputPath, filename, extension, { pattern: namePattern, vars: nameVars })
+
+    try {
+      return await this.writeOutput(target, data, options)
+    } catch (error) {
+      throw new Error(`Failed to save binary file: ${error.message}`)
+    }
+  }
+
   async saveImage (imageData, options = {}) {
     const {
       outputPath,
@@ -35,20 +93,30 @@ class FileHandler {
       extension,
       format = 'png',
       quality = 90,
-      resize
+      resize,
+      ops,
+      lossless,
+      compressionLevel,
+      progressive,
+      stripMetadata,
+      keepExif,
+      maxBytes,
+      downscale,
+      onFit,
+      namePattern,
+      nameVars
     } = options
 
     const imageExtension = extension || `.${format}`
-    const filePath = this.generateFilePath(outputPath, filename, imageExtension)
 
     try {
-      await this.ensureDirectoryExists(path.dirname(filePath))
-
       let processedData = imageData
 
       // If it's a Buffer, process with sharp
       if (Buffer.isBuffer(imageData)) {
-        let sharpInstance = sharp(imageData)
+        // Parsed --op steps (see parseImageOp) run before resizing and encoding
+        const source = ops && ops.length ? await applyImageOps(imageData, ops) : imageData
+        let sharpInstance = sharp(source)
 
         // Apply optional resize if provided
         if (resize) {
@@ -75,34 +143,388 @@ class FileHandler {
           }
         }
 
-        switch (format.toLowerCase()) {
-          case 'jpeg':
-          case 'jpg':
-            processedData = await sharpInstance.jpeg({ quality }).toBuffer()
-            break
-          case 'png':
-            processedData = await sharpInstance.png().toBuffer()
-            break
-          case 'webp':
-            processedData = await sharpInstance.webp({ quality }).toBuffer()
-            break
-          default:
-            processedData = await sharpInstance.png().toBuffer()
+        // sharp drops metadata unless asked to keep it; stripping also bakes the EXIF orientation into the pixels
+        if (stripMetadata && keepExif) throw new Error('Metadata cannot be both stripped and kept')
+        if (stripMetadata) sharpInstance = sharpInstance.rotate()
+        // withMetadata() rather than keepExif(), which needs sharp 0.33
+        if (keepExif) sharpInstance = sharpInstance.withMetadata()
+
+        const encoder = this.imageEncoder(format)
+        const encoderOptions = this.imageEncoderOptions(encoder, { quality, lossless, compressionLevel, progressive })
+        if (maxBytes) {
+          const fit = await this.fitImageToBytes(sharpInstance, encoder, encoderOptions, maxBytes, { downscale })
+          if (onFit) onFit(fit)
+          processedData = fit.data
+        } else {
+          processedData = await sharpInstance[encoder](encoderOptions).toBuffer()
         }
       }
 
-      await fs.writeFile(filePath, processedData)
-      return filePath
+      // Name patterns can use the dimensions of the image as saved
+      let vars = nameVars
+      if (namePattern && Buffer.isBuffer(processedData)) {
+        const { width, height } = await sharp(processedData).metadata().catch(() => ({}))
+        vars = { ...nameVars, width: width || '', height: height || '' }
+      }
+      const target = this.generateFilePath(outputPath, filename, imageExtension, { pattern: namePattern, vars })
+      return await this.writeOutput(target, processedData, options)
     } catch (error) {
       throw new Error(`Failed to save image file: ${error.message}`)
     }
   }
 
-  chooseTextExtension (text) {
+  imageEncoder (format) {
+    const encoder = IMAGE_ENCODERS[String(format).toLowerCase()]
+    if (!encoder) {
+      throw new Error(`Unsupported image format '${format}'. Use ${Object.keys(IMAGE_ENCODERS).join(', ')}`)
+    }
+    const support = sharp.format && sharp.format[encoder === 'avif' ? 'heif' : encoder]
+    if (support && support.output && !support.output.buffer) {
+      throw new Error(`This build of sharp cannot write ${format} images`)
+    }
+    return encoder
+  }
+
+  // Options for sharp's encoder; each setting is rejected where the format has no use for it
+  imageEncoderOptions (encoder, { quality, lossless, compressionLevel, progressive } = {}) {
+    const opts = {}
+    if (['jpeg', 'webp', 'avif', 'heif'].includes(encoder)) opts.quality = quality
+    if (lossless) {
+      if (['jpeg', 'gif'].includes(encoder)) throw new Error(`Lossless output is not available for ${encoder}`)
+      // png and tiff are lossless already
+      if (['webp', 'avif', 'heif'].includes(encoder)) opts.lossless = true
+    }
+    if (compressionLevel != null) {
+      const level = Number(compressionLevel)
+      if (encoder !== 'png') throw new Error('Compression level applies to png output only')
+      if (!Number.isInteger(level) || level < 0 || level > 9) throw new Error(`Invalid PNG compression level '${compressionLevel}'. Use 0-9`)
+      opts.compressionLevel = level
+    }
+    if (progressive) {
+      if (!['jpeg', 'png'].includes(encoder)) throw new Error(`Progressive output applies to jpeg and png only, not ${encoder}`)
+      opts.progressive = true
+    }
+    // Prebuilt sharp binaries ship the AV1 HEIF encoder, not HEVC
+    if (encoder === 'heif') opts.compression = 'av1'
+    return Object.keys(opts).length ? opts : undefined
+  }
+
+  /**
+   * Encode with the highest quality (binary search from the requested quality down to 10) that fits
+   * in maxBytes. With downscale, the width shrinks step by step when even the lowest quality is too big.
+   * @returns {Promise<{data: Buffer, quality: number, width: number, height: number, size: number}>}
+   */
+  async fitImageToBytes (sharpInstance, encoder, encoderOptions = {}, maxBytes, { downscale = false } = {}) {
+    if (!['jpeg', 'webp', 'avif', 'heif'].includes(encoder)) {
+      throw new Error(`Size limits need a lossy format (jpeg, webp or avif), not ${encoder}`)
+    }
+    if (encoderOptions.lossless) throw new Error('Size limits cannot be combined with lossless output')
+    const minQuality = 10
+    const maxQuality = Math.max(minQuality, encoderOptions.quality || 90)
+    const encode = (quality, width) => {
+      let image = sharpInstance.clone()
+      if (width) image = image.resize({ width, withoutEnlargement: true })
+      return image[encoder]({ ...encoderOptions, quality }).toBuffer()
+    }
+    const result = async (data, quality) => {
+      const { width, height } = await sharp(data).metadata()
+      return { data, quality, width, height, size: data.length }
+    }
+
+    let width
+    for (let attempt = 0; attempt <= (downscale ? 8 : 0); attempt++) {
+      const first = await encode(maxQuality, width)
+      if (first.length <= maxBytes) return result(first, maxQuality)
+      let lo = minQuality
+      let hi = maxQuality - 1
+      let found = null
+      let smallest = first
+      while (lo <= hi) {
+        const quality = Math.floor((lo + hi) / 2)
+        const data = await encode(quality, width)
+        if (data.length <= maxBytes) {
+          found = { data, quality }
+          lo = quality + 1
+        } else {
+          if (data.length < smallest.length) smallest = data
+          hi = quality - 1
+        }
+      }
+      if (found) return result(found.data, found.quality)
+
+      const { width: current, height } = await sharp(smallest).metadata()
+      // Bytes scale roughly with the pixel count, so shrink the width by the square root of the overshoot
+      const next = Math.floor(current * Math.sqrt(maxBytes / smallest.length) * 0.9)
+      if (!downscale || next < 16) {
+        throw new Error(`Cannot fit the image in ${maxBytes} bytes: the smallest attempt was ${smallest.length} bytes ` +
+          `at quality ${minQuality} and ${current}x${height}${downscale ? '' : '; allow downscaling to go further'}`)
+      }
+      width = next
+    }
+    throw new Error(`Cannot fit the image in ${maxBytes} bytes`)
+  }
+
+  // Add an entry to a running notes file; the separator goes between entries, never before the first
+  async appendEntry (filePath, entry, { separator = '\n' } = {}) {
+    try {
+      await this.ensureDirectoryExists(path.dirname(filePath))
+      let existing = ''
+      try {
+        existing = await fs.readFile(filePath, 'utf8')
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+      }
+      const prefix = existing ? (existing.endsWith('\n') ? '' : '\n') + separator : ''
+      await fs.appendFile(filePath, prefix + entry, 'utf8')
+      return filePath
+    } catch (error) {
+      throw new Error(`Failed to append to ${filePath}: ${error.message}`)
+    }
+  }
+
+  // Copy files or directory trees into outputPath under their own names; resolves the destination paths
+  // (entries skipped by the onExist policy are left out)
+  async copyFiles (sources, options = {}) {
+    const dir = path.resolve(options.outputPath || process.cwd())
+    try {
+      await this.ensureDirectoryExists(dir)
+      const copied = []
+      for (const source of sources) {
+        const from = path.resolve(source)
+        let target = path.join(dir, path.basename(from))
+        if (target.startsWith(from + path.sep)) throw new Error(`Cannot copy ${from} into itself`)
+        // Pasting into the directory the file came from leaves it in place
+        if (target !== from) {
+          const directory = (await fs.stat(from)).isDirectory()
+          const { filePath, action } = await this.claimPath(target, options.onExist, { appendable: false, directory })
+          if (action === 'skip') continue
+          target = filePath
+          if (action === 'overwrite') await this.unlinkSymlink(target)
+          await this.copyEntry(from, target)
+        }
+        copied.push(target)
+      }
+      return copied
+    } catch (error) {
+      throw new Error(`Failed to copy files: ${error.message}`)
+    }
+  }
+
+  async copyEntry (source, target) {
+    const stats = await fs.stat(source)
+    if (!stats.isDirectory()) {
+      await fs.copyFile(source, target)
+      return
+    }
+    await fs.mkdir(target, { recursive: true })
+    for (const name of await fs.readdir(source)) {
+      await this.copyEntry(path.join(source, name), path.join(target, name))
+    }
+  }
+
+  // Total bytes of files and directory trees; paths that no longer exist count as zero
+  async getTotalSize (paths) {
+    let total = 0
+    for (const p of paths) {
+      let stats
+      try {
+        stats = await fs.stat(p)
+      } catch {
+        continue
+      }
+      if (stats.isDirectory()) {
+        const entries = await fs.readdir(p)
+        total += await this.getTotalSize(entries.map(name => path.join(p, name)))
+      } else {
+        total += stats.size
+      }
+    }
+    return total
+  }
+
+  /**
+   * Where a write to filePath lands under an on-exist policy. The action is create when nothing is
+   * in the way, else overwrite, skip, append or error; increment picks name-1.ext, name-2.ext, ...
+   * @returns {Promise<{filePath: string, action: string, policy: string, existing: string|null}>}
+   */
+  async resolveCollision (filePath, onExist, { appendable = true } = {}) {
+    const policy = normalizeOnExist(onExist)
+    if (policy === 'append' && !appendable) throw new Error('Only text can be appended to an existing file')
+    if (!await this.fileExists(filePath)) return { filePath, action: 'create', policy, existing: null }
+    if (policy === 'increment') {
+      const ext = path.extname(filePath)
+      const base = filePath.slice(0, filePath.length - ext.length)
+      for (let n = 1; ; n++) {
+        const candidate = `${base}-${n}${ext}`
+        if (!await this.fileExists(candidate)) return { filePath: candidate, action: 'create', policy, existing: filePath }
+      }
+    }
+    return { filePath, action: policy, policy, existing: filePath }
+  }
+
+  /**
+   * Final write shared by the save* methods. With dedupe, content already recorded in the output
+   * directory's index is not written again; with store, the bytes go to sha256/ab/<rest of hash><ext>
+   * and target becomes a symlink to them. Otherwise the on-exist policy decides where target lands.
+   * onSaved receives {filePath, sha256, duplicate, objectPath}.
+   * @returns {Promise<string|null>} the path written (or found), null when skipped
+   */
+  async writeOutput (target, data, { outputPath, onExist, appendable = false, dedupe, store, onSaved } = {}) {
+    if (!dedupe && !store) {
+      const { filePath, action } = await this.claimPath(target, onExist, { appendable })
+      if (action === 'skip') return null
+      await this.ensureDirectoryExists(path.dirname(filePath))
+      if (action === 'append') {
+        // Keep appended pastes on their own lines
+        const existing = await fs.readFile(filePath, 'utf8')
+        const separator = existing && !existing.endsWith('\n') ? '\n' : ''
+        if (await this.unlinkSymlink(filePath)) await fs.writeFile(filePath, existing + separator + data, 'utf8')
+        else await fs.appendFile(filePath, separator + data, 'utf8')
+        return filePath
+      }
+      if (action === 'overwrite') await this.unlinkSymlink(filePath)
+      try {
+        if (typeof data === 'string') await fs.writeFile(filePath, data, 'utf8')
+        else await fs.writeFile(filePath, data)
+      } catch (error) {
+        // Do not leave the empty file claimPath() created
+        if (action === 'create') await fs.rm(filePath, { force: true })
+        throw error
+      }
+      return filePath
+    }
+
+    if (onExist && normalizeOnExist(onExist) === 'append') throw new Error('Appending cannot be combined with dedupe or store')
+    const dir = path.resolve(outputPath || process.cwd())
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex')
+    const report = (info) => {
+      if (onSaved) onSaved({ sha256, duplicate: false, objectPath: null, ...info })
+    }
+
+    if (dedupe) {
+      const existing = await this.findDuplicate(dir, sha256)
+      if (existing) {
+        report({ filePath: existing, duplicate: true })
+        return existing
+      }
+    }
+
+    let objectPath = null
+    let duplicate = false
+    if (store) {
+      objectPath = path.join(dir, 'sha256', sha256.slice(0, 2), sha256.slice(2) + path.extname(target))
+      duplicate = await this.fileExists(objectPath)
+      if (!duplicate) {
+        await this.ensureDirectoryExists(path.dirname(objectPath))
+        await fs.writeFile(objectPath, data)
+      }
+    }
+
+    const { filePath, action } = await this.claimPath(target, onExist)
+    if (action === 'skip') {
+      report({ filePath: null, duplicate, objectPath })
+      return objectPath
+    }
+    await this.ensureDirectoryExists(path.dirname(filePath))
+    if (store) {
+      // Link beside the target and rename over it, so the claimed name is never free in between
+      const tmp = tempPathFor(filePath)
+      await this.linkOrCopy(objectPath, tmp)
+      await fs.rename(tmp, filePath)
+    } else {
+      await fs.writeFile(filePath, data)
+    }
+    await this.recordInIndex(dir, sha256, filePath)
+    report({ filePath, duplicate, objectPath })
+    return filePath
+  }
+
+  indexPath (dir) {
+    return path.join(dir, INDEX_FILE)
+  }
+
+  async loadIndex (dir) {
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.indexPath(dir), 'utf8'))
+      return parsed && typeof parsed.files === 'object' && parsed.files ? parsed.files : {}
+    } catch {
+      return {}
+    }
+  }
+
+  // Path of a file in dir already holding this content, verified against the file itself
+  async findDuplicate (dir, sha256) {
+    const rel = (await this.loadIndex(dir))[sha256]
+    if (typeof rel !== 'string') return null
+    const filePath = path.resolve(dir, rel)
+    try {
+      const data = await fs.readFile(filePath)
+      return crypto.createHash('sha256').update(data).digest('hex') === sha256 ? filePath : null
+    } catch {
+      return null
+    }
+  }
+
+  async recordInIndex (dir, sha256, filePath) {
+    const files = await this.loadIndex(dir)
+    files[sha256] = path.relative(dir, filePath).split(path.sep).join('/')
+    await writeFileAtomic(this.indexPath(dir), JSON.stringify({ version: 1, files }, null, 2))
+  }
+
+  // A --store output is a symlink into sha256/; writing through it would change the stored object,
+  // so plain writes replace the link instead. Resolves whether a link was removed
+  async unlinkSymlink (filePath) {
+    try {
+      if (!(await fs.lstat(filePath)).isSymbolicLink()) return false
+    } catch {
+      return false
+    }
+    await fs.unlink(filePath)
+    return true
+  }
+
+  // Relative symlink, or a copy where symlinks are not permitted (e.g. Windows without developer mode)
+  async linkOrCopy (objectPath, linkPath) {
+    try {
+      await fs.symlink(path.relative(path.dirname(linkPath), objectPath), linkPath)
+    } catch (error) {
+      if (error.code !== 'EPERM' && error.code !== 'EACCES') throw error
+      await fs.copyFile(objectPath, linkPath)
+    }
+  }
+
+  // resolveCollision() for an actual write; the error policy refuses to touch the existing file.
+  // A new path is created on the spot (wx, or mkdir for a directory) so that two pastes racing
+  // for one name cannot both claim it; the loser plans again against the file that now exists
+  async claimPath (filePath, onExist, opts = {}) {
+    // Creating and overwriting are the same write
+    if (normalizeOnExist(onExist) === 'overwrite') return { filePath, action: 'overwrite' }
+    for (;;) {
+      const plan = await this.resolveCollision(filePath, onExist, opts)
+      if (plan.action === 'error') throw new Error(`File already exists: ${filePath}`)
+      if (plan.action !== 'create') return plan
+      await this.ensureDirectoryExists(path.dirname(plan.filePath))
+      try {
+        if (opts.directory) await fs.mkdir(plan.filePath)
+        else await (await fs.open(plan.filePath, 'wx')).close()
+        return plan
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error
+      }
+    }
+  }
+
+  chooseTextExtension (text, mime) {
+    // An explicit clipboard format wins over content sniffing
+    if (mime && TEXT_MIME_EXTENSIONS[mime]) return TEXT_MIME_EXTENSIONS[mime]
     return extensionForTextContent(text) || this.defaultTextExtension
   }
 
-  generateFilePath (outputPath, filename, extension) {
+  /**
+   * @param {{pattern?: string, vars?: object}} [naming] - name pattern such as "{date}/{slug}{ext}"
+   *   rendered with buildNameVars() values; an explicit filename takes precedence
+   */
+  generateFilePath (outputPath, filename, extension, naming = {}) {
     const dir = outputPath || process.cwd()
 
     if (filename) {
@@ -111,6 +533,10 @@ class FileHandler {
       return path.join(dir, finalFilename)
     }
 
+    if (naming.pattern) {
+      return renderNamePattern(naming.pattern, { ...naming.vars, ext: extension }, dir)
+    }
+
     // Generate unique filename with timestamp and UUID
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
     const shortId = uuidv4().split('-')[0]
@@ -147,7 +573,11 @@ class FileHandler {
       png: '.png',
       gif: '.gif',
       bmp: '.bmp',
-      webp: '.webp'
+      webp: '.webp',
+      avif: '.avif',
+      tiff: '.tiff',
+      tif: '.tiff',
+      heif: '.heif'
     }
 
     return formatMap[format.toLowerCase()] || '.png'
@@ -3,6 +3,8 @@ const path = require('path')
 const os = require('os')
 const crypto = require('crypto')
 const { v4: uuidv4 } = require('uuid')
+const { AutoClearStore } = require('./autoClear')
+const { detectContentType } = require('./utils/detect')
 
 function sha256 (text) {
   return crypto.createHash('sha256').update(text || '').digest('hex')
@@ -97,10 +99,17 @@ class HistoryStore {
       return null
     }
 
+    // Content copied with --clear-after is a secret that should not outlive its timer
+    const hash = sha256(content)
+    if (await new AutoClearStore({ dir: path.join(this.dir, 'clear-timers') }).isPending(hash)) {
+      if (this.verbose) console.error('[history] skip: content is pending auto-clear')
+      return null
+    }
+
     const entry = {
       id: uuidv4(),
       ts: new Date().toISOString(),
-      sha256: sha256(content),
+      sha256: hash,
       len: content.length,
       preview: this._preview(content),
       content,
@@ -108,7 +117,8 @@ class HistoryStore {
       tags: Array.from(tagSet)
     }
 
-    if (opts.type) entry.type = String(opts.type)
+    // Callers name the source (e.g. 'tmux'); otherwise record the detected format
+    entry.type = opts.type ? String(opts.type) : detectContentType(content).type
     if (opts.meta && typeof opts.meta === 'object') entry.meta = opts.meta
 
     this._data.push(entry)
@@ -0,0 +1,93 @@
+const fs = require('fs').promises
+const path = require('path')
+const crypto = require('crypto')
+const { resolveConfigDir } = require('./utils/config')
+const { writeFileAtomic } = require('./utils/atomicWrite')
+
+// a-z like Vim, plus longer names such as `todo` or `deploy.cmd`
+const REGISTER_NAME = /^[A-Za-z0-9][\w.-]{0,63}$/
+
+function normalizeRegisterName (name) {
+  const value = String(name == null ? '' : name).trim()
+  if (!REGISTER_NAME.test(value)) {
+    throw new Error(`Invalid register name '${name}'. Use letters, digits, '.', '_' or '-' (up to 64 characters)`)
+  }
+  return value
+}
+
+/**
+ * Named text registers persisted in <config dir>/registers.json. Writes go through a
+ * temporary file that is renamed over the old one.
+ */
+class RegisterStore {
+  constructor (opts = {}) {
+    this.dir = opts.dir || resolveConfigDir()
+    this.file = opts.file || path.join(this.dir, 'registers.json')
+  }
+
+  async _load () {
+    let raw
+    try {
+      raw = await fs.readFile(this.file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return {}
+      throw err
+    }
+    let parsed
+    try {
+      parsed = JSON.parse(raw)
+    } catch (err) {
+      throw new Error(`Register file ${this.file} is not valid JSON: ${err.message}`)
+    }
+    const registers = (parsed && typeof parsed.registers === 'object' && parsed.registers) || {}
+    // Keep only well-formed entries; the file is user-editable
+    return Object.fromEntries(Object.entries(registers).filter(([name, e]) =>
+      REGISTER_NAME.test(name) && e && typeof e === 'object' && typeof e.content === 'string'))
+  }
+
+  async _save (registers) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 })
+    await writeFileAtomic(this.file, JSON.stringify({ version: 1, registers }, null, 2), { mode: 0o600 })
+  }
+
+  async set (name, content) {
+    const key = normalizeRegisterName(name)
+    const text = String(content == null ? '' : content)
+    const registers = await this._load()
+    registers[key] = {
+      content: text,
+      sha256: crypto.createHash('sha256').update(text).digest('hex'),
+      len: text.length,
+      updatedAt: new Date().toISOString()
+    }
+    await this._save(registers)
+    return { name: key, ...registers[key] }
+  }
+
+  /** @returns {Promise<{name: string, content: string, sha256: string, len: number, updatedAt: string}|null>} */
+  async get (name) {
+    const key = normalizeRegisterName(name)
+    const entry = (await this._load())[key]
+    return entry ? { name: key, ...entry } : null
+  }
+
+  async list () {
+    const registers = await this._load()
+    return Object.keys(registers).sort().map(name => ({ name, ...registers[name] }))
+  }
+
+  async delete (name) {
+    const key = normalizeRegisterName(name)
+    const registers = await this._load()
+    if (!registers[key]) return false
+    delete registers[key]
+    await this._save(registers)
+    return true
+  }
+
+  async clear () {
+    await this._save({})
+  }
+}
+
+module.exports = { RegisterStore, normalizeRegisterName }
@@ -0,0 +1,34 @@
+const crypto = require('crypto')
+
+const TMUX_TAG = 'tmux'
+
+function sha256 (text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex')
+}
+
+/**
+ * Record tmux paste buffers in clipboard history, tagged `tmux` and `tmux:<buffer name>`.
+ * A buffer is skipped when its current content is already recorded under that name.
+ * @param {import('./backends/tmux').TmuxBackend} tmux
+ * @param {import('./historyStore')} history
+ * @returns {Promise<number>} number of entries added
+ */
+async function indexTmuxBuffers (tmux, history) {
+  let added = 0
+  for (const buffer of await tmux.listBuffers()) {
+    const content = await tmux.readBuffer(buffer.name)
+    if (!content) continue
+    const tag = `${TMUX_TAG}:${buffer.name}`
+    const known = await history.search('', { tag })
+    if (known.some(e => e.sha256 === sha256(content))) continue
+    const entry = await history.addEntry(content, {
+      tags: [TMUX_TAG, tag],
+      type: 'tmux',
+      meta: { tmuxBuffer: buffer.name, created: buffer.created.toISOString() }
+    })
+    if (entry) added++
+  }
+  return added
+}
+
+module.exports = { TMUX_TAG, indexTmuxBuffers }
@@ -0,0 +1,26 @@
+const fs = require('fs').promises
+
+let sequence = 0
+
+// Scratch name beside file (same filesystem, so the rename is atomic), unique per process and call
+function tempPathFor (file) {
+  return `${file}.${process.pid}.${Date.now()}.${++sequence}.tmp`
+}
+
+/**
+ * Replace file in one step: write a temporary file beside it, then rename it over the original,
+ * so readers never see a half-written file. The temporary file is removed when either step fails.
+ * @param {object} [options] - passed to fs.writeFile, e.g. { mode: 0o600 }
+ */
+async function writeFileAtomic (file, data, options) {
+  const tmp = tempPathFor(file)
+  try {
+    await fs.writeFile(tmp, data, options)
+    await fs.rename(tmp, file)
+  } catch (err) {
+    await fs.rm(tmp, { force: true })
+    throw err
+  }
+}
+
+module.exports = { writeFileAtomic, tempPathFor }
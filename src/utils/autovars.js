@@ -1,4 +1,5 @@
 const { execSync } = require('child_process')
+const { detectContentType } = require('./detect')
 
 function tryGit (cmd) {
   try {
@@ -28,12 +29,26 @@ async function clipboardVars (clipboardManager) {
   if (!clipboardManager || typeof clipboardManager.readText !== 'function') return {}
   try {
     const text = await clipboardManager.readText()
+    const { type, ext, language } = detectContentType(text)
+    const detected = { clipboard_type: type, clipboard_ext: ext, clipboard_language: language }
     let parsed
     try { parsed = JSON.parse(text) } catch {}
     if (parsed && typeof parsed === 'object') {
-      return { clipboard: parsed }
+      return { clipboard: parsed, ...detected }
     }
-    return { clipboard: text }
+    return { clipboard: text, ...detected }
+  } catch {
+    return {}
+  }
+}
+
+// Named registers as {{registers.a}}, {{registers.todo}}
+async function registerVars (registers) {
+  if (!registers || typeof registers.list !== 'function') return {}
+  try {
+    const list = await registers.list()
+    if (!list.length) return {}
+    return { registers: Object.fromEntries(list.map(entry => [entry.name, entry.content])) }
   } catch {
     return {}
   }
@@ -42,10 +57,12 @@ async function clipboardVars (clipboardManager) {
 async function getAutoVars (opts = {}) {
   const includeGit = opts.includeGit !== false
   const includeClipboard = opts.includeClipboard !== false
+  const includeRegisters = opts.includeRegisters !== false
   const vars = {}
   if (includeGit) Object.assign(vars, gitVars())
   if (includeClipboard) Object.assign(vars, await clipboardVars(opts.clipboardManager))
+  if (includeRegisters) Object.assign(vars, await registerVars(opts.registers))
   return vars
 }
 
-module.exports = { getAutoVars }
+module.exports = { getAutoVars, gitVars }
@@ -0,0 +1,89 @@
+// Magic-byte signatures, most specific first. `offset` is where `bytes` must appear;
+// `at`/`also` add a second check for containers like RIFF and ISO media.
+const SIGNATURES = [
+  { mime: 'application/pdf', ext: '.pdf', bytes: '%PDF-' },
+  { mime: 'image/png', ext: '.png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mime: 'image/jpeg', ext: '.jpg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mime: 'image/gif', ext: '.gif', bytes: 'GIF8' },
+  { mime: 'image/webp', ext: '.webp', bytes: 'RIFF', also: { offset: 8, bytes: 'WEBP' } },
+  { mime: 'audio/wav', ext: '.wav', bytes: 'RIFF', also: { offset: 8, bytes: 'WAVE' } },
+  { mime: 'video/x-msvideo', ext: '.avi', bytes: 'RIFF', also: { offset: 8, bytes: 'AVI ' } },
+  { mime: 'image/bmp', ext: '.bmp', bytes: 'BM' },
+  { mime: 'image/tiff', ext: '.tif', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { mime: 'image/tiff', ext: '.tif', bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+  { mime: 'image/x-icon', ext: '.ico', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mime: 'image/avif', ext: '.avif', offset: 4, bytes: 'ftypavif' },
+  { mime: 'image/heic', ext: '.heic', offset: 4, bytes: 'ftypheic' },
+  { mime: 'video/quicktime', ext: '.mov', offset: 4, bytes: 'ftypqt' },
+  { mime: 'audio/mp4', ext: '.m4a', offset: 4, bytes: 'ftypM4A' },
+  { mime: 'video/mp4', ext: '.mp4', offset: 4, bytes: 'ftyp' },
+  { mime: 'audio/mpeg', ext: '.mp3', bytes: 'ID3' },
+  { mime: 'audio/ogg', ext: '.ogg', bytes: 'OggS' },
+  { mime: 'audio/flac', ext: '.flac', bytes: 'fLaC' },
+  { mime: 'audio/midi', ext: '.mid', bytes: 'MThd' },
+  { mime: 'video/webm', ext: '.webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { mime: 'application/zip', ext: '.zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { mime: 'application/zip', ext: '.zip', bytes: [0x50, 0x4B, 0x05, 0x06] },
+  { mime: 'application/gzip', ext: '.gz', bytes: [0x1F, 0x8B] },
+  { mime: 'application/x-bzip2', ext: '.bz2', bytes: 'BZh' },
+  { mime: 'application/x-xz', ext: '.xz', bytes: [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00] },
+  { mime: 'application/x-7z-compressed', ext: '.7z', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+  { mime: 'application/vnd.rar', ext: '.rar', bytes: 'Rar!' },
+  { mime: 'application/zstd', ext: '.zst', bytes: [0x28, 0xB5, 0x2F, 0xFD] },
+  { mime: 'application/x-tar', ext: '.tar', offset: 257, bytes: 'ustar' },
+  { mime: 'application/vnd.sqlite3', ext: '.sqlite', bytes: 'SQLite format 3\0' },
+  { mime: 'application/wasm', ext: '.wasm', bytes: [0x00, 0x61, 0x73, 0x6D] },
+  { mime: 'application/java-vm', ext: '.class', bytes: [0xCA, 0xFE, 0xBA, 0xBE] },
+  { mime: 'application/x-elf', ext: '.elf', bytes: [0x7F, 0x45, 0x4C, 0x46] },
+  { mime: 'application/vnd.microsoft.portable-executable', ext: '.exe', bytes: 'MZ' },
+  { mime: 'font/woff', ext: '.woff', bytes: 'wOFF' },
+  { mime: 'font/woff2', ext: '.woff2', bytes: 'wOF2' },
+  { mime: 'font/otf', ext: '.otf', bytes: 'OTTO' },
+  { mime: 'font/ttf', ext: '.ttf', bytes: [0x00, 0x01, 0x00, 0x00, 0x00] }
+]
+
+const UNKNOWN_BINARY = { mime: 'application/octet-stream', ext: '.bin' }
+
+function matchesAt (buf, offset, bytes) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes)
+  if (buf.length < offset + expected.length) return false
+  return buf.compare(expected, 0, expected.length, offset, offset + expected.length) === 0
+}
+
+/**
+ * Identify binary content from its leading bytes
+ * @param {Buffer} buf
+ * @returns {{mime: string, ext: string}} application/octet-stream (.bin) when no signature matches
+ */
+function detectBinaryType (buf) {
+  if (!Buffer.isBuffer(buf) || buf.length === 0) return { ...UNKNOWN_BINARY }
+  const sig = SIGNATURES.find(s => matchesAt(buf, s.offset || 0, s.bytes) &&
+    (!s.also || matchesAt(buf, s.also.offset, s.also.bytes)))
+  return sig ? { mime: sig.mime, ext: sig.ext } : { ...UNKNOWN_BINARY }
+}
+
+/**
+ * Canonical hex + ASCII dump (like `hexdump -C`), 16 bytes per line
+ * @param {Buffer} buf
+ * @param {{maxBytes?: number}} [opts] - dump only the first maxBytes and note how many were left out
+ * @returns {string[]} lines without trailing newlines
+ */
+function hexdump (buf, { maxBytes } = {}) {
+  const shown = maxBytes != null && buf.length > maxBytes ? buf.subarray(0, maxBytes) : buf
+  const lines = []
+  for (let offset = 0; offset < shown.length; offset += 16) {
+    const row = shown.subarray(offset, offset + 16)
+    const hex = Array.from(row, b => b.toString(16).padStart(2, '0'))
+    const left = hex.slice(0, 8).join(' ')
+    const right = hex.slice(8).join(' ')
+    const ascii = Array.from(row, b => (b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.')).join('')
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${left.padEnd(23)}  ${right.padEnd(23)}  |${ascii}|`)
+  }
+  if (shown.length < buf.length) lines.push(`... ${buf.length - shown.length} more bytes`)
+  return lines
+}
+
+module.exports = {
+  detectBinaryType,
+  hexdump
+}
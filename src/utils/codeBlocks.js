@@ -0,0 +1,90 @@
+const path = require('path')
+const { detectContentType, extensionForLanguage } = require('./detect')
+
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})[ \t]*(.*)$/
+// First line of a block naming its file: "// file: src/app.js", "# filename: run.py", "<!-- file: index.html -->"
+const FILE_HINT = /^[ \t]*(?:\/\/|#|--|;|<!--|\/\*)[ \t]*(?:file(?:name)?|path)[ \t]*:[ \t]*(\S+?)[ \t]*(?:-->|\*\/)?[ \t]*$/i
+// A line before the fence that only names a file: "`src/app.js`", "**run.py**:", "File: setup.sh"
+const CAPTION_HINT = /^(?:#{1,6}[ \t]+)?(?:(?:file(?:name)?|path)[ \t]*:[ \t]*)?[*_`]*([\w./-]+\.\w+)[*_`]*:?$/i
+// Info string attributes: title="app.js", filename=app.js, file='app.js'
+const INFO_NAME = /\b(?:title|file(?:name)?|name)=(?:"([^"]+)"|'([^']+)'|(\S+))/i
+
+// Relative paths inside the output directory only; anything else is ignored as a hint
+function safeFilename (name) {
+  if (!name) return null
+  const normalized = String(name).replace(/\\/g, '/').replace(/^\.\//, '')
+  const segments = normalized.split('/')
+  if (path.isAbsolute(normalized) || /^[a-z]:/i.test(normalized) || segments.some(s => s === '..' || s === '')) return null
+  return normalized
+}
+
+// "python", "js title=app.js", "ts:src/index.ts" or "{.rust}"
+function parseInfo (info) {
+  const named = info.match(INFO_NAME)
+  const first = info.split(/\s+/)[0].replace(/^\{\.?|\}$/g, '')
+  const colon = first.indexOf(':')
+  return {
+    language: (colon === -1 ? first : first.slice(0, colon)).toLowerCase(),
+    filename: named ? named[1] || named[2] || named[3] : colon === -1 ? null : first.slice(colon + 1)
+  }
+}
+
+function toBlock ({ info, body, caption }, index) {
+  const parsed = parseInfo(info)
+  let filename = safeFilename(parsed.filename)
+  let lines = body
+  const hint = !filename && body.length ? body[0].match(FILE_HINT) : null
+  if (hint && safeFilename(hint[1])) {
+    filename = safeFilename(hint[1])
+    lines = body.slice(1)
+  }
+  if (!filename) filename = safeFilename(caption)
+  return { index, language: parsed.language, info, filename, code: lines.join('\n') }
+}
+
+/**
+ * Fenced code blocks (``` or ~~~) in Markdown, in document order. File names come from the
+ * info string, a "// file: x" first line (which is dropped from the code) or a caption line
+ * right before the fence; an unclosed fence runs to the end of the text, as in CommonMark.
+ * @returns {{index: number, language: string, info: string, filename: string|null, code: string}[]}
+ */
+function extractCodeBlocks (markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let open = null
+  let caption = null
+  for (const line of lines) {
+    if (!open) {
+      const m = line.match(FENCE_OPEN)
+      // Backtick fences cannot have backticks in their info string (that is inline code)
+      if (m && !(m[2][0] === '`' && m[3].includes('`'))) {
+        open = { indent: m[1].length, fence: m[2], info: m[3].trim(), body: [], caption }
+      } else if (line.trim()) {
+        const c = line.trim().match(CAPTION_HINT)
+        caption = c ? c[1] : null
+      }
+      continue
+    }
+    const close = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/)
+    if (close && close[1][0] === open.fence[0] && close[1].length >= open.fence.length) {
+      blocks.push(toBlock(open, blocks.length + 1))
+      open = null
+      caption = null
+    } else {
+      open.body.push(line.replace(new RegExp(`^ {0,${open.indent}}`), ''))
+    }
+  }
+  if (open) blocks.push(toBlock(open, blocks.length + 1))
+  return blocks
+}
+
+// Extension of a block: its file name's, else the fence language's, else the detected format's
+function blockExtension (block) {
+  if (block.filename && path.extname(block.filename)) return path.extname(block.filename)
+  return extensionForLanguage(block.language) || detectContentType(block.code).ext
+}
+
+module.exports = {
+  extractCodeBlocks,
+  blockExtension
+}
@@ -1,6 +1,7 @@
 const fs = require('fs').promises
 const path = require('path')
 const os = require('os')
+const { writeFileAtomic } = require('./atomicWrite')
 
 function resolveConfigDir () {
   const envDir = process.env.CLIPASTE_CONFIG_DIR
@@ -69,6 +70,27 @@ class ConfigStore {
     }
     return cur === undefined ? fallback : cur
   }
+
+  // Store a dotted key in config.json, leaving the rest of the user's file (and the defaults) alone
+  async set (key, value) {
+    let data = {}
+    try {
+      const parsed = JSON.parse(await fs.readFile(this.configFile, 'utf8'))
+      if (parsed && typeof parsed === 'object') data = parsed
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    const parts = key.split('.')
+    let cur = data
+    for (const part of parts.slice(0, -1)) {
+      if (!cur[part] || typeof cur[part] !== 'object' || Array.isArray(cur[part])) cur[part] = {}
+      cur = cur[part]
+    }
+    cur[parts[parts.length - 1]] = value
+    await fs.mkdir(path.dirname(this.configFile), { recursive: true })
+    await writeFileAtomic(this.configFile, JSON.stringify(data, null, 2))
+    this.cache = null
+  }
 }
 
 module.exports = { ConfigStore, resolveConfigDir, mergeDeep }
@@ -0,0 +1,687 @@
+// Scored text format detection. Every format rates the text between 0 and 1 from cheap
+// line-anchored patterns; the best rating wins once it reaches MIN_CONFIDENCE. Ties go to
+// the format listed first, so specific formats come before loose ones like Markdown.
+const SAMPLE_SIZE = 64 * 1024
+const MIN_CONFIDENCE = 0.5
+const MAX_CANDIDATES = 5
+
+const PLAIN_TEXT = { type: 'text', ext: '.txt', mime: 'text/plain', language: '' }
+
+// Sum of the weights of the rules whose pattern matches, capped at 1
+function weigh (text, rules) {
+  let score = 0
+  for (const [pattern, weight] of rules) {
+    if (pattern.test(text)) score += weight
+  }
+  return Math.min(score, 1)
+}
+
+function share (lines, pattern) {
+  if (!lines.length) return 0
+  return lines.filter(line => pattern.test(line)).length / lines.length
+}
+
+function parsesAsJson (text) {
+  try {
+    JSON.parse(text)
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Delimited fields on a line, ignoring delimiters inside double quotes
+function fieldCount (line, delimiter) {
+  let count = 1
+  let quoted = false
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted
+    else if (ch === delimiter && !quoted) count++
+  }
+  return count
+}
+
+function delimited (lines, delimiter) {
+  if (lines.length < 2) return 0
+  const sample = lines.slice(0, 50)
+  const columns = fieldCount(sample[0], delimiter)
+  if (columns < 2) return 0
+  if (share(sample, /[.;:{}()][ \t]*$/) > 0.5) return 0
+  const consistent = sample.filter(line => fieldCount(line, delimiter) === columns).length / sample.length
+  if (consistent < 0.9) return 0
+  // Two short lines with one comma each are as likely to be prose
+  if (lines.length < 3) return columns > 2 ? 0.6 : 0.4
+  return 0.8
+}
+
+// key = value whose value TOML would reject, the mark of an INI file
+const BARE_PAIR = /^[ \t]*[\w.-]+\s*[=:]\s*(?!["'[{\d]|true\b|false\b)\S/
+
+const HTML_TAGS = 'html|head|body|div|span|p|a|ul|ol|li|table|tr|td|th|h[1-6]|section|article|nav|header|footer|main|form|input|button|img|script|style|link|meta|br|hr|pre|code|strong|em'
+
+function scoreJavaScript ({ text }) {
+  return weigh(text, [
+    [/\bmodule\.exports\b|\bexports\.\w+\s*=/, 0.7],
+    [/\brequire\(\s*['"`][^'"`\n]+['"`]\s*\)/, 0.6],
+    [/^[ \t]*import\s+([\w*{}\s,$]+\s+from\s+)?['"][^'"\n]+['"]/m, 0.6],
+    [/^[ \t]*export\s+(default|const|let|var|function|class|async|\{)/m, 0.6],
+    [/\bfunction\s*\*?\s*[\w$]*\s*\([^)\n]*\)\s*\{/, 0.6],
+    [/\b(const|let|var)\s+[\w${}[\], ]+=/, 0.3],
+    [/\bconsole\.\w+\(/, 0.4],
+    [/\b(document|window)\.\w+/, 0.3],
+    [/=>/, 0.2],
+    [/;[ \t]*$/m, 0.1]
+  ])
+}
+
+const SHELL_COMMAND = /^[ \t]*(sudo|apt|apt-get|brew|npm|npx|yarn|pnpm|pip3?|git|cd|ls|mkdir|rm|cp|mv|echo|curl|wget|chmod|chown|docker|kubectl|export|source|cat|grep|tar|make)\s/
+
+/**
+ * Known text formats. `score(ctx)` rates the sample; `shebang` matches the interpreter
+ * on a leading "#!" line, which settles the format outright.
+ */
+const FORMATS = [
+  {
+    type: 'json',
+    ext: '.json',
+    mime: 'application/json',
+    language: 'json',
+    score: ({ text }) => /^[[{]/.test(text) && parsesAsJson(text) ? 1 : 0
+  },
+  {
+    type: 'jsonl',
+    ext: '.jsonl',
+    mime: 'application/x-ndjson',
+    language: 'json',
+    score: ({ lines }) => lines.length > 1 && lines.every(line => /^\{.*\}$/.test(line.trim()) && parsesAsJson(line)) ? 0.95 : 0
+  },
+  {
+    type: 'svg',
+    ext: '.svg',
+    mime: 'image/svg+xml',
+    language: 'xml',
+    score: ({ text }) => /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(text) && /<\/svg>$/i.test(text) ? 1 : 0
+  },
+  {
+    type: 'xml',
+    ext: '.xml',
+    mime: 'application/xml',
+    language: 'xml',
+    score: ({ text }) => {
+      if (/^<\?xml\s/.test(text)) return 1
+      if (!/^<[\w:-]+[\s>/]/.test(text) || !/<\/[\w:-]+>$/.test(text)) return 0
+      return new RegExp(`^<(${HTML_TAGS})[\\s>]`, 'i').test(text) ? 0.3 : 0.7
+    }
+  },
+  {
+    type: 'html',
+    ext: '.html',
+    mime: 'text/html',
+    language: 'html',
+    score: ({ text }) => !text.startsWith('<')
+      ? 0
+      : weigh(text, [
+        [/^<!doctype html/i, 1],
+        [/<html[\s>]/i, 0.8],
+        [new RegExp(`<(${HTML_TAGS})\\b[^>]*>`, 'i'), 0.4],
+        [new RegExp(`</(${HTML_TAGS})>`, 'i'), 0.3]
+      ])
+  },
+  {
+    type: 'diff',
+    ext: '.diff',
+    mime: 'text/x-diff',
+    language: 'diff',
+    score: ({ text }) => weigh(text, [
+      [/^diff --git /m, 0.5],
+      [/^--- \S.*\n\+\+\+ \S/m, 0.5],
+      [/^@@ -\d+(,\d+)? \+\d+(,\d+)? @@/m, 0.6],
+      [/^Index: \S/m, 0.2]
+    ])
+  },
+  {
+    type: 'latex',
+    ext: '.tex',
+    mime: 'application/x-tex',
+    language: 'latex',
+    score: ({ text }) => weigh(text, [
+      [/\\documentclass(\[[^\]\n]*\])?\{/, 0.9],
+      [/\\begin\{\w+\*?\}/, 0.4],
+      [/\\(section|subsection|chapter|usepackage|textbf|emph|item)\b/, 0.3],
+      [/\\end\{\w+\*?\}/, 0.2]
+    ])
+  },
+  {
+    type: 'protobuf',
+    ext: '.proto',
+    mime: 'text/x-protobuf',
+    language: 'protobuf',
+    score: ({ text }) => weigh(text, [
+      [/^syntax\s*=\s*"proto[23]"\s*;/m, 0.9],
+      [/^[ \t]*message\s+\w+\s*\{/m, 0.4],
+      [/^[ \t]*(repeated\s+|optional\s+|required\s+)?[\w.]+\s+\w+\s*=\s*\d+\s*;/m, 0.3],
+      [/^[ \t]*(service|rpc)\s+\w+/m, 0.3]
+    ])
+  },
+  {
+    type: 'dockerfile',
+    ext: '.dockerfile',
+    mime: 'text/x-dockerfile',
+    language: 'dockerfile',
+    score: ({ text }) => weigh(text, [
+      [/^FROM\s+[\w./:@${}-]+(\s+AS\s+\w+)?[ \t]*$/m, 0.5],
+      [/^(RUN|COPY|ADD|CMD|ENTRYPOINT|WORKDIR|EXPOSE|ENV|ARG|LABEL|USER|VOLUME|HEALTHCHECK)\s/m, 0.4]
+    ])
+  },
+  {
+    type: 'makefile',
+    ext: '.mk',
+    mime: 'text/x-makefile',
+    language: 'makefile',
+    score: ({ text }) => weigh(text, [
+      [/^[\w.%/$() -]+:([^=\n][^\n]*)?\n\t\S/m, 0.6],
+      [/^\.PHONY\s*:/m, 0.5],
+      [/\$\([A-Z_]+\)|\$[@<^]/, 0.2],
+      [/^[A-Z_]+\s*[:?+]?=/m, 0.2]
+    ])
+  },
+  {
+    type: 'php',
+    ext: '.php',
+    mime: 'application/x-httpd-php',
+    language: 'php',
+    shebang: /\bphp\b/,
+    score: ({ text }) => weigh(text, [
+      [/^<\?php\b/, 1],
+      [/\bfunction\s+\w+\s*\(\s*(\??\w+\s+)?\$\w+/, 0.5],
+      [/\$this->/, 0.4],
+      [/^[ \t]*\$\w+\s*=/m, 0.3],
+      [/^[ \t]*(namespace\s+[\w\\]+|use\s+[\w\\]+\\\w+);/m, 0.3],
+      [/\becho\s/, 0.1]
+    ])
+  },
+  {
+    type: 'typescript',
+    ext: '.ts',
+    mime: 'text/typescript',
+    language: 'typescript',
+    shebang: /\b(ts-node|tsx)\b/,
+    score: (ctx) => {
+      const own = weigh(ctx.text, [
+        [/^[ \t]*(export\s+)?(interface|type)\s+\w+(<[^>\n]*>)?\s*(=|\{|extends\b)/m, 0.6],
+        [/\w\s*\??:\s*(string|number|boolean|any|unknown|void|never|null|undefined)(\[\])?\s*[,;=){|]/, 0.4],
+        [/^[ \t]*import\s+type\s/m, 0.6],
+        [/\bas\s+(const|string|number|unknown|any)\b/, 0.3],
+        [/\b(public|private|protected|readonly)\s+\w+\s*[:(]/, 0.3],
+        [/^[ \t]*(export\s+)?enum\s+\w+\s*\{/m, 0.3]
+      ])
+      return own ? Math.min(1, own + scoreJavaScript(ctx) / 2) : 0
+    }
+  },
+  {
+    type: 'javascript',
+    ext: '.js',
+    mime: 'text/javascript',
+    language: 'javascript',
+    shebang: /\b(node|nodejs|deno|bun)\b/,
+    score: scoreJavaScript
+  },
+  {
+    type: 'python',
+    ext: '.py',
+    mime: 'text/x-python',
+    language: 'python',
+    shebang: /\bpython[\d.]*\b/,
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*(async\s+)?def \w+\s*\([^)\n]*\)\s*(->[^:\n]+)?:[ \t]*$/m, 0.6],
+      [/^[ \t]*class \w+(\([^)\n]*\))?:[ \t]*$/m, 0.5],
+      [/^[ \t]*(from [\w.]+ import [\w*(]|import [\w.]+( as \w+)?(, *[\w.]+)*[ \t]*$)/m, 0.5],
+      [/^if __name__ == ['"]__main__['"]:/m, 0.8],
+      [/^[ \t]*(elif .+|else|try|except( [^\n]*)?|finally):[ \t]*$/m, 0.3],
+      [/\bself\.\w+/, 0.2],
+      [/^[ \t]*print\(/m, 0.2],
+      [/^[ \t]*@[\w.]+(\([^)\n]*\))?[ \t]*$/m, 0.2]
+    ])
+  },
+  {
+    type: 'perl',
+    ext: '.pl',
+    mime: 'text/x-perl',
+    language: 'perl',
+    shebang: /\bperl\b/,
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*use\s+(strict|warnings);/m, 0.5],
+      [/\bmy\s+[$@%]\w+/, 0.4],
+      [/=~\s*[ms]?\//, 0.3],
+      [/^[ \t]*sub\s+\w+\s*\{/m, 0.3]
+    ])
+  },
+  {
+    type: 'shell',
+    ext: '.sh',
+    mime: 'application/x-sh',
+    language: 'bash',
+    shebang: /\b(ba|z|k|da|a)?sh\b/,
+    score: ({ text, lines }) => {
+      const commands = lines.filter(line => SHELL_COMMAND.test(line)).length
+      return (commands ? 0.35 : 0) + (commands > 1 ? 0.3 : 0) + weigh(text, [
+        [/^\$ \S/m, 0.4],
+        [/^[ \t]*(if \[\[? .*\]\]?;? ?(then)?|then|fi|done|esac|for \w+ in .*;? ?(do)?)[ \t]*$/m, 0.4],
+        [/\$\{?\w+\}?/, 0.1],
+        [/\s(&&|\|\|)\s|\s\|\s\w/, 0.1]
+      ])
+    }
+  },
+  {
+    type: 'powershell',
+    ext: '.ps1',
+    mime: 'text/x-powershell',
+    language: 'powershell',
+    score: ({ text }) => weigh(text, [
+      [/\b(Get|Set|New|Remove|Write|Invoke|Import|Start|Stop|Test|Add)-[A-Z]\w+/, 0.6],
+      [/^[ \t]*\$\w+\s*=/m, 0.2],
+      [/^[ \t]*param\s*\(/im, 0.3],
+      [/\$_\b|\$PSScriptRoot|\$env:\w+/, 0.3],
+      [/\s-(eq|ne|lt|gt|le|ge|like|match)\s/, 0.2]
+    ])
+  },
+  {
+    type: 'go',
+    ext: '.go',
+    mime: 'text/x-go',
+    language: 'go',
+    score: ({ text }) => weigh(text, [
+      [/^package \w+[ \t]*$/m, 0.5],
+      [/^import\s+(\(|"[\w./-]+")/m, 0.3],
+      [/^func\s+(\([^)\n]*\)\s*)?\w+\s*\(/m, 0.5],
+      [/\w\s*:=\s*/, 0.2],
+      [/\bfmt\.\w+\(/, 0.3],
+      [/\bchan\b|\bgo func\b|\bdefer\s/, 0.2]
+    ])
+  },
+  {
+    type: 'rust',
+    ext: '.rs',
+    mime: 'text/x-rust',
+    language: 'rust',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*(pub(\([\w:]+\))?\s+)?(async\s+)?fn\s+\w+\s*(<[^>\n]*>)?\s*\(/m, 0.5],
+      [/\blet\s+mut\s/, 0.4],
+      [/^[ \t]*use\s+[\w:]+(::\{[^}\n]*\}|::\*)?;/m, 0.4],
+      [/^[ \t]*impl\b/m, 0.4],
+      [/\b\w+!\(/, 0.2],
+      [/^[ \t]*(pub\s+)?(struct|enum|trait|mod)\s+\w+/m, 0.2],
+      [/&(mut\s+)?self\b|->\s*[\w<>&]+\s*\{/, 0.2]
+    ])
+  },
+  {
+    type: 'java',
+    ext: '.java',
+    mime: 'text/x-java',
+    language: 'java',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*package\s+[\w.]+;/m, 0.4],
+      [/^[ \t]*import\s+(static\s+)?[\w.]+(\.\*)?;/m, 0.3],
+      [/\b(public|private|protected)\s+(abstract\s+)?(static\s+)?(final\s+)?(class|interface|enum|record)\s+\w+/, 0.5],
+      [/\bpublic\s+static\s+void\s+main\s*\(/, 0.6],
+      [/\bSystem\.(out|err)\.print/, 0.5],
+      [/@Override\b/, 0.3]
+    ])
+  },
+  {
+    type: 'csharp',
+    ext: '.cs',
+    mime: 'text/x-csharp',
+    language: 'csharp',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*using\s+System(\.[\w.]+)?;/m, 0.6],
+      [/^[ \t]*namespace\s+[\w.]+/m, 0.3],
+      [/\bConsole\.Write(Line)?\(/, 0.5],
+      [/\{\s*get;\s*(set;)?\s*\}/, 0.5],
+      [/\b(public|private|internal)\s+(static\s+)?(async\s+)?(void|string|int|bool|Task)\s+\w+\s*\(/, 0.2]
+    ])
+  },
+  {
+    type: 'cpp',
+    ext: '.cpp',
+    mime: 'text/x-c++src',
+    language: 'cpp',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*#include\s*<[a-z_]+>/m, 0.5],
+      [/\bstd::\w+/, 0.5],
+      [/\b(cout|cin|cerr)\s*(<<|>>)/, 0.4],
+      [/^[ \t]*using\s+namespace\s+\w+;/m, 0.4],
+      [/\btemplate\s*</, 0.4],
+      [/\bclass\s+\w+\s*(:\s*(public|private)\s+\w+\s*)?\{/, 0.2]
+    ])
+  },
+  {
+    type: 'c',
+    ext: '.c',
+    mime: 'text/x-c',
+    language: 'c',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*#include\s*[<"][\w./]+\.h[>"]/m, 0.5],
+      [/\bint\s+main\s*\(/, 0.4],
+      [/\b(printf|fprintf|malloc|free|sizeof)\s*\(/, 0.3],
+      [/^[ \t]*#define\s+\w+/m, 0.3],
+      [/\b(struct|typedef|unsigned)\s+\w+/, 0.1]
+    ])
+  },
+  {
+    type: 'ruby',
+    ext: '.rb',
+    mime: 'text/x-ruby',
+    language: 'ruby',
+    shebang: /\bruby\b/,
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*def\s+[\w?!.]+(\([^)\n]*\))?[ \t]*$/m, 0.3],
+      [/^[ \t]*end[ \t]*$/m, 0.3],
+      [/^[ \t]*require(_relative)?\s+['"]/m, 0.4],
+      [/^[ \t]*puts\s/m, 0.3],
+      [/\.each(_with_index)?\s+do\s*\|/, 0.4],
+      [/^[ \t]*(module|class)\s+[A-Z]\w*(\s*<\s*[\w:]+)?[ \t]*$/m, 0.3],
+      [/\battr_(accessor|reader|writer)\b/, 0.5]
+    ])
+  },
+  {
+    type: 'lua',
+    ext: '.lua',
+    mime: 'text/x-lua',
+    language: 'lua',
+    shebang: /\blua\b/,
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*local\s+(function\s+)?\w+/m, 0.4],
+      [/\bfunction\s+[\w.:]+\s*\([^)\n]*\)[ \t]*$/m, 0.3],
+      [/\bthen[ \t]*$/m, 0.3],
+      [/^[ \t]*end[ \t]*$/m, 0.2],
+      [/~=|\.\.\s*['"]|\bnil\b/, 0.2]
+    ])
+  },
+  {
+    type: 'kotlin',
+    ext: '.kt',
+    mime: 'text/x-kotlin',
+    language: 'kotlin',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*((private|internal|override|suspend|public)\s+)*fun\s+(<[^>\n]*>\s*)?[\w.]+\s*\(/m, 0.5],
+      [/\bval\s+\w+(\s*:\s*[\w<>?]+)?\s*=/, 0.3],
+      [/\bdata\s+class\s/, 0.5],
+      [/\bprintln\(/, 0.2],
+      [/\?\.|!!|\bwhen\s*[({]/, 0.2]
+    ])
+  },
+  {
+    type: 'swift',
+    ext: '.swift',
+    mime: 'text/x-swift',
+    language: 'swift',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*import\s+(Foundation|UIKit|SwiftUI|Combine|AppKit)[ \t]*$/m, 0.7],
+      [/\bfunc\s+\w+\s*(<[^>\n]*>)?\([^)\n]*\)\s*(->\s*[\w?[\]<>]+\s*)?\{/, 0.3],
+      [/\bguard\s+let\b|\bif\s+let\b/, 0.5],
+      [/\b(var|let)\s+\w+\s*:\s*[A-Z]\w*/, 0.3]
+    ])
+  },
+  {
+    type: 'sql',
+    ext: '.sql',
+    mime: 'application/sql',
+    language: 'sql',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*(SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+(OR\s+REPLACE\s+)?(TABLE|VIEW|INDEX|UNIQUE\s+INDEX|FUNCTION|TRIGGER|SCHEMA|DATABASE)|ALTER\s+TABLE|DROP\s+(TABLE|VIEW|INDEX)|WITH\s+\w+\s+AS)\s/m, 0.5],
+      [/\b(FROM|WHERE|JOIN|VALUES|SET|GROUP\s+BY|ORDER\s+BY|PRIMARY\s+KEY)\b/, 0.3],
+      [/^(select|insert\s+into|update|delete\s+from|create\s+table|alter\s+table|drop\s+table|with)\s/, 0.3],
+      [/\b(from|where|join|values)\s+[\w."`(]+/, 0.1],
+      [/\bselect\s+(\*|count\(|distinct\s)|\bwhere\s+[\w.]+\s*(=|<|>|in\s|like\s)/, 0.1],
+      [/;[ \t]*$/m, 0.1]
+    ])
+  },
+  {
+    type: 'css',
+    ext: '.css',
+    mime: 'text/css',
+    language: 'css',
+    score: ({ text }) => !/(^|[{;])[ \t]*-{0,2}[a-z][\w-]*[ \t]*:[^;{}\n]+[;}]/im.test(text)
+      ? 0
+      : weigh(text, [
+        [/^[ \t]*[\w.#:[\]="'>~+*, -]+\{/m, 0.5],
+        [/^[ \t]*@(media|import|font-face|keyframes|supports|charset)\b/m, 0.3],
+        [/:\s*(#[0-9a-f]{3,8}|\d+(px|em|rem|%|vh|vw)|rgba?\()/i, 0.2]
+      ])
+  },
+  {
+    type: 'graphql',
+    ext: '.graphql',
+    mime: 'application/graphql',
+    language: 'graphql',
+    score: ({ text }) => weigh(text, [
+      [/^[ \t]*(query|mutation|subscription|fragment)\s+\w+(\s*\([^)\n]*\))?\s*(on\s+\w+\s*)?\{/m, 0.6],
+      [/^[ \t]*(type|input|interface|enum|schema)\s+\w+(\s+implements\s+\w+)?\s*\{/m, 0.4],
+      [/:\s*\[?\w+!?\]?!/, 0.3]
+    ])
+  },
+  {
+    type: 'dotenv',
+    ext: '.env',
+    mime: 'text/plain',
+    language: 'dotenv',
+    score: ({ lines }) => {
+      const body = lines.filter(line => !/^[ \t]*#/.test(line))
+      if (!body.length || share(body, /^(export )?[A-Z_][A-Z0-9_]*=\S*/) < 0.9) return 0
+      return body.length > 1 ? 0.8 : 0.6
+    }
+  },
+  {
+    type: 'toml',
+    ext: '.toml',
+    mime: 'application/toml',
+    language: 'toml',
+    score: ({ text, lines }) => {
+      const pairs = /^[ \t]*[\w".-]+\s*=\s*("|'|\d|true\b|false\b|\[|\{)/
+      if (!lines.some(line => pairs.test(line)) || lines.some(line => BARE_PAIR.test(line))) return 0
+      return weigh(text, [[/^\[{1,2}[\w". -]+\]{1,2}[ \t]*$/m, 0.4]]) + 0.3 +
+        (share(lines, /^[ \t]*(#|\[|[\w".-]+\s*=|["'\]}\d])/) >= 0.9 ? 0.3 : 0)
+    }
+  },
+  {
+    type: 'ini',
+    ext: '.ini',
+    mime: 'text/plain',
+    language: 'ini',
+    score: ({ text, lines }) => {
+      if (!/^\[[\w. -]+\][ \t]*$/m.test(text)) return 0
+      if (!lines.some(line => BARE_PAIR.test(line))) return 0
+      return 0.7 + (share(lines, /^[ \t]*([;#]|\[|[\w.-]+\s*[=:])/) >= 0.9 ? 0.3 : 0)
+    }
+  },
+  {
+    type: 'yaml',
+    ext: '.yaml',
+    mime: 'application/yaml',
+    language: 'yaml',
+    score: ({ text, lines }) => {
+      const body = lines.filter(line => !/^[ \t]*#/.test(line) && !/^(---|\.\.\.)[ \t]*$/.test(line))
+      const key = /^[ \t]*(- )?([\w.-]+|"[^"\n]*"|'[^'\n]*'):(\s|$)/
+      const keys = body.filter(line => key.test(line)).length
+      if (!keys || share(body, /[;{},][ \t]*$/) > 0.2) return 0
+      if (share(body, /^[ \t]*(- |([\w.-]+|"[^"\n]*"|'[^'\n]*'):(\s|$))/) < 0.8) return 0
+      return Math.min(1, (keys > 1 ? 0.6 : 0.3) +
+        (/^---[ \t]*$/m.test(text) ? 0.2 : 0) +
+        (body.some(line => /^\s+(- |[\w.-]+:)/.test(line)) ? 0.2 : 0))
+    }
+  },
+  {
+    type: 'csv',
+    ext: '.csv',
+    mime: 'text/csv',
+    language: 'csv',
+    score: ({ lines }) => delimited(lines, ',')
+  },
+  {
+    type: 'tsv',
+    ext: '.tsv',
+    mime: 'text/tab-separated-values',
+    language: 'tsv',
+    score: ({ lines }) => delimited(lines, '\t')
+  },
+  {
+    type: 'log',
+    ext: '.log',
+    mime: 'text/plain',
+    language: '',
+    score: ({ lines }) => {
+      const stamped = share(lines, /^\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}|[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2}|\d{2}:\d{2}:\d{2})/)
+      const leveled = share(lines, /\b(TRACE|DEBUG|INFO|NOTICE|WARN(ING)?|ERROR|FATAL|CRITICAL)\b/)
+      return (stamped >= 0.5 ? 0.6 : 0) + (leveled >= 0.5 ? 0.3 : 0)
+    }
+  },
+  {
+    type: 'url',
+    ext: '.txt',
+    mime: 'text/uri-list',
+    language: '',
+    score: ({ lines }) => lines.every(line => /^(https?|ftp|file):\/\/\S+$/i.test(line.trim())) ? 0.9 : 0
+  },
+  {
+    type: 'markdown',
+    ext: '.md',
+    mime: 'text/markdown',
+    language: 'markdown',
+    score: ({ text }) => weigh(text, [
+      [/^#{1,6} \S/m, 0.6],
+      [/^[ \t]*([*+-]|\d+\.) \S/m, 0.5],
+      [/^(```|~~~)/m, 0.7],
+      [/\[[^\]\n]+\]\([^)\s]+\)/, 0.4],
+      [/^> \S/m, 0.3],
+      [/(\*\*|__)\S[^\n]*?\1/, 0.2],
+      [/^\|?[ \t]*:?-{3,}:?[ \t]*\|/m, 0.5]
+    ])
+  }
+]
+
+// Fence info strings and other names for the formats above
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  python3: 'python',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  shellscript: 'shell',
+  yml: 'yaml',
+  md: 'markdown',
+  htm: 'html',
+  rb: 'ruby',
+  rs: 'rust',
+  golang: 'go',
+  'c++': 'cpp',
+  cc: 'cpp',
+  cs: 'csharp',
+  'c#': 'csharp',
+  kt: 'kotlin',
+  ps1: 'powershell',
+  pwsh: 'powershell',
+  docker: 'dockerfile',
+  make: 'makefile',
+  tex: 'latex',
+  proto: 'protobuf',
+  gql: 'graphql',
+  env: 'dotenv',
+  patch: 'diff',
+  ndjson: 'jsonl',
+  jsonc: 'json'
+}
+
+// Languages with a well-known extension that detectContentType does not report
+const EXTRA_EXTENSIONS = {
+  jsx: '.jsx',
+  tsx: '.tsx',
+  scss: '.scss',
+  sass: '.sass',
+  less: '.less',
+  vue: '.vue',
+  svelte: '.svelte',
+  scala: '.scala',
+  dart: '.dart',
+  elixir: '.ex',
+  haskell: '.hs',
+  clojure: '.clj',
+  zig: '.zig',
+  nix: '.nix',
+  r: '.r',
+  hcl: '.tf',
+  terraform: '.tf',
+  text: '.txt',
+  txt: '.txt',
+  plaintext: '.txt'
+}
+
+/**
+ * File extension for a language name such as a Markdown fence info string ("py", "yaml", "c++")
+ * @returns {string|null} null when the language is unknown
+ */
+function extensionForLanguage (language) {
+  const key = String(language || '').trim().toLowerCase()
+  if (!key) return null
+  if (EXTRA_EXTENSIONS[key]) return EXTRA_EXTENSIONS[key]
+  const id = LANGUAGE_ALIASES[key] || key
+  const format = FORMATS.find(f => f.type === id) || FORMATS.find(f => f.language === id)
+  return format ? format.ext : null
+}
+
+function sampleOf (text) {
+  if (typeof text !== 'string') return null
+  const sample = text.slice(0, SAMPLE_SIZE).replace(/\r\n?/g, '\n').trim()
+  if (!sample) return null
+  const lines = sample.split('\n').filter(line => line.trim())
+  return { text: sample, lines, first: lines[0] }
+}
+
+function scoreFormat (format, ctx) {
+  if (format.shebang && ctx.first.startsWith('#!')) return format.shebang.test(ctx.first) ? 1 : 0
+  return Math.min(format.score(ctx), 1)
+}
+
+const summary = ({ type, ext, mime, language }) => ({ type, ext, mime, language })
+const round = (value) => Math.round(value * 100) / 100
+
+/**
+ * Detect the format of a text snippet
+ * @param {string} text
+ * @returns {{type: string, ext: string, mime: string, language: string, confidence: number,
+ *   candidates: {type: string, confidence: number}[]}} plain text ("text", .txt) when no
+ *   format reaches MIN_CONFIDENCE; `candidates` lists the best ratings, highest first
+ */
+function detectContentType (text) {
+  const ctx = sampleOf(text)
+  if (!ctx) return { ...PLAIN_TEXT, confidence: 1, candidates: [] }
+  // Array#sort is stable, so equal ratings keep FORMATS order
+  const scored = FORMATS
+    .map(format => ({ format, confidence: round(scoreFormat(format, ctx)) }))
+    .filter(entry => entry.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence)
+  const candidates = scored.slice(0, MAX_CANDIDATES).map(entry => ({ type: entry.format.type, confidence: entry.confidence }))
+  const best = scored[0]
+  if (!best || best.confidence < MIN_CONFIDENCE) {
+    return { ...PLAIN_TEXT, confidence: round(1 - (best ? best.confidence : 0)), candidates }
+  }
+  return { ...summary(best.format), confidence: best.confidence, candidates }
+}
+
+// Every type detectContentType can report besides "text"
+function detectableTypes () {
+  return FORMATS.map(format => format.type)
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  detectContentType,
+  detectableTypes,
+  extensionForLanguage
+}
@@ -41,14 +41,14 @@ function isHeadlessEnvironment (includeJest = false) {
     )
   }
 
-  // On Linux and other Unix-like systems, DISPLAY is a good indicator
+  // On Linux and other Unix-like systems, DISPLAY (or WAYLAND_DISPLAY) is a good indicator
   // but also check for xvfb which sets DISPLAY but doesn't have real clipboard
   return !!(
     isJest ||
     process.env.CI ||
     process.env.GITHUB_ACTIONS ||
     process.env.HEADLESS ||
-    !process.env.DISPLAY ||
+    (!process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) ||
     process.env.XVFB_RUN ||
     process.argv.includes('--headless') ||
     // Detect xvfb virtual display (usually :99 or similar high numbers)
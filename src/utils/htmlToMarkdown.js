@@ -0,0 +1,318 @@
+// Small dependency-free HTML → Markdown converter for rich clipboard content.
+// Covers what browsers and office apps put on the clipboard: headings, paragraphs,
+// emphasis, links, images, (nested) lists, blockquotes, code and GFM tables.
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'])
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea'])
+const SKIP_TAGS = new Set(['head', 'script', 'style', 'title', 'noscript', 'template', 'meta', 'link', 'button', 'select', 'textarea', 'svg'])
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'center', 'dd', 'details', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'html', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+])
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  times: '×',
+  laquo: '«',
+  raquo: '»'
+}
+
+// Placeholder for <br>, resolved once the surrounding inline run is trimmed
+const HARD_BREAK = '\u0000'
+
+function decodeEntities (text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10)
+      try { return String.fromCodePoint(code) } catch { return m }
+    }
+    const named = NAMED_ENTITIES[ent.toLowerCase()]
+    return named !== undefined ? named : m
+  })
+}
+
+function parseAttributes (str) {
+  const attrs = {}
+  const attrRegex = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+  let m
+  while ((m = attrRegex.exec(str)) !== null) {
+    const value = m[2] !== undefined ? m[2] : (m[3] !== undefined ? m[3] : (m[4] !== undefined ? m[4] : ''))
+    attrs[m[1].toLowerCase()] = decodeEntities(value)
+  }
+  return attrs
+}
+
+// Close elements that HTML closes implicitly (a new <li> ends the previous one, etc.)
+function autoClose (stack, tag) {
+  const closeTo = (targets, boundaries) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (targets.includes(stack[i].tag)) { stack.length = i; return }
+      if (boundaries.includes(stack[i].tag)) return
+    }
+  }
+  if (tag === 'li') closeTo(['li'], ['ul', 'ol'])
+  else if (tag === 'dt' || tag === 'dd') closeTo(['dt', 'dd'], ['dl'])
+  else if (tag === 'tr') closeTo(['tr'], ['table', 'thead', 'tbody', 'tfoot'])
+  else if (tag === 'td' || tag === 'th') closeTo(['td', 'th'], ['tr', 'table'])
+  if (BLOCK_TAGS.has(tag) && stack[stack.length - 1].tag === 'p') stack.length -= 1
+}
+
+function parseHtml (html) {
+  const root = { type: 'element', tag: '#root', attrs: {}, children: [] }
+  const stack = [root]
+  const tokenRegex = /<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g
+  let m
+  while ((m = tokenRegex.exec(html)) !== null) {
+    if (m[1]) {
+      const tag = m[1].toLowerCase()
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag === tag) { stack.length = i; break }
+      }
+      continue
+    }
+    if (m[2]) {
+      const tag = m[2].toLowerCase()
+      const rawAttrs = m[3] || ''
+      autoClose(stack, tag)
+      const el = { type: 'element', tag, attrs: parseAttributes(rawAttrs.replace(/\/\s*$/, '')), children: [] }
+      stack[stack.length - 1].children.push(el)
+      if (VOID_TAGS.has(tag) || /\/\s*$/.test(rawAttrs)) continue
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const closeIdx = html.toLowerCase().indexOf(`</${tag}`, tokenRegex.lastIndex)
+        const end = closeIdx === -1 ? html.length : closeIdx
+        el.children.push({ type: 'text', text: html.slice(tokenRegex.lastIndex, end) })
+        tokenRegex.lastIndex = end
+        continue
+      }
+      stack.push(el)
+      continue
+    }
+    if (m[0].startsWith('<!') || m[0].startsWith('<?')) continue
+    stack[stack.length - 1].children.push({ type: 'text', text: decodeEntities(m[0]) })
+  }
+  return root
+}
+
+function isElement (node, tag) {
+  return node.type === 'element' && (!tag || node.tag === tag)
+}
+
+function textContent (node) {
+  if (node.type === 'text') return node.text
+  if (node.tag === 'br') return '\n'
+  return node.children.map(textContent).join('')
+}
+
+function escapeMarkdown (text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1')
+}
+
+function wrapInline (marker, content) {
+  const m = content.match(/^(\s*)([\s\S]*?)(\s*)$/)
+  if (!m[2]) return content
+  return `${m[1]}${marker}${m[2]}${marker}${m[3]}`
+}
+
+function inlineCode (text) {
+  const code = text.replace(/\s*\n\s*/g, ' ')
+  if (!code) return ''
+  return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``
+}
+
+function languageFromClass (cls) {
+  if (!cls) return ''
+  const m = cls.match(/(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/)
+  return m ? m[1] : ''
+}
+
+// Collapse whitespace of an inline run and resolve hard breaks
+function cleanInline (text, breakWith = '  \n') {
+  return text
+    .replace(/[ \t\r\n]+/g, ' ')
+    .split(HARD_BREAK)
+    .map(s => s.trim())
+    .join(breakWith)
+    .trim()
+}
+
+function renderInlineChildren (node, ctx) {
+  return node.children.map(child => renderInline(child, ctx)).join('')
+}
+
+function renderInline (node, ctx) {
+  if (node.type === 'text') return escapeMarkdown(node.text.replace(/[ \t\r\n]+/g, ' '))
+  const tag = node.tag
+  if (SKIP_TAGS.has(tag)) return ''
+  switch (tag) {
+    case 'br':
+      return HARD_BREAK
+    case 'strong':
+    case 'b':
+      return wrapInline('**', renderInlineChildren(node, ctx))
+    case 'em':
+    case 'i':
+      return wrapInline('_', renderInlineChildren(node, ctx))
+    case 'del':
+    case 's':
+    case 'strike':
+      return wrapInline('~~', renderInlineChildren(node, ctx))
+    case 'code':
+    case 'kbd':
+    case 'samp':
+    case 'tt':
+      return inlineCode(textContent(node))
+    case 'a': {
+      const text = cleanInline(renderInlineChildren(node, ctx), ' ')
+      const href = node.attrs.href
+      if (!href || /^javascript:/i.test(href)) return text
+      if (!text) return ''
+      if (text === escapeMarkdown(href)) return `<${href}>`
+      const title = node.attrs.title ? ` "${node.attrs.title.replace(/"/g, '\\"')}"` : ''
+      return `[${text}](${href.replace(/ /g, '%20')}${title})`
+    }
+    case 'img': {
+      if (!node.attrs.src) return ''
+      return `![${escapeMarkdown(node.attrs.alt || '')}](${node.attrs.src.replace(/ /g, '%20')})`
+    }
+    case 'input':
+      if ((node.attrs.type || '').toLowerCase() === 'checkbox') {
+        return node.attrs.checked !== undefined ? '[x] ' : '[ ] '
+      }
+      return ''
+    default:
+      if (BLOCK_TAGS.has(tag)) return ` ${renderBlocks(node.children, ctx).join(' ')} `
+      return renderInlineChildren(node, ctx)
+  }
+}
+
+function renderList (node, ctx) {
+  const ordered = node.tag === 'ol'
+  let counter = ordered ? (parseInt(node.attrs.start, 10) || 1) : 0
+  const items = node.children.filter(child => isElement(child, 'li'))
+  return items.map(li => {
+    const marker = ordered ? `${counter++}. ` : '- '
+    const loose = li.children.some(child => isElement(child, 'p'))
+    const body = renderBlocks(li.children, ctx).join(loose ? '\n\n' : '\n')
+    const indent = ' '.repeat(marker.length)
+    return marker + body.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n')
+  }).join('\n')
+}
+
+function renderTable (node, ctx) {
+  const rows = []
+  const collect = (parent) => {
+    for (const child of parent.children) {
+      if (!isElement(child)) continue
+      if (child.tag === 'tr') rows.push(child)
+      else if (child.tag === 'thead' || child.tag === 'tbody' || child.tag === 'tfoot') collect(child)
+    }
+  }
+  collect(node)
+  const cells = rows
+    .map(tr => tr.children
+      .filter(c => isElement(c, 'td') || isElement(c, 'th'))
+      .map(cell => cleanInline(renderInlineChildren(cell, ctx), ' ').replace(/\|/g, '\\|')))
+    .filter(row => row.length > 0)
+  if (!cells.length) return ''
+  const cols = Math.max(...cells.map(row => row.length))
+  const line = (row) => `| ${Array.from({ length: cols }, (_, i) => row[i] || '').join(' | ')} |`
+  const [header, ...body] = cells
+  return [line(header), `| ${Array.from({ length: cols }, () => '---').join(' | ')} |`, ...body.map(line)].join('\n')
+}
+
+function renderPre (node) {
+  const codeEl = node.children.find(child => isElement(child, 'code'))
+  const lang = languageFromClass(node.attrs.class) || (codeEl ? languageFromClass(codeEl.attrs.class) : '')
+  const code = textContent(node).replace(/^\r?\n/, '').replace(/\s+$/, '')
+  const fence = code.includes('```') ? '~~~~' : '```'
+  return `${fence}${lang}\n${code}\n${fence}`
+}
+
+function renderBlockElement (node, ctx) {
+  const tag = node.tag
+  const heading = tag.match(/^h([1-6])$/)
+  if (heading) {
+    const text = cleanInline(renderInlineChildren(node, ctx), ' ')
+    return text ? [`${'#'.repeat(parseInt(heading[1], 10))} ${text}`] : []
+  }
+  switch (tag) {
+    case 'hr':
+      return ['---']
+    case 'pre':
+      return [renderPre(node)]
+    case 'ul':
+    case 'ol': {
+      const list = renderList(node, ctx)
+      return list ? [list] : []
+    }
+    case 'li':
+      return [renderList({ tag: 'ul', attrs: {}, children: [node] }, ctx)]
+    case 'table': {
+      const table = renderTable(node, ctx)
+      return table ? [table] : []
+    }
+    case 'blockquote': {
+      const inner = renderBlocks(node.children, ctx).join('\n\n')
+      return inner ? [inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : []
+    }
+    case 'dt': {
+      const text = cleanInline(renderInlineChildren(node, ctx))
+      return text ? [`**${text}**`] : []
+    }
+    default:
+      return renderBlocks(node.children, ctx)
+  }
+}
+
+// Render a list of sibling nodes into Markdown blocks; consecutive inline nodes form one paragraph
+function renderBlocks (nodes, ctx) {
+  const blocks = []
+  let run = ''
+  const flush = () => {
+    const text = cleanInline(run)
+    if (text) blocks.push(text)
+    run = ''
+  }
+  for (const node of nodes) {
+    if (isElement(node) && SKIP_TAGS.has(node.tag)) continue
+    if (isElement(node) && BLOCK_TAGS.has(node.tag)) {
+      flush()
+      blocks.push(...renderBlockElement(node, ctx))
+    } else {
+      run += renderInline(node, ctx)
+    }
+  }
+  flush()
+  return blocks
+}
+
+/**
+ * Convert an HTML document or fragment to Markdown (CommonMark + GFM tables/strikethrough)
+ * @param {string} html
+ * @returns {string} Markdown without a trailing newline
+ */
+function htmlToMarkdown (html) {
+  if (!html || typeof html !== 'string') return ''
+  const root = parseHtml(html)
+  return renderBlocks(root.children, {}).join('\n\n').trim()
+}
+
+module.exports = { htmlToMarkdown, parseHtml, decodeEntities }
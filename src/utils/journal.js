@@ -0,0 +1,53 @@
+const { detectContentType } = require('./detect')
+
+const DEFAULT_HEADER = '## {date} {time} · {source} · {sha8}'
+const DEFAULT_SEPARATOR = '\n---\n\n'
+
+// "\n" and "\t" typed on the command line or stored in config.json mean newline and tab
+function unescapeSeparator (value) {
+  return String(value).replace(/\\([nt\\])/g, (m, c) => ({ n: '\n', t: '\t', '\\': '\\' })[c])
+}
+
+// Fence info string for a snippet, e.g. "json"; empty when nothing more specific than text is detected
+function languageForText (text) {
+  return detectContentType(text).language
+}
+
+function fenceCode (text, lang = languageForText(text)) {
+  const code = String(text).replace(/\s+$/, '')
+  const fence = code.includes('```') ? '~~~~' : '```'
+  return `${fence}${lang}\n${code}\n${fence}`
+}
+
+/**
+ * Render a header template such as "## {date} {time} · {source} · {sha8}" with buildNameVars()
+ * values plus {source}
+ */
+function renderHeader (template, vars) {
+  return String(template).replace(/\{([a-z0-9]+)\}/gi, (match, name) => {
+    const key = name.toLowerCase()
+    if (!Object.prototype.hasOwnProperty.call(vars, key)) {
+      throw new Error(`Unknown placeholder ${match} in journal header`)
+    }
+    return String(vars[key])
+  })
+}
+
+/**
+ * One journal entry: the rendered header (omitted when the template is empty), a blank line and the body
+ * @param {{body: string, header?: string, vars?: object}} entry
+ */
+function formatJournalEntry ({ body, header = DEFAULT_HEADER, vars = {} }) {
+  const text = String(body).replace(/\s+$/, '')
+  return header ? `${renderHeader(header, vars)}\n\n${text}\n` : `${text}\n`
+}
+
+module.exports = {
+  DEFAULT_HEADER,
+  DEFAULT_SEPARATOR,
+  unescapeSeparator,
+  languageForText,
+  fenceCode,
+  renderHeader,
+  formatJournalEntry
+}
@@ -0,0 +1,105 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const path = require('path')
+
+const PLACEHOLDER = /\{([a-z0-9]+)(?::(\d+))?\}/gi
+
+// Lowercase words joined by dashes, e.g. "Fix: the Bug!" -> "fix-the-bug"
+function slugify (text, maxLength = 40) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, maxLength)
+    .replace(/^-+|-+$/g, '')
+}
+
+function firstLineSlug (text) {
+  const line = String(text || '').split(/\r?\n/).find(l => l.trim())
+  return slugify(line)
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0')
+
+function dateVars (date) {
+  const d = {
+    year: date.getFullYear(),
+    month: pad(date.getMonth() + 1),
+    day: pad(date.getDate()),
+    hour: pad(date.getHours()),
+    minute: pad(date.getMinutes()),
+    second: pad(date.getSeconds())
+  }
+  return {
+    ...d,
+    date: `${d.year}-${d.month}-${d.day}`,
+    time: `${d.hour}-${d.minute}-${d.second}`,
+    timestamp: date.toISOString().replace(/[:.]/g, '-'),
+    unix: Math.floor(date.getTime() / 1000)
+  }
+}
+
+/**
+ * Placeholder values for a paste output name
+ * @param {{date?: Date, sha256?: string, type?: string, text?: string, ext?: string,
+ *   width?: number, height?: number, id?: string}} info - id defaults to a short random id
+ */
+function buildNameVars (info = {}) {
+  const sha = info.sha256 || ''
+  return {
+    ...dateVars(info.date || new Date()),
+    sha256: sha,
+    sha8: sha.slice(0, 8),
+    type: info.type || '',
+    slug: firstLineSlug(info.text) || info.type || 'clipboard',
+    ext: info.ext || '',
+    width: info.width != null ? info.width : '',
+    height: info.height != null ? info.height : '',
+    uuid: info.id || crypto.randomUUID().split('-')[0]
+  }
+}
+
+// Placeholder values never introduce directories of their own
+function safeValue (value) {
+  return String(value).replace(/[/\\]/g, '-')
+}
+
+function renderOnce (pattern, vars, counter) {
+  return pattern.replace(PLACEHOLDER, (match, name, width) => {
+    const key = name.toLowerCase()
+    if (key === 'counter') return pad(counter, width ? parseInt(width, 10) : 1)
+    if (!Object.prototype.hasOwnProperty.call(vars, key)) {
+      throw new Error(`Unknown placeholder ${match} in name pattern`)
+    }
+    return safeValue(vars[key])
+  })
+}
+
+/**
+ * Render a name pattern such as "{date}/{time}-{slug}-{sha8}{ext}" into a path below dir.
+ * {counter} (or {counter:3} for zero padding) takes the first value whose file does not exist yet.
+ * The extension is appended when the pattern does not place one.
+ * @returns {string} absolute file path
+ */
+function renderNamePattern (pattern, vars, dir) {
+  const base = path.resolve(dir || process.cwd())
+  const usesCounter = /\{counter(?::\d+)?\}/i.test(pattern)
+  for (let counter = 1; counter <= 100000; counter++) {
+    let rel = renderOnce(String(pattern), vars, counter)
+    if (!/\{ext\}/i.test(pattern) && vars.ext && !path.extname(rel)) rel += vars.ext
+    const segments = rel.split(/[/\\]+/)
+    if (path.isAbsolute(rel) || segments.some(s => s === '..') || !segments[segments.length - 1]) {
+      throw new Error(`Name pattern '${pattern}' must name a file inside the output directory`)
+    }
+    const filePath = path.join(base, ...segments.filter(s => s && s !== '.'))
+    if (!usesCounter || !fs.existsSync(filePath)) return filePath
+  }
+  throw new Error(`No free file name for pattern '${pattern}'`)
+}
+
+module.exports = {
+  slugify,
+  buildNameVars,
+  renderNamePattern
+}
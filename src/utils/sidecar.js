@@ -0,0 +1,82 @@
+const fs = require('fs').promises
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const sharp = require('sharp')
+const { gitVars } = require('./autovars')
+
+const SIDECAR_SUFFIX = '.meta.json'
+
+function sidecarPathFor (filePath) {
+  return filePath.endsWith(SIDECAR_SUFFIX) ? filePath : filePath + SIDECAR_SUFFIX
+}
+
+async function hashFile (filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex')
+}
+
+/**
+ * Provenance record for a pasted file: when and where it was pasted, the content hash and
+ * type, image dimensions and the clipboard format it came from
+ * @param {{type: string, mime?: string, clipboardFormat?: string, formats?: string[],
+ *   selection?: string, register?: string}} info
+ */
+async function buildSidecar (filePath, info = {}) {
+  const data = await fs.readFile(filePath)
+  const git = gitVars()
+  const meta = {
+    version: 1,
+    file: path.basename(filePath),
+    pastedAt: new Date().toISOString(),
+    hostname: os.hostname(),
+    cwd: process.cwd(),
+    git: git.git_repo ? { repo: git.git_repo, branch: git.git_branch || null } : null,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    size: data.length,
+    type: info.type,
+    mime: info.mime || null,
+    image: null,
+    source: {
+      selection: info.selection || null,
+      register: info.register || null,
+      format: info.clipboardFormat || null,
+      formats: info.formats || []
+    }
+  }
+  if (info.type === 'image') {
+    const { width, height, format } = await sharp(data).metadata().catch(() => ({}))
+    meta.image = { width: width || null, height: height || null, format: format || null }
+  }
+  return meta
+}
+
+async function writeSidecar (filePath, meta) {
+  const target = sidecarPathFor(filePath)
+  await fs.writeFile(target, JSON.stringify(meta, null, 2) + '\n')
+  return target
+}
+
+// The sidecar of filePath (or the sidecar file itself); null when there is none
+async function readSidecar (filePath) {
+  let raw
+  try {
+    raw = await fs.readFile(sidecarPathFor(filePath), 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+  try {
+    return JSON.parse(raw)
+  } catch (error) {
+    throw new Error(`Sidecar ${sidecarPathFor(filePath)} is not valid JSON: ${error.message}`)
+  }
+}
+
+module.exports = {
+  SIDECAR_SUFFIX,
+  sidecarPathFor,
+  hashFile,
+  buildSidecar,
+  writeSidecar,
+  readSidecar
+}
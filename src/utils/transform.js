@@ -1,4 +1,5 @@
 const sharp = require('sharp')
+const { detectContentType } = require('./detect')
 
 function base64Encode (text) {
   return Buffer.from(String(text || ''), 'utf8').toString('base64')
@@ -44,21 +45,121 @@ function parseResizeSpec (spec) {
   return { width, height }
 }
 
+// File extension for text content, e.g. ".json"; ".txt" unless detectContentType recognizes the format
 function extensionForTextContent (text) {
-  if (!text || typeof text !== 'string') return '.txt'
-  const s = text.trim()
-  // JSON
-  if (s.startsWith('{') || s.startsWith('[')) {
-    try { JSON.parse(s); return '.json' } catch {}
+  return detectContentType(text).ext
+}
+
+// "500KB", "1.5MB", "2m" or plain bytes; units are powers of 1024, as in `formatFileSize`
+function parseByteSize (value) {
+  const m = String(value == null ? '' : value).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]i?b?|b|bytes?)?$/i)
+  if (!m) return null
+  const unit = (m[2] || 'b')[0].toLowerCase()
+  const bytes = Math.floor(parseFloat(m[1]) * { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 }[unit])
+  return bytes > 0 ? bytes : null
+}
+
+/**
+ * Parse one paste image operation: "crop=L,T,W,H", "rotate=DEG", "grayscale", "border=N[:color]",
+ * "watermark=TEXT" or "resize=WxH". Returns null for anything else, like parseResizeSpec.
+ */
+function parseImageOp (spec) {
+  if (!spec) return null
+  const str = String(spec).trim()
+  const eq = str.indexOf('=')
+  const name = (eq === -1 ? str : str.slice(0, eq)).trim().toLowerCase()
+  const arg = eq === -1 ? '' : str.slice(eq + 1).trim()
+  switch (name) {
+    case 'crop': {
+      const m = arg.match(/^(\d+),(\d+),(\d+),(\d+)$/)
+      if (!m) return null
+      const [left, top, width, height] = m.slice(1).map(n => parseInt(n, 10))
+      if (!width || !height) return null
+      return { op: 'crop', left, top, width, height }
+    }
+    case 'rotate':
+      return /^-?\d+(\.\d+)?$/.test(arg) ? { op: 'rotate', angle: parseFloat(arg) } : null
+    case 'grayscale':
+    case 'greyscale':
+      return arg ? null : { op: 'grayscale' }
+    case 'border': {
+      const m = arg.match(/^(\d+)(?::(#[0-9a-f]{3,8}|[a-z]+))?$/i)
+      if (!m || parseInt(m[1], 10) < 1) return null
+      return { op: 'border', width: parseInt(m[1], 10), color: m[2] || '#000000' }
+    }
+    case 'watermark': {
+      const text = arg.replace(/^(["'])(.*)\1$/, '$2')
+      return text ? { op: 'watermark', text } : null
+    }
+    case 'resize': {
+      const size = parseResizeSpec(arg)
+      return size ? { op: 'resize', ...size } : null
+    }
+    default:
+      return null
   }
-  // Markdown
-  if (/^(# |[*-] |\d+\. |```)/m.test(s)) return '.md'
-  // Shell via shebang
-  if (/^#!.*\b(bash|sh|zsh)\b/.test(s)) return '.sh'
-  // Node/JS via shebang or common tokens
-  if (/^#!.*\bnode\b/.test(s) || /(module\.exports|require\(|import\s+|export\s+|function\s+)/.test(s)) return '.js'
-  return '.txt'
 }
+
+function escapeXml (text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c])
+}
+
+// Semi-transparent text in the bottom-right corner, as an overlay the size of the image
+function watermarkSvg (text, width, height) {
+  const size = Math.max(10, Math.round(Math.min(width, height) / 10))
+  const pad = Math.round(size / 2)
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<text x="${width - pad}" y="${height - pad}" text-anchor="end" font-family="sans-serif" font-size="${size}" ` +
+    `fill="#ffffff" fill-opacity="0.6" stroke="#000000" stroke-opacity="0.4" stroke-width="${Math.max(1, size / 20)}">` +
+    `${escapeXml(text)}</text></svg>`
+}
+
+/**
+ * Apply parsed image operations in order. Each step works on the previous step's output,
+ * so "rotate=90" followed by "crop=..." crops the rotated image. The EXIF orientation is
+ * applied first, so coordinates refer to the image as displayed; the remaining metadata
+ * is carried through for a later --keep-exif.
+ * @returns {Promise<Buffer>} PNG data
+ */
+async function applyImageOps (buf, ops) {
+  let data = await sharp(buf).rotate().withMetadata().png().toBuffer()
+  for (const step of ops) {
+    let image = sharp(data)
+    switch (step.op) {
+      case 'crop': {
+        const { width, height } = await image.metadata()
+        if (step.left + step.width > width || step.top + step.height > height) {
+          throw new Error(`Crop area ${step.left},${step.top},${step.width},${step.height} lies outside the ${width}x${height} image`)
+        }
+        image = image.extract({ left: step.left, top: step.top, width: step.width, height: step.height })
+        break
+      }
+      case 'rotate':
+        image = image.rotate(step.angle, { background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        break
+      case 'grayscale':
+        // Keep three channels so later operations can still add color
+        image = image.grayscale().toColourspace('srgb')
+        break
+      case 'border':
+        image = image.extend({ top: step.width, bottom: step.width, left: step.width, right: step.width, background: step.color })
+        break
+      case 'watermark': {
+        const { width, height } = await image.metadata()
+        image = image.composite([{ input: Buffer.from(watermarkSvg(step.text, width, height)), top: 0, left: 0 }])
+        break
+      }
+      case 'resize':
+        image = image.resize({ width: step.width, height: step.height, fit: 'inside', withoutEnlargement: true })
+        break
+      default:
+        throw new Error(`Unknown image operation '${step.op}'`)
+    }
+    data = await image.withMetadata().png().toBuffer()
+  }
+  return data
+}
+
 async function imageMetadataFromBuffer (buf, { safeMaxBytes = 25 * 1024 * 1024 } = {}) {
   const sizeBytes = Buffer.isBuffer(buf) ? buf.length : 0
   if (!sizeBytes) return null
@@ -71,7 +172,15 @@ async function imageMetadataFromBuffer (buf, { safeMaxBytes = 25 * 1024 * 1024 }
       format: md.format,
       width: md.width,
       height: md.height,
-      sizeBytes
+      sizeBytes,
+      // EXIF orientation 1-8; 1 (or none) means the pixels are stored upright
+      orientation: md.orientation || 1,
+      colorSpace: md.space,
+      channels: md.channels,
+      hasAlpha: !!md.hasAlpha,
+      dpi: md.density || null,
+      hasExif: !!md.exif,
+      hasIccProfile: !!md.hasProfile
     }
   } catch {
     return { sizeBytes }
@@ -85,6 +194,9 @@ module.exports = {
   urlDecode,
   jsonPretty,
   parseResizeSpec,
+  parseByteSize,
+  parseImageOp,
+  applyImageOps,
   extensionForTextContent,
   imageMetadataFromBuffer
 }
@@ -1,13 +1,8 @@
-const crypto = require('crypto')
 const { spawn } = require('child_process')
 const ClipboardManager = require('./clipboard')
 
-function sha256 (text) {
-  return crypto.createHash('sha256').update(text || '').digest('hex')
-}
-
 class Watcher {
-  constructor ({ interval = 1000, verbose = false } = {}) {
+  constructor ({ interval = 1000, verbose = false, selection = 'clipboard', backend, backendConfig, headlessBackend } = {}) {
     this.interval = Math.max(200, Number(interval) || 1000)
     this.verbose = !!verbose
     this._timer = null
@@ -15,7 +10,8 @@ class Watcher {
     this._lastHash = null
     this._eventsHandled = 0
     this._idleSince = Date.now()
-    this._clipboard = new ClipboardManager()
+    this._clipboardOptions = { backend, backendConfig, headlessBackend }
+    this._clipboard = new ClipboardManager({ selection, ...this._clipboardOptions })
   }
 
   async start (opts = {}) {
@@ -23,6 +19,7 @@ class Watcher {
       filter,
       exec: execCmd,
       save = false,
+      mirrorTo,
       history,
       timeout,
       once = false,
@@ -33,19 +30,29 @@ class Watcher {
 
     const filterRegex = this._buildRegex(filter)
 
+    // Mirroring copies each change into another selection, e.g. highlighted PRIMARY text into CLIPBOARD
+    let mirror = null
+    if (mirrorTo) {
+      mirror = new ClipboardManager({ selection: mirrorTo, ...this._clipboardOptions })
+      if (mirror.selection === this._clipboard.selection) {
+        throw new Error(`Cannot mirror the ${mirror.selection} selection into itself`)
+      }
+    }
+
     const stopOnTimeout = typeof timeout === 'number' && timeout > 0
     const stopAt = stopOnTimeout ? (Date.now() + timeout) : null
 
     if (this.verbose) {
-      console.error(`[watch] interval=${this.interval}ms save=${!!save} exec=${execCmd ? 'yes' : 'no'} filter=${filter || 'none'}`)
+      console.error(`[watch] interval=${this.interval}ms selection=${this._clipboard.selection} save=${!!save} exec=${execCmd ? 'yes' : 'no'} filter=${filter || 'none'}${mirror ? ` mirror=${mirror.selection}` : ''}`)
     }
 
     const onTick = async () => {
       if (this._stopped) return
 
       try {
-        const content = await this._clipboard.readText()
-        const hash = sha256(content)
+        const snapshot = await this._clipboard.readAll({ image: false })
+        const content = snapshot.text
+        const hash = snapshot.sha256
 
         if (hash && hash !== this._lastHash && content.length > 0) {
           // Possible change detected
@@ -65,6 +72,10 @@ class Watcher {
               try { await history.addEntry(content) } catch (e) { if (this.verbose) console.error('[watch] history error:', e.message) }
             }
 
+            if (mirror) {
+              try { await mirror.writeText(content) } catch (e) { if (this.verbose) console.error('[watch] mirror error:', e.message) }
+            }
+
             // Execute command if requested
             if (execCmd) {
               await this._runExec(execCmd, content, hash)
@@ -133,7 +144,9 @@ class Watcher {
         env: {
           ...process.env,
           CLIPASTE_TEXT: content,
-          CLIPASTE_SHA256: hash
+          CLIPASTE_SHA256: hash,
+          // `clipaste copy` inside the hook only writes back if the clipboard still holds this content
+          CLIPASTE_IF_UNCHANGED: hash
         },
         stdio: ['pipe', 'inherit', 'inherit']
       })
@@ -8,6 +8,7 @@ const CLI = require('../src/cli')
 const ClipboardManager = require('../src/clipboard')
 const FileHandler = require('../src/fileHandler')
 const AIManager = require('../src/ai/manager')
+const { readAllFromMocks } = require('./helpers/readAllFromMocks')
 
 describe('CLI AI commands', () => {
   let cli
@@ -24,6 +25,7 @@ describe('CLI AI commands', () => {
       readText: jest.fn().mockResolvedValue('input text'),
       writeText: jest.fn().mockResolvedValue()
     }
+    mockClipboard.readAll = jest.fn(readAllFromMocks(mockClipboard))
     ClipboardManager.mockImplementation(() => mockClipboard)
     FileHandler.mockImplementation(() => ({}))
 
@@ -50,7 +52,7 @@ describe('CLI AI commands', () => {
   it('summarize reads clipboard, redacts, and copies output when requested', async () => {
     await cli.handleAiSummarize({ source: 'clipboard', copy: true, consent: true })
 
-    expect(mockClipboard.hasContent).toHaveBeenCalled()
+    expect(mockClipboard.readAll).toHaveBeenCalled()
     expect(mockAiManager.applyRedaction).toHaveBeenCalledWith('input text', expect.any(Object))
     expect(mockAiManager.runPrompt).toHaveBeenCalledWith(expect.objectContaining({
       provider: undefined,
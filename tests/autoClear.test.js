@@ -0,0 +1,112 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const { spawnSync } = require('child_process')
+const CLI = require('../src/cli')
+const HistoryStore = require('../src/historyStore')
+const { AutoClearStore, runClearer } = require('../src/autoClear')
+const { FileBackend } = require('../src/backends')
+
+const sha = (text) => crypto.createHash('sha256').update(text).digest('hex')
+
+describe('--clear-after auto-clear timers', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let store
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-autoclear-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    store = new AutoClearStore()
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('AutoClearStore', () => {
+    it('keeps records in <config dir>/clear-timers', async () => {
+      const timer = await store.add({ seconds: 30, sha256: sha('secret'), backend: 'file' })
+      expect(fs.existsSync(path.join(tmpDir, 'clear-timers', `${timer.id}.json`))).toBe(true)
+      expect(await store.list()).toEqual([expect.objectContaining({ id: timer.id, backend: 'file', selection: 'clipboard' })])
+      expect(await store.isPending(sha('secret'))).toBe(true)
+
+      await store.remove(timer)
+      expect(await store.list()).toEqual([])
+    })
+
+    it('drops records whose clearer is gone', async () => {
+      const timer = await store.add({ seconds: 30, sha256: sha('secret') })
+      const deadPid = spawnSync(process.execPath, ['-e', '']).pid
+      fs.writeFileSync(store.recordPath(timer.id), JSON.stringify({ ...timer, pid: deadPid }))
+
+      expect(await store.list()).toEqual([])
+      expect(fs.existsSync(store.recordPath(timer.id))).toBe(false)
+    })
+  })
+
+  describe('runClearer', () => {
+    it('clears the clipboard only while it still holds the recorded content', async () => {
+      const clipboard = new FileBackend()
+      await clipboard.write('token-123')
+      const timer = await store.add({ seconds: 0.01, sha256: sha('token-123'), backend: 'file' })
+      await runClearer(store.recordPath(timer.id))
+      expect(await clipboard.read()).toBe('')
+      expect(await store.list()).toEqual([])
+
+      await clipboard.write('copied later')
+      const stale = await store.add({ seconds: 0.01, sha256: sha('token-123'), backend: 'file' })
+      await runClearer(store.recordPath(stale.id))
+      expect(await clipboard.read()).toBe('copied later')
+    })
+  })
+
+  it('keeps pending secrets out of history', async () => {
+    await store.add({ seconds: 30, sha256: sha('hunter2') })
+    const history = new HistoryStore({ dir: tmpDir })
+    expect(await history.addEntry('hunter2')).toBeNull()
+    expect(await history.addEntry('not a secret')).not.toBeNull()
+  })
+
+  describe('CLI', () => {
+    let logSpy
+
+    const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'file', ...args])
+
+    beforeEach(() => {
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    it('clears a copied secret after the timeout and shows the timer in status', async () => {
+      await run('copy', 'api-token', '--clear-after', '1')
+      expect(logSpy).toHaveBeenCalledWith('Clipboard will be cleared in 1s unless it changes')
+      const [timer] = await store.list()
+      expect(timer).toEqual(expect.objectContaining({ sha256: sha('api-token'), backend: 'file', pid: expect.any(Number) }))
+
+      await run('status')
+      expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/^Auto-clear: clipboard in [01]s \(pid \d+\)$/))
+
+      const deadline = Date.now() + 10000
+      while (Date.now() < deadline && (await store.list()).length) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+      }
+      expect(await new FileBackend().read()).toBe('')
+    }, 15000)
+
+    it('rejects a non-positive --clear-after without writing', async () => {
+      const originalExit = process.exit
+      process.exit = jest.fn(() => { throw new Error('exit') })
+      try {
+        await expect(run('copy', 'secret', '--clear-after', 'soon')).rejects.toThrow('exit')
+      } finally {
+        process.exit = originalExit
+      }
+      expect(await new FileBackend().read()).toBe('')
+      expect(await store.list()).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,96 @@
+const { PassThrough } = require('stream')
+const {
+  Osc52Backend,
+  detectPassthrough,
+  encodeOsc52,
+  wrapPassthrough,
+  parseOsc52Response
+} = require('../src/backends/osc52')
+
+const ESC = '\x1b'
+
+function captureStream () {
+  const stream = new PassThrough()
+  stream.output = ''
+  stream.on('data', chunk => { stream.output += chunk.toString() })
+  return stream
+}
+
+describe('OSC 52 encoding', () => {
+  it('encodes text as base64 for the requested selection', () => {
+    expect(encodeOsc52('hello')).toBe(`${ESC}]52;c;aGVsbG8=\x07`)
+    expect(encodeOsc52('hello', { selection: 'primary' })).toBe(`${ESC}]52;p;aGVsbG8=\x07`)
+    expect(encodeOsc52('héllo')).toBe(`${ESC}]52;c;${Buffer.from('héllo').toString('base64')}\x07`)
+  })
+
+  it('wraps sequences for tmux and screen passthrough', () => {
+    const seq = encodeOsc52('hi')
+    expect(wrapPassthrough(seq, 'tmux')).toBe(`${ESC}Ptmux;${ESC}${ESC}]52;c;aGk=\x07${ESC}\\`)
+    const long = encodeOsc52('x'.repeat(200))
+    const chunks = wrapPassthrough(long, 'screen').split(`${ESC}\\`).filter(Boolean)
+    expect(chunks.length).toBe(Math.ceil(long.length / 76))
+    expect(chunks.every(c => c.startsWith(`${ESC}P`) && c.length <= 78)).toBe(true)
+    expect(chunks.map(c => c.slice(2)).join('')).toBe(long)
+  })
+
+  it('detects the multiplexer from the environment', () => {
+    expect(detectPassthrough({ TMUX: '/tmp/tmux-1000/default,1,0' })).toBe('tmux')
+    expect(detectPassthrough({ STY: '1234.pts-0' })).toBe('screen')
+    expect(detectPassthrough({ TERM: 'screen-256color' })).toBe('screen')
+    expect(detectPassthrough({ TERM: 'xterm-256color' })).toBe('none')
+  })
+
+  it('parses terminal replies terminated by BEL or ST', () => {
+    expect(parseOsc52Response(`${ESC}]52;c;aGVsbG8=\x07`)).toBe('hello')
+    expect(parseOsc52Response(`noise${ESC}]52;c;aGk=${ESC}\\`)).toBe('hi')
+    expect(parseOsc52Response(`${ESC}]52;c;aGVs`)).toBeNull()
+  })
+})
+
+describe('Osc52Backend', () => {
+  it('writes the escape sequence to the output stream', async () => {
+    const output = captureStream()
+    const backend = new Osc52Backend({ output, config: { passthrough: 'tmux' } })
+    await backend.write('copied')
+    expect(output.output).toBe(wrapPassthrough(encodeOsc52('copied'), 'tmux'))
+  })
+
+  it('rejects content over the size cap without writing', async () => {
+    const output = captureStream()
+    const backend = new Osc52Backend({ output, config: { maxBytes: 4, passthrough: 'none' } })
+    await expect(backend.write('too long')).rejects.toMatchObject({ code: 'TOO_LARGE' })
+    expect(output.output).toBe('')
+    await expect(backend.write('ok')).resolves.toBe(true)
+  })
+
+  it('clears the selection with an invalid payload', async () => {
+    const output = captureStream()
+    await new Osc52Backend({ output, selection: 'primary', config: { passthrough: 'none' } }).clear()
+    expect(output.output).toBe(`${ESC}]52;p;!\x07`)
+  })
+
+  it('reads the reply to a clipboard query', async () => {
+    const input = new PassThrough()
+    const output = new PassThrough()
+    output.on('data', chunk => {
+      if (chunk.toString() === `${ESC}]52;c;?\x07`) {
+        input.write(`${ESC}]52;c;`)
+        input.write(`${Buffer.from('from terminal').toString('base64')}\x07`)
+      }
+    })
+    const backend = new Osc52Backend({ input, output, config: { passthrough: 'none' } })
+    await expect(backend.read()).resolves.toBe('from terminal')
+    expect(input.listenerCount('data')).toBe(0)
+  })
+
+  it('times out when the terminal does not answer', async () => {
+    const backend = new Osc52Backend({ input: new PassThrough(), output: new PassThrough(), config: { readTimeoutMs: 20, passthrough: 'none' } })
+    await expect(backend.read()).rejects.toMatchObject({ code: 'UNAVAILABLE', message: expect.stringContaining('did not answer') })
+  })
+
+  it('reports a missing controlling terminal', async () => {
+    const backend = new Osc52Backend({ config: { tty: '/nonexistent/tty', passthrough: 'none' } })
+    await expect(backend.write('x')).rejects.toMatchObject({ code: 'UNAVAILABLE' })
+    await expect(backend.read()).rejects.toMatchObject({ code: 'UNAVAILABLE' })
+  })
+})
@@ -0,0 +1,70 @@
+const { TmuxBackend } = require('../src/backends/tmux')
+const { indexTmuxBuffers } = require('../src/tmuxBridge')
+const HistoryStore = require('../src/historyStore')
+
+const ok = (stdout = '') => ({ code: 0, stdout: Buffer.from(stdout) })
+
+describe('TmuxBackend', () => {
+  it('reads the newest buffer and writes a new one', async () => {
+    const runTool = jest.fn()
+      .mockResolvedValueOnce(ok('from tmux'))
+      .mockResolvedValueOnce(ok())
+    const backend = new TmuxBackend({ runTool })
+    expect(await backend.read()).toBe('from tmux')
+    await backend.write('to tmux')
+    expect(runTool).toHaveBeenNthCalledWith(1, 'tmux', ['save-buffer', '-'], expect.any(Object))
+    expect(runTool).toHaveBeenNthCalledWith(2, 'tmux', ['load-buffer', '-'], expect.objectContaining({ input: 'to tmux' }))
+  })
+
+  it('targets a named buffer and socket from config', async () => {
+    const runTool = jest.fn().mockResolvedValue(ok('named'))
+    const backend = new TmuxBackend({ runTool, config: { buffer: 'notes', socket: '/tmp/tmux.sock' } })
+    await backend.read()
+    await backend.clear()
+    expect(runTool).toHaveBeenNthCalledWith(1, 'tmux', ['-S', '/tmp/tmux.sock', 'save-buffer', '-b', 'notes', '-'], expect.any(Object))
+    expect(runTool).toHaveBeenNthCalledWith(2, 'tmux', ['-S', '/tmp/tmux.sock', 'delete-buffer', '-b', 'notes'], expect.any(Object))
+  })
+
+  it('lists buffers and treats a missing server as empty', async () => {
+    const runTool = jest.fn()
+      .mockResolvedValueOnce(ok('buffer1\t1700000100\t5\nnotes\t1700000000\t11\n'))
+      .mockResolvedValueOnce({ code: 1, stdout: Buffer.alloc(0) })
+      .mockResolvedValueOnce({ code: 1, stdout: Buffer.alloc(0) })
+    const backend = new TmuxBackend({ runTool })
+    expect(await backend.listBuffers()).toEqual([
+      { name: 'buffer1', created: new Date(1700000100000), size: 5 },
+      { name: 'notes', created: new Date(1700000000000), size: 11 }
+    ])
+    expect(await backend.listBuffers()).toEqual([])
+    expect(await backend.read()).toBe('')
+  })
+
+  it('reports missing tmux and failed writes', async () => {
+    await expect(new TmuxBackend({ runTool: async () => null }).read()).rejects.toMatchObject({ code: 'UNAVAILABLE' })
+    const backend = new TmuxBackend({ runTool: async () => ({ code: 1, stdout: Buffer.alloc(0) }) })
+    await expect(backend.write('x')).rejects.toThrow('is a tmux server running?')
+    expect(() => new TmuxBackend({ runTool: jest.fn(), selection: 'primary' })).toThrow('only supports the clipboard selection')
+  })
+})
+
+describe('indexTmuxBuffers', () => {
+  it('records each buffer once, tagged with its name', async () => {
+    const contents = { notes: 'deploy checklist', buffer0: 'ls -la' }
+    const tmux = {
+      listBuffers: async () => [
+        { name: 'notes', created: new Date(0), size: 16 },
+        { name: 'buffer0', created: new Date(0), size: 6 }
+      ],
+      readBuffer: async (name) => contents[name]
+    }
+    const history = new HistoryStore({ persist: false })
+    expect(await indexTmuxBuffers(tmux, history)).toBe(2)
+    expect(await indexTmuxBuffers(tmux, history)).toBe(0)
+    const [match] = await history.search('checklist')
+    expect(match.tags).toEqual(['tmux', 'tmux:notes'])
+    expect((await history.get(match.id)).meta).toEqual({ tmuxBuffer: 'notes', created: new Date(0).toISOString() })
+
+    contents.notes = 'updated checklist'
+    expect(await indexTmuxBuffers(tmux, history)).toBe(1)
+  })
+})
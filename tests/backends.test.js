@@ -0,0 +1,190 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  BackendRegistry,
+  ClipboardBackend,
+  ClipboardyBackend,
+  XclipBackend,
+  WlClipboardBackend,
+  MemoryBackend,
+  FileBackend,
+  backends
+} = require('../src/backends')
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')
+
+describe('BackendRegistry', () => {
+  it('ships the built-in backends', () => {
+    expect(backends.getNames()).toEqual(['clipboardy', 'xclip', 'wl-clipboard', 'memory', 'file', 'osc52', 'tmux'])
+  })
+
+  it('creates registered backends with the given options', () => {
+    const registry = new BackendRegistry()
+    const factory = jest.fn((opts) => new MemoryBackend(opts))
+    registry.register('custom', factory, { description: 'Custom' })
+    const backend = registry.create('custom', { selection: 'primary' })
+    expect(factory).toHaveBeenCalledWith({ selection: 'primary' })
+    expect(backend.selection).toBe('primary')
+    expect(registry.list()).toEqual([{ name: 'custom', description: 'Custom' }])
+  })
+
+  it('rejects unknown names and invalid registrations', () => {
+    const registry = new BackendRegistry()
+    expect(() => registry.create('nope')).toThrow("Clipboard backend 'nope' is not available. Available: auto")
+    expect(() => registry.register('auto', () => null)).toThrow("'auto' is reserved")
+    expect(() => registry.register('x', 'not a function')).toThrow('must be registered with a factory function')
+  })
+})
+
+describe('ClipboardBackend defaults', () => {
+  class TextOnly extends ClipboardBackend {
+    constructor () { super({ name: 'text-only' }); this.text = '' }
+    async read () { return this.text }
+    async write (text) { this.text = text }
+  }
+
+  it('derives formats, readFormat and clear from read/write', async () => {
+    const backend = new TextOnly()
+    await backend.write('hi')
+    expect(await backend.listFormats()).toEqual(['text/plain'])
+    expect((await backend.readFormat('text/plain')).toString()).toBe('hi')
+    expect(await backend.readFormat('text/html')).toBeNull()
+    expect(await backend.readImage()).toBeNull()
+    await backend.clear()
+    expect(await backend.listFormats()).toEqual([])
+  })
+
+  it('reports unsupported operations', async () => {
+    await expect(new ClipboardBackend({ name: 'bare' }).read()).rejects.toMatchObject({
+      code: 'UNSUPPORTED',
+      message: 'The bare backend does not support reading text'
+    })
+    await expect(new TextOnly().writeImage('x.png')).rejects.toThrow('does not support writing images')
+  })
+})
+
+describe('MemoryBackend', () => {
+  let tmpDir
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-memory-'))
+  })
+
+  afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }))
+
+  it('round-trips text and shares state within the process', async () => {
+    await new MemoryBackend().write('shared')
+    const other = new MemoryBackend()
+    expect(await other.read()).toBe('shared')
+    expect(await other.listFormats()).toEqual(['text/plain'])
+  })
+
+  it('keeps selections apart', async () => {
+    await new MemoryBackend({ selection: 'primary' }).write('primary text')
+    expect(await new MemoryBackend().read()).toBe('')
+  })
+
+  it('stores images by MIME type', async () => {
+    const file = path.join(tmpDir, 'shot.png')
+    fs.writeFileSync(file, PNG_BYTES)
+    const backend = new MemoryBackend()
+    await expect(backend.writeImage(file)).resolves.toBe(true)
+    expect(await backend.listFormats()).toEqual(['image/png'])
+    expect(await backend.readImage()).toEqual({ format: 'png', data: PNG_BYTES })
+    expect(await backend.read()).toBe('')
+    await backend.clear()
+    expect(await backend.readImage()).toBeNull()
+  })
+})
+
+describe('FileBackend', () => {
+  let tmpDir
+
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-file-')) })
+  afterEach(() => fs.rmSync(tmpDir, { recursive: true, force: true }))
+
+  it('persists formats across instances', async () => {
+    await new FileBackend({ config: { dir: tmpDir } }).write('persisted')
+    expect(fs.readdirSync(tmpDir)).toEqual(['clipboard.json'])
+    expect(await new FileBackend({ config: { dir: tmpDir } }).read()).toBe('persisted')
+  })
+
+  it('stores every format in one private JSON file per selection', async () => {
+    const image = path.join(tmpDir, 'shot.png')
+    fs.writeFileSync(image, PNG_BYTES)
+    const backend = new FileBackend({ dir: tmpDir, selection: 'primary' })
+    await backend.writeImage(image)
+    const file = path.join(tmpDir, 'primary.json')
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'))
+    expect(stored.formats).toEqual([{ mime: 'image/png', encoding: 'base64', data: PNG_BYTES.toString('base64') }])
+    if (process.platform !== 'win32') expect(fs.statSync(file).mode & 0o777).toBe(0o600)
+    expect(await backend.readImage()).toEqual({ format: 'png', data: PNG_BYTES })
+  })
+
+  it('replaces the file atomically and leaves no temporary files behind', async () => {
+    const backend = new FileBackend({ dir: tmpDir })
+    const renameSpy = jest.spyOn(fs.promises, 'rename')
+    try {
+      await backend.write('first')
+      await backend.write('second')
+      expect(renameSpy).toHaveBeenCalledTimes(2)
+      expect(renameSpy.mock.calls[0][1]).toBe(path.join(tmpDir, 'clipboard.json'))
+    } finally {
+      renameSpy.mockRestore()
+    }
+    expect(fs.readdirSync(tmpDir)).toEqual(['clipboard.json'])
+    expect(await backend.read()).toBe('second')
+  })
+
+  it('reports a corrupt clipboard file', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'clipboard.json'), '{"formats": [')
+    await expect(new FileBackend({ dir: tmpDir }).read()).rejects.toThrow('is not valid JSON')
+  })
+
+  it('reads an empty clipboard when nothing was stored', async () => {
+    const backend = new FileBackend({ dir: tmpDir })
+    expect(await backend.read()).toBe('')
+    expect(await backend.listFormats()).toEqual([])
+  })
+})
+
+describe('Linux tool backends', () => {
+  it('spells xclip commands for the active selection', async () => {
+    const runTool = jest.fn()
+      .mockResolvedValueOnce({ code: 0, stdout: Buffer.from('TARGETS\nUTF8_STRING\ntext/html\n') })
+      .mockResolvedValueOnce({ code: 0, stdout: Buffer.from('<b>x</b>') })
+    const backend = new XclipBackend({ selection: 'primary', runTool })
+    const data = await backend.readFormat('text/html')
+    expect(data.toString()).toBe('<b>x</b>')
+    expect(runTool).toHaveBeenNthCalledWith(1, 'xclip', ['-selection', 'primary', '-t', 'TARGETS', '-o'], expect.any(Object))
+    expect(runTool).toHaveBeenNthCalledWith(2, 'xclip', ['-selection', 'primary', '-t', 'text/html', '-o'], expect.any(Object))
+  })
+
+  it('writes through wl-copy and flags a missing tool as unavailable', async () => {
+    const runTool = jest.fn().mockResolvedValueOnce({ code: 0, stdout: Buffer.alloc(0) }).mockResolvedValueOnce(null)
+    const backend = new WlClipboardBackend({ runTool })
+    await backend.write('hello')
+    expect(runTool).toHaveBeenCalledWith('wl-copy', [], expect.objectContaining({ input: 'hello', capture: false }))
+    await expect(backend.read()).rejects.toMatchObject({ code: 'UNAVAILABLE' })
+  })
+
+  it('refuses the secondary selection on Wayland', () => {
+    expect(() => new WlClipboardBackend({ selection: 'secondary', runTool: jest.fn() })).toThrow('does not support the secondary selection')
+  })
+})
+
+describe('ClipboardyBackend', () => {
+  it('reads and writes through clipboardy', async () => {
+    const clipboardy = { read: jest.fn().mockResolvedValue('text'), write: jest.fn().mockResolvedValue() }
+    const backend = new ClipboardyBackend({ loadClipboardy: async () => clipboardy })
+    expect(await backend.read()).toBe('text')
+    await backend.clear()
+    expect(clipboardy.write).toHaveBeenCalledWith('')
+  })
+
+  it('only serves the clipboard selection', () => {
+    expect(() => new ClipboardyBackend({ selection: 'primary', loadClipboardy: jest.fn() })).toThrow('only supports the clipboard selection')
+  })
+})
@@ -0,0 +1,93 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { MemoryBackend, FileBackend, backends } = require('../src/backends')
+
+describe('CLI clipboard backends', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+  let errorSpy
+  let originalExit
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-cli-backend-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    delete process.env.CLIPASTE_BACKEND
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    originalExit = process.exit
+    process.exit = jest.fn(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    process.exit = originalExit
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('copies and reads back through --backend memory', async () => {
+    await new CLI().run(['node', 'clipaste', '--backend', 'memory', 'copy', 'hello backend'])
+    expect(logSpy).toHaveBeenCalledWith('Copied text to clipboard (13 characters)')
+
+    await new CLI().run(['node', 'clipaste', 'get', '--backend', 'memory'])
+    expect(logSpy).toHaveBeenCalledWith('hello backend')
+  })
+
+  it('selects the backend from CLIPASTE_BACKEND', async () => {
+    process.env.CLIPASTE_BACKEND = 'memory'
+    const cli = new CLI()
+    await cli.run(['node', 'clipaste', 'status'])
+    expect(cli.clipboardManager.backendName).toBe('memory')
+    expect(logSpy).toHaveBeenCalledWith('Clipboard is empty')
+  })
+
+  it('selects the backend and its options from config.json', async () => {
+    const store = path.join(tmpDir, 'store')
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({
+      clipboard: { backend: 'file', backends: { file: { dir: store } } }
+    }))
+    await new CLI().run(['node', 'clipaste', 'copy', 'from config'])
+    expect(await new FileBackend({ dir: store }).read()).toBe('from config')
+  })
+
+  it('lets --backend override the configured backend', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({ clipboard: { backend: 'file' } }))
+    const cli = new CLI()
+    await cli.run(['node', 'clipaste', '--backend', 'memory', 'status'])
+    expect(cli.clipboardManager.backendName).toBe('memory')
+  })
+
+  it('rejects unknown backends before running the command', async () => {
+    await expect(new CLI().run(['node', 'clipaste', '--backend', 'nope', 'status'])).rejects.toThrow('exit')
+    expect(errorSpy).toHaveBeenCalledWith('Error:', expect.stringContaining("Clipboard backend 'nope' is not available"))
+  })
+
+  it('lists backends and marks the active one', async () => {
+    await new CLI().run(['node', 'clipaste', '--backend', 'memory', 'backends'])
+    const lines = logSpy.mock.calls.map(c => c[0])
+    expect(lines[0]).toMatch(/^ {2}auto/)
+    expect(lines).toContainEqual(expect.stringMatching(/^\* memory +In-process clipboard/))
+  })
+
+  it('exposes backend registration to plugins', async () => {
+    const cli = new CLI()
+    const { backends: service } = cli.createPluginServices()
+    const writes = []
+    class RecordingBackend extends service.ClipboardBackend {
+      async read () { return writes[writes.length - 1] || '' }
+      async write (text) { writes.push(text) }
+    }
+    service.register('recording', (opts) => new RecordingBackend({ name: 'recording', ...opts }), { description: 'Test' })
+    try {
+      await cli.run(['node', 'clipaste', '--backend', 'recording', 'copy', 'plugin text'])
+      expect(writes).toEqual(['plugin text'])
+      expect(service.list()).toContainEqual({ name: 'recording', description: 'Test' })
+    } finally {
+      backends.factories.delete('recording')
+    }
+  })
+})
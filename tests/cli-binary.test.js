@@ -0,0 +1,62 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+
+const PDF = Buffer.concat([Buffer.from('%PDF-1.4\n%', 'latin1'), Buffer.from([0xE2, 0xE3, 0xCF, 0xD3, 0x00, 0x0A])])
+
+describe('CLI binary clipboard content', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+  let originalExit
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const logged = () => logSpy.mock.calls.map(args => args.join(' ')).join('\n')
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-cli-binary-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    await new MemoryBackend().saveFormats(new Map([['application/pdf', PDF]]))
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    originalExit = process.exit
+    process.exit = jest.fn(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    process.exit = originalExit
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('pastes the raw bytes with an extension from the magic bytes', async () => {
+    await run('paste', '--output', tmpDir, '--filename', 'doc')
+
+    const saved = path.join(tmpDir, 'doc.pdf')
+    expect(fs.readFileSync(saved)).toEqual(PDF)
+    expect(logSpy).toHaveBeenCalledWith(`Saved binary content to: ${saved}`)
+    expect(logSpy).toHaveBeenCalledWith('Detected type: application/pdf')
+  })
+
+  it('names the detected extension in --dry-run', async () => {
+    await run('paste', '--output', tmpDir, '--filename', 'doc', '--dry-run')
+    expect(logSpy).toHaveBeenCalledWith('Would paste binary content to:', path.join(tmpDir, 'doc.pdf'))
+  })
+
+  it('shows the detected type and a hex preview in status', async () => {
+    await run('status')
+    expect(logSpy).toHaveBeenCalledWith('Clipboard contains: binary content')
+    expect(logSpy).toHaveBeenCalledWith('Detected type: application/pdf (.pdf)')
+    expect(logged()).toContain('00000000  25 50 44 46 2d 31 2e 34  0a 25 e2 e3 cf d3 00 0a  |%PDF-1.4.%......|')
+  })
+
+  it('prints a hexdump with get --hexdump', async () => {
+    await run('copy', 'hi there')
+    await run('get', '--hexdump')
+    expect(logSpy).toHaveBeenCalledWith('00000000  68 69 20 74 68 65 72 65                           |hi there|')
+  })
+})
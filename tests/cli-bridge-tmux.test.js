@@ -0,0 +1,94 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const HistoryStore = require('../src/historyStore')
+const { MemoryBackend } = require('../src/backends')
+
+describe('CLI bridge tmux', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let buffers
+  let logSpy
+  let originalExit
+
+  // Minimal tmux server: buffers listed newest first
+  function fakeTmux (command, args, opts = {}) {
+    const [sub, ...rest] = args
+    const named = rest[0] === '-b' ? rest[1] : null
+    if (sub === 'list-buffers') {
+      return { code: 0, stdout: Buffer.from(buffers.map(b => `${b.name}\t1700000000\t${b.text.length}\n`).join('')) }
+    }
+    if (sub === 'save-buffer') {
+      const buffer = named ? buffers.find(b => b.name === named) : buffers[0]
+      return buffer ? { code: 0, stdout: Buffer.from(buffer.text) } : { code: 1, stdout: Buffer.alloc(0) }
+    }
+    if (sub === 'load-buffer') {
+      buffers.unshift({ name: named || `buffer${buffers.length}`, text: opts.input })
+      return { code: 0, stdout: Buffer.alloc(0) }
+    }
+    return { code: 1, stdout: Buffer.alloc(0) }
+  }
+
+  async function run (...args) {
+    const cli = new CLI()
+    jest.spyOn(cli.clipboardManager, 'runClipboardTool').mockImplementation(async (...a) => fakeTmux(...a))
+    await cli.run(['node', 'clipaste', '--backend', 'memory', ...args])
+    return cli
+  }
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-bridge-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    delete process.env.CLIPASTE_BACKEND
+    buffers = [{ name: 'buffer1', text: 'newest copy' }, { name: 'notes', text: 'release notes draft' }]
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    originalExit = process.exit
+    process.exit = jest.fn(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    process.exit = originalExit
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('copies the newest tmux buffer to the clipboard and records buffers in history', async () => {
+    const cli = await run('bridge', 'tmux')
+    expect(await cli.clipboardManager.readText()).toBe('newest copy')
+    expect(logSpy).toHaveBeenCalledWith("Copied tmux buffer 'buffer1' to clipboard (11 characters)")
+    expect(logSpy).toHaveBeenCalledWith('Recorded 2 tmux buffer(s) in history')
+
+    const matches = await new HistoryStore().search('release')
+    expect(matches).toHaveLength(1)
+    expect(matches[0].tags).toEqual(['tmux', 'tmux:notes'])
+  })
+
+  it('copies a named buffer', async () => {
+    const cli = await run('bridge', 'tmux', '--buffer', 'notes', '--no-history')
+    expect(await cli.clipboardManager.readText()).toBe('release notes draft')
+    expect(await new HistoryStore().list()).toEqual([])
+  })
+
+  it('copies the clipboard into tmux', async () => {
+    await new MemoryBackend().write('from clipboard')
+    await run('bridge', 'tmux', '--to-tmux', '--no-history')
+    expect(buffers[0]).toEqual({ name: 'buffer2', text: 'from clipboard' })
+    expect(logSpy).toHaveBeenCalledWith('Copied clipboard to tmux buffer (14 characters)')
+  })
+
+  it('reports an empty tmux server', async () => {
+    buffers = []
+    await run('bridge', 'tmux')
+    expect(logSpy).toHaveBeenCalledWith('No tmux buffer to copy')
+  })
+
+  it('refuses to bridge tmux with itself', async () => {
+    const cli = new CLI()
+    await expect(cli.run(['node', 'clipaste', '--backend', 'tmux', 'bridge', 'tmux'])).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error:', expect.stringContaining('choose a backend other than tmux'))
+  })
+})
@@ -3,6 +3,7 @@ const path = require('path')
 const os = require('os')
 
 const CLI = require('../src/cli')
+const { readAllFromMocks } = require('./helpers/readAllFromMocks')
 
 describe('CLI Command Options Coverage Tests', () => {
   let cli
@@ -46,6 +47,7 @@ describe('CLI Command Options Coverage Tests', () => {
         getContentType: jest.fn().mockResolvedValue('image'),
         readImage: jest.fn().mockResolvedValue({ data: Buffer.from('fake-image-data'), format: 'png' })
       }
+      cli.clipboardManager.readAll = readAllFromMocks(cli.clipboardManager)
 
       // Mock fileHandler to capture quality option usage
       cli.fileHandler = {
@@ -79,6 +81,7 @@ describe('CLI Command Options Coverage Tests', () => {
       }
 
       const cli = new CLI({ debug: false, headless: true })
+      clipboardManager.readAll = readAllFromMocks(clipboardManager)
       cli.clipboardManager = clipboardManager
 
       cli.fileHandler = {
@@ -113,6 +116,7 @@ describe('CLI Command Options Coverage Tests', () => {
         getContentType: jest.fn().mockResolvedValue('image'),
         readImage: jest.fn().mockResolvedValue({ data: Buffer.from('fake-image-data'), format: 'png' })
       }
+      cli.clipboardManager.readAll = readAllFromMocks(cli.clipboardManager)
 
       cli.fileHandler = {
         saveImage: jest.fn().mockResolvedValue({ filePath: 'test.png', size: 500 })
@@ -139,6 +143,7 @@ describe('CLI Command Options Coverage Tests', () => {
         hasContent: jest.fn().mockResolvedValue(true),
         getContentType: jest.fn().mockResolvedValue('text')
       }
+      cli.clipboardManager.readAll = readAllFromMocks(cli.clipboardManager)
 
       cli.fileHandler = {
         saveText: jest.fn().mockResolvedValue('/path/to/test.txt'),
@@ -1,6 +1,7 @@
 const CLI = require('../src/cli')
 const ClipboardManager = require('../src/clipboard')
 const FileHandler = require('../src/fileHandler')
+const { readAllFromMocks } = require('./helpers/readAllFromMocks')
 
 jest.mock('../src/clipboard')
 jest.mock('../src/fileHandler')
@@ -34,6 +35,7 @@ describe('CLI Coverage Extensions', () => {
       writeText: jest.fn(),
       getContentType: jest.fn()
     }
+    mockClipboard.readAll = jest.fn(readAllFromMocks(mockClipboard))
     ClipboardManager.mockImplementation(() => mockClipboard)
 
     mockFile = {
@@ -81,6 +83,7 @@ describe('CLI Coverage Extensions', () => {
 
     test('handles imageInfo option with image', async () => {
       mockClipboard.hasContent.mockResolvedValue(true)
+      mockClipboard.getContentType.mockResolvedValue('image')
       mockClipboard.readImage.mockResolvedValue({
         format: 'png',
         data: Buffer.from('fake image data')
@@ -92,6 +95,7 @@ describe('CLI Coverage Extensions', () => {
 
     test('handles imageInfo option with raw output', async () => {
       mockClipboard.hasContent.mockResolvedValue(true)
+      mockClipboard.getContentType.mockResolvedValue('image')
       mockClipboard.readImage.mockResolvedValue({
         format: 'png',
         data: Buffer.from('fake image data')
@@ -0,0 +1,105 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { ClipboardDaemon } = require('../src/daemon')
+const { MemoryBackend } = require('../src/backends')
+
+describe('CLI daemon integration', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let socketPath
+  let daemon
+  let logSpy
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-cli-daemon-'))
+    socketPath = path.join(tmpDir, 'daemon.sock')
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir, CLIPASTE_DAEMON_SOCKET: socketPath }
+    delete process.env.CLIPASTE_BACKEND
+    delete process.env.CLIPASTE_NO_DAEMON
+    daemon = await new ClipboardDaemon({ socketPath }).start()
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    await daemon.stop()
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  async function run (...args) {
+    const cli = new CLI()
+    await cli.run(['node', 'clipaste', ...args])
+    if (cli.clipboardManager.daemon) cli.clipboardManager.daemon.close()
+    return cli
+  }
+
+  it('routes clipboard commands through a running daemon', async () => {
+    const cli = await run('--backend', 'memory', 'copy', 'warm path')
+    expect(cli.clipboardManager.daemon).not.toBeNull()
+    expect(daemon.requests).toBe(1)
+    expect(await new MemoryBackend().read()).toBe('warm path')
+    expect(logSpy).toHaveBeenCalledWith('Copied text to clipboard (9 characters)')
+  })
+
+  it('goes direct with --no-daemon or CLIPASTE_NO_DAEMON', async () => {
+    expect((await run('--no-daemon', '--backend', 'memory', 'copy', 'direct')).clipboardManager.daemon).toBeNull()
+    process.env.CLIPASTE_NO_DAEMON = '1'
+    expect((await run('--backend', 'memory', 'copy', 'direct')).clipboardManager.daemon).toBeNull()
+    expect(daemon.requests).toBe(0)
+  })
+
+  it('falls back to direct access when no daemon is running', async () => {
+    await daemon.stop()
+    const cli = await run('--backend', 'memory', 'copy', 'no daemon')
+    expect(cli.clipboardManager.daemon).toBeNull()
+    expect(await new MemoryBackend().read()).toBe('no daemon')
+  })
+
+  it('reports status and stops the daemon', async () => {
+    await run('daemon', 'status')
+    expect(logSpy).toHaveBeenCalledWith(`Daemon running (pid ${process.pid}) on ${socketPath}`)
+    await run('daemon', 'stop')
+    expect(logSpy).toHaveBeenCalledWith(`Daemon stopped (pid ${process.pid})`)
+    await daemon.closed
+    await run('daemon', 'status')
+    expect(logSpy).toHaveBeenCalledWith(`Daemon is not running (socket: ${socketPath})`)
+  })
+})
+
+describe('clipaste daemon start (spawned)', () => {
+  const { spawnSync } = require('child_process')
+  const cliScript = path.join(__dirname, '../src/index.js')
+  let tmpDir
+  let env
+
+  const runCLI = (...args) => spawnSync('node', [cliScript, ...args], { env, encoding: 'utf8', timeout: 15000 })
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-daemon-spawn-'))
+    env = { ...process.env, CLIPASTE_CONFIG_DIR: tmpDir, CLIPASTE_DAEMON_SOCKET: path.join(tmpDir, 'daemon.sock') }
+    delete env.CLIPASTE_NO_DAEMON
+  })
+
+  afterEach(() => {
+    runCLI('daemon', 'stop')
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('detaches a daemon that serves later invocations', () => {
+    const start = runCLI('daemon', 'start')
+    expect(start.stdout).toMatch(/^Daemon started \(pid \d+\) on .*daemon\.sock/)
+    expect(runCLI('daemon', 'start').stdout).toMatch(/^Daemon already running/)
+
+    expect(runCLI('--backend', 'memory', 'copy', 'kept warm').status).toBe(0)
+    // The memory backend lives inside the daemon, so a second process sees the same clipboard
+    expect(runCLI('--backend', 'memory', 'get').stdout).toBe('kept warm\n')
+    expect(runCLI('daemon', 'status').stdout).toMatch(/requests served: [1-9]/)
+
+    expect(runCLI('daemon', 'stop').stdout).toMatch(/^Daemon stopped/)
+    expect(runCLI('daemon', 'status').stdout).toMatch(/^Daemon is not running/)
+  })
+})
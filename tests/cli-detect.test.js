@@ -0,0 +1,78 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const HistoryStore = require('../src/historyStore')
+const { getAutoVars } = require('../src/utils/autovars')
+const { MemoryBackend } = require('../src/backends')
+
+describe('clipaste detect', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const lines = () => logSpy.mock.calls.map(args => args.join(' '))
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-detect-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('prints the detected type with its confidence', async () => {
+    await new MemoryBackend().write('SELECT id FROM users WHERE id = 1;')
+    await run('detect')
+    expect(lines()).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^Type: sql \(confidence (0\.\d+|1)\)$/),
+      'Extension: .sql',
+      'MIME type: application/sql'
+    ]))
+  })
+
+  it('prints JSON with --json', async () => {
+    await new MemoryBackend().write('key: value\nother: 2')
+    await run('detect', '--json')
+    const result = JSON.parse(logSpy.mock.calls[0][0])
+    expect(result).toMatchObject({ type: 'yaml', ext: '.yaml', language: 'yaml' })
+    expect(Array.isArray(result.candidates)).toBe(true)
+  })
+
+  it('reports non-text clipboards by their clipboard type', async () => {
+    await new MemoryBackend().writeFiles([path.join(tmpDir, 'a.txt')])
+    await run('detect')
+    expect(lines()).toEqual(['Type: files (confidence 1)'])
+  })
+
+  it('names the format when saving with --auto-extension', async () => {
+    await new MemoryBackend().write('import os\n\ndef main():\n    print(os.name)\n')
+    await run('paste', '--output', tmpDir, '--filename', 'snippet', '--auto-extension')
+    expect(fs.existsSync(path.join(tmpDir, 'snippet.py'))).toBe(true)
+  })
+})
+
+describe('detected content types elsewhere', () => {
+  it('records the type of history entries unless the caller names one', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-detect-history-'))
+    const store = new HistoryStore({ dir, persist: false })
+    expect((await store.addEntry('{"a": 1}')).type).toBe('json')
+    expect((await store.addEntry('hello there')).type).toBe('text')
+    expect((await store.addEntry('{"a": 2}', { type: 'tmux' })).type).toBe('tmux')
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('exposes the clipboard type to templates', async () => {
+    const clipboardManager = { readText: jest.fn().mockResolvedValue('diff --git a/x b/x\n@@ -1 +1 @@\n-a\n+b') }
+    const vars = await getAutoVars({ includeGit: false, includeRegisters: false, clipboardManager })
+    expect(vars).toMatchObject({ clipboard_type: 'diff', clipboard_ext: '.diff', clipboard_language: 'diff' })
+  })
+})
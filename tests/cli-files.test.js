@@ -0,0 +1,92 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+
+describe('CLI file lists', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let src
+  let out
+  let logSpy
+  let errorSpy
+  let originalExit
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-cli-files-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    src = path.join(tmpDir, 'src')
+    out = path.join(tmpDir, 'out')
+    fs.mkdirSync(path.join(src, 'docs'), { recursive: true })
+    fs.writeFileSync(path.join(src, 'notes.txt'), 'hello world')
+    fs.writeFileSync(path.join(src, 'docs', 'readme.md'), '# hi')
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    originalExit = process.exit
+    process.exit = jest.fn(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    process.exit = originalExit
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('copies file references and reports them in status', async () => {
+    await run('copy', '--files', path.join(src, 'notes.txt'), path.join(src, 'docs'))
+    expect(logSpy).toHaveBeenCalledWith('Copied 2 files to clipboard as a file list')
+
+    await run('status')
+    expect(logSpy).toHaveBeenCalledWith('Clipboard contains: files content')
+    expect(logSpy).toHaveBeenCalledWith('Files: 2 (15 Bytes)')
+    expect(logSpy).toHaveBeenCalledWith(`  ${path.join(src, 'docs')}`)
+  })
+
+  it('pastes the referenced files into --output keeping their names', async () => {
+    await run('copy', '--files', path.join(src, 'notes.txt'), path.join(src, 'docs'))
+    await run('paste', '--output', out)
+
+    expect(fs.readFileSync(path.join(out, 'notes.txt'), 'utf8')).toBe('hello world')
+    expect(fs.readFileSync(path.join(out, 'docs', 'readme.md'), 'utf8')).toBe('# hi')
+    expect(logSpy).toHaveBeenCalledWith(`Copied 2 file(s) to: ${out}`)
+    expect(logSpy).toHaveBeenCalledWith('Total size: 15 Bytes')
+  })
+
+  it('lists what would be copied with --dry-run', async () => {
+    await run('copy', '--files', path.join(src, 'notes.txt'))
+    expect(logSpy).toHaveBeenCalledWith('Copied notes.txt to clipboard as a file list')
+
+    await run('paste', '--output', out, '--dry-run')
+    expect(logSpy).toHaveBeenCalledWith(`Would copy 1 file(s) to: ${out}`)
+    expect(logSpy).toHaveBeenCalledWith(`  ${path.join(src, 'notes.txt')}`)
+    expect(fs.existsSync(out)).toBe(false)
+  })
+
+  it('prints the copied paths with get', async () => {
+    const paths = [path.join(src, 'notes.txt'), path.join(src, 'docs')]
+    await run('copy', '--files', ...paths)
+
+    await run('get')
+    expect(logSpy).toHaveBeenLastCalledWith(paths.join('\n'))
+
+    await run('get', '--hexdump')
+    expect(logSpy.mock.calls[logSpy.mock.calls.length - 1][0]).toContain('|' + paths[0].slice(0, 16))
+    expect(process.exit).not.toHaveBeenCalled()
+  })
+
+  it('fails clearly when a file does not exist', async () => {
+    await expect(run('copy', '--files', path.join(src, 'nope.txt'))).rejects.toThrow('exit')
+    expect(errorSpy).toHaveBeenCalledWith('Error copying files to clipboard:', expect.stringContaining('File not found'))
+  })
+
+  it('reports a missing file list for --type files', async () => {
+    await run('copy', 'plain text')
+    await expect(run('paste', '--type', 'files', '--output', out)).rejects.toThrow('exit')
+    expect(logSpy).toHaveBeenCalledWith('No file list found in clipboard')
+  })
+})
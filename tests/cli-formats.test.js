@@ -0,0 +1,65 @@
+const CLI = require('../src/cli')
+const ClipboardManager = require('../src/clipboard')
+
+describe('CLI clipboard formats', () => {
+  let cli
+  let logSpy
+  let errorSpy
+  let writeSpy
+  let originalExit
+
+  beforeEach(() => {
+    cli = new CLI()
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+    originalExit = process.exit
+    process.exit = jest.fn()
+  })
+
+  afterEach(() => {
+    process.exit = originalExit
+    ClipboardManager.__setMockFormatBackend(null)
+    jest.restoreAllMocks()
+  })
+
+  it('status --formats lists every available format', async () => {
+    ClipboardManager.__setMockFormatBackend({
+      listFormats: async () => ['text/plain', 'text/html', 'image/png'],
+      readFormat: async () => null
+    })
+    await cli.handleStatus({ formats: true })
+    expect(logSpy).toHaveBeenCalledWith('Available formats (3):')
+    expect(logSpy).toHaveBeenCalledWith('  text/html')
+    expect(logSpy).toHaveBeenCalledWith('  image/png')
+  })
+
+  it('status --formats reports an empty clipboard', async () => {
+    ClipboardManager.__setMockFormatBackend({ listFormats: async () => [], readFormat: async () => null })
+    await cli.handleStatus({ formats: true })
+    expect(logSpy).toHaveBeenCalledWith('No clipboard formats available')
+  })
+
+  it('get --mime prints a textual representation', async () => {
+    ClipboardManager.__setMockFormatBackend({
+      listFormats: async () => ['text/html'],
+      readFormat: async (mime) => (mime === 'text/html' ? '<h1>Title</h1>' : null)
+    })
+    await cli.handleGet({ mime: 'text/html' })
+    expect(logSpy).toHaveBeenCalledWith('<h1>Title</h1>')
+  })
+
+  it('get --mime writes binary representations as raw bytes', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47])
+    ClipboardManager.__setMockFormatBackend({ listFormats: async () => ['image/png'], readFormat: async () => png })
+    await cli.handleGet({ mime: 'image/png' })
+    expect(writeSpy).toHaveBeenCalledWith(png)
+  })
+
+  it('get --mime fails when the format is missing', async () => {
+    ClipboardManager.__setMockFormatBackend({ listFormats: async () => [], readFormat: async () => null })
+    await cli.handleGet({ mime: 'text/rtf' })
+    expect(errorSpy).toHaveBeenCalledWith('Clipboard has no text/rtf content')
+    expect(process.exit).toHaveBeenCalledWith(1)
+  })
+})
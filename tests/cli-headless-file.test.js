@@ -0,0 +1,41 @@
+const { spawnSync } = require('child_process')
+const path = require('path')
+const os = require('os')
+const fs = require('fs')
+
+describe('CLI headless file clipboard (spawned)', () => {
+  const cliScript = path.join(__dirname, '../src/index.js')
+  let tmp
+
+  beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-headless-cli-')) })
+  afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }))
+
+  function runCLI (args, env = {}) {
+    const childEnv = { ...process.env, NODE_ENV: 'production', HEADLESS: '1', CLIPASTE_CONFIG_DIR: tmp }
+    delete childEnv.CLIPASTE_BACKEND
+    delete childEnv.CLIPASTE_HEADLESS_BACKEND
+    delete childEnv.CLIPASTE_CLIPBOARD_DIR
+    delete childEnv.JEST_WORKER_ID
+    return spawnSync('node', [cliScript, ...args], { cwd: tmp, env: { ...childEnv, ...env }, encoding: 'utf8', timeout: 15000 })
+  }
+
+  it('round-trips copy, status and get through the config dir', () => {
+    const copy = runCLI(['copy', 'hello from ci'])
+    expect(copy.status).toBe(0)
+    expect(copy.stdout).toContain('Copied text to clipboard (13 characters)')
+    expect(copy.stdout).not.toContain('simulated')
+
+    const status = runCLI(['status'])
+    expect(status.stdout).toContain('Clipboard contains: text content')
+    expect(status.stdout).not.toContain('headless')
+
+    expect(runCLI(['get']).stdout).toBe('hello from ci\n')
+    expect(fs.existsSync(path.join(tmp, 'clipboard', 'clipboard.json'))).toBe(true)
+  })
+
+  it('keeps the simulated clipboard when the fallback is disabled', () => {
+    const copy = runCLI(['copy', 'nowhere'], { CLIPASTE_HEADLESS_BACKEND: 'none' })
+    expect(copy.stdout).toContain('(headless mode - simulated)')
+    expect(fs.existsSync(path.join(tmp, 'clipboard'))).toBe(false)
+  })
+})
@@ -0,0 +1,107 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+const { fenceCode, languageForText, unescapeSeparator, formatJournalEntry } = require('../src/utils/journal')
+
+describe('paste --append', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let journal
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const read = () => fs.readFileSync(journal, 'utf8')
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-journal-'))
+    journal = path.join(tmpDir, 'notes', 'notes.md')
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('accumulates entries under headers with separators between them', async () => {
+    await new MemoryBackend().write('first snippet')
+    await run('paste', '--append', journal)
+    await new MemoryBackend().write('second snippet\n')
+    await run('paste', '--append', journal)
+
+    const entries = read().split('\n---\n\n')
+    expect(entries).toHaveLength(2)
+    expect(entries[0]).toMatch(/^## \d{4}-\d{2}-\d{2} \d{2}-\d{2}-\d{2} · clipboard · [0-9a-f]{8}\n\nfirst snippet\n$/)
+    expect(entries[1]).toMatch(/\n\nsecond snippet\n$/)
+    expect(logSpy).toHaveBeenCalledWith(`Appended text content to: ${journal}`)
+  })
+
+  it('takes the header template and separator from options', async () => {
+    fs.mkdirSync(path.dirname(journal))
+    fs.writeFileSync(journal, '# Notes')
+    await new MemoryBackend().write('{"a":1}')
+    await run('paste', '--append', journal, '--header', '### {type} from {source}', '--separator', '\\n', '--fence')
+
+    expect(read()).toBe('# Notes\n\n### text from clipboard\n\n```json\n{"a":1}\n```\n')
+  })
+
+  it('uses paste.journal settings from config.json', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({ paste: { journal: { header: '', fence: true } } }))
+    await new MemoryBackend().write('echo hi')
+    await run('paste', '--append', journal)
+
+    expect(read()).toBe('```\necho hi\n```\n')
+  })
+
+  it('saves images beside the journal and links them', async () => {
+    const png = path.join(tmpDir, 'shot.png')
+    await sharp({ create: { width: 2, height: 2, channels: 3, background: '#f00' } }).png().toFile(png)
+    await new MemoryBackend().writeImage(png)
+
+    await run('paste', '--append', journal, '--header', '', '--filename', 'diagram')
+
+    const image = path.join(tmpDir, 'notes', 'diagram.png')
+    expect(fs.existsSync(image)).toBe(true)
+    expect(read()).toBe('![diagram.png](diagram.png)\n')
+    expect(logSpy).toHaveBeenCalledWith(`Saved image to: ${image}`)
+  })
+
+  it('previews the entry in --dry-run', async () => {
+    await new MemoryBackend().write('draft')
+    await run('paste', '--append', journal, '--header', '# {source}', '--dry-run')
+
+    expect(logSpy).toHaveBeenCalledWith(`Would append text content to: ${journal}`)
+    expect(logSpy).toHaveBeenCalledWith('# clipboard\n\ndraft\n')
+    expect(fs.existsSync(journal)).toBe(false)
+  })
+
+  it('rejects content that cannot be appended', async () => {
+    await new MemoryBackend().writeFiles([__filename])
+    await expect(run('paste', '--append', journal)).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error:', '--append takes text or image content, not files')
+  })
+})
+
+describe('journal utils', () => {
+  it('detects fence languages', () => {
+    expect(languageForText('#!/bin/bash\necho')).toBe('bash')
+    expect(languageForText('plain words')).toBe('')
+    expect(fenceCode('a ``` b', 'md')).toBe('~~~~md\na ``` b\n~~~~')
+  })
+
+  it('unescapes separators', () => {
+    expect(unescapeSeparator('\\n***\\n\\t')).toBe('\n***\n\t')
+  })
+
+  it('rejects unknown header placeholders', () => {
+    expect(() => formatJournalEntry({ body: 'x', header: '{nope}', vars: {} })).toThrow('Unknown placeholder {nope} in journal header')
+  })
+})
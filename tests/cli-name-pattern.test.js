@@ -0,0 +1,59 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+
+describe('paste --name-pattern', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let out
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const savedPath = () => {
+    const line = logSpy.mock.calls.map(args => args.join(' ')).find(l => l.startsWith('Saved text content to: '))
+    return line.slice('Saved text content to: '.length)
+  }
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-cli-names-'))
+    out = path.join(tmpDir, 'out')
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    await new MemoryBackend().write('Release Notes v2\n- fixes')
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('creates the directories named by the pattern', async () => {
+    await run('paste', '--output', out, '--name-pattern', '{year}/{type}/{slug}-{sha8}{ext}', '--auto-extension')
+
+    const file = savedPath()
+    expect(path.relative(out, file)).toMatch(new RegExp(`^\\d{4}\\${path.sep}text\\${path.sep}release-notes-v2-[0-9a-f]{8}\\.md$`))
+    expect(fs.readFileSync(file, 'utf8')).toBe('Release Notes v2\n- fixes')
+  })
+
+  it('uses paste.namePattern from config.json, overridden by --filename', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({ paste: { namePattern: 'inbox/{slug}-{counter}' } }))
+
+    await run('paste', '--output', out)
+    await run('paste', '--output', out)
+    expect(fs.readdirSync(path.join(out, 'inbox')).sort()).toEqual(['release-notes-v2-1.txt', 'release-notes-v2-2.txt'])
+
+    await run('paste', '--output', out, '--filename', 'plain')
+    expect(fs.existsSync(path.join(out, 'plain.txt'))).toBe(true)
+  })
+
+  it('shows the rendered name in --dry-run', async () => {
+    await run('paste', '--output', out, '--name-pattern', 'drafts/{slug}{ext}', '--dry-run')
+    expect(logSpy).toHaveBeenCalledWith('Would paste text content to:', path.join(out, 'drafts', 'release-notes-v2.txt'))
+    expect(fs.existsSync(out)).toBe(false)
+  })
+})
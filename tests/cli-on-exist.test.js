@@ -0,0 +1,140 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const FileHandler = require('../src/fileHandler')
+const { MemoryBackend } = require('../src/backends')
+
+describe('paste --on-exist', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let out
+  let logSpy
+  let errorSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const notes = () => path.join(out, 'notes.txt')
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-on-exist-'))
+    out = path.join(tmpDir, 'out')
+    fs.mkdirSync(out)
+    fs.writeFileSync(notes(), 'first note')
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    await new MemoryBackend().write('second note')
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('overwrites by default', async () => {
+    await run('paste', '--output', out, '--filename', 'notes')
+    expect(fs.readFileSync(notes(), 'utf8')).toBe('second note')
+  })
+
+  it('skips an existing file', async () => {
+    await run('paste', '--output', out, '--filename', 'notes', '--on-exist', 'skip')
+    expect(fs.readFileSync(notes(), 'utf8')).toBe('first note')
+    expect(logSpy).toHaveBeenCalledWith('Skipped: output file already exists (--on-exist skip)')
+  })
+
+  it('increments to the first free numbered name', async () => {
+    await run('paste', '--output', out, '--filename', 'notes', '--on-exist', 'increment')
+    await run('paste', '--output', out, '--filename', 'notes', '--on-exist', 'increment')
+    expect(fs.readdirSync(out).sort()).toEqual(['notes-1.txt', 'notes-2.txt', 'notes.txt'])
+    expect(fs.readFileSync(path.join(out, 'notes-2.txt'), 'utf8')).toBe('second note')
+    expect(fs.readFileSync(notes(), 'utf8')).toBe('first note')
+  })
+
+  it('fails without touching the file under error', async () => {
+    await expect(run('paste', '--output', out, '--filename', 'notes', '--on-exist', 'error')).rejects.toThrow('exit')
+    expect(errorSpy).toHaveBeenCalledWith('Error:', `Failed to save text file: File already exists: ${notes()}`)
+    expect(fs.readFileSync(notes(), 'utf8')).toBe('first note')
+  })
+
+  it('appends text on its own line', async () => {
+    await run('paste', '--output', out, '--filename', 'notes', '--on-exist', 'append')
+    expect(fs.readFileSync(notes(), 'utf8')).toBe('first note\nsecond note')
+  })
+
+  it('uses paste.onExist from config.json', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({ paste: { onExist: 'skip' } }))
+    await run('paste', '--output', out, '--filename', 'notes')
+    expect(fs.readFileSync(notes(), 'utf8')).toBe('first note')
+  })
+
+  it('reports the policy and resolved path in --dry-run', async () => {
+    await run('paste', '--output', out, '--filename', 'notes', '--on-exist', 'increment', '--dry-run')
+    expect(logSpy).toHaveBeenCalledWith('Would paste text content to:', path.join(out, 'notes-1.txt'))
+    expect(logSpy).toHaveBeenCalledWith(`On exist: increment (${notes()} exists, would write a numbered name)`)
+    expect(fs.existsSync(path.join(out, 'notes-1.txt'))).toBe(false)
+  })
+
+  it('warns about the default overwrite in --dry-run', async () => {
+    await run('paste', '--output', out, '--filename', 'notes', '--dry-run')
+    expect(logSpy).toHaveBeenCalledWith(`On exist: overwrite (would overwrite ${notes()})`)
+  })
+
+  it('rejects unknown policies', async () => {
+    await expect(run('paste', '--output', out, '--filename', 'notes', '--on-exist', 'merge')).rejects.toThrow('exit')
+    expect(errorSpy.mock.calls[0][1]).toMatch(/Unknown on-exist policy 'merge'/)
+  })
+})
+
+describe('FileHandler collisions', () => {
+  let tmpDir
+  const handler = new FileHandler()
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-collide-'))
+    fs.writeFileSync(path.join(tmpDir, 'shot.png'), 'x')
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('plans without writing', async () => {
+    const target = path.join(tmpDir, 'shot.png')
+    await expect(handler.resolveCollision(target, 'skip')).resolves.toEqual({ filePath: target, action: 'skip', policy: 'skip', existing: target })
+    await expect(handler.resolveCollision(path.join(tmpDir, 'new.png'), 'error')).resolves.toMatchObject({ action: 'create', existing: null })
+  })
+
+  it('gives concurrent pastes their own names', async () => {
+    const save = (n, onExist, filename) => handler.saveBinary(Buffer.from(`paste ${n}`), { outputPath: tmpDir, filename, onExist })
+
+    const numbered = await Promise.all([1, 2, 3, 4].map(n => save(n, 'increment', 'shot.png')))
+    expect(new Set(numbered).size).toBe(4)
+    numbered.forEach((file, i) => expect(fs.readFileSync(file, 'utf8')).toBe(`paste ${i + 1}`))
+    expect(fs.readFileSync(path.join(tmpDir, 'shot.png'), 'utf8')).toBe('x')
+
+    const results = await Promise.allSettled([1, 2, 3].map(n => save(n, 'error', 'new.png')))
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1)
+  })
+
+  it('refuses to append non-text content', async () => {
+    await expect(handler.saveBinary(Buffer.from([1, 2]), { outputPath: tmpDir, filename: 'shot.png', onExist: 'append' }))
+      .rejects.toThrow('Only text can be appended to an existing file')
+  })
+
+  it('applies the policy to pasted file lists', async () => {
+    const src = path.join(tmpDir, 'src')
+    fs.mkdirSync(src)
+    fs.writeFileSync(path.join(src, 'shot.png'), 'y')
+    fs.writeFileSync(path.join(src, 'other.txt'), 'z')
+
+    const skipped = await handler.copyFiles([path.join(src, 'shot.png'), path.join(src, 'other.txt')], { outputPath: tmpDir, onExist: 'skip' })
+    expect(skipped).toEqual([path.join(tmpDir, 'other.txt')])
+
+    const numbered = await handler.copyFiles([path.join(src, 'shot.png')], { outputPath: tmpDir, onExist: 'increment' })
+    expect(numbered).toEqual([path.join(tmpDir, 'shot-1.png')])
+    expect(fs.readFileSync(path.join(tmpDir, 'shot.png'), 'utf8')).toBe('x')
+  })
+})
@@ -0,0 +1,73 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { encodeOsc52 } = require('../src/backends/osc52')
+
+describe('CLI --backend osc52', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let ttyFile
+  let logSpy
+  let writeSpy
+  let originalExit
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-osc52-'))
+    ttyFile = path.join(tmpDir, 'tty')
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    delete process.env.CLIPASTE_BACKEND
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({
+      clipboard: { backends: { osc52: { tty: ttyFile, passthrough: 'none' } } }
+    }))
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    writeSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+    originalExit = process.exit
+    process.exit = jest.fn(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    process.exit = originalExit
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  const emitted = () => fs.readFileSync(ttyFile, 'utf8')
+
+  it('copies text as an OSC 52 sequence', async () => {
+    await new CLI().run(['node', 'clipaste', '--backend', 'osc52', 'copy', 'over ssh'])
+    expect(emitted()).toBe(encodeOsc52('over ssh'))
+    expect(logSpy).toHaveBeenCalledWith('Copied text to clipboard (8 characters)')
+  })
+
+  it('copies snippets and rendered templates', async () => {
+    const cli = new CLI()
+    await cli.library.addSnippet('greet', 'hello snippet')
+    await cli.library.saveTemplate('note', 'hello template')
+    await cli.run(['node', 'clipaste', '--backend', 'osc52', 'snippet', 'copy', 'greet'])
+    await new CLI().run(['node', 'clipaste', '--backend', 'osc52', 'template', 'use', 'note', '--copy'])
+    expect(emitted()).toBe(encodeOsc52('hello snippet') + encodeOsc52('hello template'))
+  })
+
+  it('copies AI output', async () => {
+    const cli = new CLI()
+    jest.spyOn(cli, 'readAiSource').mockResolvedValue('long text')
+    jest.spyOn(cli.aiManager, 'applyRedaction').mockResolvedValue({ text: 'long text', appliedRules: [], redactions: [] })
+    jest.spyOn(cli.aiManager, 'runPrompt').mockResolvedValue({ text: 'short summary', meta: {} })
+    await cli.run(['node', 'clipaste', '--backend', 'osc52', 'ai', 'summarize', '--copy'])
+    expect(emitted()).toBe(encodeOsc52('short summary'))
+    expect(writeSpy).toHaveBeenCalledWith('short summary')
+    expect(logSpy).toHaveBeenCalledWith('Copied AI output to clipboard')
+  })
+
+  it('reports content over the size cap', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({
+      clipboard: { backends: { osc52: { tty: ttyFile, passthrough: 'none', maxBytes: 3 } } }
+    }))
+    await expect(new CLI().run(['node', 'clipaste', '--backend', 'osc52', 'copy', 'too big'])).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error copying to clipboard:', expect.stringContaining('OSC 52 is limited to 3 bytes'))
+    expect(fs.existsSync(ttyFile)).toBe(false)
+  })
+})
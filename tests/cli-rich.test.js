@@ -0,0 +1,79 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const ClipboardManager = require('../src/clipboard')
+
+const HTML = '<h2>Notes</h2><ul><li><a href="https://example.com">link</a></li></ul>'
+
+describe('CLI rich HTML clipboard', () => {
+  let cli
+  let logSpy
+  let errorSpy
+  let originalExit
+  let tmpDir
+
+  beforeEach(() => {
+    cli = new CLI()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-rich-'))
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    originalExit = process.exit
+    process.exit = jest.fn()
+    jest.spyOn(cli.clipboardManager, 'hasContent').mockResolvedValue(true)
+    ClipboardManager.__setMockFormatBackend({
+      listFormats: async () => ['text/plain', 'text/html'],
+      readFormat: async (mime) => (mime === 'text/html' ? HTML : null)
+    })
+  })
+
+  afterEach(() => {
+    process.exit = originalExit
+    ClipboardManager.__setMockFormatBackend(null)
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('paste --rich saves the HTML representation as .html', async () => {
+    await cli.handlePaste({ rich: true, output: tmpDir, filename: 'page' })
+    const file = path.join(tmpDir, 'page.html')
+    expect(fs.readFileSync(file, 'utf8')).toBe(HTML)
+    expect(logSpy).toHaveBeenCalledWith(`Saved html content to: ${file}`)
+  })
+
+  it('paste --rich --as markdown converts to .md', async () => {
+    await cli.handlePaste({ rich: true, as: 'markdown', output: tmpDir, filename: 'page' })
+    expect(fs.readFileSync(path.join(tmpDir, 'page.md'), 'utf8')).toBe('## Notes\n\n- [link](https://example.com)\n')
+  })
+
+  it('paste --rich --dry-run reports the target without writing', async () => {
+    await cli.handlePaste({ rich: true, as: 'md', dryRun: true, output: tmpDir, filename: 'page' })
+    expect(logSpy).toHaveBeenCalledWith('Would paste markdown content to:', path.join(tmpDir, 'page.md'))
+    expect(fs.readdirSync(tmpDir)).toEqual([])
+  })
+
+  it('paste --rich fails without HTML on the clipboard', async () => {
+    ClipboardManager.__setMockFormatBackend({ listFormats: async () => ['text/plain'], readFormat: async () => null })
+    await cli.handlePaste({ rich: true, output: tmpDir })
+    expect(logSpy).toHaveBeenCalledWith('No rich (text/html) content found in clipboard')
+    expect(process.exit).toHaveBeenCalledWith(1)
+  })
+
+  it('get --as markdown prints converted Markdown', async () => {
+    await cli.handleGet({ as: 'markdown' })
+    expect(logSpy).toHaveBeenCalledWith('## Notes\n\n- [link](https://example.com)')
+  })
+
+  it('get --as markdown falls back to plain text without HTML', async () => {
+    ClipboardManager.__setMockFormatBackend({ listFormats: async () => ['text/plain'], readFormat: async () => null })
+    jest.spyOn(cli.clipboardManager, 'readText').mockResolvedValue('plain *text*')
+    await cli.handleGet({ as: 'markdown' })
+    expect(logSpy).toHaveBeenCalledWith('plain *text*')
+  })
+
+  it('rejects unknown rich formats', async () => {
+    await cli.handleGet({ as: 'rtf' })
+    expect(errorSpy).toHaveBeenCalledWith('Error reading from clipboard:', "Unsupported rich format 'rtf'. Use html or markdown")
+    expect(process.exit).toHaveBeenCalledWith(1)
+  })
+})
@@ -0,0 +1,48 @@
+const CLI = require('../src/cli')
+const { readAllFromMocks } = require('./helpers/readAllFromMocks')
+
+describe('CLI --selection', () => {
+  let cli
+  let logSpy
+  let errorSpy
+  let originalExit
+
+  beforeEach(() => {
+    cli = new CLI()
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    originalExit = process.exit
+    process.exit = jest.fn()
+    jest.spyOn(cli.clipboardManager, 'hasContent').mockResolvedValue(true)
+    jest.spyOn(cli.clipboardManager, 'getContentType').mockResolvedValue('text')
+    jest.spyOn(cli.clipboardManager, 'readAll').mockImplementation(readAllFromMocks(cli.clipboardManager))
+  })
+
+  afterEach(() => {
+    process.exit = originalExit
+    jest.restoreAllMocks()
+  })
+
+  it('switches the clipboard manager before the command runs', async () => {
+    await cli.run(['node', 'clipaste', '--selection', 'primary', 'status'])
+    expect(cli.clipboardManager.selection).toBe('primary')
+    expect(logSpy).toHaveBeenCalledWith('Clipboard contains: text content')
+  })
+
+  it('accepts the option after the subcommand', async () => {
+    jest.spyOn(cli.clipboardManager, 'readText').mockResolvedValue('x')
+    await cli.run(['node', 'clipaste', 'get', '--selection', 'secondary'])
+    expect(cli.clipboardManager.selection).toBe('secondary')
+  })
+
+  it('defaults to the clipboard selection', async () => {
+    await cli.run(['node', 'clipaste', 'status'])
+    expect(cli.clipboardManager.selection).toBe('clipboard')
+  })
+
+  it('rejects unknown selections', async () => {
+    process.exit = jest.fn(() => { throw new Error('exit') })
+    await expect(cli.run(['node', 'clipaste', '--selection', 'middle', 'status'])).rejects.toThrow('exit')
+    expect(errorSpy).toHaveBeenCalledWith('Error:', "Unknown selection 'middle'. Use clipboard, primary or secondary")
+  })
+})
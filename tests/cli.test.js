@@ -1,6 +1,7 @@
 const CLI = require('../src/cli')
 const ClipboardManager = require('../src/clipboard')
 const FileHandler = require('../src/fileHandler')
+const { readAllFromMocks } = require('./helpers/readAllFromMocks')
 
 // Mock dependencies
 jest.mock('../src/clipboard')
@@ -69,6 +70,7 @@ describe('CLI', () => {
       getContentType: jest.fn(),
       clear: jest.fn()
     }
+    mockClipboardManager.readAll = jest.fn(readAllFromMocks(mockClipboardManager))
     ClipboardManager.mockImplementation(() => mockClipboardManager)
 
     // Mock file handler
@@ -76,7 +78,8 @@ describe('CLI', () => {
       saveText: jest.fn(),
       saveImage: jest.fn(),
       generateFilePath: jest.fn(),
-      getFileStats: jest.fn()
+      getFileStats: jest.fn(),
+      fileExists: jest.fn()
     }
     FileHandler.mockImplementation(() => mockFileHandler)
 
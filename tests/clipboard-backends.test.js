@@ -0,0 +1,139 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ClipboardManager = require('../src/clipboard')
+const { MemoryBackend, FileBackend } = require('../src/backends')
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')
+
+describe('ClipboardManager with a selected backend', () => {
+  let tmpDir
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-backend-'))
+  })
+
+  afterEach(() => {
+    delete process.env.CLIPASTE_BACKEND
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('defaults to auto mode without a backend instance', () => {
+    const clipboard = new ClipboardManager()
+    expect(clipboard.backendName).toBe('auto')
+    expect(clipboard.getBackend()).toBeNull()
+  })
+
+  it('delegates text operations even in headless environments', async () => {
+    const clipboard = new ClipboardManager({ backend: 'memory' })
+    expect(await clipboard.hasContent()).toBe(false)
+    expect(await clipboard.getContentType()).toBe('empty')
+
+    await clipboard.writeText('via memory')
+    expect(await clipboard.hasContent()).toBe(true)
+    expect(await clipboard.getContentType()).toBe('text')
+    expect(await clipboard.readText()).toBe('via memory')
+    expect(await clipboard.listFormats()).toEqual(['text/plain'])
+    expect((await clipboard.readFormat('text/plain')).toString()).toBe('via memory')
+
+    await clipboard.clear()
+    expect(await clipboard.readText()).toBe('')
+  })
+
+  it('delegates image operations', async () => {
+    const file = path.join(tmpDir, 'shot.png')
+    fs.writeFileSync(file, PNG_BYTES)
+    const clipboard = new ClipboardManager({ backend: 'memory' })
+    await expect(clipboard.writeImage(file)).resolves.toBe(true)
+    expect(await clipboard.getContentType()).toBe('image')
+    expect(await clipboard.hasContent()).toBe(true)
+    expect(await clipboard.readImage()).toEqual({ format: 'png', data: PNG_BYTES })
+    await expect(clipboard.writeImage(path.join(tmpDir, 'missing.png'))).rejects.toThrow('Image file not found')
+  })
+
+  it('honors CLIPASTE_BACKEND and per-backend config', async () => {
+    process.env.CLIPASTE_BACKEND = 'file'
+    const clipboard = new ClipboardManager({ backendConfig: { dir: tmpDir } })
+    expect(clipboard.backendName).toBe('file')
+    await clipboard.writeText('on disk')
+    expect(await new FileBackend({ dir: tmpDir }).read()).toBe('on disk')
+  })
+
+  it('passes the selection to the backend', async () => {
+    const clipboard = new ClipboardManager({ backend: 'memory' })
+    await clipboard.writeText('clipboard')
+    clipboard.setSelection('primary')
+    expect(await clipboard.readText()).toBe('')
+    await clipboard.writeText('primary')
+    clipboard.setSelection('clipboard')
+    expect(await clipboard.readText()).toBe('clipboard')
+  })
+
+  it('wraps backend failures and reports unknown backends', async () => {
+    const clipboard = new ClipboardManager({ backend: 'clipboardy', selection: 'primary' })
+    await expect(clipboard.readText()).rejects.toThrow('only supports the clipboard selection')
+    clipboard.setBackend('missing')
+    expect(() => clipboard.getBackend()).toThrow("Clipboard backend 'missing' is not available")
+  })
+
+  it('can switch back to auto mode', () => {
+    const clipboard = new ClipboardManager({ backend: 'memory' })
+    clipboard.setBackend('auto')
+    expect(clipboard.getBackend()).toBeNull()
+  })
+})
+
+describe('ClipboardManager headless fallback', () => {
+  const originalEnv = process.env
+  let tmpDir
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-headless-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir, CI: 'true' }
+    delete process.env.CLIPASTE_BACKEND
+    delete process.env.CLIPASTE_HEADLESS_BACKEND
+    delete process.env.CLIPASTE_CLIPBOARD_DIR
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('stores the clipboard under the config dir when headless', async () => {
+    process.env.NODE_ENV = 'production'
+    const clipboard = new ClipboardManager()
+    expect(clipboard.getHeadlessFallback()).toBe('file')
+    await clipboard.writeText('survives the process')
+    expect(await new ClipboardManager().readText()).toBe('survives the process')
+    expect(fs.existsSync(path.join(tmpDir, 'clipboard', 'clipboard.json'))).toBe(true)
+  })
+
+  it('does not fall back with a display or outside auto mode', () => {
+    process.env.NODE_ENV = 'production'
+    delete process.env.CI
+    delete process.env.GITHUB_ACTIONS
+    delete process.env.HEADLESS
+    delete process.env.XVFB_RUN
+    process.env.DISPLAY = ':0'
+    expect(new ClipboardManager().getHeadlessFallback()).toBeNull()
+    process.env.CI = 'true'
+    expect(new ClipboardManager({ backend: 'memory' }).getBackend()).toBeInstanceOf(MemoryBackend)
+  })
+
+  it('honors CLIPASTE_HEADLESS_BACKEND, including none', () => {
+    process.env.CLIPASTE_HEADLESS_BACKEND = 'memory'
+    expect(new ClipboardManager().getBackend()).toBeInstanceOf(MemoryBackend)
+    process.env.CLIPASTE_HEADLESS_BACKEND = 'none'
+    process.env.NODE_ENV = 'production'
+    expect(new ClipboardManager().getBackend()).toBeNull()
+  })
+
+  it('keeps test runs simulated unless a fallback is named', () => {
+    process.env.NODE_ENV = 'test'
+    expect(new ClipboardManager().getBackend()).toBeNull()
+    expect(new ClipboardManager({ headlessBackend: 'file' }).getBackend()).toBeInstanceOf(FileBackend)
+  })
+})
@@ -0,0 +1,102 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const ClipboardManager = require('../src/clipboard')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+const { ClipboardChangedError, EMPTY_SHA256 } = ClipboardManager
+
+const sha = (text) => crypto.createHash('sha256').update(text).digest('hex')
+
+describe('compare-and-swap writes', () => {
+  beforeEach(() => MemoryBackend.reset())
+
+  describe('ClipboardManager', () => {
+    it('writes when the clipboard still matches ifMatch', async () => {
+      const clipboard = new ClipboardManager({ backend: 'memory' })
+      await clipboard.writeText('before')
+      expect(await clipboard.getSha256()).toBe(sha('before'))
+
+      await expect(clipboard.writeText('after', { ifMatch: sha('before').toUpperCase() })).resolves.toBe(true)
+      expect(await clipboard.readText()).toBe('after')
+    })
+
+    it('refuses to overwrite content copied in between', async () => {
+      const clipboard = new ClipboardManager({ backend: 'memory' })
+      await clipboard.writeText('read by the script')
+      const expected = await clipboard.getSha256()
+      await new MemoryBackend().write('copied by the user')
+
+      const error = await clipboard.writeText('transformed', { ifMatch: expected }).catch(e => e)
+      expect(error).toBeInstanceOf(ClipboardChangedError)
+      expect(error.code).toBe('CLIPBOARD_CHANGED')
+      expect(error.actual).toBe(sha('copied by the user'))
+      expect(await clipboard.readText()).toBe('copied by the user')
+    })
+
+    it('hashes an empty clipboard as empty input', async () => {
+      const clipboard = new ClipboardManager({ backend: 'memory' })
+      expect(await clipboard.getSha256()).toBe(EMPTY_SHA256)
+      await expect(clipboard.writeText('first', { ifMatch: EMPTY_SHA256 })).resolves.toBe(true)
+    })
+  })
+
+  describe('CLI', () => {
+    const originalEnv = process.env
+    let tmpDir
+    let logSpy
+    let errorSpy
+    let originalExit
+
+    const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-cas-'))
+      const { CLIPASTE_IF_UNCHANGED, ...rest } = originalEnv
+      process.env = { ...rest, CLIPASTE_CONFIG_DIR: tmpDir }
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+      errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+      originalExit = process.exit
+      process.exit = jest.fn(() => { throw new Error('exit') })
+    })
+
+    afterEach(() => {
+      process.env = originalEnv
+      process.exit = originalExit
+      jest.restoreAllMocks()
+      fs.rmSync(tmpDir, { recursive: true, force: true })
+    })
+
+    it('prints the hash copy --if-unchanged expects', async () => {
+      await run('copy', 'hello')
+      await run('get', '--print-sha')
+      expect(logSpy).toHaveBeenLastCalledWith(sha('hello'))
+
+      await run('copy', 'hello world', '--if-unchanged', sha('hello'))
+      expect(await new MemoryBackend().read()).toBe('hello world')
+    })
+
+    it('exits with code 3 and leaves the clipboard alone when it changed', async () => {
+      await run('copy', 'newer')
+      await expect(run('copy', 'older', '--if-unchanged', sha('something else'))).rejects.toThrow('exit')
+      expect(process.exit).toHaveBeenCalledWith(3)
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Clipboard changed since it was read'))
+      expect(await new MemoryBackend().read()).toBe('newer')
+    })
+
+    it('guards file-list writes too', async () => {
+      await run('copy', 'newer')
+      await expect(run('copy', '--files', tmpDir, '--if-unchanged', sha('older'))).rejects.toThrow('exit')
+      expect(process.exit).toHaveBeenCalledWith(3)
+      expect(await new MemoryBackend().read()).toBe('newer')
+    })
+
+    it('honors CLIPASTE_IF_UNCHANGED from watch --exec hooks', async () => {
+      await run('copy', 'newer')
+      process.env.CLIPASTE_IF_UNCHANGED = sha('what the hook saw')
+      await expect(run('copy', 'hook output')).rejects.toThrow('exit')
+      expect(process.exit).toHaveBeenCalledWith(3)
+    })
+  })
+})
@@ -333,8 +333,9 @@ describe('ClipboardManager Coverage Extensions', () => {
 
     test('detects empty content', async () => {
       mockClipboardy.read.mockResolvedValue('')
-      // Mock macOS fallback to return empty
+      // Mock macOS and Linux fallbacks to return empty
       clipboardManager.checkMacClipboard = jest.fn().mockResolvedValue('empty')
+      clipboardManager.checkLinuxClipboard = jest.fn().mockResolvedValue('empty')
 
       const result = await clipboardManager.getContentType()
       expect(result).toBe('empty')
@@ -342,6 +343,7 @@ describe('ClipboardManager Coverage Extensions', () => {
 
     test('handles getContentType error', async () => {
       mockClipboardy.read.mockRejectedValue(new Error('read error'))
+      clipboardManager.checkLinuxClipboard = jest.fn().mockResolvedValue(null)
 
       await expect(clipboardManager.getContentType()).rejects.toThrow('Failed to determine clipboard content type: read error')
     })
@@ -0,0 +1,213 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ClipboardManager = require('../src/clipboard')
+const FileHandler = require('../src/fileHandler')
+const { MemoryBackend } = require('../src/backends')
+const { pathsToUriList, uriListToPaths, mayBeFileList } = require('../src/backends/formats')
+const { createLinuxClipboardStubs } = require('./helpers/linuxClipboardStubs')
+
+const mockClipboardy = {
+  read: jest.fn(),
+  write: jest.fn()
+}
+ClipboardManager.__setMockClipboardy(mockClipboardy)
+
+describe('file lists (text/uri-list)', () => {
+  let tmpDir
+  let fileA
+  let dirB
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-files-'))
+    fileA = path.join(tmpDir, 'a file.txt')
+    dirB = path.join(tmpDir, 'dir')
+    fs.writeFileSync(fileA, 'hello')
+    fs.mkdirSync(path.join(dirB, 'nested'), { recursive: true })
+    fs.writeFileSync(path.join(dirB, 'nested', 'b.txt'), 'abc')
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('uri-list helpers', () => {
+    it('round-trips paths with spaces and percent signs', () => {
+      const paths = ['/tmp/a b.txt', '/tmp/100%.txt']
+      expect(uriListToPaths(pathsToUriList(paths))).toEqual(paths)
+    })
+
+    it('skips comments, web links and remote hosts', () => {
+      const list = '# copied\r\nfile:///home/me/x.txt\r\nhttps://example.com/\r\nfile://server/share/y\r\nfile://localhost/tmp/z\r\n'
+      expect(uriListToPaths(list)).toEqual(['/home/me/x.txt', '/tmp/z'])
+    })
+
+    it('reads GNOME copied-files lists and Windows drive paths', () => {
+      expect(uriListToPaths('copy\nfile:///tmp/a.txt')).toEqual(['/tmp/a.txt'])
+      expect(uriListToPaths('file:///C:/Users/me/a%20b.txt')).toEqual(['C:/Users/me/a b.txt'])
+    })
+  })
+
+  describe('mayBeFileList', () => {
+    it('spots file URIs, absolute paths and single file names', () => {
+      expect(mayBeFileList('copy\nfile:///home/me/a.txt')).toBe(true)
+      expect(mayBeFileList('/home/me/a.txt\n/home/me/dir')).toBe(true)
+      expect(mayBeFileList('C:\\Users\\me\\a.txt')).toBe(true)
+      expect(mayBeFileList('Report 2024.pdf')).toBe(true)
+    })
+
+    it('leaves ordinary text alone', () => {
+      for (const text of ['', 'copy', 'just some words', 'https://example.com/a.txt', '/home/me/a.txt\nand a note', 'const a = 1']) {
+        expect(mayBeFileList(text)).toBe(false)
+      }
+    })
+  })
+
+  describe('ClipboardManager with a format store backend', () => {
+    it('writes files as a uri-list and reports them from readAll', async () => {
+      const clipboard = new ClipboardManager({ backend: 'memory' })
+      await expect(clipboard.writeFiles([fileA, dirB])).resolves.toBe(true)
+
+      expect(await new MemoryBackend().listFormats()).toEqual(['text/uri-list'])
+      expect(await clipboard.readFiles()).toEqual([fileA, dirB])
+      expect(await clipboard.getContentType()).toBe('files')
+      expect(await clipboard.hasContent()).toBe(true)
+
+      const snapshot = await clipboard.readAll()
+      expect(snapshot).toEqual(expect.objectContaining({ isEmpty: false, type: 'files', files: [fileA, dirB], formats: ['text/uri-list'] }))
+      expect(snapshot.sha256).toMatch(/^[0-9a-f]{64}$/)
+    })
+
+    it('resolves relative paths and rejects missing files', async () => {
+      const clipboard = new ClipboardManager({ backend: 'memory' })
+      const cwd = process.cwd()
+      process.chdir(tmpDir)
+      try {
+        await clipboard.writeFiles(['a file.txt'])
+      } finally {
+        process.chdir(cwd)
+      }
+      expect(await clipboard.readFiles()).toEqual([fileA])
+      await expect(clipboard.writeFiles([path.join(tmpDir, 'missing.txt')])).rejects.toThrow('Failed to copy files to clipboard: File not found')
+      await expect(clipboard.writeFiles([])).rejects.toThrow('No files given')
+    })
+
+    it('does not treat a list of web links as files', async () => {
+      await new MemoryBackend().saveFormats(new Map([['text/uri-list', Buffer.from('https://example.com/\r\n')]]))
+      const snapshot = await new ClipboardManager({ backend: 'memory' }).readAll()
+      expect(snapshot.type).toBe('empty')
+      expect(snapshot.files).toBeNull()
+    })
+
+    it('returns no files for text clipboards', async () => {
+      const clipboard = new ClipboardManager({ backend: 'memory' })
+      await clipboard.writeText('just text')
+      expect(await clipboard.readFiles()).toEqual([])
+      expect((await clipboard.readAll({ formats: true })).files).toBeNull()
+    })
+  })
+
+  const describeUnix = process.platform === 'win32' ? describe.skip : describe
+  describeUnix('on Linux via xclip', () => {
+    const originalEnv = process.env
+    let originalPlatform
+    let stubs
+
+    beforeEach(() => {
+      originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform')
+      Object.defineProperty(process, 'platform', { value: 'linux' })
+      stubs = createLinuxClipboardStubs({ tools: ['xclip'] })
+      const { CI, GITHUB_ACTIONS, HEADLESS, XVFB_RUN, WAYLAND_DISPLAY, ...rest } = originalEnv
+      process.env = { ...rest, DISPLAY: ':0', PATH: `${stubs.binDir}${path.delimiter}${originalEnv.PATH}`, CLIPASTE_STUB_STATE: stubs.stateDir }
+      mockClipboardy.read.mockReset()
+      mockClipboardy.read.mockResolvedValue('')
+    })
+
+    afterEach(() => {
+      process.env = originalEnv
+      if (originalPlatform) Object.defineProperty(process, 'platform', originalPlatform)
+      stubs.cleanup()
+    })
+
+    it('offers the files as a text/uri-list target', async () => {
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.writeFiles([fileA])).resolves.toBe(true)
+      expect(stubs.listTargets()).toEqual(['text/uri-list'])
+      expect(stubs.readTarget('text/uri-list').toString('utf8')).toBe(pathsToUriList([fileA]))
+
+      const snapshot = await clipboard.readAll({ formats: true })
+      expect(snapshot.type).toBe('files')
+      expect(snapshot.files).toEqual([fileA])
+    })
+
+    it('lists formats for plain text only when it could be a file list', async () => {
+      const clipboard = new ClipboardManager()
+      await clipboard.writeFiles([fileA])
+      const listFormats = jest.spyOn(clipboard, 'listFormats')
+
+      mockClipboardy.read.mockResolvedValue('just some words')
+      expect((await clipboard.readAll()).type).toBe('text')
+      expect(listFormats).not.toHaveBeenCalled()
+
+      // GNOME offers the paths as text/plain beside the uri-list
+      mockClipboardy.read.mockResolvedValue(fileA)
+      const snapshot = await clipboard.readAll()
+      expect(listFormats).toHaveBeenCalledTimes(1)
+      expect(snapshot.type).toBe('files')
+      expect(snapshot.files).toEqual([fileA])
+    })
+  })
+
+  describe('platform writers', () => {
+    let originalPlatform
+
+    beforeEach(() => { originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform') })
+    afterEach(() => {
+      if (originalPlatform) Object.defineProperty(process, 'platform', originalPlatform)
+      jest.restoreAllMocks()
+    })
+
+    it('sets macOS file references through AppleScript', async () => {
+      Object.defineProperty(process, 'platform', { value: 'darwin' })
+      const clipboard = new ClipboardManager()
+      const run = jest.spyOn(clipboard, 'runClipboardTool').mockResolvedValue({ code: 0, stdout: Buffer.alloc(0) })
+      await expect(clipboard.writeMacFiles(['/tmp/a "quoted".txt', '/tmp/b.txt'])).resolves.toBe(true)
+      expect(run.mock.calls[0][1][1]).toBe('set the clipboard to {POSIX file "/tmp/a \\"quoted\\".txt", POSIX file "/tmp/b.txt"}')
+    })
+
+    it('sets a Windows FileDrop list through Set-Clipboard', async () => {
+      const clipboard = new ClipboardManager()
+      clipboard.isWindows = true
+      const script = jest.spyOn(clipboard, 'runWindowsScript').mockResolvedValue('')
+      await expect(clipboard.writeWindowsFiles(["C:\\it's\\a.txt", 'C:\\b.txt'])).resolves.toBe(true)
+      expect(script.mock.calls[0][0]).toBe("Set-Clipboard -LiteralPath @('C:\\it''s\\a.txt', 'C:\\b.txt')")
+    })
+  })
+
+  describe('FileHandler', () => {
+    it('copies files and directory trees keeping their names', async () => {
+      const out = path.join(tmpDir, 'out')
+      const handler = new FileHandler()
+      const copied = await handler.copyFiles([fileA, dirB], { outputPath: out })
+      expect(copied).toEqual([path.join(out, 'a file.txt'), path.join(out, 'dir')])
+      expect(fs.readFileSync(path.join(out, 'dir', 'nested', 'b.txt'), 'utf8')).toBe('abc')
+      expect(await handler.getTotalSize(copied)).toBe(8)
+    })
+
+    it('leaves files pasted into their own directory untouched', async () => {
+      const handler = new FileHandler()
+      await expect(handler.copyFiles([fileA], { outputPath: tmpDir })).resolves.toEqual([fileA])
+      expect(fs.readFileSync(fileA, 'utf8')).toBe('hello')
+    })
+
+    it('refuses to copy a directory into itself', async () => {
+      await expect(new FileHandler().copyFiles([dirB], { outputPath: path.join(dirB, 'nested') }))
+        .rejects.toThrow('Failed to copy files: Cannot copy')
+    })
+
+    it('counts missing paths as zero bytes', async () => {
+      expect(await new FileHandler().getTotalSize([fileA, path.join(tmpDir, 'gone')])).toBe(5)
+    })
+  })
+})
@@ -0,0 +1,172 @@
+const path = require('path')
+const ClipboardManager = require('../src/clipboard')
+const { createLinuxClipboardStubs } = require('./helpers/linuxClipboardStubs')
+
+const mockClipboardy = {
+  read: jest.fn(),
+  write: jest.fn()
+}
+ClipboardManager.__setMockClipboardy(mockClipboardy)
+
+describe('ClipboardManager format enumeration', () => {
+  let originalPlatform
+
+  beforeEach(() => {
+    originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform')
+    mockClipboardy.read.mockReset()
+    mockClipboardy.read.mockResolvedValue('')
+  })
+
+  afterEach(() => {
+    if (originalPlatform) Object.defineProperty(process, 'platform', originalPlatform)
+    ClipboardManager.__setMockFormatBackend(null)
+    jest.restoreAllMocks()
+  })
+
+  function setPlatform (plat) {
+    Object.defineProperty(process, 'platform', { value: plat })
+  }
+
+  describe('with an injected format backend', () => {
+    it('lists unique formats from the backend', async () => {
+      ClipboardManager.__setMockFormatBackend({
+        listFormats: jest.fn().mockResolvedValue(['text/plain', 'text/html', 'text/plain']),
+        readFormat: jest.fn()
+      })
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.listFormats()).resolves.toEqual(['text/plain', 'text/html'])
+    })
+
+    it('reads one representation as a Buffer', async () => {
+      const readFormat = jest.fn().mockResolvedValue('<b>bold</b>')
+      ClipboardManager.__setMockFormatBackend({ listFormats: jest.fn(), readFormat })
+      const clipboard = new ClipboardManager()
+      const data = await clipboard.readFormat('TEXT/HTML')
+      expect(readFormat).toHaveBeenCalledWith('text/html')
+      expect(Buffer.isBuffer(data)).toBe(true)
+      expect(data.toString('utf8')).toBe('<b>bold</b>')
+    })
+
+    it('returns null for formats the backend does not offer', async () => {
+      ClipboardManager.__setMockFormatBackend({ listFormats: jest.fn(), readFormat: jest.fn().mockResolvedValue(null) })
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.readFormat('image/png')).resolves.toBeNull()
+    })
+
+    it('requires a MIME type', async () => {
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.readFormat('')).rejects.toThrow('A MIME type is required')
+    })
+
+    it('decodes UTF-16 HTML as offered by Firefox', async () => {
+      const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('<p>hé</p>', 'utf16le')])
+      ClipboardManager.__setMockFormatBackend({ listFormats: jest.fn(), readFormat: jest.fn().mockResolvedValue(utf16) })
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.readHtml()).resolves.toBe('<p>hé</p>')
+    })
+  })
+
+  const describeUnix = process.platform === 'win32' ? describe.skip : describe
+
+  describeUnix('on Linux', () => {
+    const originalEnv = process.env
+    let stubs
+
+    beforeEach(() => {
+      setPlatform('linux')
+      stubs = createLinuxClipboardStubs({ tools: ['xclip'] })
+      process.env = {
+        ...originalEnv,
+        DISPLAY: ':0',
+        PATH: `${stubs.binDir}${path.delimiter}${originalEnv.PATH}`,
+        CLIPASTE_STUB_STATE: stubs.stateDir
+      }
+      delete process.env.WAYLAND_DISPLAY
+    })
+
+    afterEach(() => {
+      process.env = originalEnv
+      stubs.cleanup()
+    })
+
+    it('normalizes X11 targets to MIME types', async () => {
+      stubs.setTargets({
+        UTF8_STRING: 'hi',
+        STRING: 'hi',
+        'text/html': '<p>hi</p>',
+        'text/uri-list': 'file:///tmp/a.txt',
+        'chromium/x-web-custom-data': 'x',
+        TIMESTAMP: '1'
+      })
+      const clipboard = new ClipboardManager()
+      const formats = await clipboard.listFormats()
+      expect(formats.sort()).toEqual(['chromium/x-web-custom-data', 'text/html', 'text/plain', 'text/uri-list'])
+    })
+
+    it('reads a specific target', async () => {
+      stubs.setTargets({ 'text/html': '<p>hi</p>', UTF8_STRING: 'hi' })
+      const clipboard = new ClipboardManager()
+      const data = await clipboard.readFormat('text/html')
+      expect(data.toString('utf8')).toBe('<p>hi</p>')
+    })
+  })
+
+  describe('on macOS', () => {
+    beforeEach(() => setPlatform('darwin'))
+
+    it('maps clipboard info classes to MIME types', async () => {
+      const clipboard = new ClipboardManager()
+      jest.spyOn(clipboard, 'runClipboardTool').mockResolvedValue({
+        code: 0,
+        stdout: Buffer.from('«class HTML», 120, «class utf8», 10, string, 10, «class PNGf», 3000, «class ABCD», 5\n')
+      })
+      await expect(clipboard.listFormats()).resolves.toEqual(['text/html', 'text/plain', 'image/png', 'application/x-mac-ABCD'])
+    })
+
+    it('decodes AppleScript raw data for a class', async () => {
+      const clipboard = new ClipboardManager()
+      const spy = jest.spyOn(clipboard, 'runClipboardTool').mockResolvedValue({
+        code: 0,
+        stdout: Buffer.from('«data HTML3C623E68693C2F623E»\n')
+      })
+      const data = await clipboard.readFormat('text/html')
+      expect(spy.mock.calls[0][1]).toEqual(['-e', 'the clipboard as «class HTML»'])
+      expect(data.toString('utf8')).toBe('<b>hi</b>')
+    })
+  })
+
+  describe('on Windows', () => {
+    beforeEach(() => setPlatform('win32'))
+
+    it('maps clipboard format names to MIME types', async () => {
+      const clipboard = new ClipboardManager()
+      jest.spyOn(clipboard, 'runWindowsScript').mockResolvedValue('HTML Format\r\nText\r\nUnicodeText\r\nMy Custom\r\n')
+      await expect(clipboard.listFormats()).resolves.toEqual(['text/html', 'text/plain', 'application/x-windows-My-Custom'])
+    })
+
+    it('strips the CF_HTML header from HTML Format data', async () => {
+      const html = '<html><body><b>hi</b></body></html>'
+      const pad = (n) => String(n).padStart(10, '0')
+      const headerLength = 'Version:0.9\r\nStartHTML:0000000000\r\nEndHTML:0000000000\r\n'.length
+      const header = `Version:0.9\r\nStartHTML:${pad(headerLength)}\r\nEndHTML:${pad(headerLength + html.length)}\r\n`
+      const clipboard = new ClipboardManager()
+      jest.spyOn(clipboard, 'runWindowsScript').mockResolvedValue(`data:${Buffer.from(header + html).toString('base64')}\r\n`)
+      const data = await clipboard.readFormat('text/html')
+      expect(data.toString('utf8')).toBe(html)
+    })
+
+    it('converts FileDrop paths to a URI list', async () => {
+      const clipboard = new ClipboardManager()
+      jest.spyOn(clipboard, 'runWindowsScript').mockResolvedValue(`data:${Buffer.from('C:\\Users\\me\\a b.txt').toString('base64')}`)
+      const data = await clipboard.readFormat('text/uri-list')
+      expect(data.toString('utf8')).toBe('file:///C:/Users/me/a%20b.txt\r\n')
+    })
+  })
+
+  it('falls back to the detected content type without platform enumeration', async () => {
+    setPlatform('freebsd')
+    mockClipboardy.read.mockResolvedValue('plain words')
+    const clipboard = new ClipboardManager()
+    await expect(clipboard.listFormats()).resolves.toEqual(['text/plain'])
+  })
+})
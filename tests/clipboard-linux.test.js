@@ -0,0 +1,142 @@
+const fs = require('fs')
+const path = require('path')
+const ClipboardManager = require('../src/clipboard')
+const { createLinuxClipboardStubs } = require('./helpers/linuxClipboardStubs')
+
+// Text reads go through an injected clipboardy; image paths go through the stubbed tools on PATH
+const mockClipboardy = {
+  read: jest.fn(),
+  write: jest.fn()
+}
+ClipboardManager.__setMockClipboardy(mockClipboardy)
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')
+
+const describeUnix = process.platform === 'win32' ? describe.skip : describe
+
+describeUnix('ClipboardManager on Linux (xclip / wl-clipboard stubs)', () => {
+  const originalEnv = process.env
+  let originalPlatform
+  let stubs
+
+  function useEnv ({ wayland = false, tools } = {}) {
+    stubs = createLinuxClipboardStubs(tools ? { tools } : undefined)
+    const { CI, GITHUB_ACTIONS, HEADLESS, XVFB_RUN, WAYLAND_DISPLAY, ...rest } = originalEnv
+    process.env = {
+      ...rest,
+      DISPLAY: ':0',
+      PATH: `${stubs.binDir}${path.delimiter}${originalEnv.PATH}`,
+      CLIPASTE_STUB_STATE: stubs.stateDir
+    }
+    if (wayland) process.env.WAYLAND_DISPLAY = 'wayland-0'
+  }
+
+  beforeEach(() => {
+    originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform')
+    Object.defineProperty(process, 'platform', { value: 'linux' })
+    mockClipboardy.read.mockReset()
+    mockClipboardy.write.mockReset()
+    mockClipboardy.read.mockResolvedValue('')
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    if (originalPlatform) Object.defineProperty(process, 'platform', originalPlatform)
+    if (stubs) stubs.cleanup()
+    stubs = null
+  })
+
+  describe('X11 via xclip', () => {
+    beforeEach(() => useEnv({ tools: ['xclip'] }))
+
+    it('reads an image target from the clipboard', async () => {
+      stubs.setTargets({ 'image/png': PNG_BYTES })
+      const clipboard = new ClipboardManager()
+      const img = await clipboard.readImage()
+      expect(img).toEqual({ format: 'png', data: PNG_BYTES })
+    })
+
+    it('prefers png over other offered image targets', async () => {
+      stubs.setTargets({ 'image/bmp': Buffer.from('BM'), 'image/png': PNG_BYTES })
+      const clipboard = new ClipboardManager()
+      const img = await clipboard.readImage()
+      expect(img.format).toBe('png')
+    })
+
+    it('reports image content type and content for image-only clipboards', async () => {
+      stubs.setTargets({ 'image/jpeg': Buffer.from([0xff, 0xd8, 0xff]) })
+      const clipboard = new ClipboardManager()
+      expect(await clipboard.getContentType()).toBe('image')
+      expect(await clipboard.hasContent()).toBe(true)
+      const img = await clipboard.readImage()
+      expect(img.format).toBe('jpeg')
+    })
+
+    it('still reports text when clipboardy returns text', async () => {
+      stubs.setTargets({ 'text/plain': 'hello' })
+      mockClipboardy.read.mockResolvedValue('hello')
+      const clipboard = new ClipboardManager()
+      expect(await clipboard.getContentType()).toBe('text')
+      expect(await clipboard.readImage()).toBeNull()
+    })
+
+    it('reports empty when no targets are offered', async () => {
+      const clipboard = new ClipboardManager()
+      expect(await clipboard.hasContent()).toBe(false)
+      expect(await clipboard.getContentType()).toBe('empty')
+    })
+
+    it('writes an image file with the MIME type derived from its extension', async () => {
+      const file = path.join(stubs.root, 'shot.png')
+      fs.writeFileSync(file, PNG_BYTES)
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.writeImage(file)).resolves.toBe(true)
+      expect(stubs.listTargets()).toEqual(['image/png'])
+      expect(stubs.readTarget('image/png')).toEqual(PNG_BYTES)
+    })
+  })
+
+  describe('Wayland via wl-clipboard', () => {
+    beforeEach(() => useEnv({ wayland: true, tools: ['wl-clipboard'] }))
+
+    it('round-trips an image through wl-copy and wl-paste', async () => {
+      const file = path.join(stubs.root, 'photo.jpg')
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00])
+      fs.writeFileSync(file, jpeg)
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.writeImage(file)).resolves.toBe(true)
+      expect(stubs.listTargets()).toEqual(['image/jpeg'])
+
+      const img = await clipboard.readImage()
+      expect(img).toEqual({ format: 'jpeg', data: jpeg })
+    })
+
+    it('detects image content when the text read fails', async () => {
+      stubs.setTargets({ 'image/png': PNG_BYTES })
+      mockClipboardy.read.mockRejectedValue(new Error('No suitable type of content copied'))
+      const clipboard = new ClipboardManager()
+      expect(await clipboard.getContentType()).toBe('image')
+      expect(await clipboard.hasContent()).toBe(true)
+      expect(await clipboard.readImage()).toEqual({ format: 'png', data: PNG_BYTES })
+    })
+  })
+
+  describe('without clipboard tools', () => {
+    beforeEach(() => {
+      useEnv({ tools: [] })
+      process.env.PATH = stubs.binDir
+    })
+
+    it('explains which tools are needed to write images', async () => {
+      const file = path.join(stubs.root, 'shot.png')
+      fs.writeFileSync(file, PNG_BYTES)
+      const clipboard = new ClipboardManager()
+      await expect(clipboard.writeImage(file)).rejects.toThrow('requires xclip (X11) or wl-clipboard (Wayland)')
+    })
+
+    it('returns null when reading images', async () => {
+      const clipboard = new ClipboardManager()
+      expect(await clipboard.readImage()).toBeNull()
+    })
+  })
+})
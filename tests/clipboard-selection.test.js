@@ -0,0 +1,145 @@
+const fs = require('fs')
+const path = require('path')
+const ClipboardManager = require('../src/clipboard')
+const { createLinuxClipboardStubs } = require('./helpers/linuxClipboardStubs')
+
+// clipboardy only serves CLIPBOARD; the PRIMARY/SECONDARY paths must never touch it
+const mockClipboardy = {
+  read: jest.fn(),
+  write: jest.fn()
+}
+ClipboardManager.__setMockClipboardy(mockClipboardy)
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')
+
+const describeUnix = process.platform === 'win32' ? describe.skip : describe
+
+describe('ClipboardManager selections', () => {
+  it('defaults to the clipboard selection', () => {
+    expect(new ClipboardManager().selection).toBe('clipboard')
+  })
+
+  it('rejects unknown selection names', () => {
+    expect(() => new ClipboardManager({ selection: 'middle' })).toThrow("Unknown selection 'middle'. Use clipboard, primary or secondary")
+    expect(() => new ClipboardManager().setSelection('nope')).toThrow('Unknown selection')
+  })
+
+  it('normalizes selection names', () => {
+    const clipboard = new ClipboardManager()
+    expect(clipboard.setSelection(' PRIMARY ')).toBe('primary')
+  })
+
+  it('only offers primary/secondary on Linux', async () => {
+    const originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform')
+    const originalEnv = process.env
+    const { CI, GITHUB_ACTIONS, HEADLESS, XVFB_RUN, ...rest } = originalEnv
+    process.env = rest
+    Object.defineProperty(process, 'platform', { value: 'darwin' })
+    try {
+      const clipboard = new ClipboardManager({ selection: 'primary' })
+      await expect(clipboard.readText()).rejects.toThrow('The primary selection is only available on Linux (X11/Wayland)')
+      await expect(clipboard.readImage()).rejects.toThrow('only available on Linux')
+    } finally {
+      process.env = originalEnv
+      Object.defineProperty(process, 'platform', originalPlatform)
+    }
+  })
+})
+
+describeUnix('ClipboardManager selections on Linux (stubs)', () => {
+  const originalEnv = process.env
+  let originalPlatform
+  let stubs
+
+  function useEnv ({ wayland = false, tools } = {}) {
+    stubs = createLinuxClipboardStubs(tools ? { tools } : undefined)
+    const { CI, GITHUB_ACTIONS, HEADLESS, XVFB_RUN, WAYLAND_DISPLAY, ...rest } = originalEnv
+    process.env = {
+      ...rest,
+      DISPLAY: ':0',
+      PATH: `${stubs.binDir}${path.delimiter}${originalEnv.PATH}`,
+      CLIPASTE_STUB_STATE: stubs.stateDir
+    }
+    if (wayland) process.env.WAYLAND_DISPLAY = 'wayland-0'
+  }
+
+  beforeEach(() => {
+    originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform')
+    Object.defineProperty(process, 'platform', { value: 'linux' })
+    mockClipboardy.read.mockReset()
+    mockClipboardy.write.mockReset()
+    mockClipboardy.read.mockResolvedValue('clipboard text')
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    if (originalPlatform) Object.defineProperty(process, 'platform', originalPlatform)
+    if (stubs) stubs.cleanup()
+    stubs = null
+  })
+
+  describe('X11 via xclip', () => {
+    beforeEach(() => useEnv({ tools: ['xclip'] }))
+
+    it('reads highlighted text from PRIMARY', async () => {
+      stubs.setTargets({ 'text/plain': 'highlighted' }, 'primary')
+      const clipboard = new ClipboardManager({ selection: 'primary' })
+      expect(await clipboard.hasContent()).toBe(true)
+      expect(await clipboard.getContentType()).toBe('text')
+      expect(await clipboard.readText()).toBe('highlighted')
+      expect(mockClipboardy.read).not.toHaveBeenCalled()
+    })
+
+    it('writes and clears PRIMARY without touching CLIPBOARD', async () => {
+      stubs.setTargets({ 'text/plain': 'keep me' })
+      const clipboard = new ClipboardManager({ selection: 'primary' })
+      await expect(clipboard.writeText('selected')).resolves.toBe(true)
+      expect(stubs.readTarget('text/plain', 'primary').toString()).toBe('selected')
+      expect(stubs.readTarget('text/plain').toString()).toBe('keep me')
+
+      await clipboard.clear()
+      expect(await clipboard.hasContent()).toBe(false)
+      expect(mockClipboardy.write).not.toHaveBeenCalled()
+    })
+
+    it('uses SECONDARY through xclip', async () => {
+      stubs.setTargets({ 'text/plain': 'second' }, 'secondary')
+      const clipboard = new ClipboardManager({ selection: 'secondary' })
+      expect(await clipboard.readText()).toBe('second')
+    })
+
+    it('reads and writes images on PRIMARY', async () => {
+      const file = path.join(stubs.root, 'shot.png')
+      fs.writeFileSync(file, PNG_BYTES)
+      const clipboard = new ClipboardManager({ selection: 'primary' })
+      await expect(clipboard.writeImage(file)).resolves.toBe(true)
+      expect(stubs.listTargets('primary')).toEqual(['image/png'])
+      expect(stubs.listTargets()).toEqual([])
+      expect(await clipboard.getContentType()).toBe('image')
+      expect(await clipboard.readImage()).toEqual({ format: 'png', data: PNG_BYTES })
+    })
+
+    it('lists formats of the active selection', async () => {
+      stubs.setTargets({ 'text/plain': 'x', 'text/html': '<b>x</b>' }, 'primary')
+      const clipboard = new ClipboardManager({ selection: 'primary' })
+      expect((await clipboard.listFormats()).sort()).toEqual(['text/html', 'text/plain'])
+      expect((await clipboard.readFormat('text/html')).toString()).toBe('<b>x</b>')
+    })
+  })
+
+  describe('Wayland via wl-clipboard', () => {
+    beforeEach(() => useEnv({ wayland: true, tools: ['wl-clipboard'] }))
+
+    it('round-trips PRIMARY with wl-copy --primary and wl-paste --primary', async () => {
+      const clipboard = new ClipboardManager({ selection: 'primary' })
+      await clipboard.writeText('wayland primary')
+      expect(stubs.readTarget('text/plain', 'primary').toString()).toBe('wayland primary')
+      expect(await clipboard.readText()).toBe('wayland primary')
+    })
+
+    it('explains that SECONDARY needs xclip', async () => {
+      const clipboard = new ClipboardManager({ selection: 'secondary' })
+      await expect(clipboard.readText()).rejects.toThrow('The secondary selection requires xclip (X11) or wl-clipboard (Wayland)')
+    })
+  })
+})
@@ -117,6 +117,70 @@ describe('ClipboardManager', () => {
         await expect(clipboardManager.readImage()).rejects.toThrow('Failed to read image from clipboard: Read failed')
       })
     })
+
+    describe('readAll', () => {
+      const crypto = require('crypto')
+      const sha = (value) => crypto.createHash('sha256').update(value).digest('hex')
+
+      it('should describe text content from a single read', async () => {
+        mockClipboardy.read.mockResolvedValue('hello world')
+
+        const result = await clipboardManager.readAll()
+
+        expect(result).toEqual(expect.objectContaining({
+          isEmpty: false,
+          type: 'text',
+          text: 'hello world',
+          image: null,
+          formats: ['text/plain'],
+          sha256: sha('hello world')
+        }))
+        expect(Number.isNaN(Date.parse(result.readAt))).toBe(false)
+        expect(mockClipboardy.read).toHaveBeenCalledTimes(1)
+      })
+
+      it('should include parsed image data unless image: false', async () => {
+        const base64Data = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg=='
+        mockClipboardy.read.mockResolvedValue(`data:image/png;base64,${base64Data}`)
+
+        const result = await clipboardManager.readAll()
+        expect(result.type).toBe('image')
+        expect(result.image.format).toBe('png')
+        expect(result.formats).toEqual(['image/png'])
+        expect(result.sha256).toBe(sha(Buffer.from(base64Data, 'base64')))
+
+        const textOnly = await clipboardManager.readAll({ image: false })
+        expect(textOnly.type).toBe('image')
+        expect(textOnly.image).toBeNull()
+        expect(mockClipboardy.read).toHaveBeenCalledTimes(2)
+      })
+
+      it('should report an empty clipboard', async () => {
+        mockClipboardy.read.mockResolvedValue('   ')
+        clipboardManager.checkMacClipboard = jest.fn().mockResolvedValue('empty')
+        clipboardManager.checkLinuxClipboard = jest.fn().mockResolvedValue('empty')
+
+        const result = await clipboardManager.readAll()
+
+        expect(result).toEqual(expect.objectContaining({ isEmpty: true, type: 'empty', image: null, formats: [], sha256: null }))
+      })
+
+      it('should list formats from the platform when asked', async () => {
+        mockClipboardy.read.mockResolvedValue('<b>hi</b>')
+        clipboardManager.listFormats = jest.fn().mockResolvedValue(['text/plain', 'text/html'])
+
+        const result = await clipboardManager.readAll({ formats: true })
+
+        expect(result.formats).toEqual(['text/plain', 'text/html'])
+      })
+
+      it('should wrap read failures', async () => {
+        mockClipboardy.read.mockRejectedValue(new Error('Clipboard access denied'))
+        clipboardManager.checkLinuxClipboard = jest.fn().mockResolvedValue(null)
+
+        await expect(clipboardManager.readAll()).rejects.toThrow('Failed to read clipboard: Clipboard access denied')
+      })
+    })
   })
 
   describe('in headless environment', () => {
@@ -149,6 +213,15 @@ describe('ClipboardManager', () => {
         expect(mockClipboardy.read).not.toHaveBeenCalled()
       })
     })
+
+    describe('readAll', () => {
+      it('should report an empty clipboard without reading', async () => {
+        const result = await clipboardManager.readAll()
+
+        expect(result).toEqual(expect.objectContaining({ isEmpty: true, type: 'empty', text: '', sha256: null }))
+        expect(mockClipboardy.read).not.toHaveBeenCalled()
+      })
+    })
   })
 
   describe('isBase64Image', () => {
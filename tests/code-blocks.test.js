@@ -0,0 +1,159 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+const { extractCodeBlocks, blockExtension } = require('../src/utils/codeBlocks')
+
+const ANSWER = [
+  'Create the server:',
+  '',
+  '```js',
+  '// file: src/server.js',
+  "const http = require('http')",
+  'http.createServer().listen(3000)',
+  '```',
+  '',
+  'Then the config:',
+  '',
+  '**`config.yaml`**',
+  '',
+  '```',
+  'port: 3000',
+  'host: localhost',
+  '```',
+  '',
+  'And a query:',
+  '',
+  '~~~',
+  'SELECT * FROM users;',
+  '~~~',
+  '',
+  '```python title="tools/seed.py"',
+  'print("seed")',
+  '```'
+].join('\n')
+
+describe('extractCodeBlocks', () => {
+  it('splits fences and finds file name hints', () => {
+    const blocks = extractCodeBlocks(ANSWER)
+    expect(blocks.map(b => [b.index, b.language, b.filename])).toEqual([
+      [1, 'js', 'src/server.js'],
+      [2, '', 'config.yaml'],
+      [3, '', null],
+      [4, 'python', 'tools/seed.py']
+    ])
+    expect(blocks[0].code).toBe("const http = require('http')\nhttp.createServer().listen(3000)")
+    expect(blocks.map(blockExtension)).toEqual(['.js', '.yaml', '.sql', '.py'])
+  })
+
+  it('takes a caption line that only names a file', () => {
+    const [block] = extractCodeBlocks('`setup.sh`:\n\n```bash\nnpm ci\n```')
+    expect(block.filename).toBe('setup.sh')
+  })
+
+  it('ignores hints that leave the output directory', () => {
+    for (const hint of ['../escape.js', '/etc/passwd', 'C:\\temp\\x.js']) {
+      const [block] = extractCodeBlocks(`\`\`\`js\n// file: ${hint}\nx()\n\`\`\``)
+      expect(block.filename).toBeNull()
+      expect(block.code).toBe(`// file: ${hint}\nx()`)
+    }
+  })
+
+  it('follows CommonMark fence rules', () => {
+    const blocks = extractCodeBlocks('````md\n```\ninner\n```\n````\n\n  ```ts:src/a.ts\n  let n: number = 1\n  ```\n\n```sh\nunclosed')
+    expect(blocks.map(b => b.code)).toEqual(['```\ninner\n```', 'let n: number = 1', 'unclosed'])
+    expect(blocks[1].filename).toBe('src/a.ts')
+    expect(extractCodeBlocks('Inline ```code``` only')).toEqual([])
+  })
+})
+
+describe('paste --extract-code / get --code-block', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const lines = () => logSpy.mock.calls.map(args => args.join(' '))
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-code-blocks-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    await new MemoryBackend().write(ANSWER)
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('writes each block to its own file', async () => {
+    await run('paste', '--output', tmpDir, '--extract-code')
+
+    expect(fs.readFileSync(path.join(tmpDir, 'src', 'server.js'), 'utf8')).toBe("const http = require('http')\nhttp.createServer().listen(3000)\n")
+    expect(fs.readFileSync(path.join(tmpDir, 'config.yaml'), 'utf8')).toBe('port: 3000\nhost: localhost\n')
+    expect(fs.readFileSync(path.join(tmpDir, 'block-3.sql'), 'utf8')).toBe('SELECT * FROM users;\n')
+    expect(fs.existsSync(path.join(tmpDir, 'tools', 'seed.py'))).toBe(true)
+    expect(lines()).toContain(`Saved code block 3 (text, 1 line) to: ${path.join(tmpDir, 'block-3.sql')}`)
+    expect(lines()).toContain('Extracted 4 of 4 code blocks')
+  })
+
+  it('numbers unnamed blocks after --filename or --name-pattern', async () => {
+    await run('paste', '--output', tmpDir, '--extract-code', '--filename', 'answer.md')
+    expect(fs.existsSync(path.join(tmpDir, 'answer-3.sql'))).toBe(true)
+
+    await run('paste', '--output', tmpDir, '--extract-code', '--name-pattern', 'snippets/{n}-{lang}{ext}')
+    expect(fs.existsSync(path.join(tmpDir, 'snippets', '3-text.sql'))).toBe(true)
+  })
+
+  it('lists the planned files with --dry-run', async () => {
+    await run('paste', '--output', tmpDir, '--extract-code', '--dry-run')
+    expect(lines()).toEqual([
+      'Would extract 4 code blocks to:',
+      `  ${path.join(tmpDir, 'src', 'server.js')} (js, 2 lines)`,
+      `  ${path.join(tmpDir, 'config.yaml')} (text, 2 lines)`,
+      `  ${path.join(tmpDir, 'block-3.sql')} (text, 1 line)`,
+      `  ${path.join(tmpDir, 'tools', 'seed.py')} (python, 1 line)`
+    ])
+    expect(fs.readdirSync(tmpDir)).not.toContain('config.yaml')
+  })
+
+  it('numbers blocks that share a file name instead of overwriting', async () => {
+    await new MemoryBackend().write([
+      '```js', '// file: app.js', 'one()', '```',
+      '```js', '// file: app.js', 'two()', '```',
+      '```js title=app-2.js', 'three()', '```'
+    ].join('\n'))
+    await run('paste', '--output', tmpDir, '--extract-code', '--dry-run')
+    expect(lines().slice(1)).toEqual([
+      `  ${path.join(tmpDir, 'app.js')} (js, 1 line)`,
+      `  ${path.join(tmpDir, 'app-2.js')} (js, 1 line)`,
+      `  ${path.join(tmpDir, 'app-2-2.js')} (js, 1 line)`
+    ])
+
+    await run('paste', '--output', tmpDir, '--extract-code')
+    expect(fs.readFileSync(path.join(tmpDir, 'app.js'), 'utf8')).toBe('one()\n')
+    expect(fs.readFileSync(path.join(tmpDir, 'app-2.js'), 'utf8')).toBe('two()\n')
+    expect(fs.readFileSync(path.join(tmpDir, 'app-2-2.js'), 'utf8')).toBe('three()\n')
+    expect(lines()).toContain('Extracted 3 of 3 code blocks')
+  })
+
+  it('fails without fenced blocks', async () => {
+    await new MemoryBackend().write('just prose')
+    await expect(run('paste', '--output', tmpDir, '--extract-code')).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error:', 'No fenced code blocks found in the clipboard')
+  })
+
+  it('prints one block with get --code-block', async () => {
+    await run('get', '--code-block', '3')
+    expect(logSpy).toHaveBeenCalledWith('SELECT * FROM users;')
+
+    await expect(run('get', '--code-block', '9')).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('No code block 9; the clipboard has 4')
+  })
+})
@@ -0,0 +1,153 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ClipboardManager = require('../src/clipboard')
+const { ClipboardDaemon, DaemonClient, connectDaemon, getDaemonSocketPath } = require('../src/daemon')
+const { MemoryBackend } = require('../src/backends')
+const { encodeValue, decodeValue } = require('../src/backends/daemon')
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex')
+
+describe('daemon protocol encoding', () => {
+  it('round-trips buffers nested in results', () => {
+    const value = { format: 'png', data: PNG_BYTES, list: [Buffer.from('a')] }
+    const wire = JSON.parse(JSON.stringify(encodeValue(value)))
+    expect(wire.data).toEqual({ $buffer: PNG_BYTES.toString('base64') })
+    expect(decodeValue(wire)).toEqual(value)
+  })
+})
+
+describe('ClipboardDaemon', () => {
+  let tmpDir
+  let socketPath
+  let daemon
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-daemon-'))
+    socketPath = path.join(tmpDir, 'daemon.sock')
+    daemon = await new ClipboardDaemon({ socketPath }).start()
+  })
+
+  afterEach(async () => {
+    await daemon.stop()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('serves clipboard operations to a ClipboardManager', async () => {
+    const client = await connectDaemon({ socketPath })
+    const clipboard = new ClipboardManager({ backend: 'memory' })
+    clipboard.useDaemon(client)
+
+    await clipboard.writeText('through the socket')
+    expect(await clipboard.readText()).toBe('through the socket')
+    expect(await clipboard.hasContent()).toBe(true)
+    expect(await clipboard.getContentType()).toBe('text')
+    expect(await clipboard.readFormat('text/plain')).toEqual(Buffer.from('through the socket'))
+    expect(daemon.requests).toBe(5)
+    client.close()
+  })
+
+  it('answers readAll in a single request', async () => {
+    const client = await connectDaemon({ socketPath })
+    const clipboard = new ClipboardManager({ backend: 'memory' })
+    clipboard.useDaemon(client)
+    await new MemoryBackend().write('snapshot me')
+
+    const before = daemon.requests
+    const snapshot = await clipboard.readAll()
+    expect(snapshot).toEqual(expect.objectContaining({ isEmpty: false, type: 'text', text: 'snapshot me', formats: ['text/plain'] }))
+    expect(snapshot.sha256).toMatch(/^[0-9a-f]{64}$/)
+    expect(daemon.requests - before).toBe(1)
+    client.close()
+  })
+
+  it('compares and writes inside the daemon for ifMatch writes', async () => {
+    const client = await connectDaemon({ socketPath })
+    const clipboard = new ClipboardManager({ backend: 'memory' })
+    clipboard.useDaemon(client)
+    await clipboard.writeText('original')
+    const sha = await clipboard.getSha256()
+
+    const before = daemon.requests
+    await expect(clipboard.writeText('updated', { ifMatch: sha })).resolves.toBe(true)
+    expect(daemon.requests - before).toBe(1)
+    await expect(clipboard.writeText('stale', { ifMatch: sha })).rejects.toMatchObject({ code: 'CLIPBOARD_CHANGED' })
+    expect(await clipboard.readText()).toBe('updated')
+    client.close()
+  })
+
+  it('transfers images as binary data', async () => {
+    const file = path.join(tmpDir, 'shot.png')
+    fs.writeFileSync(file, PNG_BYTES)
+    const client = await connectDaemon({ socketPath })
+    const clipboard = new ClipboardManager({ backend: 'memory', selection: 'primary' })
+    clipboard.useDaemon(client)
+    expect(await clipboard.writeImage(file)).toBe(true)
+    expect(await clipboard.readImage()).toEqual({ format: 'png', data: PNG_BYTES })
+    expect(await new MemoryBackend({ selection: 'primary' }).listFormats()).toEqual(['image/png'])
+    client.close()
+  })
+
+  it('returns errors and rejects unknown operations', async () => {
+    const client = await connectDaemon({ socketPath })
+    await expect(client.request('readText', { backend: 'missing' })).rejects.toThrow("Clipboard backend 'missing' is not available")
+    await expect(client.request('runClipboardTool', { args: ['rm'] })).rejects.toThrow("Unknown daemon operation 'runClipboardTool'")
+    expect(await client.ping()).toMatchObject({ pid: process.pid, socket: socketPath, requests: 1 })
+    client.close()
+  })
+
+  it('refuses to start twice and replaces stale sockets', async () => {
+    await expect(new ClipboardDaemon({ socketPath }).start()).rejects.toThrow('already listening')
+    await daemon.stop()
+
+    // A socket path nobody listens on, as left behind by a crashed daemon
+    fs.writeFileSync(socketPath, '')
+    expect(await connectDaemon({ socketPath })).toBeNull()
+    daemon = await new ClipboardDaemon({ socketPath }).start()
+    expect(await connectDaemon({ socketPath })).toBeInstanceOf(DaemonClient)
+  })
+
+  it('creates a private socket and refuses directories others can write to', async () => {
+    if (process.platform === 'win32') return
+    expect(fs.statSync(socketPath).mode & 0o777).toBe(0o600)
+
+    const shared = path.join(tmpDir, 'shared')
+    fs.mkdirSync(shared)
+    fs.chmodSync(shared, 0o777)
+    await expect(new ClipboardDaemon({ socketPath: path.join(shared, 'daemon.sock') }).start())
+      .rejects.toThrow(`Refusing to listen in ${shared}: it must be owned by you and not writable by others`)
+  })
+
+  it('ignores backend config that points at paths', () => {
+    const manager = daemon.getManager({ backend: 'file', backendConfig: { dir: '/etc', tty: '/dev/tty1', socket: '/tmp/x', buffer: 'b' } })
+    expect(manager.backendConfig).toEqual({ buffer: 'b' })
+  })
+
+  it('shuts down on request and removes its socket', async () => {
+    const client = await connectDaemon({ socketPath })
+    await client.shutdown()
+    client.close()
+    await daemon.closed
+    expect(fs.existsSync(socketPath)).toBe(false)
+  })
+})
+
+describe('getDaemonSocketPath', () => {
+  const originalPlatform = Object.getOwnPropertyDescriptor(process, 'platform')
+  const originalEnv = process.env
+
+  afterEach(() => {
+    Object.defineProperty(process, 'platform', originalPlatform)
+    process.env = originalEnv
+    jest.restoreAllMocks()
+  })
+
+  it('names the Windows pipe after the user', () => {
+    process.env = { ...originalEnv }
+    delete process.env.CLIPASTE_DAEMON_SOCKET
+    Object.defineProperty(process, 'platform', { value: 'win32' })
+    jest.spyOn(os, 'userInfo').mockReturnValue({ username: 'Jo Doe' })
+    expect(getDaemonSocketPath()).toBe('\\\\.\\pipe\\clipaste-daemon-Jo_Doe')
+  })
+})
@@ -27,8 +27,15 @@ describe('environment util coverage', () => {
 
   it('returns true on linux when DISPLAY is missing', () => {
     setPlatform('linux')
-    const { DISPLAY, ...rest } = originalEnv
+    const { DISPLAY, WAYLAND_DISPLAY, ...rest } = originalEnv
     process.env = { ...rest }
     expect(isHeadlessEnvironment()).toBe(true)
   })
+
+  it('treats a Wayland session without DISPLAY as non-headless on linux', () => {
+    setPlatform('linux')
+    const { DISPLAY, CI, GITHUB_ACTIONS, HEADLESS, XVFB_RUN, ...rest } = originalEnv
+    process.env = { ...rest, WAYLAND_DISPLAY: 'wayland-0' }
+    expect(isHeadlessEnvironment()).toBe(false)
+  })
 })
@@ -61,6 +61,12 @@ describe('FileHandler Coverage Extensions', () => {
       const result = fileHandler.chooseTextExtension('')
       expect(result).toBe('.txt')
     })
+
+    test('prefers the extension of an explicit clipboard format', () => {
+      expect(fileHandler.chooseTextExtension('{"a":1}', 'text/html')).toBe('.html')
+      expect(fileHandler.chooseTextExtension('plain', 'text/markdown')).toBe('.md')
+      expect(fileHandler.chooseTextExtension('{"a":1}', 'application/x-unknown')).toBe('.json')
+    })
   })
 
   describe('saveImage with resize functionality', () => {
@@ -169,19 +175,20 @@ describe('FileHandler Coverage Extensions', () => {
       expect(sharp.mockSharpInstance.webp).toHaveBeenCalledWith({ quality: 80 })
     })
 
-    test('defaults to png format for unknown formats', async () => {
+    test('rejects unknown formats instead of writing png data', async () => {
       fs.access.mockResolvedValue() // Directory exists
       fs.writeFile.mockResolvedValue()
 
       const imageData = Buffer.from('image data')
-      await fileHandler.saveImage(imageData, {
+      await expect(fileHandler.saveImage(imageData, {
         filename: 'test',
         outputPath: '/tmp',
         format: 'unknown',
         quality: 80
-      })
+      })).rejects.toThrow("Unsupported image format 'unknown'")
 
-      expect(sharp.mockSharpInstance.png).toHaveBeenCalled()
+      expect(sharp.mockSharpInstance.png).not.toHaveBeenCalled()
+      expect(fs.writeFile).not.toHaveBeenCalled()
     })
   })
 })
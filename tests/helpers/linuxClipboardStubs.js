@@ -0,0 +1,133 @@
+/**
+ * Linux clipboard tool stubs
+ *
+ * Writes fake `xclip`, `wl-paste` and `wl-copy` executables into a temp directory so
+ * the Linux clipboard code paths can be exercised without X11 or Wayland. Each
+ * selection is a directory under the state dir holding one file per MIME target.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+
+const XCLIP = `#!/bin/sh
+sel=clipboard; target=""; mode=""; file=""
+while [ $# -gt 0 ]; do
+  case "$1" in
+    -selection) sel="$2"; shift 2 ;;
+    -t) target="$2"; shift 2 ;;
+    -o) mode=out; shift ;;
+    -i) mode=in; shift ;;
+    *) file="$1"; shift ;;
+  esac
+done
+[ -n "$target" ] || target="text/plain"
+dir="$CLIPASTE_STUB_STATE/$sel"
+key=$(printf %s "$target" | tr '/' '@')
+if [ "$mode" = "in" ]; then
+  rm -rf "$dir"; mkdir -p "$dir"
+  if [ -n "$file" ]; then cat "$file" > "$dir/$key"; else cat > "$dir/$key"; fi
+  exit 0
+fi
+[ -d "$dir" ] || exit 1
+if [ "$target" = "TARGETS" ]; then
+  echo TARGETS
+  ls "$dir" | tr '@' '/'
+  exit 0
+fi
+[ -f "$dir/$key" ] || exit 1
+cat "$dir/$key"
+`
+
+const WL_PASTE = `#!/bin/sh
+sel=clipboard; target=""; list=""
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --primary|-p) sel=primary; shift ;;
+    --list-types|-l) list=1; shift ;;
+    --type|-t) target="$2"; shift 2 ;;
+    *) shift ;;
+  esac
+done
+dir="$CLIPASTE_STUB_STATE/$sel"
+[ -d "$dir" ] || { echo "No selection" >&2; exit 1; }
+if [ -n "$list" ]; then ls "$dir" | tr '@' '/'; exit 0; fi
+[ -n "$target" ] || target="text/plain"
+key=$(printf %s "$target" | tr '/' '@')
+[ -f "$dir/$key" ] || exit 1
+cat "$dir/$key"
+`
+
+const WL_COPY = `#!/bin/sh
+sel=clipboard; target="text/plain"; clear=""
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --primary|-p) sel=primary; shift ;;
+    --clear|-c) clear=1; shift ;;
+    --type|-t) target="$2"; shift 2 ;;
+    *) shift ;;
+  esac
+done
+dir="$CLIPASTE_STUB_STATE/$sel"
+rm -rf "$dir"
+[ -n "$clear" ] && exit 0
+mkdir -p "$dir"
+key=$(printf %s "$target" | tr '/' '@')
+cat > "$dir/$key"
+`
+
+/**
+ * Create stub binaries and a state directory
+ * @param {object} options
+ * @param {string[]} [options.tools] - which tools to install ('xclip', 'wl-clipboard')
+ * @returns {{ binDir: string, stateDir: string, root: string, setTargets: Function, readTarget: Function, listTargets: Function, cleanup: Function }}
+ */
+function createLinuxClipboardStubs ({ tools = ['xclip', 'wl-clipboard'] } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-linux-stubs-'))
+  const binDir = path.join(root, 'bin')
+  const stateDir = path.join(root, 'state')
+  fs.mkdirSync(binDir, { recursive: true })
+  fs.mkdirSync(stateDir, { recursive: true })
+
+  const install = (name, script) => {
+    const file = path.join(binDir, name)
+    fs.writeFileSync(file, script)
+    fs.chmodSync(file, 0o755)
+  }
+  if (tools.includes('xclip')) install('xclip', XCLIP)
+  if (tools.includes('wl-clipboard')) {
+    install('wl-paste', WL_PASTE)
+    install('wl-copy', WL_COPY)
+  }
+
+  const keyFor = (mime) => mime.replace(/\//g, '@')
+
+  return {
+    root,
+    binDir,
+    stateDir,
+    // Replace the selection with the given { mime: Buffer|string } targets
+    setTargets (targets, selection = 'clipboard') {
+      const dir = path.join(stateDir, selection)
+      fs.rmSync(dir, { recursive: true, force: true })
+      fs.mkdirSync(dir, { recursive: true })
+      for (const [mime, data] of Object.entries(targets)) {
+        fs.writeFileSync(path.join(dir, keyFor(mime)), data)
+      }
+    },
+    readTarget (mime, selection = 'clipboard') {
+      const file = path.join(stateDir, selection, keyFor(mime))
+      return fs.existsSync(file) ? fs.readFileSync(file) : null
+    },
+    listTargets (selection = 'clipboard') {
+      const dir = path.join(stateDir, selection)
+      if (!fs.existsSync(dir)) return []
+      return fs.readdirSync(dir).map(name => name.replace(/@/g, '/'))
+    },
+    cleanup () {
+      fs.rmSync(root, { recursive: true, force: true })
+    }
+  }
+}
+
+module.exports = { createLinuxClipboardStubs }
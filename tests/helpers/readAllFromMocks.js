@@ -0,0 +1,38 @@
+/**
+ * readAll() stand-in for mocked ClipboardManagers
+ *
+ * CLI and watcher tests script the primitive methods (hasContent, getContentType,
+ * readText, readImage). This composes ClipboardManager.readAll() from those mocks
+ * so the scripted values keep flowing through handlers that take one snapshot.
+ */
+
+const crypto = require('crypto')
+
+function readAllFromMocks (manager) {
+  return async (opts = {}) => {
+    const readAt = new Date().toISOString()
+    const has = typeof manager.hasContent === 'function' ? await manager.hasContent() : true
+    if (has === false) {
+      return { isEmpty: true, type: 'empty', text: '', image: null, files: null, formats: [], sha256: null, readAt }
+    }
+    const type = (typeof manager.getContentType === 'function' && await manager.getContentType()) || 'text'
+    let image = null
+    if (type === 'image' && opts.image !== false && typeof manager.readImage === 'function') {
+      image = (await manager.readImage()) || null
+    }
+    const text = typeof manager.readText === 'function' ? ((await manager.readText()) || '') : ''
+    const hashed = image ? image.data : text
+    return {
+      isEmpty: false,
+      type,
+      text,
+      image,
+      files: null,
+      formats: image ? [`image/${image.format}`] : (text ? ['text/plain'] : []),
+      sha256: hashed && hashed.length ? crypto.createHash('sha256').update(hashed).digest('hex') : null,
+      readAt
+    }
+  }
+}
+
+module.exports = { readAllFromMocks }
@@ -0,0 +1,130 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const CLI = require('../src/cli')
+const FileHandler = require('../src/fileHandler')
+const { MemoryBackend } = require('../src/backends')
+
+// 4x2 JPEG tagged "rotate 90° clockwise" at 144 DPI
+const rotatedJpeg = () => sharp({ create: { width: 4, height: 2, channels: 3, background: '#0a0' } })
+  .withMetadata({ orientation: 6, density: 144 })
+  .jpeg()
+  .toBuffer()
+
+describe('FileHandler image formats', () => {
+  const handler = new FileHandler()
+  let tmpDir
+  let source
+
+  beforeAll(async () => {
+    source = await rotatedJpeg()
+  })
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-image-formats-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it.each(['avif', 'tiff', 'gif', 'heif'])('writes %s', async (format) => {
+    const file = await handler.saveImage(source, { outputPath: tmpDir, filename: 'out', format })
+    expect(file).toBe(path.join(tmpDir, `out.${format}`))
+    const meta = await sharp(file).metadata()
+    expect(meta.format).toBe(format === 'avif' ? 'heif' : format)
+  })
+
+  it('rejects formats sharp cannot write instead of falling back to png', async () => {
+    await expect(handler.saveImage(source, { outputPath: tmpDir, filename: 'out', format: 'bmp' }))
+      .rejects.toThrow("Unsupported image format 'bmp'")
+  })
+
+  it('keeps EXIF only when asked', async () => {
+    const plain = await handler.saveImage(source, { outputPath: tmpDir, filename: 'plain' })
+    const kept = await handler.saveImage(source, { outputPath: tmpDir, filename: 'kept', keepExif: true })
+    expect((await sharp(plain).metadata()).exif).toBeUndefined()
+    expect((await sharp(kept).metadata()).orientation).toBe(6)
+  })
+
+  // package.json locks sharp 0.32, which has withMetadata() but not the keepExif()/withExif() added in 0.33;
+  // hide those to run on the locked API (the other 0.33 helpers back 0.33's own withMetadata)
+  it('keeps EXIF with the sharp 0.32 API', async () => {
+    const added = ['keepExif', 'withExif']
+    const saved = Object.fromEntries(added.filter(name => name in sharp.prototype).map(name => [name, sharp.prototype[name]]))
+    for (const name of Object.keys(saved)) delete sharp.prototype[name]
+    try {
+      const kept = await handler.saveImage(source, { outputPath: tmpDir, filename: 'kept-032', format: 'jpeg', keepExif: true })
+      expect((await sharp(kept).metadata()).orientation).toBe(6)
+    } finally {
+      Object.assign(sharp.prototype, saved)
+    }
+  })
+
+  it('applies the orientation when stripping metadata', async () => {
+    const file = await handler.saveImage(source, { outputPath: tmpDir, filename: 'upright', stripMetadata: true })
+    const meta = await sharp(file).metadata()
+    expect([meta.width, meta.height, meta.orientation]).toEqual([2, 4, undefined])
+    await expect(handler.saveImage(source, { outputPath: tmpDir, stripMetadata: true, keepExif: true }))
+      .rejects.toThrow('Metadata cannot be both stripped and kept')
+  })
+
+  it('builds encoder options per format', () => {
+    expect(handler.imageEncoderOptions('webp', { quality: 80, lossless: true })).toEqual({ quality: 80, lossless: true })
+    expect(handler.imageEncoderOptions('png', { quality: 80, compressionLevel: '9', progressive: true }))
+      .toEqual({ compressionLevel: 9, progressive: true })
+    expect(handler.imageEncoderOptions('jpeg', { quality: 70, progressive: true })).toEqual({ quality: 70, progressive: true })
+    expect(handler.imageEncoderOptions('gif', { quality: 70 })).toBeUndefined()
+    expect(() => handler.imageEncoderOptions('jpeg', { lossless: true })).toThrow('Lossless output is not available for jpeg')
+    expect(() => handler.imageEncoderOptions('webp', { compressionLevel: 3 })).toThrow('Compression level applies to png output only')
+    expect(() => handler.imageEncoderOptions('png', { compressionLevel: 12 })).toThrow("Invalid PNG compression level '12'")
+  })
+})
+
+describe('image CLI options', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-image-cli-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    const file = path.join(tmpDir, 'photo.jpg')
+    fs.writeFileSync(file, await rotatedJpeg())
+    await new MemoryBackend().writeImage(file)
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('saves progressive, EXIF-preserving JPEGs from paste', async () => {
+    await run('paste', '--output', tmpDir, '--filename', 'shot', '--format', 'jpeg', '--progressive', '--keep-exif')
+    const meta = await sharp(path.join(tmpDir, 'shot.jpeg')).metadata()
+    expect(meta.isProgressive).toBe(true)
+    expect(meta.orientation).toBe(6)
+  })
+
+  it('reports orientation, color space, alpha and DPI in get --image-info', async () => {
+    await run('get', '--image-info')
+    const info = JSON.parse(logSpy.mock.calls[0][0])
+    expect(info).toMatchObject({
+      format: 'jpeg',
+      width: 4,
+      height: 2,
+      orientation: 6,
+      colorSpace: 'srgb',
+      hasAlpha: false,
+      dpi: 144,
+      hasExif: true
+    })
+  })
+})
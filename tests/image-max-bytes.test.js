@@ -0,0 +1,128 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const CLI = require('../src/cli')
+const FileHandler = require('../src/fileHandler')
+const { MemoryBackend } = require('../src/backends')
+const { parseByteSize } = require('../src/utils/transform')
+
+// Deterministic noise compresses poorly, so quality has a visible effect on size
+function noisePng (width, height) {
+  const pixels = Buffer.alloc(width * height * 3)
+  let seed = 42
+  for (let i = 0; i < pixels.length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff
+    pixels[i] = seed >> 16
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer()
+}
+
+describe('parseByteSize', () => {
+  it('parses plain bytes and 1024-based units', () => {
+    expect(parseByteSize('800')).toBe(800)
+    expect(parseByteSize('500KB')).toBe(512000)
+    expect(parseByteSize('1.5mb')).toBe(1572864)
+    expect(parseByteSize('2 MiB')).toBe(2097152)
+    expect(parseByteSize('10k')).toBe(10240)
+  })
+
+  it('rejects anything else', () => {
+    for (const value of ['', '0', 'lots', '5 TB', '-1KB', null]) expect(parseByteSize(value)).toBeNull()
+  })
+})
+
+describe('FileHandler max bytes', () => {
+  const handler = new FileHandler()
+  let tmpDir
+  let source
+
+  beforeAll(async () => {
+    source = await noisePng(160, 120)
+  })
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-max-bytes-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('keeps the requested quality when it already fits', async () => {
+    const onFit = jest.fn()
+    await handler.saveImage(source, { outputPath: tmpDir, filename: 'big', format: 'jpeg', quality: 80, maxBytes: 10 * 1024 * 1024, onFit })
+    expect(onFit).toHaveBeenCalledWith(expect.objectContaining({ quality: 80, width: 160, height: 120 }))
+  })
+
+  it.each(['jpeg', 'webp'])('searches %s quality down until the file fits', async (format) => {
+    const full = (await sharp(source)[format]({ quality: 90 }).toBuffer()).length
+    const limit = Math.floor(full * 0.6)
+    const onFit = jest.fn()
+    const file = await handler.saveImage(source, { outputPath: tmpDir, filename: 'fit', format, maxBytes: limit, onFit })
+
+    const fit = onFit.mock.calls[0][0]
+    expect(fit.quality).toBeLessThan(90)
+    expect(fit.quality).toBeGreaterThanOrEqual(10)
+    expect(fs.statSync(file).size).toBe(fit.size)
+    expect(fit.size).toBeLessThanOrEqual(limit)
+  })
+
+  it('downscales when quality alone cannot reach the limit', async () => {
+    const smallest = (await sharp(source).jpeg({ quality: 10 }).toBuffer()).length
+    const onFit = jest.fn()
+    await handler.saveImage(source, { outputPath: tmpDir, filename: 'small', format: 'jpeg', maxBytes: Math.floor(smallest / 2), downscale: true, onFit })
+
+    const fit = onFit.mock.calls[0][0]
+    expect(fit.width).toBeLessThan(160)
+    expect(fit.size).toBeLessThanOrEqual(Math.floor(smallest / 2))
+  })
+
+  it('fails clearly when the limit is unreachable', async () => {
+    await expect(handler.saveImage(source, { outputPath: tmpDir, format: 'jpeg', maxBytes: 200 }))
+      .rejects.toThrow(/Cannot fit the image in 200 bytes: the smallest attempt was \d+ bytes at quality 10 and 160x120; allow downscaling/)
+    await expect(handler.saveImage(source, { outputPath: tmpDir, format: 'png', maxBytes: 200 }))
+      .rejects.toThrow('Size limits need a lossy format (jpeg, webp or avif), not png')
+    expect(fs.readdirSync(tmpDir)).toEqual([])
+  })
+})
+
+describe('paste --max-bytes', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-max-bytes-cli-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    const file = path.join(tmpDir, 'shot.png')
+    fs.writeFileSync(file, await noisePng(160, 120))
+    await new MemoryBackend().writeImage(file)
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('reports the final quality, dimensions and size', async () => {
+    await run('paste', '--output', tmpDir, '--filename', 'upload', '--format', 'webp', '--max-bytes', '10KB')
+
+    const size = fs.statSync(path.join(tmpDir, 'upload.webp')).size
+    expect(size).toBeLessThanOrEqual(10240)
+    const report = logSpy.mock.calls.map(args => args.join(' ')).find(line => line.startsWith('Fitted under 10 KB'))
+    expect(report).toMatch(/^Fitted under 10 KB: quality \d+, 160x120, [\d.]+ KB$/)
+  })
+
+  it('rejects sizes it cannot parse', async () => {
+    await expect(run('paste', '--output', tmpDir, '--format', 'jpeg', '--max-bytes', 'small')).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error:', "Invalid size 'small'. Use bytes or a unit, e.g. 500KB or 2MB")
+  })
+})
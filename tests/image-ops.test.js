@@ -0,0 +1,161 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+const { parseImageOp, applyImageOps } = require('../src/utils/transform')
+
+const solid = (width, height, background = '#3366cc') =>
+  sharp({ create: { width, height, channels: 3, background } }).png().toBuffer()
+
+describe('parseImageOp', () => {
+  it('parses each operation', () => {
+    expect(parseImageOp('crop=10,20,800,600')).toEqual({ op: 'crop', left: 10, top: 20, width: 800, height: 600 })
+    expect(parseImageOp('rotate=-90')).toEqual({ op: 'rotate', angle: -90 })
+    expect(parseImageOp('grayscale')).toEqual({ op: 'grayscale' })
+    expect(parseImageOp('greyscale')).toEqual({ op: 'grayscale' })
+    expect(parseImageOp('border=4:#ccc')).toEqual({ op: 'border', width: 4, color: '#ccc' })
+    expect(parseImageOp('border=2')).toEqual({ op: 'border', width: 2, color: '#000000' })
+    expect(parseImageOp('watermark="DRAFT v2"')).toEqual({ op: 'watermark', text: 'DRAFT v2' })
+    expect(parseImageOp('resize=800x')).toEqual({ op: 'resize', width: 800, height: undefined })
+  })
+
+  it('returns null for invalid specs', () => {
+    for (const spec of ['', 'crop=1,2,3', 'crop=0,0,0,10', 'rotate=left', 'grayscale=1', 'border=0', 'border=3:', 'watermark=', 'resize=big', 'sepia']) {
+      expect(parseImageOp(spec)).toBeNull()
+    }
+  })
+})
+
+describe('applyImageOps', () => {
+  it('applies operations in the order given', async () => {
+    const input = await solid(40, 20)
+    const ops = ['crop=0,0,30,20', 'rotate=90', 'border=2:#ff0000'].map(parseImageOp)
+    const meta = await sharp(await applyImageOps(input, ops)).metadata()
+    expect([meta.width, meta.height]).toEqual([24, 34])
+  })
+
+  it('keeps color channels after grayscale so later borders stay colored', async () => {
+    const out = await applyImageOps(await solid(4, 4), ['grayscale', 'border=1:#ff0000'].map(parseImageOp))
+    const { data, info } = await sharp(out).raw().toBuffer({ resolveWithObject: true })
+    expect(Array.from(data.subarray(0, 3))).toEqual([255, 0, 0])
+    const center = (2 * info.width + 2) * info.channels
+    expect(data[center]).toBe(data[center + 1])
+  })
+
+  it('watermarks without changing the size', async () => {
+    const meta = await sharp(await applyImageOps(await solid(120, 60), [parseImageOp('watermark=DRAFT <1>')])).metadata()
+    expect([meta.width, meta.height]).toEqual([120, 60])
+  })
+
+  it('works on the upright image and keeps the EXIF for --keep-exif', async () => {
+    // 40x20 stored, tagged "rotate 90° clockwise": displayed as 20x40 with red on top
+    const tagged = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#00f' } })
+      .composite([{ input: await solid(20, 20, '#ff0000'), left: 0, top: 0 }])
+      .withMetadata({ orientation: 6 })
+      .jpeg()
+      .toBuffer()
+    const out = await applyImageOps(tagged, [parseImageOp('crop=0,0,20,10')])
+    const { data, info } = await sharp(out).raw().toBuffer({ resolveWithObject: true })
+    expect([info.width, info.height]).toEqual([20, 10])
+    expect(data[0]).toBeGreaterThan(200)
+    expect(data[2]).toBeLessThan(50)
+    const meta = await sharp(out).metadata()
+    expect(meta.exif).toBeDefined()
+    expect(meta.orientation || 1).toBe(1)
+  })
+
+  it('rejects crops outside the image', async () => {
+    await expect(applyImageOps(await solid(10, 10), [parseImageOp('crop=5,5,10,10')]))
+      .rejects.toThrow('Crop area 5,5,10,10 lies outside the 10x10 image')
+  })
+})
+
+describe('paste --op / --preset', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const size = async (file) => {
+    const meta = await sharp(file).metadata()
+    return [meta.width, meta.height]
+  }
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-image-ops-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    const file = path.join(tmpDir, 'shot.png')
+    fs.writeFileSync(file, await solid(100, 50))
+    await new MemoryBackend().writeImage(file)
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('runs repeated --op flags in order', async () => {
+    await run('paste', '--output', tmpDir, '--filename', 'out', '--op', 'crop=0,0,60,50', '--op', 'rotate=90', '--op', 'border=5:#ccc')
+    expect(await size(path.join(tmpDir, 'out.png'))).toEqual([60, 70])
+  })
+
+  it('saves a preset to config.json and runs it before extra operations', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'config.json'), JSON.stringify({ paste: { namePattern: '{slug}' } }))
+    await run('paste', '--output', tmpDir, '--filename', 'first', '--op', 'crop=0,0,40,40', '--op', 'grayscale', '--save-preset', 'docs')
+
+    const config = JSON.parse(fs.readFileSync(path.join(tmpDir, 'config.json'), 'utf8'))
+    expect(config.paste).toEqual({ namePattern: '{slug}', presets: { docs: ['crop=0,0,40,40', 'grayscale'] } })
+    expect(logSpy).toHaveBeenCalledWith("Saved preset 'docs' (2 operations)")
+
+    await run('paste', '--output', tmpDir, '--filename', 'second', '--preset', 'docs', '--op', 'border=10')
+    expect(await size(path.join(tmpDir, 'second.png'))).toEqual([60, 60])
+  })
+
+  it('only reports the preset on --dry-run', async () => {
+    await run('paste', '--output', tmpDir, '--dry-run', '--op', 'grayscale', '--save-preset', 'docs')
+    expect(logSpy).toHaveBeenCalledWith("Would save preset 'docs' (1 operation)")
+    expect(fs.existsSync(path.join(tmpDir, 'config.json'))).toBe(false)
+  })
+
+  it('does not save the preset when the paste fails', async () => {
+    await expect(run('paste', '--output', tmpDir, '--op', 'crop=0,0,400,400', '--save-preset', 'big')).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error:', 'Failed to save image file: Crop area 0,0,400,400 lies outside the 100x50 image')
+    MemoryBackend.reset()
+    await expect(run('paste', '--output', tmpDir, '--op', 'grayscale', '--save-preset', 'docs')).rejects.toThrow('exit')
+    expect(fs.existsSync(path.join(tmpDir, 'config.json'))).toBe(false)
+  })
+
+  it('keeps EXIF through operations without re-rotating the upright pixels', async () => {
+    const file = path.join(tmpDir, 'photo.jpg')
+    await sharp({ create: { width: 40, height: 20, channels: 3, background: '#3366cc' } })
+      .withMetadata({ orientation: 6 })
+      .jpeg()
+      .toFile(file)
+    await new MemoryBackend().writeImage(file)
+    await run('paste', '--output', tmpDir, '--filename', 'bordered', '--format', 'jpeg', '--keep-exif', '--op', 'border=2:#000')
+
+    const meta = await sharp(path.join(tmpDir, 'bordered.jpeg')).metadata()
+    expect([meta.width, meta.height]).toEqual([24, 44])
+    expect(meta.exif).toBeDefined()
+    expect(meta.orientation || 1).toBe(1)
+  })
+
+  it('lists the operations in --dry-run', async () => {
+    await run('paste', '--output', tmpDir, '--op', 'grayscale', '--op', 'watermark=DRAFT', '--dry-run')
+    expect(logSpy).toHaveBeenCalledWith('Image operations: grayscale → watermark')
+  })
+
+  it('rejects invalid operations and unknown presets', async () => {
+    await expect(run('paste', '--output', tmpDir, '--op', 'sepia')).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error:', "Invalid image operation 'sepia'")
+    await expect(run('paste', '--output', tmpDir, '--preset', 'missing')).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith('Error:', "Unknown image preset 'missing'")
+  })
+})
@@ -0,0 +1,124 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const CLI = require('../src/cli')
+const FileHandler = require('../src/fileHandler')
+const { MemoryBackend } = require('../src/backends')
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex')
+
+describe('paste --dedupe / --store', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let out
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const lines = () => logSpy.mock.calls.map(args => args.join(' '))
+
+  beforeEach(async () => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-store-'))
+    out = path.join(tmpDir, 'out')
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    await new MemoryBackend().write('same log line')
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('returns the existing file for identical content', async () => {
+    await run('paste', '--output', out, '--dedupe')
+    await run('paste', '--output', out, '--dedupe')
+
+    const files = fs.readdirSync(out).filter(name => name.endsWith('.txt'))
+    expect(files).toHaveLength(1)
+    expect(lines()).toContain(`Identical text content already saved: ${path.join(out, files[0])}`)
+    const index = JSON.parse(fs.readFileSync(path.join(out, '.clipaste-index.json'), 'utf8'))
+    expect(index.files).toEqual({ [sha256('same log line')]: files[0] })
+  })
+
+  it('writes again when the indexed file changed', async () => {
+    await run('paste', '--output', out, '--filename', 'log', '--dedupe')
+    fs.writeFileSync(path.join(out, 'log.txt'), 'edited')
+    await run('paste', '--output', out, '--filename', 'log', '--dedupe', '--on-exist', 'increment')
+
+    expect(fs.readFileSync(path.join(out, 'log-1.txt'), 'utf8')).toBe('same log line')
+  })
+
+  it('stores content by hash and links the readable name to it', async () => {
+    await run('paste', '--output', out, '--filename', 'first', '--store')
+    await run('paste', '--output', out, '--filename', 'second', '--store')
+
+    const hash = sha256('same log line')
+    const object = path.join(out, 'sha256', hash.slice(0, 2), `${hash.slice(2)}.txt`)
+    expect(fs.readFileSync(object, 'utf8')).toBe('same log line')
+    for (const name of ['first.txt', 'second.txt']) {
+      const link = path.join(out, name)
+      expect(fs.lstatSync(link).isSymbolicLink()).toBe(true)
+      expect(fs.readlinkSync(link)).toBe(path.join('sha256', hash.slice(0, 2), `${hash.slice(2)}.txt`))
+    }
+    expect(lines()).toContain(`Stored as: ${object} (already in store)`)
+  })
+
+  it('replaces the link on a later plain paste instead of writing into the store', async () => {
+    const hash = sha256('first content')
+    const object = path.join(out, 'sha256', hash.slice(0, 2), `${hash.slice(2)}.txt`)
+    const notes = path.join(out, 'notes.txt')
+
+    await new MemoryBackend().write('first content')
+    await run('paste', '--store', '-f', 'notes', '-o', out)
+    await new MemoryBackend().write('second content')
+    await run('paste', '-f', 'notes', '-o', out)
+
+    expect(fs.readFileSync(object, 'utf8')).toBe('first content')
+    expect(fs.lstatSync(notes).isSymbolicLink()).toBe(false)
+    expect(fs.readFileSync(notes, 'utf8')).toBe('second content')
+
+    await run('paste', '--store', '-f', 'notes', '-o', out, '--on-exist', 'overwrite')
+    await run('paste', '-f', 'notes', '-o', out, '--on-exist', 'append')
+    expect(fs.readFileSync(notes, 'utf8')).toBe('second content\nsecond content')
+    const second = sha256('second content')
+    expect(fs.readFileSync(path.join(out, 'sha256', second.slice(0, 2), `${second.slice(2)}.txt`), 'utf8')).toBe('second content')
+  })
+
+  it('reuses the stored link with --store --dedupe', async () => {
+    await run('paste', '--output', out, '--filename', 'first', '--store', '--dedupe')
+    await run('paste', '--output', out, '--filename', 'second', '--store', '--dedupe')
+
+    expect(fs.existsSync(path.join(out, 'second.txt'))).toBe(false)
+    expect(lines()).toContain(`Identical text content already saved: ${path.join(out, 'first.txt')}`)
+  })
+})
+
+describe('FileHandler.writeOutput', () => {
+  const handler = new FileHandler()
+  let tmpDir
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-write-output-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('hashes the processed bytes', async () => {
+    const onSaved = jest.fn()
+    const data = Buffer.from([0x25, 0x50, 0x44, 0x46])
+    const file = await handler.saveBinary(data, { outputPath: tmpDir, filename: 'doc.pdf', dedupe: true, onSaved })
+    expect(onSaved).toHaveBeenCalledWith({ filePath: file, sha256: sha256(data), duplicate: false, objectPath: null })
+  })
+
+  it('refuses to append with dedupe', async () => {
+    await expect(handler.saveText('x', { outputPath: tmpDir, filename: 'a', dedupe: true, onExist: 'append' }))
+      .rejects.toThrow('Appending cannot be combined with dedupe or store')
+  })
+})
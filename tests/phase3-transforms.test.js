@@ -1,6 +1,7 @@
 const CLI = require('../src/cli')
 const ClipboardManager = require('../src/clipboard')
 const FileHandler = require('../src/fileHandler')
+const { readAllFromMocks } = require('./helpers/readAllFromMocks')
 
 jest.mock('../src/clipboard')
 jest.mock('../src/fileHandler')
@@ -30,6 +31,7 @@ describe('Phase 3 - transforms and options', () => {
       writeText: jest.fn(),
       getContentType: jest.fn()
     }
+    mockClipboard.readAll = jest.fn(readAllFromMocks(mockClipboard))
     ClipboardManager.mockImplementation(() => mockClipboard)
 
     mockFile = {
@@ -0,0 +1,104 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const CLI = require('../src/cli')
+const { MemoryBackend } = require('../src/backends')
+const { RegisterStore, normalizeRegisterName } = require('../src/registerStore')
+
+describe('named registers', () => {
+  const originalEnv = process.env
+  let tmpDir
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-registers-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('RegisterStore', () => {
+    it('persists registers in <config dir>/registers.json', async () => {
+      await new RegisterStore().set('a', 'alpha')
+      await new RegisterStore().set('deploy.cmd', 'npm run deploy')
+
+      const store = new RegisterStore()
+      expect(await store.get('a')).toEqual(expect.objectContaining({ name: 'a', content: 'alpha', len: 5 }))
+      expect((await store.list()).map(r => r.name)).toEqual(['a', 'deploy.cmd'])
+      expect(fs.statSync(path.join(tmpDir, 'registers.json')).isFile()).toBe(true)
+
+      expect(await store.delete('a')).toBe(true)
+      expect(await store.delete('a')).toBe(false)
+      expect(await store.get('a')).toBeNull()
+    })
+
+    it('rejects names that are not safe identifiers', () => {
+      expect(normalizeRegisterName(' z ')).toBe('z')
+      expect(() => normalizeRegisterName('../etc')).toThrow('Invalid register name')
+      expect(() => normalizeRegisterName('')).toThrow('Invalid register name')
+    })
+  })
+
+  describe('CLI', () => {
+    let logSpy
+    let stdoutSpy
+
+    const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+
+    beforeEach(() => {
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      stdoutSpy = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+    })
+
+    it('copies into a register without touching the clipboard', async () => {
+      await run('copy', 'clipboard text')
+      await run('copy', 'register text', '--register', 'a')
+      expect(logSpy).toHaveBeenCalledWith("Copied text to register 'a' (13 characters)")
+      expect(await new MemoryBackend().read()).toBe('clipboard text')
+
+      await run('get', '--register', 'a', '--raw')
+      expect(stdoutSpy).toHaveBeenCalledWith('register text')
+    })
+
+    it('also writes the clipboard with --also-clipboard', async () => {
+      await run('copy', 'both', '-r', 'b', '--also-clipboard')
+      expect(logSpy).toHaveBeenCalledWith("Copied text to register 'b' and clipboard (4 characters)")
+      expect(await new MemoryBackend().read()).toBe('both')
+      expect((await new RegisterStore().get('b')).content).toBe('both')
+    })
+
+    it('pastes a register to a file', async () => {
+      await run('copy', '{"from":"register"}', '-r', 'json')
+      await run('paste', '--register', 'json', '--output', tmpDir, '--filename', 'out', '--auto-extension')
+      expect(fs.readFileSync(path.join(tmpDir, 'out.json'), 'utf8')).toBe('{"from":"register"}')
+    })
+
+    it('lists and deletes registers', async () => {
+      await run('copy', 'first', '-r', 'a')
+      await run('copy', 'second', '-r', 'todo')
+      await run('registers')
+      const lines = logSpy.mock.calls.map(args => args[0])
+      expect(lines).toEqual(expect.arrayContaining([expect.stringMatching(/^a {4}\S+ {2}len=5 {2}"first"$/), expect.stringMatching(/^todo {2}.*"second"$/)]))
+
+      await run('registers', '--delete', 'todo')
+      expect(logSpy).toHaveBeenCalledWith("Deleted register 'todo'")
+      expect((await new RegisterStore().list()).map(r => r.name)).toEqual(['a'])
+    })
+
+    it('feeds AI commands and template variables', async () => {
+      await new RegisterStore().set('q', 'register question')
+      const cli = new CLI()
+      await expect(cli.readAiSource({ source: 'register', register: 'q' })).resolves.toBe('register question')
+      await expect(cli.readAiSource({ source: 'register' })).rejects.toThrow('Provide --register <name>')
+
+      await cli.library.saveTemplate('greet', 'Q: {{registers.q}}')
+      await cli.handleTemplateUse('greet', { auto: true })
+      expect(stdoutSpy).toHaveBeenCalledWith('Q: register question')
+    })
+  })
+})
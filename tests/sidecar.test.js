@@ -0,0 +1,109 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const sharp = require('sharp')
+const CLI = require('../src/cli')
+const ClipboardManager = require('../src/clipboard')
+const { MemoryBackend } = require('../src/backends')
+const { sidecarPathFor, readSidecar } = require('../src/utils/sidecar')
+
+describe('paste --sidecar and clipaste info', () => {
+  const originalEnv = process.env
+  let tmpDir
+  let logSpy
+
+  const run = (...args) => new CLI().run(['node', 'clipaste', '--backend', 'memory', ...args])
+  const lines = () => logSpy.mock.calls.map(args => args.join(' '))
+
+  beforeEach(() => {
+    MemoryBackend.reset()
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-sidecar-'))
+    process.env = { ...originalEnv, CLIPASTE_CONFIG_DIR: tmpDir }
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(process, 'exit').mockImplementation(() => { throw new Error('exit') })
+  })
+
+  afterEach(() => {
+    process.env = originalEnv
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('records provenance for text pastes', async () => {
+    await new MemoryBackend().write('quote from the paper')
+    await run('paste', '--output', tmpDir, '--filename', 'quote', '--sidecar')
+
+    const file = path.join(tmpDir, 'quote.txt')
+    const meta = await readSidecar(file)
+    expect(meta).toMatchObject({
+      version: 1,
+      file: 'quote.txt',
+      hostname: os.hostname(),
+      cwd: process.cwd(),
+      sha256: crypto.createHash('sha256').update('quote from the paper').digest('hex'),
+      size: 20,
+      type: 'text',
+      image: null,
+      source: { selection: 'clipboard', format: 'text/plain', formats: ['text/plain'] }
+    })
+    expect(Number.isNaN(Date.parse(meta.pastedAt))).toBe(false)
+    if (meta.git) expect(typeof meta.git.repo).toBe('string')
+    expect(lines()).toContain(`Metadata written to: ${sidecarPathFor(file)}`)
+  })
+
+  it('only lists the clipboard formats when a sidecar needs them', async () => {
+    const listFormats = jest.spyOn(ClipboardManager.prototype, 'listFormats')
+    await new MemoryBackend().write('plain note')
+
+    await run('paste', '--output', tmpDir, '--filename', 'plain')
+    expect(listFormats).not.toHaveBeenCalled()
+    await run('paste', '--output', tmpDir, '--filename', 'noted', '--sidecar')
+    expect(listFormats).toHaveBeenCalledTimes(1)
+  })
+
+  it('records image dimensions and the clipboard image format', async () => {
+    const png = path.join(tmpDir, 'in.png')
+    await sharp({ create: { width: 30, height: 20, channels: 3, background: '#000' } }).png().toFile(png)
+    await new MemoryBackend().writeImage(png)
+    await run('paste', '--output', tmpDir, '--filename', 'figure', '--format', 'webp', '--sidecar')
+
+    const meta = await readSidecar(path.join(tmpDir, 'figure.webp'))
+    expect(meta.image).toEqual({ width: 30, height: 20, format: 'webp' })
+    expect(meta.source.format).toBe('image/png')
+  })
+
+  it('reads the sidecar back with info', async () => {
+    await new MemoryBackend().write('logged')
+    await run('paste', '--output', tmpDir, '--filename', 'log', '--sidecar')
+    const file = path.join(tmpDir, 'log.txt')
+    logSpy.mockClear()
+
+    await run('info', file)
+    expect(lines()).toEqual(expect.arrayContaining([
+      `File: ${file}`,
+      'Type: text',
+      'Clipboard format: text/plain (clipboard)',
+      'Size: 6 Bytes',
+      expect.stringMatching(/^SHA-256: [0-9a-f]{64} \(matches file\)$/),
+      `Host: ${os.hostname()}`
+    ]))
+
+    fs.writeFileSync(file, 'edited')
+    logSpy.mockClear()
+    await run('info', sidecarPathFor(file))
+    expect(lines()).toContainEqual(expect.stringMatching(/\(file changed since paste\)$/))
+
+    logSpy.mockClear()
+    await run('info', file, '--json')
+    expect(JSON.parse(logSpy.mock.calls[0][0]).file).toBe('log.txt')
+  })
+
+  it('fails when a file has no sidecar', async () => {
+    const file = path.join(tmpDir, 'plain.txt')
+    fs.writeFileSync(file, 'x')
+    await expect(run('info', file)).rejects.toThrow('exit')
+    expect(console.error).toHaveBeenCalledWith(`No metadata for ${file} (expected ${file}.meta.json)`)
+  })
+})
@@ -0,0 +1,45 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { writeFileAtomic, tempPathFor } = require('../src/utils/atomicWrite')
+
+describe('writeFileAtomic', () => {
+  let tmpDir
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-atomic-'))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  it('replaces the file and leaves no temporary file behind', async () => {
+    const file = path.join(tmpDir, 'data.json')
+    fs.writeFileSync(file, 'old')
+    await writeFileAtomic(file, 'new')
+    expect(fs.readFileSync(file, 'utf8')).toBe('new')
+    expect(fs.readdirSync(tmpDir)).toEqual(['data.json'])
+  })
+
+  it('passes the mode through', async () => {
+    if (process.platform === 'win32') return
+    const file = path.join(tmpDir, 'secret.json')
+    await writeFileAtomic(file, '{}', { mode: 0o600 })
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600)
+  })
+
+  it('removes the temporary file and keeps the original when the rename fails', async () => {
+    const file = path.join(tmpDir, 'data.json')
+    fs.writeFileSync(file, 'old')
+    jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk gone'))
+    await expect(writeFileAtomic(file, 'new')).rejects.toThrow('disk gone')
+    expect(fs.readFileSync(file, 'utf8')).toBe('old')
+    expect(fs.readdirSync(tmpDir)).toEqual(['data.json'])
+  })
+
+  it('gives concurrent writes distinct temporary files', () => {
+    expect(tempPathFor('a.json')).not.toBe(tempPathFor('a.json'))
+  })
+})
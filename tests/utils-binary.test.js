@@ -0,0 +1,62 @@
+const { detectBinaryType, hexdump } = require('../src/utils/binary')
+const { isBinaryMime } = require('../src/backends/formats')
+
+describe('Binary Utilities', () => {
+  describe('detectBinaryType', () => {
+    test('recognizes common signatures', () => {
+      expect(detectBinaryType(Buffer.from('%PDF-1.7\n%\xe2\xe3', 'latin1'))).toEqual({ mime: 'application/pdf', ext: '.pdf' })
+      expect(detectBinaryType(Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00]))).toEqual({ mime: 'application/zip', ext: '.zip' })
+      expect(detectBinaryType(Buffer.from('GIF89a\x01\x00', 'latin1')).ext).toBe('.gif')
+      expect(detectBinaryType(Buffer.from([0x1F, 0x8B, 0x08, 0x00])).ext).toBe('.gz')
+    })
+
+    test('tells RIFF containers apart', () => {
+      const riff = (kind) => Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from(kind)])
+      expect(detectBinaryType(riff('WAVE')).mime).toBe('audio/wav')
+      expect(detectBinaryType(riff('WEBP')).mime).toBe('image/webp')
+      expect(detectBinaryType(riff('XXXX')).mime).toBe('application/octet-stream')
+    })
+
+    test('checks signatures at an offset', () => {
+      const tar = Buffer.alloc(512)
+      tar.write('ustar', 257, 'latin1')
+      expect(detectBinaryType(tar).ext).toBe('.tar')
+      expect(detectBinaryType(Buffer.from('\0\0\0\x18ftypmp42', 'latin1')).mime).toBe('video/mp4')
+    })
+
+    test('falls back to application/octet-stream', () => {
+      expect(detectBinaryType(Buffer.from([0x00, 0x13, 0x37]))).toEqual({ mime: 'application/octet-stream', ext: '.bin' })
+      expect(detectBinaryType(Buffer.alloc(0)).ext).toBe('.bin')
+      expect(detectBinaryType(null).ext).toBe('.bin')
+    })
+  })
+
+  describe('hexdump', () => {
+    test('formats offset, hex columns and ASCII', () => {
+      const lines = hexdump(Buffer.from('Hello, binary world!\0\x01', 'latin1'))
+      expect(lines).toEqual([
+        '00000000  48 65 6c 6c 6f 2c 20 62  69 6e 61 72 79 20 77 6f  |Hello, binary wo|',
+        '00000010  72 6c 64 21 00 01                                 |rld!..|'
+      ])
+    })
+
+    test('truncates to maxBytes', () => {
+      const lines = hexdump(Buffer.alloc(40, 0x41), { maxBytes: 16 })
+      expect(lines).toHaveLength(2)
+      expect(lines[1]).toBe('... 24 more bytes')
+    })
+  })
+
+  describe('isBinaryMime', () => {
+    test('separates binary payloads from text and X11 atoms', () => {
+      expect(isBinaryMime('application/pdf')).toBe(true)
+      expect(isBinaryMime('audio/wav')).toBe(true)
+      expect(isBinaryMime('application/x-tar')).toBe(true)
+      expect(isBinaryMime('application/json')).toBe(false)
+      expect(isBinaryMime('application/ld+json')).toBe(false)
+      expect(isBinaryMime('application/x-chromium-custom-data')).toBe(false)
+      expect(isBinaryMime('text/plain')).toBe(false)
+      expect(isBinaryMime('image/png')).toBe(false)
+    })
+  })
+})
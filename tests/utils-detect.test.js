@@ -0,0 +1,76 @@
+const { detectContentType, detectableTypes, MIN_CONFIDENCE } = require('../src/utils/detect')
+
+const SAMPLES = {
+  json: '{"name": "clipaste", "private": true}',
+  jsonl: '{"level":"info"}\n{"level":"warn"}',
+  yaml: 'name: ci\non:\n  push:\n    branches: [main]\njobs:\n  test:\n    runs-on: ubuntu-latest',
+  toml: '[package]\nname = "clipaste"\nversion = "0.1.0"',
+  ini: '[server]\nhost=localhost\nport=8080',
+  dotenv: 'API_KEY=abc123\nDEBUG=true',
+  csv: 'id,name,email\n1,Ada,ada@example.com\n2,Linus,linus@example.com',
+  tsv: 'id\tname\n1\tAda\n2\tLinus',
+  xml: '<?xml version="1.0"?>\n<feed><entry/></feed>',
+  svg: '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><rect/></svg>',
+  html: '<!DOCTYPE html>\n<html><body><p>Hello</p></body></html>',
+  markdown: '# Notes\n\n- see [docs](https://example.com)',
+  diff: 'diff --git a/a.js b/a.js\n--- a/a.js\n+++ b/a.js\n@@ -1 +1 @@\n-old\n+new',
+  sql: 'SELECT id, name\nFROM users\nWHERE active = 1\nORDER BY name;',
+  python: 'import os\n\n\ndef main():\n    print(os.getcwd())\n\n\nif __name__ == "__main__":\n    main()',
+  javascript: "const fs = require('fs')\n\nmodule.exports = function read (file) {\n  return fs.readFileSync(file, 'utf8')\n}",
+  typescript: 'interface User {\n  name: string\n  age?: number\n}\n\nexport const greet = (user: User): string => user.name',
+  shell: '#!/usr/bin/env bash\nset -e\nnpm ci',
+  powershell: 'Get-ChildItem -Path . | Where-Object { $_.Length -gt 1kb }',
+  go: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tmsg := "hi"\n\tfmt.Println(msg)\n}',
+  rust: 'use std::collections::HashMap;\n\nfn main() {\n    let mut counts = HashMap::new();\n    println!("{:?}", counts);\n}',
+  java: 'package app;\n\npublic class Main {\n  public static void main(String[] args) {\n    System.out.println("hi");\n  }\n}',
+  csharp: 'using System;\n\nnamespace App\n{\n  class Program { static void Main() { Console.WriteLine("hi"); } }\n}',
+  c: '#include <stdio.h>\n\nint main(void) {\n  printf("hi\\n");\n  return 0;\n}',
+  cpp: '#include <iostream>\n\nint main() {\n  std::cout << "hi" << std::endl;\n}',
+  php: '<?php\n$name = "world";\necho "Hello $name";',
+  ruby: 'class Greeter\n  attr_reader :name\n\n  def hello\n    puts "hi #{name}"\n  end\nend',
+  css: '.button {\n  color: #333;\n  padding: 4px 8px;\n}',
+  dockerfile: 'FROM node:20-alpine\nWORKDIR /app\nCOPY . .\nRUN npm ci',
+  makefile: '.PHONY: test\ntest:\n\tnpm test',
+  latex: '\\documentclass{article}\n\\begin{document}\nHello\n\\end{document}',
+  log: '2025-01-02 10:00:00 INFO server started\n2025-01-02 10:00:05 ERROR request failed',
+  url: 'https://github.com/markomanninen/clipaste'
+}
+
+describe('detectContentType', () => {
+  it.each(Object.entries(SAMPLES))('recognizes %s', (type, text) => {
+    const result = detectContentType(text)
+    expect(result.type).toBe(type)
+    expect(result.confidence).toBeGreaterThanOrEqual(MIN_CONFIDENCE)
+    expect(result.candidates[0]).toEqual({ type, confidence: result.confidence })
+  })
+
+  it('covers dozens of formats', () => {
+    expect(detectableTypes().length).toBeGreaterThanOrEqual(30)
+    for (const type of Object.keys(SAMPLES)) expect(detectableTypes()).toContain(type)
+  })
+
+  it('reports extension, MIME type and fence language', () => {
+    expect(detectContentType(SAMPLES.yaml)).toMatchObject({ ext: '.yaml', mime: 'application/yaml', language: 'yaml' })
+    expect(detectContentType(SAMPLES.shell)).toMatchObject({ ext: '.sh', language: 'bash', confidence: 1 })
+  })
+
+  it('falls back to plain text with the runner-up scores', () => {
+    const result = detectContentType('npm is a package manager. This function is used by everyone.')
+    expect(result).toMatchObject({ type: 'text', ext: '.txt', mime: 'text/plain', language: '' })
+    expect(result.candidates.every(c => c.confidence < MIN_CONFIDENCE)).toBe(true)
+    expect(detectContentType('echo hi').type).toBe('text')
+    expect(detectContentType('')).toEqual({ type: 'text', ext: '.txt', mime: 'text/plain', language: '', confidence: 1, candidates: [] })
+  })
+
+  it('lets a shebang settle the language', () => {
+    expect(detectContentType('#!/usr/bin/env python3\nx = 1').type).toBe('python')
+    expect(detectContentType('#!/usr/bin/env node\nx = 1').type).toBe('javascript')
+  })
+
+  it('stays fast on pathological input', () => {
+    const started = Date.now()
+    detectContentType('x' + ' \n'.repeat(30000) + 'x')
+    detectContentType('a:' + ' '.repeat(60000) + 'b')
+    expect(Date.now() - started).toBeLessThan(2000)
+  })
+})
@@ -0,0 +1,51 @@
+const { htmlToMarkdown, decodeEntities } = require('../src/utils/htmlToMarkdown')
+
+describe('htmlToMarkdown', () => {
+  it('converts headings, paragraphs and inline emphasis', () => {
+    const md = htmlToMarkdown('<h1>Title</h1><h3>Sub</h3><p>Some <strong>bold</strong>, <em>italic </em>and <del>gone</del> text</p>')
+    expect(md).toBe('# Title\n\n### Sub\n\nSome **bold**, _italic_ and ~~gone~~ text')
+  })
+
+  it('converts links, autolinks and images', () => {
+    const md = htmlToMarkdown('<p><a href="https://example.com" title="Ex">site</a> <a href="https://x.io">https://x.io</a> <img src="a b.png" alt="pic"></p>')
+    expect(md).toBe('[site](https://example.com "Ex") <https://x.io> ![pic](a%20b.png)')
+  })
+
+  it('converts nested and ordered lists', () => {
+    const md = htmlToMarkdown('<ul><li>one<li>two<ul><li>nested</li></ul></li></ul><ol start="3"><li>three</li><li>four</li></ol>')
+    expect(md).toBe('- one\n- two\n  - nested\n\n3. three\n4. four')
+  })
+
+  it('converts tables to GFM tables', () => {
+    const md = htmlToMarkdown('<table><thead><tr><th>Name</th><th>Value</th></tr></thead><tbody><tr><td>a|b</td><td><b>1</b></td></tr><tr><td>c</td></tr></tbody></table>')
+    expect(md).toBe('| Name | Value |\n| --- | --- |\n| a\\|b | **1** |\n| c |  |')
+  })
+
+  it('keeps code verbatim in fenced blocks and inline code', () => {
+    const md = htmlToMarkdown('<p>Run <code>npm_test</code></p><pre><code class="language-js">if (a) {\n\n  b_c()\n}\n</code></pre>')
+    expect(md).toBe('Run `npm_test`\n\n```js\nif (a) {\n\n  b_c()\n}\n```')
+  })
+
+  it('converts blockquotes, line breaks and rules', () => {
+    const md = htmlToMarkdown('<blockquote><p>one<br>two</p><p>three</p></blockquote><hr>')
+    expect(md).toBe('> one  \n> two\n>\n> three\n\n---')
+  })
+
+  it('ignores document chrome from clipboard HTML', () => {
+    const html = '<html><head><meta charset="utf-8"><style>p { color: red }</style></head><body><!--StartFragment--><p>Hi &amp; bye&nbsp;now</p><script>alert(1)</script><!--EndFragment--></body></html>'
+    expect(htmlToMarkdown(html)).toBe('Hi & bye now')
+  })
+
+  it('escapes Markdown syntax in plain text', () => {
+    expect(htmlToMarkdown('<p>snake_case and *stars*</p>')).toBe('snake\\_case and \\*stars\\*')
+  })
+
+  it('returns an empty string for empty input', () => {
+    expect(htmlToMarkdown('')).toBe('')
+    expect(htmlToMarkdown(null)).toBe('')
+  })
+
+  it('decodes numeric and named entities', () => {
+    expect(decodeEntities('&#x41;&#66;&hellip;&unknown;')).toBe('AB…&unknown;')
+  })
+})
@@ -0,0 +1,71 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const FileHandler = require('../src/fileHandler')
+const { slugify, buildNameVars, renderNamePattern } = require('../src/utils/namePattern')
+
+describe('Name pattern utilities', () => {
+  let tmpDir
+
+  beforeEach(() => { tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clipaste-names-')) })
+  afterEach(() => { fs.rmSync(tmpDir, { recursive: true, force: true }) })
+
+  test('slugify keeps lowercase words joined by dashes', () => {
+    expect(slugify('  Fix: the Bug! (née café)  ')).toBe('fix-the-bug-nee-cafe')
+    expect(slugify('x'.repeat(80))).toHaveLength(40)
+  })
+
+  test('buildNameVars exposes date parts, hash, type and a first-line slug', () => {
+    const vars = buildNameVars({
+      date: new Date(2026, 2, 7, 9, 5, 3),
+      sha256: 'abcdef0123456789',
+      type: 'text',
+      text: '\n\nMeeting Notes: Q3 plan\nsecond line',
+      ext: '.md'
+    })
+    expect(vars).toEqual(expect.objectContaining({
+      date: '2026-03-07',
+      time: '09-05-03',
+      year: 2026,
+      month: '03',
+      sha8: 'abcdef01',
+      type: 'text',
+      slug: 'meeting-notes-q3-plan',
+      ext: '.md'
+    }))
+    expect(vars.uuid).toMatch(/^[0-9a-f]{8}$/)
+    expect(buildNameVars({ type: 'image' }).slug).toBe('image')
+  })
+
+  test('renders subdirectories and appends the extension when missing', () => {
+    const vars = { date: '2026-03-07', slug: 'notes', sha8: 'abcdef01', ext: '.md' }
+    expect(renderNamePattern('{date}/{slug}-{sha8}{ext}', vars, tmpDir)).toBe(path.join(tmpDir, '2026-03-07', 'notes-abcdef01.md'))
+    expect(renderNamePattern('{date}/{slug}', vars, tmpDir)).toBe(path.join(tmpDir, '2026-03-07', 'notes.md'))
+  })
+
+  test('{counter} picks the first free name', () => {
+    fs.writeFileSync(path.join(tmpDir, 'shot-001.png'), '')
+    fs.writeFileSync(path.join(tmpDir, 'shot-002.png'), '')
+    expect(renderNamePattern('shot-{counter:3}{ext}', { ext: '.png' }, tmpDir)).toBe(path.join(tmpDir, 'shot-003.png'))
+  })
+
+  test('placeholder values cannot escape the output directory', () => {
+    expect(renderNamePattern('{slug}{ext}', { slug: '../../etc/passwd', ext: '.txt' }, tmpDir))
+      .toBe(path.join(tmpDir, '..-..-etc-passwd.txt'))
+    expect(() => renderNamePattern('../{slug}', { slug: 'x', ext: '.txt' }, tmpDir)).toThrow('inside the output directory')
+    expect(() => renderNamePattern('{nope}', { ext: '.txt' }, tmpDir)).toThrow('Unknown placeholder {nope}')
+  })
+
+  test('FileHandler.saveImage fills {width}x{height} from the saved image', async () => {
+    const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#fff' } }).png().toBuffer()
+    const saved = await new FileHandler().saveImage(png, {
+      outputPath: tmpDir,
+      resize: '20x',
+      namePattern: 'img/{width}x{height}{ext}',
+      nameVars: buildNameVars({ type: 'image' })
+    })
+    expect(saved).toBe(path.join(tmpDir, 'img', '20x10.png'))
+    expect(fs.existsSync(saved)).toBe(true)
+  })
+})
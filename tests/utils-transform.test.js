@@ -212,6 +212,13 @@ describe('Transform Utilities', () => {
     test('defaults to .txt for plain text', () => {
       expect(extensionForTextContent('Just plain text')).toBe('.txt')
       expect(extensionForTextContent('No special markers here')).toBe('.txt')
+      expect(extensionForTextContent('The function of this import is to export goods')).toBe('.txt')
+    })
+
+    test('detects formats beyond JSON, Markdown and scripts', () => {
+      expect(extensionForTextContent('name: app\nversion: 2')).toBe('.yaml')
+      expect(extensionForTextContent('def main():\n    pass')).toBe('.py')
+      expect(extensionForTextContent('SELECT * FROM users;')).toBe('.sql')
     })
 
     test('handles empty or invalid input', () => {
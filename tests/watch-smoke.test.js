@@ -5,8 +5,10 @@ const os = require('os')
 // Mock clipboard for watcher via the shared module
 const mockReadText = jest.fn()
 jest.mock('../src/clipboard', () => {
+  const { readAllFromMocks } = require('./helpers/readAllFromMocks')
   return jest.fn().mockImplementation(() => ({
-    readText: () => mockReadText()
+    readText: () => mockReadText(),
+    readAll: readAllFromMocks({ readText: () => mockReadText() })
   }))
 })
 
@@ -0,0 +1,57 @@
+// Mock clipboard manager keyed by selection so mirroring can be observed
+const mockRead = jest.fn()
+const mockWrite = jest.fn()
+jest.mock('../src/clipboard', () => {
+  const { readAllFromMocks } = require('./helpers/readAllFromMocks')
+  return jest.fn().mockImplementation(({ selection = 'clipboard' } = {}) => ({
+    selection,
+    readText: () => mockRead(selection),
+    readAll: readAllFromMocks({ readText: () => mockRead(selection) }),
+    writeText: (content) => mockWrite(selection, content)
+  }))
+})
+
+const ClipboardManager = require('../src/clipboard')
+const Watcher = require('../src/watcher')
+
+describe('Watcher selections', () => {
+  let watcher
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(async () => {
+    if (watcher) await watcher.stop()
+    watcher = null
+  })
+
+  test('watches the PRIMARY selection', async () => {
+    const history = { addEntry: jest.fn().mockResolvedValue(null) }
+    mockRead.mockResolvedValue('highlighted')
+    watcher = new Watcher({ interval: 200, selection: 'primary' })
+
+    await watcher.start({ save: true, history, once: true })
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(ClipboardManager).toHaveBeenCalledWith({ selection: 'primary' })
+    expect(mockRead).toHaveBeenCalledWith('primary')
+    expect(history.addEntry).toHaveBeenCalledWith('highlighted')
+  })
+
+  test('mirrors PRIMARY changes into CLIPBOARD', async () => {
+    mockRead.mockResolvedValue('copied by highlighting')
+    mockWrite.mockResolvedValue(true)
+    watcher = new Watcher({ interval: 200, selection: 'primary' })
+
+    await watcher.start({ mirrorTo: 'clipboard', once: true })
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(mockWrite).toHaveBeenCalledWith('clipboard', 'copied by highlighting')
+  })
+
+  test('refuses to mirror a selection into itself', async () => {
+    watcher = new Watcher({ interval: 200 })
+    await expect(watcher.start({ mirrorTo: 'clipboard' })).rejects.toThrow('Cannot mirror the clipboard selection into itself')
+  })
+})
@@ -3,8 +3,10 @@ jest.setTimeout(15000)
 // Mock clipboard manager used inside watcher
 const mockReadText = jest.fn()
 jest.mock('../src/clipboard', () => {
+  const { readAllFromMocks } = require('./helpers/readAllFromMocks')
   return jest.fn().mockImplementation(() => ({
-    readText: () => mockReadText()
+    readText: () => mockReadText(),
+    readAll: readAllFromMocks({ readText: () => mockReadText() })
   }))
 })
 
@@ -132,6 +134,7 @@ describe('Watcher', () => {
     const child = mockSpawn.child
     expect(child._options.env.CLIPASTE_TEXT).toBe('data')
     expect(child._options.env.CLIPASTE_SHA256).toMatch(/^[a-f0-9]{64}$/)
+    expect(child._options.env.CLIPASTE_IF_UNCHANGED).toBe(child._options.env.CLIPASTE_SHA256)
   })
 
   test('stops after maxEvents is reached', async () => {